@@ -1,18 +1,40 @@
 /**
  * CSV Dock Tally Application
  * Production mode - uses Supabase authentication and database
+ * Local mode (see lib/dataStore) skips sign-in and keeps everything in the browser
+ * The URL picks the Dashboard view (see lib/viewRoutes) so links can be shared
  */
 
 import { useState, useEffect } from 'react';
+import { Routes, Route, Navigate } from 'react-router-dom';
 import LoginPage from './components/LoginPage';
 import Dashboard from './components/Dashboard';
 import { signIn, signOut, getCurrentUser, onAuthStateChange } from './lib/supabase';
+import { isLocalBackend } from './lib/dataStore';
+
+// The local backend works offline, so there is no Supabase session to wait for
+const LOCAL_MODE = isLocalBackend();
+
+// Every route renders the same Dashboard, which reads the view from the URL
+function DashboardRoutes({ onLogout }) {
+  return (
+    <Routes>
+      <Route path="/:mode" element={<Dashboard view="master" onLogout={onLogout} />} />
+      <Route path="/:mode/uploads/:uploadId" element={<Dashboard view="upload" onLogout={onLogout} />} />
+      <Route path="/:mode/compare/:baseId/:targetId" element={<Dashboard view="compare" onLogout={onLogout} />} />
+      <Route path="/:mode/removed" element={<Dashboard view="removed" onLogout={onLogout} />} />
+      <Route path="*" element={<Navigate to="/ocean" replace />} />
+    </Routes>
+  );
+}
 
 function App() {
   const [user, setUser] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [loading, setLoading] = useState(!LOCAL_MODE);
 
   useEffect(() => {
+    if (LOCAL_MODE) return;
+
     // Check for existing session
     getCurrentUser().then((currentUser) => {
       setUser(currentUser);
@@ -53,8 +75,13 @@ function App() {
     );
   }
 
+  if (LOCAL_MODE) {
+    return <DashboardRoutes onLogout={null} />;
+  }
+
+  // Signing in keeps the URL, so a shared link opens once the user is in
   return user ? (
-    <Dashboard onLogout={handleLogout} />
+    <DashboardRoutes onLogout={handleLogout} />
   ) : (
     <LoginPage onLogin={handleLogin} />
   );
@@ -0,0 +1,255 @@
+/**
+ * Bulk Lookup Modal - Paste a list of HBs, MBLs or containers (HAWBs / MAWBs in Air)
+ * and get every matching Master List row back, with the values that matched nothing.
+ * Results can be exported or sent straight to the Dock Tally Report.
+ */
+
+import { useState } from 'react';
+import { ClipboardList, X, Download, FileText, Copy, AlertCircle } from 'lucide-react';
+import { exportToCSV } from '../lib/csvUtils';
+import { findMasterListRows, findAirMasterListRows } from '../lib/dataStore';
+import {
+    parseBulkList, matchBulkValues, BULK_LOOKUP_COLUMNS, AIR_BULK_LOOKUP_COLUMNS
+} from '../lib/reportLogic';
+
+const LOOKUP_FIELDS = [
+    { value: 'all', label: 'HB, MBL or Container' },
+    { value: 'hb', label: 'HB' },
+    { value: 'mbl', label: 'MBL' },
+    { value: 'container', label: 'Container' },
+];
+
+const AIR_LOOKUP_FIELDS = [
+    { value: 'all', label: 'HAWB or MAWB' },
+    { value: 'hawb', label: 'HAWB' },
+    { value: 'mawb', label: 'MAWB' },
+];
+
+// Result preview columns; the export and dock report get every column
+const PREVIEW_COLUMNS = [
+    { key: 'hb', label: 'HB' },
+    { key: 'mbl', label: 'MBL' },
+    { key: 'container', label: 'CONTAINER' },
+    { key: 'cnee', label: 'CNEE' },
+    { key: 'frl', label: 'FRL' },
+];
+
+const AIR_PREVIEW_COLUMNS = [
+    { key: 'hawb', label: 'HAWB' },
+    { key: 'mawb', label: 'MAWB' },
+    { key: 'consignee', label: 'CONSIGNEE' },
+    { key: 'flight_number', label: 'FLIGHT #' },
+    { key: 'log', label: 'LOG' },
+];
+
+export default function BulkLookupModal({ isOpen, onClose, onSendToDockTally, mode = 'ocean' }) {
+    const [text, setText] = useState('');
+    const [field, setField] = useState('all');
+    const [searching, setSearching] = useState(false);
+    const [error, setError] = useState('');
+    // { rows, notFound, valueCount } once a lookup has run
+    const [results, setResults] = useState(null);
+
+    const isAir = mode === 'air';
+    const fields = isAir ? AIR_LOOKUP_FIELDS : LOOKUP_FIELDS;
+    const previewColumns = isAir ? AIR_PREVIEW_COLUMNS : PREVIEW_COLUMNS;
+    const values = parseBulkList(text);
+
+    const handleLookup = async () => {
+        const columns = field === 'all' ? (isAir ? AIR_BULK_LOOKUP_COLUMNS : BULK_LOOKUP_COLUMNS) : [field];
+
+        setSearching(true);
+        setError('');
+        const rows = isAir
+            ? await findAirMasterListRows(values, columns)
+            : await findMasterListRows(values, columns);
+        setSearching(false);
+
+        if (rows === null) {
+            setError('Lookup failed - please try again');
+            return;
+        }
+        setResults({ ...matchBulkValues(rows, values, columns), valueCount: values.length });
+    };
+
+    const handleClose = () => {
+        setText('');
+        setResults(null);
+        setError('');
+        onClose();
+    };
+
+    const timestamp = () => new Date().toISOString().split('T')[0];
+
+    const handleExportRows = () => {
+        exportToCSV(results.rows, `bulk_lookup_${timestamp()}.csv`);
+    };
+
+    const handleExportNotFound = () => {
+        const label = fields.find(f => f.value === field).label.toUpperCase();
+        exportToCSV(results.notFound.map(value => ({ [label]: value })), `bulk_lookup_not_found_${timestamp()}.csv`);
+    };
+
+    const handleCopyNotFound = () => {
+        navigator.clipboard.writeText(results.notFound.join('\n')).catch(err => {
+            console.error('Error copying not found list:', err);
+        });
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="modal-overlay" onClick={handleClose}>
+            <div className="modal" style={{ maxWidth: '760px' }} onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <ClipboardList size={20} />
+                        Bulk Lookup
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={handleClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    <div className="form-group">
+                        <label htmlFor="bulk-lookup-field">Match pasted values against</label>
+                        <select
+                            id="bulk-lookup-field"
+                            className="input select"
+                            value={field}
+                            onChange={(e) => setField(e.target.value)}
+                        >
+                            {fields.map(f => (
+                                <option key={f.value} value={f.value}>{f.label}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="bulk-lookup-values">
+                            Values - one per line, or separated by commas or spaces
+                        </label>
+                        <textarea
+                            id="bulk-lookup-values"
+                            className="input"
+                            rows={6}
+                            style={{ fontFamily: 'monospace', resize: 'vertical' }}
+                            value={text}
+                            onChange={(e) => setText(e.target.value)}
+                        />
+                    </div>
+
+                    <button
+                        className="btn btn-primary"
+                        onClick={handleLookup}
+                        disabled={values.length === 0 || searching}
+                    >
+                        {searching
+                            ? 'Looking up...'
+                            : `Look Up ${values.length} Value${values.length === 1 ? '' : 's'}`}
+                    </button>
+
+                    {error && (
+                        <div style={{
+                            marginTop: '16px',
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '8px',
+                            color: 'var(--danger)',
+                            fontSize: '0.875rem'
+                        }}>
+                            <AlertCircle size={16} />
+                            {error}
+                        </div>
+                    )}
+
+                    {results && (
+                        <div style={{ marginTop: '20px' }}>
+                            <p style={{ fontSize: '0.875rem', marginBottom: '12px' }}>
+                                Found {results.valueCount - results.notFound.length} of {results.valueCount} values
+                                {' '}- {results.rows.length} Master List row{results.rows.length === 1 ? '' : 's'}
+                            </p>
+
+                            {results.notFound.length > 0 && (
+                                <div style={{
+                                    padding: '12px',
+                                    marginBottom: '12px',
+                                    background: 'var(--danger-bg)',
+                                    borderRadius: 'var(--radius-md)'
+                                }}>
+                                    <div style={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        justifyContent: 'space-between',
+                                        marginBottom: '8px',
+                                        fontSize: '0.8125rem',
+                                        fontWeight: '600',
+                                        color: 'var(--danger)'
+                                    }}>
+                                        Not found ({results.notFound.length})
+                                        <div style={{ display: 'flex', gap: '6px' }}>
+                                            <button className="btn btn-sm btn-ghost" onClick={handleCopyNotFound}>
+                                                <Copy size={14} />
+                                                Copy
+                                            </button>
+                                            <button className="btn btn-sm btn-ghost" onClick={handleExportNotFound}>
+                                                <Download size={14} />
+                                                CSV
+                                            </button>
+                                        </div>
+                                    </div>
+                                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                                        {results.notFound.map(value => (
+                                            <span key={value} className="badge badge-danger">{value}</span>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+
+                            {results.rows.length > 0 && (
+                                <div className="table-container" style={{ maxHeight: '260px', overflowY: 'auto' }}>
+                                    <table className="data-table">
+                                        <thead>
+                                            <tr>
+                                                {previewColumns.map(col => <th key={col.key}>{col.label}</th>)}
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {results.rows.map(row => (
+                                                <tr key={row.id}>
+                                                    {previewColumns.map(col => (
+                                                        <td key={col.key}>{row[col.key] || '-'}</td>
+                                                    ))}
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+
+                {results && results.rows.length > 0 && (
+                    <div className="modal-footer">
+                        <button className="btn btn-secondary" onClick={handleExportRows}>
+                            <Download size={18} />
+                            Download CSV
+                        </button>
+                        <button
+                            className="btn btn-primary"
+                            onClick={() => {
+                                onSendToDockTally(results.rows);
+                                handleClose();
+                            }}
+                        >
+                            <FileText size={18} />
+                            Send to Dock Report
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,105 @@
+/**
+ * Change Timeline Component - Field-level master list change history for one HB
+ * Shown in the LifecycleDrawer, reads from master_list_changes
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { ArrowRight } from 'lucide-react';
+import { getMasterListChanges } from '../lib/dataStore';
+
+export default function ChangeTimeline({ hb }) {
+    const [changes, setChanges] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    // Parent remounts the timeline per HB (key={hb}), so loading starts true
+    useEffect(() => {
+        let cancelled = false;
+
+        getMasterListChanges(hb).then(result => {
+            if (cancelled) return;
+            setChanges(result);
+            setLoading(false);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [hb]);
+
+    // Group the flat change records into one timeline entry per upload
+    const timeline = useMemo(() => {
+        const entries = [];
+        const byUpload = new Map();
+
+        for (const change of changes) {
+            const key = change.upload_id || change.changed_at;
+            if (!byUpload.has(key)) {
+                const entry = {
+                    key,
+                    date: change.uploads?.upload_date || change.changed_at,
+                    filename: change.uploads?.filename || 'Deleted upload',
+                    changes: [],
+                };
+                byUpload.set(key, entry);
+                entries.push(entry);
+            }
+            byUpload.get(key).changes.push(change);
+        }
+
+        return entries;
+    }, [changes]);
+
+    const formatDate = (dateString) => {
+        const date = new Date(dateString);
+        return date.toLocaleDateString('en-US', {
+            month: '2-digit',
+            day: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    if (loading) {
+        return (
+            <div className="empty-state">
+                <span className="loading-spinner" style={{ width: '32px', height: '32px' }}></span>
+            </div>
+        );
+    }
+
+    if (timeline.length === 0) {
+        return (
+            <div className="empty-state">
+                <div className="empty-state-icon">🕓</div>
+                <h3>No changes recorded</h3>
+                <p>This HB has not changed in the Master List since it was first seen.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="timeline">
+            {timeline.map(entry => (
+                <div key={entry.key} className="timeline-entry">
+                    <div className="timeline-date">{formatDate(entry.date)}</div>
+                    <div className="timeline-filename" title={entry.filename}>
+                        {entry.filename}
+                    </div>
+                    <table className="timeline-changes">
+                        <tbody>
+                            {entry.changes.map(change => (
+                                <tr key={change.id}>
+                                    <td style={{ fontWeight: '600' }}>{change.column_name}</td>
+                                    <td style={{ color: 'var(--text-muted)' }}>{change.old_value || '(empty)'}</td>
+                                    <td><ArrowRight size={12} /></td>
+                                    <td>{change.new_value || '(empty)'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -1,56 +1,115 @@
 /**
  * Dashboard Component - Main application view
+ * Mode, the selected upload or comparison, the metric card, search and filter builder
+ * conditions all come from the URL (see lib/viewRoutes), so any view can be linked to
  */
 
-import { useState, useEffect, useMemo } from 'react';
-import { Download, FileText, X, Anchor, Plane } from 'lucide-react';
+import { useState, useEffect, useMemo, useCallback, useSyncExternalStore } from 'react';
+import { useParams, useSearchParams, useNavigate, useLocation, Navigate } from 'react-router-dom';
+import { Download, FileText, X, Anchor, Plane, Link, ClipboardCheck } from 'lucide-react';
 import Sidebar from './Sidebar';
 import MetricsBar from './MetricsBar';
 import DataTable from './DataTable';
 import SearchBar from './SearchBar';
+import FilterBuilder from './FilterBuilder';
 import UploadModal from './UploadModal';
 import DockTallyReport from './DockTallyReport';
-import { exportToCSV } from '../lib/csvUtils';
+import DockTallyEntry from './DockTallyEntry';
+import LifecycleDrawer from './LifecycleDrawer';
+import BulkLookupModal from './BulkLookupModal';
+import { exportToCSV, REMOVED_HISTORY_COLUMNS, CHANGED_ITEMS_COLUMNS } from '../lib/csvUtils';
 import {
     getAllUploads,
     deleteUpload,
-    getReportData,
-    getMasterListData,
+    getReportDataPage,
+    getDuplicateBills,
+    getMasterListPage,
     getMasterListMetrics,
     getMasterListNewItems,
     getMasterListUpdatedItems,
     getMasterListNewFrl,
-    getNewItemsData,
-    getRemovedItemsData,
-    getNewlyFrldData,
-    detectNewItems,
-    detectRemovedItems,
-    detectNewlyFrld,
+    getUploadDiff,
+    getChangedItemsData,
+    detectChangedItems,
     cleanupOrphanedMasterListItems,
+    getRemovedItemsHistory,
+    getSavedViews,
+    saveSavedView,
+    deleteSavedView,
     // Air functions
     getAllAirUploads,
     deleteAirUpload,
     getAirReportData,
-    getAirMasterListData,
+    getAirReportDataPage,
+    getAirDuplicateBills,
+    getAirMasterListPage,
     getAirMasterListMetrics,
     getAirMasterListNewItems,
-} from '../lib/database';
-
-export default function Dashboard({ onLogout }) {
-    // Mode: 'ocean' or 'air'
-    const [mode, setMode] = useState('ocean');
+    getAirMasterListUpdatedItems,
+    cleanupOrphanedAirMasterListItems,
+} from '../lib/dataStore';
+import { subscribeToSyncStatus, getSyncStatus, isOffline } from '../lib/syncQueue';
+import { matchesFilter, getActiveConditions } from '../lib/reportLogic';
+import { MODES, buildViewUrl, decodeFilter } from '../lib/viewRoutes';
+
+// Upload view metric cards whose rows come from the upload diff ('updated_items' is the Removed card)
+const DIFF_ROWS_BY_FILTER = {
+    new_items: 'new_items',
+    updated_items: 'removed_items',
+    new_frl: 'new_frl',
+};
+
+// Filters that load their own list of rows; every other view is paged, sorted and searched by the database
+const LIST_FILTERS = ['new_items', 'updated_items', 'new_frl', 'changed_items'];
+
+// Wait for typing to pause before searching the database
+const SEARCH_DEBOUNCE_MS = 300;
+
+// view: 'master' | 'upload' | 'compare' | 'removed', from the matched route
+export default function Dashboard({ view, onLogout }) {
+    const { mode, uploadId, baseId, targetId } = useParams();
+    const [searchParams] = useSearchParams();
+    const navigate = useNavigate();
+    const location = useLocation();
+
+    // What's on screen, read from the URL
+    // Unknown modes, and Removed History outside Ocean, go back to a Master List
+    const isValidView = MODES.includes(mode) && (view !== 'removed' || mode === 'ocean');
+    const isMasterList = view === 'master';
+    const isRemovedHistory = view === 'removed';
+    const selectedUpload = view === 'upload' ? uploadId : null;
+    // Compare mode: { baseId, targetId } when comparing two chosen uploads
+    const compareSelection = useMemo(
+        () => (view === 'compare' ? { baseId, targetId } : null),
+        [view, baseId, targetId]
+    );
+    const activeFilter = searchParams.get('filter') || 'all';
+    const searchText = searchParams.get('q') || '';
+    const searchField = searchParams.get('field') || 'all';
+    // Filter builder conditions, applied on top of the metric filter
+    const matchParam = searchParams.get('match');
+    const whereParam = searchParams.get('where');
+    const advancedFilter = useMemo(() => decodeFilter(matchParam, whereParam), [matchParam, whereParam]);
 
     // State
     const [uploads, setUploads] = useState([]);
-    const [selectedUpload, setSelectedUpload] = useState(null);
-    const [isMasterList, setIsMasterList] = useState(true);
+    const [savedViews, setSavedViews] = useState([]);
     const [data, setData] = useState([]);
     const [loading, setLoading] = useState(false);
-    const [activeFilter, setActiveFilter] = useState('all');
-    const [searchText, setSearchText] = useState('');
-    const [searchField, setSearchField] = useState('all');
+    const [debouncedSearchText, setDebouncedSearchText] = useState(searchText);
+    // Paged views: matching row count, and a counter bumped to refetch after data changes
+    const [pagedTotal, setPagedTotal] = useState(0);
+    const [pageReloadKey, setPageReloadKey] = useState(0);
+    // Rows for the dock report and the filter it's labelled with; paged views fetch every
+    // matching row when it's opened, bulk lookups send their own rows
+    const [dockReport, setDockReport] = useState({ rows: [], filter: 'all' });
     const [showUploadModal, setShowUploadModal] = useState(false);
     const [showDockReport, setShowDockReport] = useState(false);
+    const [showBulkLookup, setShowBulkLookup] = useState(false);
+    // Rows being tallied while Tally Entry is open
+    const [tallyEntryRows, setTallyEntryRows] = useState(null);
+    // HB (Ocean) or HAWB (Air) whose lifecycle drawer is open
+    const [lifecycleBill, setLifecycleBill] = useState(null);
     const [toast, setToast] = useState(null);
 
     // Metrics state
@@ -64,49 +123,83 @@ export default function Dashboard({ onLogout }) {
         newFrl: 0,
     });
 
-    // Load uploads on mount and when mode changes
+    const pageUploadId = compareSelection ? compareSelection.targetId : selectedUpload;
+    const isPagedView = !isRemovedHistory && !LIST_FILTERS.includes(activeFilter)
+        && (isMasterList || !!pageUploadId);
+
     useEffect(() => {
-        const initializeMode = async () => {
-            await loadUploads();
-            // Reset selection when mode changes
-            if (mode === 'air') {
-                // Air mode: select first upload if available
-                const uploadList = await getAllAirUploads();
-                if (uploadList.length > 0) {
-                    setSelectedUpload(uploadList[0].id);
-                    setIsMasterList(false);
-                } else {
-                    setSelectedUpload(null);
-                    setIsMasterList(false); // No master list in air mode
-                }
-            } else {
-                // Ocean mode: default to master list
-                setSelectedUpload(null);
-                setIsMasterList(true);
-            }
-            setActiveFilter('all');
-            setSearchText('');
-        };
+        const timer = setTimeout(() => setDebouncedSearchText(searchText), SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [searchText]);
+
+    // One page of the current view for the DataTable; a new function means a new query
+    const fetchPage = useCallback(async (options) => {
+        const query = { ...options, searchField, searchText: debouncedSearchText, filter: advancedFilter };
+        let result;
+        if (isMasterList) {
+            result = mode === 'air'
+                ? await getAirMasterListPage(activeFilter, query)
+                : await getMasterListPage(activeFilter, query);
+        } else {
+            result = mode === 'air'
+                ? await getAirReportDataPage(pageUploadId, activeFilter, query)
+                : await getReportDataPage(pageUploadId, activeFilter, query);
+        }
+        // Failed pages and pages after the first leave the count as it was
+        if (result && result.total !== null) setPagedTotal(result.total);
+        return result;
+    }, [mode, isMasterList, pageUploadId, activeFilter, searchField, debouncedSearchText, advancedFilter]);
+
+    // Which bills on a loaded page are duplicated across the whole master list or upload
+    const fetchDuplicates = useCallback((primaryValues, secondaryValues) => {
+        const uploadId = isMasterList ? null : pageUploadId;
+        return mode === 'air'
+            ? getAirDuplicateBills(uploadId, primaryValues, secondaryValues)
+            : getDuplicateBills(uploadId, primaryValues, secondaryValues);
+    }, [mode, isMasterList, pageUploadId]);
+
+    // Every row matching the current paged view (CSV export, dock report)
+    const fetchAllPages = async () => {
+        const PAGE_LIMIT = 1000;
+        let rows = [];
+        let total = Infinity;
+        while (rows.length < total) {
+            const page = await fetchPage({ offset: rows.length, limit: PAGE_LIMIT });
+            if (!page || page.rows.length === 0) break;
+            rows = rows.concat(page.rows);
+            if (page.total !== null) total = page.total;
+        }
+        return rows;
+    };
 
-        initializeMode();
+    // Load uploads and saved views on mount and when mode changes
+    useEffect(() => {
+        if (!isValidView) return;
+        loadUploads();
+        loadSavedViews();
     }, [mode]);
 
+    // Queued offline writes reached Supabase - reload what's on screen
+    const { lastSyncedAt } = useSyncExternalStore(subscribeToSyncStatus, getSyncStatus);
+    useEffect(() => {
+        if (!lastSyncedAt) return;
+        loadUploads();
+        if (isMasterList) loadMasterListData();
+    }, [lastSyncedAt]);
+
     // Load data when selection changes
     useEffect(() => {
-        if (mode === 'air') {
-            // Air mode: only load upload data (no master list)
-            if (selectedUpload) {
-                loadUploadData(selectedUpload);
-            }
-        } else {
-            // Ocean mode: load master list or upload data
-            if (isMasterList) {
-                loadMasterListData();
-            } else if (selectedUpload) {
-                loadUploadData(selectedUpload);
-            }
+        if (!isValidView) return;
+        if (isMasterList) {
+            loadMasterListData();
+        } else if (isRemovedHistory) {
+            loadRemovedHistoryData();
+        } else if (compareSelection) {
+            loadUploadData(compareSelection.targetId, compareSelection.baseId);
+        } else if (selectedUpload) {
+            loadUploadData(selectedUpload);
         }
-    }, [isMasterList, selectedUpload, activeFilter, mode]);
+    }, [isMasterList, isRemovedHistory, compareSelection, selectedUpload, activeFilter, mode]);
 
     const loadUploads = async () => {
         const uploadList = mode === 'air'
@@ -115,69 +208,51 @@ export default function Dashboard({ onLogout }) {
         setUploads(uploadList);
     };
 
+    const loadSavedViews = async () => {
+        setSavedViews(await getSavedViews(mode));
+    };
+
     const loadMasterListData = async () => {
         setLoading(true);
         try {
+            // Counts come back in one call; only the rows for the active card are fetched
             if (mode === 'air') {
                 // Air mode
-                const allMasterData = await getAirMasterListData('all');
-                const uniqueMawbSet = new Set(allMasterData.filter(r => r.mawb && r.mawb.trim() !== '').map(r => r.mawb));
                 const masterMetrics = await getAirMasterListMetrics();
-                const newItems = await getAirMasterListNewItems();
-
-                setMetrics({
-                    totalRows: masterMetrics.totalRows,
-                    uniqueMbls: uniqueMawbSet.size,
-                    withFrl: masterMetrics.withFrl,
-                    withoutFrl: masterMetrics.withoutFrl,
-                    newItems: newItems.count,
-                    updatedItems: 0,
-                    removedItems: 0,
-                    newFrl: 0,
-                });
+                setMetrics({ ...masterMetrics, removedItems: 0, newFrl: 0 });
 
                 let loadedData = [];
                 switch (activeFilter) {
                     case 'new_items':
-                        loadedData = newItems.data;
+                        loadedData = (await getAirMasterListNewItems()).data;
+                        break;
+                    case 'updated_items':
+                        loadedData = (await getAirMasterListUpdatedItems()).data;
                         break;
                     default:
-                        loadedData = await getAirMasterListData(activeFilter);
+                        // Paged by the DataTable
+                        setPageReloadKey(key => key + 1);
                 }
                 setData(loadedData);
             } else {
                 // Ocean mode (original logic)
-                const allMasterData = await getMasterListData('all');
-                const uniqueMblSet = new Set(allMasterData.filter(r => r.mbl && r.mbl.trim() !== '').map(r => r.mbl));
                 const masterMetrics = await getMasterListMetrics();
-                const newItems = await getMasterListNewItems();
-                const updatedItems = await getMasterListUpdatedItems();
-                const newFrl = await getMasterListNewFrl();
-
-                setMetrics({
-                    totalRows: masterMetrics.totalRows,
-                    uniqueMbls: uniqueMblSet.size,
-                    withFrl: masterMetrics.withFrl,
-                    withoutFrl: masterMetrics.withoutFrl,
-                    newItems: newItems.count,
-                    updatedItems: updatedItems.count,
-                    removedItems: 0,
-                    newFrl: newFrl.count,
-                });
+                setMetrics({ ...masterMetrics, removedItems: 0 });
 
                 let loadedData = [];
                 switch (activeFilter) {
                     case 'new_items':
-                        loadedData = newItems.data;
+                        loadedData = (await getMasterListNewItems()).data;
                         break;
                     case 'updated_items':
-                        loadedData = updatedItems.data;
+                        loadedData = (await getMasterListUpdatedItems()).data;
                         break;
                     case 'new_frl':
-                        loadedData = newFrl.data;
+                        loadedData = (await getMasterListNewFrl()).data;
                         break;
                     default:
-                        loadedData = await getMasterListData(activeFilter);
+                        // Paged by the DataTable
+                        setPageReloadKey(key => key + 1);
                 }
                 setData(loadedData);
             }
@@ -188,7 +263,8 @@ export default function Dashboard({ onLogout }) {
         setLoading(false);
     };
 
-    const loadUploadData = async (uploadId) => {
+    // baseUploadId is only set in compare mode; otherwise the previous upload is the base
+    const loadUploadData = async (uploadId, baseUploadId = null) => {
         setLoading(true);
         try {
             if (mode === 'air') {
@@ -208,41 +284,42 @@ export default function Dashboard({ onLogout }) {
                     newFrl: 0,
                 });
 
-                const loadedData = await getAirReportData(uploadId, activeFilter);
-                setData(loadedData);
+                // Paged by the DataTable
+                setData([]);
+                setPageReloadKey(key => key + 1);
             } else {
-                // Ocean mode (original logic)
-                const reportData = await getReportData(uploadId);
-                const uniqueMblSet = new Set(reportData.filter(r => r.mbl && r.mbl.trim() !== '').map(r => r.mbl));
-                const withFrl = reportData.filter(r => r.frl && r.frl.trim() !== '').length;
-                const newItemsCount = await detectNewItems(uploadId);
-                const removedItemsCount = await detectRemovedItems(uploadId);
-                const newlyFrldCount = await detectNewlyFrld(uploadId);
+                // Ocean mode - counts and the active diff's rows come back from one comparison
+                const diff = await getUploadDiff(uploadId, baseUploadId, DIFF_ROWS_BY_FILTER[activeFilter] || null);
+                if (!diff) throw new Error('Upload comparison failed');
+                const changedItemsCount = baseUploadId
+                    ? await detectChangedItems(uploadId, baseUploadId)
+                    : 0;
 
                 setMetrics({
-                    totalRows: reportData.length,
-                    uniqueMbls: uniqueMblSet.size,
-                    withFrl,
-                    withoutFrl: reportData.length - withFrl,
-                    newItems: newItemsCount,
-                    removedItems: removedItemsCount,
+                    totalRows: diff.totalRows,
+                    uniqueMbls: diff.uniqueMbls,
+                    withFrl: diff.withFrl,
+                    withoutFrl: diff.withoutFrl,
+                    newItems: diff.newItems,
+                    removedItems: diff.removedItems,
                     updatedItems: 0,
-                    newFrl: newlyFrldCount,
+                    newFrl: diff.newFrl,
+                    changedItems: changedItemsCount,
                 });
 
                 let loadedData = [];
                 switch (activeFilter) {
                     case 'new_items':
-                        loadedData = await getNewItemsData(uploadId);
-                        break;
                     case 'updated_items':
-                        loadedData = await getRemovedItemsData(uploadId);
-                        break;
                     case 'new_frl':
-                        loadedData = await getNewlyFrldData(uploadId);
+                        loadedData = diff.rows;
+                        break;
+                    case 'changed_items':
+                        loadedData = await getChangedItemsData(uploadId, baseUploadId);
                         break;
                     default:
-                        loadedData = await getReportData(uploadId, activeFilter);
+                        // Paged by the DataTable
+                        setPageReloadKey(key => key + 1);
                 }
                 setData(loadedData);
             }
@@ -253,13 +330,43 @@ export default function Dashboard({ onLogout }) {
         setLoading(false);
     };
 
-    // Filtered data based on search
+    const loadRemovedHistoryData = async () => {
+        setLoading(true);
+        try {
+            const historyData = await getRemovedItemsHistory();
+            const uniqueMblSet = new Set(historyData.filter(r => r.mbl && r.mbl.trim() !== '').map(r => r.mbl));
+            const withFrl = historyData.filter(r => r.frl && r.frl.trim() !== '').length;
+
+            setMetrics({
+                totalRows: historyData.length,
+                uniqueMbls: uniqueMblSet.size,
+                withFrl,
+                withoutFrl: historyData.length - withFrl,
+                newItems: 0,
+                removedItems: 0,
+                updatedItems: 0,
+                newFrl: 0,
+            });
+
+            const loadedData = activeFilter === 'all'
+                ? historyData
+                : await getRemovedItemsHistory(activeFilter);
+            setData(loadedData);
+        } catch (err) {
+            console.error('Error loading removed history:', err);
+            showToast('Error loading data', 'error');
+        }
+        setLoading(false);
+    };
+
+    // Filtered data based on search and the filter builder (list views only; paged views filter in the database)
     const filteredData = useMemo(() => {
-        if (!searchText.trim()) return data;
+        const rows = data.filter(row => matchesFilter(row, advancedFilter));
+        if (!searchText.trim()) return rows;
 
         const searchLower = searchText.toLowerCase();
 
-        return data.filter(row => {
+        return rows.filter(row => {
             if (searchField === 'all') {
                 return Object.values(row).some(val =>
                     val && String(val).toLowerCase().includes(searchLower)
@@ -268,21 +375,71 @@ export default function Dashboard({ onLogout }) {
             const value = row[searchField];
             return value && String(value).toLowerCase().includes(searchLower);
         });
-    }, [data, searchText, searchField]);
+    }, [data, searchText, searchField, advancedFilter]);
+
+    // Move to another view by changing the URL; unchanged parts carry over
+    const navigateToView = (changes, options) => {
+        navigate(buildViewUrl({
+            mode, view, uploadId, baseId, targetId, activeFilter, searchField, searchText, advancedFilter,
+            ...changes,
+        }), options);
+    };
+
+    // Typing in the search box replaces the history entry instead of adding one per keystroke
+    const setSearchText = (text) => navigateToView({ searchText: text }, { replace: true });
+    const setSearchField = (field) => navigateToView({ searchField: field }, { replace: true });
+    const setActiveFilter = (filter) => navigateToView({ activeFilter: filter });
+    const setAdvancedFilter = (filter) => navigateToView({ advancedFilter: filter });
 
     // Handlers
     const handleSelectUpload = (uploadId) => {
-        setSelectedUpload(uploadId);
-        setIsMasterList(false);
-        setActiveFilter('all');
-        setSearchText('');
+        navigateToView({ view: 'upload', uploadId, activeFilter: 'all', searchText: '' });
     };
 
     const handleSelectMasterList = () => {
-        setSelectedUpload(null);
-        setIsMasterList(true);
-        setActiveFilter('all');
-        setSearchText('');
+        navigateToView({ view: 'master', activeFilter: 'all', searchText: '' });
+    };
+
+    const handleSelectRemovedHistory = () => {
+        navigateToView({ view: 'removed', activeFilter: 'all', searchText: '' });
+    };
+
+    const handleCompare = (baseId, targetId) => {
+        navigateToView({ view: 'compare', baseId, targetId, activeFilter: 'all', searchText: '' });
+    };
+
+    // Switching mode starts over on that mode's Master List
+    const handleModeChange = (newMode) => {
+        if (newMode !== mode) navigate(`/${newMode}`);
+    };
+
+    const handleSaveView = async (name) => {
+        const url = location.pathname + location.search;
+        const saved = await saveSavedView(name, mode, url);
+        if (saved) {
+            await loadSavedViews();
+            showToast(`Saved view "${name}"`, 'success');
+        } else {
+            showToast('Failed to save view', 'error');
+        }
+    };
+
+    const handleDeleteSavedView = async (viewId) => {
+        if (await deleteSavedView(viewId)) {
+            await loadSavedViews();
+        } else {
+            showToast('Failed to delete saved view', 'error');
+        }
+    };
+
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            showToast('Link copied - anyone signed in can open this view', 'success');
+        } catch (err) {
+            console.error('Error copying link:', err);
+            showToast('Could not copy the link', 'error');
+        }
     };
 
     const handleDeleteUpload = async (uploadId) => {
@@ -293,53 +450,85 @@ export default function Dashboard({ onLogout }) {
             // Reload uploads list
             await loadUploads();
 
-            // If we were viewing the deleted upload, switch to master list
-            if (selectedUpload === uploadId) {
-                setSelectedUpload(null);
-                setIsMasterList(true);
+            // If we were viewing the deleted upload, or it was part of a comparison, switch to master list
+            if (selectedUpload === uploadId
+                || (compareSelection && (compareSelection.baseId === uploadId || compareSelection.targetId === uploadId))) {
+                navigateToView({ view: 'master', activeFilter: 'all', searchText: '' }, { replace: true });
             }
 
             // Force reload the current view
             if (isMasterList) {
                 await loadMasterListData();
+            } else if (isRemovedHistory) {
+                await loadRemovedHistoryData();
             } else if (selectedUpload && selectedUpload !== uploadId) {
                 await loadSelectedUploadData();
             }
 
-            showToast('Upload deleted successfully', 'success');
+            showToast(
+                isOffline() ? 'Delete queued - it will sync when the connection is back' : 'Upload deleted successfully',
+                'success'
+            );
         } else {
             showToast('Failed to delete upload', 'error');
         }
     };
 
+    const handleRowClick = (row) => {
+        const billNumber = mode === 'air' ? row.hawb : row.hb;
+        if (billNumber) setLifecycleBill(billNumber);
+    };
+
     const handleFilterChange = (filter) => {
-        setActiveFilter(filter);
-        setSearchText('');
+        navigateToView({ activeFilter: filter, searchText: '' });
     };
 
-    const handleUploadSuccess = async ({ rowsInserted, itemsAdded, itemsUpdated }) => {
+    const handleUploadSuccess = async ({ rowsInserted, itemsAdded, itemsUpdated, queued }) => {
         await loadUploads();
         handleSelectMasterList();
         showToast(
-            `Upload successful! ${rowsInserted} rows, ${itemsAdded} new items, ${itemsUpdated} updated`,
+            queued
+                ? `Saved offline - ${rowsInserted} rows will upload when the connection is back`
+                : `Upload successful! ${rowsInserted} rows, ${itemsAdded} new items, ${itemsUpdated} updated`,
             'success'
         );
     };
 
-    const handleDownloadCSV = () => {
-        if (filteredData.length === 0) {
+    const visibleRowCount = isPagedView ? pagedTotal : filteredData.length;
+    const isNarrowed = debouncedSearchText.trim() !== '' || getActiveConditions(advancedFilter).length > 0;
+
+    const handleDownloadCSV = async () => {
+        if (visibleRowCount === 0) {
             showToast('No data to export', 'error');
             return;
         }
 
         const timestamp = new Date().toISOString().split('T')[0];
-        const filename = `export_${timestamp}.csv`;
-        exportToCSV(filteredData, filename);
+        const filename = isRemovedHistory
+            ? `removed_history_${timestamp}.csv`
+            : `export_${timestamp}.csv`;
+        exportToCSV(isPagedView ? await fetchAllPages() : filteredData, filename);
         showToast('CSV downloaded successfully', 'success');
     };
 
+    const handleOpenDockReport = async () => {
+        setDockReport({ rows: isPagedView ? await fetchAllPages() : filteredData, filter: activeFilter });
+        setShowDockReport(true);
+    };
+
+    const handleOpenTallyEntry = async () => {
+        setTallyEntryRows(isPagedView ? await fetchAllPages() : filteredData);
+    };
+
+    const handleBulkLookupToDockReport = (rows) => {
+        setDockReport({ rows, filter: 'bulk_lookup' });
+        setShowDockReport(true);
+    };
+
     const handleRefreshMasterList = async () => {
-        const success = await cleanupOrphanedMasterListItems();
+        const success = mode === 'air'
+            ? await cleanupOrphanedAirMasterListItems()
+            : await cleanupOrphanedMasterListItems();
         if (success) {
             // Always reload master list data to update count
             await loadMasterListData();
@@ -356,6 +545,14 @@ export default function Dashboard({ onLogout }) {
 
     const getSelectedTitle = () => {
         if (isMasterList) return '📦 Master List';
+        if (isRemovedHistory) return '🗑️ Removed History';
+        if (compareSelection) {
+            const base = uploads.find(u => u.id === compareSelection.baseId);
+            const target = uploads.find(u => u.id === compareSelection.targetId);
+            if (base && target) {
+                return `🔀 ${new Date(base.upload_date).toLocaleDateString()} ${base.filename} → ${new Date(target.upload_date).toLocaleDateString()} ${target.filename}`;
+            }
+        }
         const upload = uploads.find(u => u.id === selectedUpload);
         if (upload) {
             const date = new Date(upload.upload_date);
@@ -364,19 +561,32 @@ export default function Dashboard({ onLogout }) {
         return 'Select an upload';
     };
 
+    if (!isValidView) {
+        return <Navigate to={MODES.includes(mode) ? `/${mode}` : '/ocean'} replace />;
+    }
+
     return (
         <div style={{ display: 'flex', minHeight: '100vh' }}>
             <Sidebar
                 uploads={uploads}
                 selectedUpload={selectedUpload}
                 isMasterList={isMasterList}
+                isRemovedHistory={isRemovedHistory}
+                compareSelection={compareSelection}
                 masterListCount={metrics.totalRows}
                 onSelectUpload={handleSelectUpload}
                 onSelectMasterList={handleSelectMasterList}
+                onSelectRemovedHistory={handleSelectRemovedHistory}
+                onCompare={handleCompare}
                 onUploadClick={() => setShowUploadModal(true)}
                 onDeleteUpload={handleDeleteUpload}
                 onRefresh={loadUploads}
                 onRefreshMasterList={handleRefreshMasterList}
+                savedViews={savedViews}
+                currentViewUrl={location.pathname + location.search}
+                onSelectSavedView={(url) => navigate(url)}
+                onSaveView={handleSaveView}
+                onDeleteSavedView={handleDeleteSavedView}
                 onLogout={onLogout}
                 mode={mode}
             />
@@ -390,7 +600,7 @@ export default function Dashboard({ onLogout }) {
                     borderBottom: '2px solid var(--border-color)'
                 }}>
                     <button
-                        onClick={() => setMode('ocean')}
+                        onClick={() => handleModeChange('ocean')}
                         style={{
                             display: 'flex',
                             alignItems: 'center',
@@ -410,7 +620,7 @@ export default function Dashboard({ onLogout }) {
                         Ocean
                     </button>
                     <button
-                        onClick={() => setMode('air')}
+                        onClick={() => handleModeChange('air')}
                         style={{
                             display: 'flex',
                             alignItems: 'center',
@@ -451,15 +661,31 @@ export default function Dashboard({ onLogout }) {
                     <div style={{ display: 'flex', gap: '12px' }}>
                         <button
                             className="btn btn-secondary"
-                            onClick={() => setShowDockReport(true)}
+                            onClick={handleCopyLink}
+                            title="Copy a link to this view"
+                        >
+                            <Link size={18} />
+                            Copy Link
+                        </button>
+                        <button
+                            className="btn btn-secondary"
+                            onClick={handleOpenDockReport}
                         >
                             <FileText size={18} />
                             Dock Report
                         </button>
+                        <button
+                            className="btn btn-secondary"
+                            onClick={handleOpenTallyEntry}
+                            disabled={visibleRowCount === 0}
+                        >
+                            <ClipboardCheck size={18} />
+                            Tally Entry
+                        </button>
                         <button
                             className="btn btn-secondary"
                             onClick={handleDownloadCSV}
-                            disabled={filteredData.length === 0}
+                            disabled={visibleRowCount === 0}
                         >
                             <Download size={18} />
                             Download CSV
@@ -472,7 +698,8 @@ export default function Dashboard({ onLogout }) {
                         metrics={metrics}
                         activeFilter={activeFilter}
                         onFilterChange={handleFilterChange}
-                        isMasterList={isMasterList}
+                        isMasterList={isMasterList || isRemovedHistory}
+                        isCompare={!!compareSelection}
                         mode={mode}
                     />
 
@@ -482,6 +709,15 @@ export default function Dashboard({ onLogout }) {
                         onSearchChange={setSearchText}
                         onFieldChange={setSearchField}
                         onClear={() => setSearchText('')}
+                        onShowLifecycle={(billNumber) => setLifecycleBill(billNumber.trim())}
+                        onBulkLookup={() => setShowBulkLookup(true)}
+                        mode={mode}
+                    />
+
+                    <FilterBuilder
+                        key={mode}
+                        filter={advancedFilter}
+                        onApply={setAdvancedFilter}
                         mode={mode}
                     />
 
@@ -490,10 +726,25 @@ export default function Dashboard({ onLogout }) {
                         fontSize: '0.875rem',
                         color: 'var(--text-muted)'
                     }}>
-                        Showing {filteredData.length} of {data.length} rows
+                        {isPagedView
+                            ? `${pagedTotal} ${isNarrowed ? 'matching ' : ''}rows`
+                            : `Showing ${filteredData.length} of ${data.length} rows`}
                     </div>
 
-                    <DataTable data={filteredData} loading={loading} mode={mode} />
+                    <DataTable
+                        data={filteredData}
+                        fetchPage={isPagedView ? fetchPage : undefined}
+                        fetchDuplicates={isPagedView ? fetchDuplicates : undefined}
+                        reloadKey={pageReloadKey}
+                        loading={loading}
+                        mode={mode}
+                        onRowClick={handleRowClick}
+                        columns={
+                            isRemovedHistory ? REMOVED_HISTORY_COLUMNS
+                                : activeFilter === 'changed_items' ? CHANGED_ITEMS_COLUMNS
+                                    : undefined
+                        }
+                    />
                 </div>
             </main>
 
@@ -508,11 +759,38 @@ export default function Dashboard({ onLogout }) {
             <DockTallyReport
                 isOpen={showDockReport}
                 onClose={() => setShowDockReport(false)}
-                data={filteredData}
-                activeFilter={activeFilter}
+                data={dockReport.rows}
+                activeFilter={dockReport.filter}
+                mode={mode}
+            />
+
+            {tallyEntryRows && (
+                <DockTallyEntry
+                    key={mode}
+                    data={tallyEntryRows}
+                    mode={mode}
+                    onClose={() => setTallyEntryRows(null)}
+                    onSaved={(count) => showToast(`Saved ${count} tally entr${count === 1 ? 'y' : 'ies'}`, 'success')}
+                />
+            )}
+
+            <BulkLookupModal
+                key={mode}
+                isOpen={showBulkLookup}
+                onClose={() => setShowBulkLookup(false)}
+                onSendToDockTally={handleBulkLookupToDockReport}
                 mode={mode}
             />
 
+            {lifecycleBill && (
+                <LifecycleDrawer
+                    key={`${mode}-${lifecycleBill}`}
+                    billNumber={lifecycleBill}
+                    mode={mode}
+                    onClose={() => setLifecycleBill(null)}
+                />
+            )}
+
             {/* Toast Notification */}
             {toast && (
                 <div className={`toast ${toast.type}`}>
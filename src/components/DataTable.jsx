@@ -2,15 +2,27 @@
  * Data Table Component - Displays CSV data in a sortable, resizable table
  * With duplicate highlighting for HB and MBL columns
  * Column widths are persisted to localStorage
+ * Rows are clickable when an onRowClick handler is given
+ * Only the rows in view are rendered (fixed row height), so long lists scroll smoothly
+ * Given fetchPage instead of data, rows are fetched page by page as the table scrolls
+ * (sorting happens in the query) and fetchDuplicates says which bills on each page are
+ * duplicated; changing reloadKey fetches them again. A new sort or search keeps the header
+ * and the last rows up until its first page arrives
  */
 
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, useEffect, useRef } from 'react';
 import { ArrowUpDown, ArrowUp, ArrowDown } from 'lucide-react';
 import { DISPLAY_COLUMNS, AIR_DISPLAY_COLUMNS } from '../lib/csvUtils';
+import { compareRows, findDuplicateValues } from '../lib/reportLogic';
 
 const COLUMN_WIDTHS_KEY = 'csvdock_column_widths';
 const AIR_COLUMN_WIDTHS_KEY = 'csvdock_air_column_widths';
 
+// Windowing: fixed row height and extra rows rendered off screen; rows per page when paged
+const PAGE_SIZE = 100;
+const ROW_HEIGHT = 40;
+const OVERSCAN_ROWS = 10;
+
 // Default column widths for Ocean
 const DEFAULT_WIDTHS = {
     container: 130,
@@ -30,6 +42,9 @@ const DEFAULT_WIDTHS = {
     volume: 80,
     vbond: 100,
     tdf: 100,
+    removed_at_date: 160,
+    last_seen_date: 160,
+    changed_fields: 160,
 };
 
 // Default column widths for Air
@@ -53,8 +68,19 @@ const AIR_DEFAULT_WIDTHS = {
     flt_date: 100,
 };
 
-export default function DataTable({ data, loading, mode = 'ocean' }) {
-    const columns = mode === 'air' ? AIR_DISPLAY_COLUMNS : DISPLAY_COLUMNS;
+export default function DataTable({
+    data,
+    fetchPage,
+    fetchDuplicates,
+    reloadKey,
+    loading,
+    mode = 'ocean',
+    columns: columnsOverride,
+    onRowClick
+}) {
+    const primaryKey = mode === 'air' ? 'hawb' : 'hb';
+    const secondaryKey = mode === 'air' ? 'mawb' : 'mbl';
+    const columns = columnsOverride || (mode === 'air' ? AIR_DISPLAY_COLUMNS : DISPLAY_COLUMNS);
     const widthsKey = mode === 'air' ? AIR_COLUMN_WIDTHS_KEY : COLUMN_WIDTHS_KEY;
     const defaultWidths = mode === 'air' ? AIR_DEFAULT_WIDTHS : DEFAULT_WIDTHS;
     const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
@@ -72,6 +98,105 @@ export default function DataTable({ data, loading, mode = 'ocean' }) {
     });
     const [resizing, setResizing] = useState(null);
 
+    // Loaded pages (paged mode) and the scroll position belong to one query (fetchPage + sort)
+    const isPaged = !!fetchPage;
+    const pageQuery = useMemo(
+        () => ({ fetchPage, fetchDuplicates, sortConfig, reloadKey }),
+        [fetchPage, fetchDuplicates, sortConfig, reloadKey]
+    );
+    const [pageCache, setPageCache] = useState({ query: null, total: null, pages: {}, duplicates: null });
+    const [scroll, setScroll] = useState({ query: null, top: 0 });
+    const requestedPages = useRef({ query: null, pages: new Set() });
+    // The query a page last failed for; bumping retry fetches the failed pages again
+    const [loadError, setLoadError] = useState({ query: null, retry: 0 });
+    const hasFailed = isPaged && loadError.query === pageQuery;
+    // Until the first page of a new query (sort, search) comes back, the last query's rows stay up, dimmed
+    const isStale = isPaged && pageCache.query !== pageQuery && pageCache.total !== null && !hasFailed;
+    const cache = pageCache.query === pageQuery || isStale
+        ? pageCache
+        : { total: null, pages: {}, duplicates: null };
+    const scrollTop = scroll.query === pageQuery ? scroll.top : 0;
+    const containerRef = useRef(null);
+
+    // The window of rows to render
+    const rowCount = isPaged ? cache.total ?? (hasFailed ? 0 : PAGE_SIZE) : data?.length || 0;
+    const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+    const lastRow = Math.min(rowCount, Math.ceil((scrollTop + window.innerHeight) / ROW_HEIGHT) + OVERSCAN_ROWS);
+
+    // Start a new query at the top
+    useEffect(() => {
+        if (containerRef.current) containerRef.current.scrollTop = 0;
+    }, [pageQuery]);
+
+    // Fetch the pages covering the rows in view
+    useEffect(() => {
+        if (!pageQuery.fetchPage) return;
+
+        if (requestedPages.current.query !== pageQuery) {
+            requestedPages.current = { query: pageQuery, pages: new Set() };
+        }
+        const requested = requestedPages.current.pages;
+
+        const firstPage = Math.floor(firstRow / PAGE_SIZE);
+        const lastPage = Math.floor(Math.max(firstRow, lastRow - 1) / PAGE_SIZE);
+        for (let page = firstPage; page <= lastPage; page++) {
+            if (requested.has(page)) continue;
+            requested.add(page);
+
+            // A failed page stays a placeholder until Retry
+            const failPage = () => {
+                requested.delete(page);
+                if (requestedPages.current.query === pageQuery) {
+                    setLoadError(prev => ({ query: pageQuery, retry: prev.retry }));
+                }
+            };
+
+            const loadPage = async () => {
+                try {
+                    const result = await pageQuery.fetchPage({
+                        offset: page * PAGE_SIZE,
+                        limit: PAGE_SIZE,
+                        sortKey: pageQuery.sortConfig.key,
+                        sortDirection: pageQuery.sortConfig.direction,
+                    });
+                    if (!result) {
+                        failPage();
+                        return;
+                    }
+                    const { rows, total } = result;
+                    const found = pageQuery.fetchDuplicates
+                        ? await pageQuery.fetchDuplicates(
+                            [...new Set(rows.map(row => row[primaryKey]).filter(value => value))],
+                            [...new Set(rows.map(row => row[secondaryKey]).filter(value => value))]
+                        )
+                        : { primary: [], secondary: [] };
+
+                    // A newer sort or search replaced this query while the page was loading
+                    if (requestedPages.current.query !== pageQuery) return;
+
+                    setPageCache(prev => {
+                        const current = prev.query === pageQuery ? prev : { total: null, pages: {}, duplicates: null };
+                        const duplicates = current.duplicates || { primary: new Set(), secondary: new Set() };
+                        return {
+                            query: pageQuery,
+                            // Only the first page is counted
+                            total: total ?? current.total,
+                            pages: { ...current.pages, [page]: rows },
+                            duplicates: {
+                                primary: new Set([...duplicates.primary, ...found.primary]),
+                                secondary: new Set([...duplicates.secondary, ...found.secondary]),
+                            },
+                        };
+                    });
+                } catch (err) {
+                    console.error('Error loading table page:', err);
+                    failPage();
+                }
+            };
+            loadPage();
+        }
+    }, [pageQuery, firstRow, lastRow, primaryKey, secondaryKey, loadError.retry]);
+
     // Reset column widths when mode changes
     useEffect(() => {
         try {
@@ -122,44 +247,36 @@ export default function DataTable({ data, loading, mode = 'ocean' }) {
     }, [resizing]);
 
     // Calculate duplicates for HB/MBL (Ocean) or HAWB/MAWB (Air) columns
+    // once per dataset; paged tables collect what fetchDuplicates found for each page
     const duplicates = useMemo(() => {
+        if (isPaged) return cache.duplicates || { primary: new Set(), secondary: new Set() };
         if (!data || data.length === 0) return { primary: new Set(), secondary: new Set() };
 
-        const primaryKey = mode === 'air' ? 'hawb' : 'hb';
-        const secondaryKey = mode === 'air' ? 'mawb' : 'mbl';
-
-        const primaryCounts = {};
-        const secondaryCounts = {};
-
-        data.forEach(row => {
-            const primaryVal = row[primaryKey];
-            const secondaryVal = row[secondaryKey];
-            if (primaryVal && primaryVal.trim() !== '') {
-                primaryCounts[primaryVal] = (primaryCounts[primaryVal] || 0) + 1;
-            }
-            if (secondaryVal && secondaryVal.trim() !== '') {
-                secondaryCounts[secondaryVal] = (secondaryCounts[secondaryVal] || 0) + 1;
-            }
-        });
-
-        const duplicatePrimary = new Set(Object.keys(primaryCounts).filter(k => primaryCounts[k] > 1));
-        const duplicateSecondary = new Set(Object.keys(secondaryCounts).filter(k => secondaryCounts[k] > 1));
-
-        return { primary: duplicatePrimary, secondary: duplicateSecondary };
-    }, [data, mode]);
+        return {
+            primary: findDuplicateValues(data, primaryKey),
+            secondary: findDuplicateValues(data, secondaryKey),
+        };
+    }, [isPaged, cache.duplicates, data, primaryKey, secondaryKey]);
 
     const sortedData = useMemo(() => {
+        if (isPaged) return [];
         if (!data || !sortConfig.key) return data || [];
 
-        return [...data].sort((a, b) => {
-            const aVal = a[sortConfig.key] || '';
-            const bVal = b[sortConfig.key] || '';
+        return [...data].sort((a, b) => compareRows(a, b, sortConfig.key, sortConfig.direction));
+    }, [isPaged, data, sortConfig]);
 
-            if (aVal < bVal) return sortConfig.direction === 'asc' ? -1 : 1;
-            if (aVal > bVal) return sortConfig.direction === 'asc' ? 1 : -1;
-            return 0;
-        });
-    }, [data, sortConfig]);
+    // Rows in the window with their position in the full list (null while a page loads)
+    const visibleRows = Array.from({ length: Math.max(0, lastRow - firstRow) }, (_, i) => {
+        const index = firstRow + i;
+        const row = isPaged
+            ? cache.pages[Math.floor(index / PAGE_SIZE)]?.[index % PAGE_SIZE]
+            : sortedData[index];
+        return { index, row: row || null };
+    });
+
+    const handleRetry = () => {
+        setLoadError(prev => ({ query: null, retry: prev.retry + 1 }));
+    };
 
     const handleSort = (key) => {
         setSortConfig(prev => ({
@@ -177,8 +294,11 @@ export default function DataTable({ data, loading, mode = 'ocean' }) {
             : <ArrowDown size={14} />;
     };
 
-    const formatCellValue = (value) => {
+    const formatCellValue = (value, col) => {
         if (value === null || value === undefined) return '';
+        if (col.type === 'datetime') {
+            return new Date(value).toLocaleString();
+        }
         if (typeof value === 'string' && (value.toLowerCase() === 'nan' || value.toLowerCase() === 'none')) {
             return '';
         }
@@ -187,8 +307,6 @@ export default function DataTable({ data, loading, mode = 'ocean' }) {
 
     const isDuplicate = (colKey, value) => {
         if (!value || String(value).trim() === '') return false;
-        const primaryKey = mode === 'air' ? 'hawb' : 'hb';
-        const secondaryKey = mode === 'air' ? 'mawb' : 'mbl';
         if (colKey === primaryKey) return duplicates.primary.has(value);
         if (colKey === secondaryKey) return duplicates.secondary.has(value);
         return false;
@@ -205,6 +323,7 @@ export default function DataTable({ data, loading, mode = 'ocean' }) {
         });
     };
 
+    // Paged tables keep their header and show loading rows instead
     if (loading) {
         return (
             <div className="empty-state">
@@ -214,7 +333,7 @@ export default function DataTable({ data, loading, mode = 'ocean' }) {
         );
     }
 
-    if (!data || data.length === 0) {
+    if (isPaged ? cache.total === 0 && !isStale : !data || data.length === 0) {
         return (
             <div className="empty-state">
                 <div className="empty-state-icon">📄</div>
@@ -226,7 +345,9 @@ export default function DataTable({ data, loading, mode = 'ocean' }) {
 
     return (
         <div
+            ref={containerRef}
             className="table-container"
+            onScroll={(e) => setScroll({ query: pageQuery, top: e.currentTarget.scrollTop })}
             style={{
                 maxHeight: 'calc(100vh - 350px)',
                 overflow: 'auto',
@@ -295,17 +416,36 @@ export default function DataTable({ data, loading, mode = 'ocean' }) {
                         ))}
                     </tr>
                 </thead>
-                <tbody>
-                    {sortedData.map((row, idx) => (
-                        <tr key={row.id || idx}>
+                <tbody style={isStale ? { opacity: 0.5 } : undefined}>
+                    {hasFailed && (
+                        <tr style={{ height: ROW_HEIGHT }}>
+                            <td colSpan={columns.length + 1} style={{ color: 'var(--danger)', paddingTop: 0, paddingBottom: 0 }}>
+                                Some rows could not be loaded.
+                                <button className="btn btn-sm btn-secondary" style={{ marginLeft: '12px' }} onClick={handleRetry}>
+                                    Retry
+                                </button>
+                            </td>
+                        </tr>
+                    )}
+                    {firstRow > 0 && (
+                        <tr aria-hidden="true" style={{ height: firstRow * ROW_HEIGHT }} />
+                    )}
+                    {visibleRows.map(({ index, row }) => (row ? (
+                        <tr
+                            key={row.id || index}
+                            onClick={onRowClick ? () => onRowClick(row) : undefined}
+                            style={{ cursor: onRowClick ? 'pointer' : 'default', height: ROW_HEIGHT }}
+                        >
                             {/* Row number cell */}
                             <td style={{
                                 width: 50,
                                 textAlign: 'center',
                                 fontWeight: '500',
-                                color: 'var(--text-muted)'
+                                color: 'var(--text-muted)',
+                                paddingTop: 0,
+                                paddingBottom: 0
                             }}>
-                                {idx + 1}
+                                {index + 1}
                             </td>
                             {columns.map(col => {
                                 const value = row[col.key];
@@ -319,16 +459,28 @@ export default function DataTable({ data, loading, mode = 'ocean' }) {
                                             maxWidth: columnWidths[col.key] || defaultWidths[col.key] || 100,
                                             overflow: 'hidden',
                                             textOverflow: 'ellipsis',
-                                            whiteSpace: 'nowrap'
+                                            whiteSpace: 'nowrap',
+                                            paddingTop: 0,
+                                            paddingBottom: 0
                                         }}
                                         title={hasDuplicate ? `Duplicate ${col.key.toUpperCase()}: ${value}` : String(value || '')}
                                     >
-                                        {formatCellValue(value)}
+                                        {formatCellValue(value, col)}
                                     </td>
                                 );
                             })}
                         </tr>
-                    ))}
+                    ) : (
+                        // Page still loading, or failed
+                        <tr key={`loading-${index}`} style={{ height: ROW_HEIGHT }}>
+                            <td colSpan={columns.length + 1} style={{ color: 'var(--text-muted)', paddingTop: 0, paddingBottom: 0 }}>
+                                {hasFailed ? 'Not loaded' : 'Loading...'}
+                            </td>
+                        </tr>
+                    )))}
+                    {lastRow < rowCount && (
+                        <tr aria-hidden="true" style={{ height: (rowCount - lastRow) * ROW_HEIGHT }} />
+                    )}
                 </tbody>
             </table>
         </div>
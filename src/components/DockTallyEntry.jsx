@@ -0,0 +1,325 @@
+/**
+ * Dock Tally Entry - Record what comes off the truck on screen instead of on the printed tally
+ * Bills are grouped by MBL (Ocean) or MAWB (Air) as on the Dock Tally Report; checkers fill in
+ * received pieces, location, time, damage and crew per HB, or per HAWB and arrival in Air.
+ * Entries are saved per bill, so opening the same bills again picks up where the dock left off.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { ClipboardCheck, X, Save, AlertCircle } from 'lucide-react';
+import {
+    getDockTallyEntries, saveDockTallyEntries, getAirDockTallyEntries, saveAirDockTallyEntries
+} from '../lib/dataStore';
+import {
+    groupRowsByMBL, groupRowsByMAWB, getTallyColumns, getTallyKey, getTallyInputs,
+    toTallyEntry, getTallyStatus, AIR_ARRIVALS
+} from '../lib/reportLogic';
+
+const STATUS_BADGES = {
+    pending: { className: 'badge badge-info', label: 'Pending' },
+    match: { className: 'badge badge-success', label: 'Match' },
+    short: { className: 'badge badge-warning', label: 'Short' },
+    over: { className: 'badge badge-danger', label: 'Over' },
+};
+
+// Text inputs are narrow, so the whole row fits without scrolling on a dock tablet
+const FIELD_WIDTHS = { pcs: '80px', tallied_at: '110px', notes: '180px' };
+
+function currentTime() {
+    const now = new Date();
+    return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * @param {Array} data - the rows shown on the Dashboard when Tally Entry was opened
+ * @param {Function} onSaved - called with the number of entries saved (or queued offline)
+ */
+export default function DockTallyEntry({ data = [], mode = 'ocean', onClose, onSaved }) {
+    const isAir = mode === 'air';
+    const { bill, manifestPcs, fields } = getTallyColumns(mode);
+    const masterLabel = isAir ? 'MAWB' : 'MBL';
+    const billLabel = isAir ? 'HAWB' : 'HB';
+
+    // Saved entries keyed by getTallyKey; null until loaded
+    const [saved, setSaved] = useState(null);
+    // Edited, unsaved entries keyed by getTallyKey, as { item, arrival, inputs }
+    const [drafts, setDrafts] = useState({});
+    const [groupKey, setGroupKey] = useState(null);
+    const [arrival, setArrival] = useState(1);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    // One row per bill in each group; a bill can show up more than once in report data
+    const groups = useMemo(() => {
+        const billKey = getTallyColumns(mode).bill;
+        const grouped = mode === 'air' ? groupRowsByMAWB(data) : groupRowsByMBL(data);
+        for (const key in grouped) {
+            const seen = new Set();
+            grouped[key].items = grouped[key].items.filter(item => {
+                if (!item[billKey] || seen.has(item[billKey])) return false;
+                seen.add(item[billKey]);
+                return true;
+            });
+            if (grouped[key].items.length === 0) delete grouped[key];
+        }
+        return grouped;
+    }, [data, mode]);
+
+    const groupKeys = Object.keys(groups);
+    const group = groups[groupKey] || groups[groupKeys[0]] || null;
+
+    useEffect(() => {
+        const bills = [...new Set(data.map(row => row[bill]).filter(Boolean))];
+        const getEntries = isAir ? getAirDockTallyEntries : getDockTallyEntries;
+
+        getEntries(bills).then(rows => {
+            setSaved(Object.fromEntries(rows.map(row => [getTallyKey(row[bill], row.arrival), row])));
+        });
+    }, [data, isAir, bill]);
+
+    // What's on screen for every bill and arrival: edits over what was saved
+    const current = useMemo(() => {
+        const values = {};
+        for (const key in saved) values[key] = saved[key];
+        for (const key in drafts) values[key] = drafts[key].inputs;
+        return values;
+    }, [saved, drafts]);
+
+    const getInputs = (item) => {
+        const key = getTallyKey(item[bill], arrival);
+        return drafts[key]?.inputs || getTallyInputs(saved?.[key], mode);
+    };
+
+    const handleChange = (item, field, value) => {
+        const key = getTallyKey(item[bill], arrival);
+        const inputs = { ...getInputs(item), [field]: value };
+        // Counting pieces stamps the time, unless one was put in
+        if (field === 'pcs' && value && !inputs.tallied_at) inputs.tallied_at = currentTime();
+
+        setDrafts(previous => ({ ...previous, [key]: { item, arrival, inputs } }));
+    };
+
+    const draftCount = Object.keys(drafts).length;
+
+    const handleSave = async () => {
+        const entries = Object.entries(drafts).map(([key, draft]) => (
+            toTallyEntry(draft.item, draft.inputs, saved?.[key], draft.arrival, mode)
+        ));
+
+        setSaving(true);
+        setError('');
+        const rows = isAir ? await saveAirDockTallyEntries(entries) : await saveDockTallyEntries(entries);
+        setSaving(false);
+
+        if (!rows) {
+            setError('Could not save the tally - please try again');
+            return;
+        }
+        setSaved(previous => ({
+            ...previous,
+            ...Object.fromEntries(rows.map(row => [getTallyKey(row[bill], row.arrival), row])),
+        }));
+        setDrafts({});
+        onSaved(entries.length);
+    };
+
+    const handleClose = () => {
+        if (draftCount > 0 && !confirm(`Discard ${draftCount} unsaved tally entr${draftCount === 1 ? 'y' : 'ies'}?`)) {
+            return;
+        }
+        onClose();
+    };
+
+    const countTallied = (items) => (
+        items.filter(item => getTallyStatus(item, current, mode).status !== 'pending').length
+    );
+
+    return (
+        <div className="modal-overlay" onClick={handleClose}>
+            <div
+                className="modal"
+                onClick={e => e.stopPropagation()}
+                style={{ maxWidth: '1200px', width: '95vw', height: '90vh', maxHeight: '90vh' }}
+            >
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <ClipboardCheck size={20} />
+                        {isAir ? 'Air' : 'Ocean'} Tally Entry
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={handleClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body" style={{ display: 'flex', gap: '16px', overflow: 'hidden', flex: 1 }}>
+                    {groupKeys.length === 0 ? (
+                        <div className="empty-state" style={{ flex: 1 }}>
+                            <div className="empty-state-icon">📋</div>
+                            <h3>No data available</h3>
+                            <p>Upload a CSV file first, or clear the filters, to tally {billLabel}s.</p>
+                        </div>
+                    ) : saved === null ? (
+                        <div className="empty-state" style={{ flex: 1 }}>
+                            <span className="loading-spinner" style={{ width: '32px', height: '32px' }}></span>
+                        </div>
+                    ) : (
+                        <>
+                            {/* MBL / MAWB list */}
+                            <div style={{
+                                width: '240px',
+                                flexShrink: 0,
+                                overflowY: 'auto',
+                                border: '1px solid var(--border-color)',
+                                borderRadius: 'var(--radius-md)',
+                                background: 'var(--bg-tertiary)'
+                            }}>
+                                {groupKeys.map(key => {
+                                    const tallied = countTallied(groups[key].items);
+                                    const total = groups[key].items.length;
+                                    const isSelected = group === groups[key];
+                                    return (
+                                        <button
+                                            key={key}
+                                            onClick={() => setGroupKey(key)}
+                                            style={{
+                                                display: 'flex',
+                                                justifyContent: 'space-between',
+                                                width: '100%',
+                                                padding: '10px 12px',
+                                                border: 'none',
+                                                borderBottom: '1px solid var(--border-color)',
+                                                background: isSelected ? 'var(--navy-dark)' : 'transparent',
+                                                color: isSelected ? 'white' : 'var(--text-primary)',
+                                                fontSize: '0.875rem',
+                                                textAlign: 'left',
+                                                cursor: 'pointer'
+                                            }}
+                                        >
+                                            <span style={{ fontWeight: '500' }}>{key}</span>
+                                            <span style={{
+                                                fontSize: '0.75rem',
+                                                opacity: 0.8,
+                                                color: !isSelected && tallied === total ? 'var(--success)' : undefined
+                                            }}>
+                                                {tallied}/{total}
+                                            </span>
+                                        </button>
+                                    );
+                                })}
+                            </div>
+
+                            {/* Bills of the selected MBL / MAWB */}
+                            <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column' }}>
+                                <div style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'space-between',
+                                    gap: '12px',
+                                    marginBottom: '12px'
+                                }}>
+                                    <div style={{ fontSize: '0.875rem' }}>
+                                        <strong>{masterLabel} {isAir ? group.mawb : group.mbl}</strong>
+                                        <span style={{ color: 'var(--text-secondary)', marginLeft: '8px' }}>
+                                            {(isAir ? group.flights : group.containers).join(', ')}
+                                        </span>
+                                    </div>
+                                    {isAir && (
+                                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                            <span style={{ fontSize: '0.875rem', fontWeight: '500' }}>Arrival</span>
+                                            {Array.from({ length: AIR_ARRIVALS }, (_, i) => i + 1).map(number => (
+                                                <button
+                                                    key={number}
+                                                    className={`btn btn-sm ${number === arrival ? 'btn-primary' : 'btn-secondary'}`}
+                                                    onClick={() => setArrival(number)}
+                                                >
+                                                    {number}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+
+                                <div className="table-container" style={{ flex: 1, overflow: 'auto' }}>
+                                    <table className="data-table">
+                                        <thead>
+                                            <tr>
+                                                <th>{billLabel}</th>
+                                                <th>DEST</th>
+                                                <th>MFST PCS</th>
+                                                {fields.map(field => <th key={field.key}>{field.label}</th>)}
+                                                <th>{isAir ? 'RECEIVED (ALL ARRIVALS)' : 'RECEIVED'}</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {group.items.map(item => {
+                                                const inputs = getInputs(item);
+                                                const { received, expected, status } = getTallyStatus(item, current, mode);
+                                                const isDraft = !!drafts[getTallyKey(item[bill], arrival)];
+                                                return (
+                                                    <tr
+                                                        key={item[bill]}
+                                                        style={isDraft ? { background: 'var(--warning-bg)' } : undefined}
+                                                    >
+                                                        <td style={{ fontWeight: '600', whiteSpace: 'nowrap' }}>{item[bill]}</td>
+                                                        <td>{(isAir ? item.destination : item.dest) || '-'}</td>
+                                                        <td>{item[manifestPcs] || '-'}</td>
+                                                        {fields.map(field => (
+                                                            <td key={field.key}>
+                                                                <input
+                                                                    type={field.type === 'time' ? 'time' : 'text'}
+                                                                    inputMode={field.type === 'number' ? 'numeric' : undefined}
+                                                                    className="input"
+                                                                    style={{ padding: '6px 8px', width: FIELD_WIDTHS[field.key] || '90px' }}
+                                                                    aria-label={`${field.label} for ${item[bill]}`}
+                                                                    value={inputs[field.key]}
+                                                                    onChange={(e) => handleChange(item, field.key, e.target.value)}
+                                                                />
+                                                            </td>
+                                                        ))}
+                                                        <td style={{ whiteSpace: 'nowrap' }}>
+                                                            <span className={STATUS_BADGES[status].className}>
+                                                                {STATUS_BADGES[status].label}
+                                                            </span>
+                                                            {received !== null && (
+                                                                <span style={{ marginLeft: '6px', fontSize: '0.8125rem' }}>
+                                                                    {received}{expected !== null && ` / ${expected}`}
+                                                                </span>
+                                                            )}
+                                                        </td>
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    {error && (
+                        <div style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '8px',
+                            marginRight: 'auto',
+                            color: 'var(--danger)',
+                            fontSize: '0.875rem'
+                        }}>
+                            <AlertCircle size={16} />
+                            {error}
+                        </div>
+                    )}
+                    <button className="btn btn-secondary" onClick={handleClose}>
+                        Close
+                    </button>
+                    <button className="btn btn-primary" onClick={handleSave} disabled={draftCount === 0 || saving}>
+                        <Save size={18} />
+                        {saving ? 'Saving...' : `Save ${draftCount} Entr${draftCount === 1 ? 'y' : 'ies'}`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -2,541 +2,512 @@
  * Dock Tally Report Component - 
  * Generates printable Ocean/Air Dock Tally Reports grouped by MBL/MAWB
  * Uses the currently filtered/displayed data from Dashboard
+ * Downloads are vector PDFs drawn by lib/dockTallyPdf in a Web Worker; the HTML here is the
+ * preview and Print. Closing the modal leaves a running PDF going, with its progress in a corner.
+ * The layout is the Standard one below or a saved template picked here (lib/dockTallyTemplates).
+ * HBs / HAWBs and MBLs / MAWBs are printed with Code 128 barcodes (lib/barcode) for scanners.
  */
 
 import React, { useState, useEffect, useRef, useMemo } from 'react';
-import { X, Printer, Download, FileText } from 'lucide-react';
-import html2pdf from 'html2pdf.js';
+import { X, Printer, Download, FileText, Plus, Pencil } from 'lucide-react';
+import DockTallyTemplateEditor from './DockTallyTemplateEditor';
+import { startDockTallyPdf } from '../lib/dockTallyJob';
+import { getDockTallyTemplates } from '../lib/dataStore';
+import { normalizeLayout, getHeaderCells, getColumnPercents, getBillField } from '../lib/dockTallyTemplates';
+import { barcodeSvg } from '../lib/barcode';
+import { groupRowsByMBL, groupRowsByMAWB } from '../lib/reportLogic';
+
+// Last template picked, per mode
+const TEMPLATE_STORAGE_KEY = 'csvdock_dock_tally_template_';
+
+// Template labels are typed in by users and shared, so never trust them as HTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
-export default function DockTallyReport({ isOpen, onClose, data = [], activeFilter, mode = 'ocean' }) {
-    const [selectedMBLs, setSelectedMBLs] = useState([]);
-    const [generating, setGenerating] = useState(false);
-    const [progress, setProgress] = useState({ current: 0, total: 0, message: '' });
-    const printRef = useRef(null);
+/**
+ * PREVIEW / PRINT HTML
+ */
 
-    const isAir = mode === 'air';
+// Render content for a batch of items (MBLs or MAWBs); a saved template's layout, or null for Standard
+function renderBatchContent(itemBatch, groupedData, layout, mode) {
+    if (layout) {
+        return renderTemplateBatchContent(itemBatch, groupedData, layout, mode);
+    }
+    if (mode === 'air') {
+        return renderAirBatchContent(itemBatch, groupedData);
+    }
+    return renderOceanBatchContent(itemBatch, groupedData);
+}
 
-    // Group the passed data by MBL (Ocean) or MAWB (Air)
-    const groupedData = useMemo(() => {
-        if (!data || data.length === 0) return {};
-
-        const grouped = {};
-
-        if (isAir) {
-            // Air: Group by MAWB
-            for (const row of data) {
-                const mawb = row.mawb || 'NO MAWB';
-                if (!grouped[mawb]) {
-                    grouped[mawb] = {
-                        mawb: mawb,
-                        flights: new Set(),
-                        items: [],
-                    };
-                }
-                if (row.flight_number) {
-                    grouped[mawb].flights.add(row.flight_number);
-                }
-                grouped[mawb].items.push(row);
-            }
-            for (const key in grouped) {
-                grouped[key].flights = Array.from(grouped[key].flights);
-            }
-        } else {
-            // Ocean: Group by MBL
-            for (const row of data) {
-                const mbl = row.mbl || 'NO MBL';
-                if (!grouped[mbl]) {
-                    grouped[mbl] = {
-                        mbl: mbl,
-                        containers: new Set(),
-                        items: [],
-                    };
-                }
-                if (row.container) {
-                    grouped[mbl].containers.add(row.container);
-                }
-                grouped[mbl].items.push(row);
-            }
-            for (const key in grouped) {
-                grouped[key].containers = Array.from(grouped[key].containers);
-            }
-        }
+// Ocean-specific rendering
+function renderOceanBatchContent(mblBatch, groupedData) {
+    let html = '';
 
-        return grouped;
-    }, [data, isAir]);
+    mblBatch.forEach((mbl, mblIdx) => {
+        const group = groupedData[mbl];
+        if (!group) return;
 
-    // Select all items when data changes
-    useEffect(() => {
-        if (isOpen) {
-            setSelectedMBLs(Object.keys(groupedData));
+        const itemsPerPage = 6;
+        const pages = [];
+        for (let i = 0; i < group.items.length; i += itemsPerPage) {
+            pages.push(group.items.slice(i, i + itemsPerPage));
         }
-    }, [isOpen, groupedData]);
-
-    const toggleMBL = (mbl) => {
-        setSelectedMBLs(prev =>
-            prev.includes(mbl)
-                ? prev.filter(m => m !== mbl)
-                : [...prev, mbl]
-        );
-    };
-
-    const selectAll = () => setSelectedMBLs(Object.keys(groupedData));
-    const selectNone = () => setSelectedMBLs([]);
 
-    const handleDownloadPDF = async () => {
-        console.log('handleDownloadPDF called');
-        console.log('printRef.current:', printRef.current);
-        console.log('selectedMBLs:', selectedMBLs);
-
-        if (!printRef.current || selectedMBLs.length === 0) {
-            console.log('Early return - printRef or selectedMBLs empty');
-            return;
-        }
+        pages.forEach((pageItems, pageIdx) => {
+            const isPageBreak = (mblIdx > 0 && pageIdx === 0) || pageIdx > 0;
 
-        setGenerating(true);
-        console.log('Starting PDF generation...');
+            html += `<div class="${isPageBreak ? 'page-break' : ''}" style="color: black; font-family: Arial, sans-serif; font-size: 11px; background-color: white; padding-top: ${pageIdx > 0 ? '10px' : '0'};">`;
 
-        try {
-            const timestamp = new Date().toISOString().split('T')[0];
-            const filename = `Dock_Tally_Report_${timestamp}.pdf`;
-            console.log('Filename:', filename);
-
-            // For small number of MBLs, generate directly
-            if (selectedMBLs.length <= 15) {
-                console.log('Using generateSinglePDF');
-                await generateSinglePDF(printRef.current, filename);
-            } else {
-                // For large documents, generate in batches and merge
-                console.log('Using generateBatchPDF');
-                await generateBatchPDF(filename);
+            // Header (only on first page of each MBL)
+            if (pageIdx === 0) {
+                html += `
+                    <table style="width: 100%; border-collapse: collapse; border: 2px solid black; margin-bottom: -2px; position: relative; z-index: 1;">
+                        <tbody>
+                            <tr>
+                                <td colspan="3" style="text-align: center; font-weight: bold; font-size: 14px; padding: 6px; border-bottom: 2px solid black;">
+                                    Ocean Dock Tally Report
+                                </td>
+                            </tr>
+                            <tr>
+                                <td style="width: 35%; padding: 6px 10px; border-right: 1px solid black; font-weight: bold;">
+                                    <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+                                        MBL: ${mbl}
+                                        ${barcodeSvg(mbl, { height: 30 })}
+                                    </div>
+                                </td>
+                                <td style="width: 35%; padding: 6px 10px; border-right: 1px solid black; font-weight: bold;">
+                                    Container: ${group.containers.join(', ')}
+                                </td>
+                                <td style="width: 30%; padding: 6px 10px; font-weight: bold;">
+                                    Arrival:
+                                </td>
+                            </tr>
+                        </tbody>
+                    </table>
+                `;
             }
-            console.log('PDF generation completed successfully');
-
-        } catch (err) {
-            console.error('Error generating PDF:', err);
-            alert('Error generating PDF: ' + (err.message || 'Please try again.'));
-        }
 
-        setGenerating(false);
-    };
-
-    // Generate a single PDF from element
-    // Generate a single PDF from element
-    const generateSinglePDF = async (element, filename) => {
-        const opt = {
-            margin: [5, 10, 5, 10],
-            filename: filename,
-            image: { type: 'jpeg', quality: 0.95 },
-            html2canvas: {
-                scale: 1.5,
-                useCORS: true,
-                letterRendering: true,
-                logging: false,
-                windowWidth: 1100
-            },
-            jsPDF: {
-                unit: 'mm',
-                format: 'letter',
-                orientation: 'landscape'
-            },
-            pagebreak: {
-                mode: ['css', 'legacy'],
-                before: '.page-break'
-            }
-        };
+            // Data table
+            html += `
+                <table style="width: 100%; border-collapse: collapse; font-size: 10px; border: 2px solid black; border-top: ${pageIdx === 0 ? 'none' : '2px solid black'};">
+                    <thead>
+                        <tr>
+                            <th style="width: 15%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">HB</th>
+                            <th style="width: 12%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">Dest</th>
+                            <th style="width: 10%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">
+                                <div>Mfst Qty</div>
+                                <div style="font-size: 8px; font-weight: normal;">(Outer/PCS)</div>
+                            </th>
+                            <th style="width: 10%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">PCS</th>
+                            <th style="width: 10%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">LOC</th>
+                            <th style="width: 10%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">TIME</th>
+                            <th style="width: 10%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">DMG</th>
+                            <th style="width: 10%; padding: 6px 4px; border-bottom: 1px solid black; font-weight: bold;">CRW</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
 
-        // Use .save() which handles the download automatically and reliably
-        await html2pdf().set(opt).from(element).save();
-    };
+            pageItems.forEach(item => {
+                html += `
+                    <tr>
+                        <td style="padding: 6px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold; vertical-align: middle; height: 28px;">
+                            ${item.hb || ''}
+                        </td>
+                        <td style="padding: 6px; border-right: 1px solid black; border-bottom: 1px solid black; vertical-align: middle;">
+                            ${item.dest || ''}
+                        </td>
+                        <td style="border-right: 1px solid black; border-bottom: 1px solid black; text-align: center; vertical-align: middle; padding: 0;">
+                            <div style="border-bottom: 1px solid black; padding: 4px; font-weight: bold;">${item.outer_quantity || ''}</div>
+                            <div style="padding: 4px;">${item.pcs || ''}</div>
+                        </td>
+                        <td style="border-right: 1px solid black; border-bottom: 1px solid black;"></td>
+                        <td style="border-right: 1px solid black; border-bottom: 1px solid black;"></td>
+                        <td style="border-right: 1px solid black; border-bottom: 1px solid black;"></td>
+                        <td style="border-right: 1px solid black; border-bottom: 1px solid black;"></td>
+                        <td style="border-bottom: 1px solid black;"></td>
+                    </tr>
+                    <tr>
+                        <td style="height: 50px; padding: 4px 6px; border-right: 1px solid black; border-bottom: 2px solid black; vertical-align: top;">
+                            ${barcodeSvg(item.hb, { height: 32 })}
+                        </td>
+                        <td style="border-right: 1px solid black; border-bottom: 2px solid black;"></td>
+                        <td style="border-right: 1px solid black; border-bottom: 2px solid black;"></td>
+                        <td style="border-right: 1px solid black; border-bottom: 2px solid black;"></td>
+                        <td style="border-right: 1px solid black; border-bottom: 2px solid black;"></td>
+                        <td style="border-right: 1px solid black; border-bottom: 2px solid black;"></td>
+                        <td style="border-right: 1px solid black; border-bottom: 2px solid black;"></td>
+                        <td style="border-bottom: 2px solid black;"></td>
+                    </tr>
+                `;
+            });
 
-    // Generate PDF in batches and merge
-    const generateBatchPDF = async (filename) => {
-        const { PDFDocument } = await import('pdf-lib');
+            html += `</tbody></table></div>`;
+        });
+    });
 
-        const BATCH_SIZE = 10; // Smaller batches for reliability
-        const batches = [];
+    return html;
+}
 
-        // Split selected MBLs into batches
-        for (let i = 0; i < selectedMBLs.length; i += BATCH_SIZE) {
-            batches.push(selectedMBLs.slice(i, i + BATCH_SIZE));
+// Air-specific rendering with SLAC/QTY and 4 Arrival sections
+function renderAirBatchContent(mawbBatch, groupedData) {
+    let html = '';
+    const today = new Date();
+    const dateStr = `${today.getMonth() + 1}/${today.getDate()}/${String(today.getFullYear()).slice(-2)}`;
+    const timeStr = `${today.getHours()}:${String(today.getMinutes()).padStart(2, '0')}`;
+
+    mawbBatch.forEach((mawb, mawbIdx) => {
+        const group = groupedData[mawb];
+        if (!group) return;
+
+        const itemsPerPage = 5;
+        const pages = [];
+        for (let i = 0; i < group.items.length; i += itemsPerPage) {
+            pages.push(group.items.slice(i, i + itemsPerPage));
         }
 
-        setProgress({ current: 0, total: batches.length, message: 'Starting PDF generation...' });
-        console.log(`Generating ${batches.length} batch(es) for ${selectedMBLs.length} MBLs...`);
+        pages.forEach((pageItems, pageIdx) => {
+            const isPageBreak = (mawbIdx > 0 && pageIdx === 0) || pageIdx > 0;
+            const pageNum = pageIdx + 1;
 
-        // Create merged PDF document
-        const mergedPdf = await PDFDocument.create();
+            html += `<div class="${isPageBreak ? 'page-break' : ''}" style="page-break-inside: avoid; color: #000000; font-family: Arial, sans-serif; font-size: 10px; background-color: #FFFFFF; padding: 5px;">`;
 
-        for (let batchIdx = 0; batchIdx < batches.length; batchIdx++) {
-            const batch = batches[batchIdx];
-            setProgress({
-                current: batchIdx + 1,
-                total: batches.length,
-                message: `Processing batch ${batchIdx + 1} of ${batches.length} (${batch.length} MBLs)...`
-            });
-            console.log(`Processing batch ${batchIdx + 1}/${batches.length} (${batch.length} MBLs)...`);
-
-            // Create an iframe for isolated rendering
-            const iframe = document.createElement('iframe');
-            iframe.style.position = 'fixed';
-            iframe.style.left = '-9999px';
-            iframe.style.top = '0';
-            iframe.style.width = '1100px';
-            iframe.style.height = '800px';
-            iframe.style.border = 'none';
-            document.body.appendChild(iframe);
-
-            // Wait for iframe to load
-            await new Promise(resolve => {
-                iframe.onload = resolve;
-                iframe.src = 'about:blank';
-            });
+            // Header - Only on first page of MAWB
+            if (pageIdx === 0) {
+                html += `
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px; border-bottom: 1px solid black; padding-bottom: 3px;">
+                    <div><strong>Date:</strong> ${dateStr} ${timeStr}</div>
+                    <div style="font-weight: bold; font-size: 14px;">DOCK TALLY REPORT</div>
+                    <div><strong>Page:</strong> ${pageNum}</div>
+                </div>
+            `;
 
-            const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-
-            // Write complete HTML document to iframe
-            const batchHtml = renderBatchContent(batch);
-            iframeDoc.open();
-            iframeDoc.write(`
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <style>
-                        * { margin: 0; padding: 0; box-sizing: border-box; }
-                        body { font-family: Arial, sans-serif; background: white; }
-                        .page-break { page-break-before: always; }
-                    </style>
-                </head>
-                <body>
-                    ${batchHtml}
-                </body>
-                </html>
-            `);
-            iframeDoc.close();
-
-            // Wait for content to render
-            await new Promise(resolve => setTimeout(resolve, 500));
-
-            // Generate PDF for this batch
-            const opt = {
-                margin: [5, 10, 5, 10],
-                image: { type: 'jpeg', quality: 0.90 },
-                html2canvas: {
-                    scale: 1.5,
-                    useCORS: true,
-                    letterRendering: true,
-                    logging: false,
-                    windowWidth: 1100
-                },
-                jsPDF: {
-                    unit: 'mm',
-                    format: 'letter',
-                    orientation: 'landscape'
-                },
-                pagebreak: {
-                    mode: ['css', 'legacy'],
-                    before: '.page-break'
-                }
-            };
-
-            try {
-                // Get PDF as array buffer from the iframe body
-                const pdfBlob = await html2pdf().set(opt).from(iframeDoc.body).outputPdf('blob');
-                const pdfBytes = await pdfBlob.arrayBuffer();
-
-                // Load and merge
-                const batchPdf = await PDFDocument.load(pdfBytes);
-                const pages = await mergedPdf.copyPages(batchPdf, batchPdf.getPageIndices());
-                pages.forEach(page => mergedPdf.addPage(page));
-            } catch (batchErr) {
-                console.error(`Error in batch ${batchIdx + 1}:`, batchErr);
-                throw new Error(`Failed on batch ${batchIdx + 1}: ${batchErr.message}`);
+                // MAWB Info
+                html += `
+                <div style="display: flex; align-items: center; justify-content: space-between; font-weight: bold; font-size: 12px; margin-bottom: 4px; border: 1px solid black; padding: 3px;">
+                    MAWB: ${mawb}
+                    ${barcodeSvg(mawb, { height: 30 })}
+                </div>
+            `;
             }
 
-            // Cleanup iframe
-            document.body.removeChild(iframe);
-
-            // Delay to prevent browser from freezing
-            await new Promise(resolve => setTimeout(resolve, 200));
-        }
-
-        setProgress({ current: batches.length, total: batches.length, message: 'Merging PDFs...' });
+            // Table with 4 arrival sections
+            html += `
+                <table style="width: 100%; border-collapse: collapse; font-size: 8px; border: 1px solid #000000; background-color: #FFFFFF;">
+                    <thead>
+                        <tr>
+                            <th rowspan="2" style="width: 12%; padding: 2px; border: 1px solid #000000; font-weight: bold; vertical-align: middle; background-color: #FFFFFF;">HAWB</th>
+                            <th rowspan="2" style="width: 7%; padding: 2px; border: 1px solid #000000; font-weight: bold; vertical-align: middle; background-color: #FFFFFF;">Dest</th>
+                            <th rowspan="2" style="width: 5%; padding: 2px; border: 1px solid #000000; font-weight: bold; vertical-align: middle; background-color: #FFFFFF;">
+                                <div>SLAC</div>
+                                <div style="font-size: 7px; font-weight: normal;">Total</div>
+                            </th>
+                            <th colspan="5" style="padding: 2px; border: 1px solid #000000; font-weight: bold; text-align: center; background-color: #FFFFFF;">Arrival 1<div style="font-size: 6px; font-weight: normal;">Supv</div></th>
+                            <th colspan="5" style="padding: 2px; border: 1px solid #000000; font-weight: bold; text-align: center; background-color: #FFFFFF;">Arrival 2<div style="font-size: 6px; font-weight: normal;">Supv</div></th>
+                            <th colspan="5" style="padding: 2px; border: 1px solid #000000; font-weight: bold; text-align: center; background-color: #FFFFFF;">Arrival 3<div style="font-size: 6px; font-weight: normal;">Supv</div></th>
+                            <th colspan="5" style="padding: 2px; border: 1px solid #000000; font-weight: bold; text-align: center; background-color: #FFFFFF;">Arrival 4<div style="font-size: 6px; font-weight: normal;">Supv</div></th>
+                        </tr>
+                        <tr>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">PCS</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">LOC</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">TIME</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">CRW</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">SUB</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">PCS</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">LOC</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">TIME</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">CRW</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">SUB</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">PCS</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">LOC</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">TIME</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">CRW</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">SUB</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">PCS</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">LOC</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">TIME</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">CRW</th>
+                            <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">SUB</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
+
+            // Calculate dynamic row height based on number of items on this page
+            // Total available space reduced to fit on one page without overflow
+            // Each item needs 2 rows (data + notes), so divide by (pageItems.length * 2)
+            // Max row height capped at 80px to prevent excessive stretching with few HAWBs
+            const totalAvailableHeight = 550; // Reduced from 700 to prevent page overflow
+            const rowsNeeded = pageItems.length * 2; // 2 rows per HAWB
+            const calculatedHeight = Math.floor(totalAvailableHeight / rowsNeeded);
+            const dynamicRowHeight = Math.min(calculatedHeight, 80); // Cap at 80px max
+
+            // Render only actual items (no empty rows)
+            pageItems.forEach(item => {
+                html += `
+                    <tr style="height: ${dynamicRowHeight}px;">
+                        <td style="padding: 3px; border: 1px solid #000000; font-weight: bold; vertical-align: top; font-size: 9px; background-color: #FFFFFF;">
+                            ${item.hawb || ''}
+                            <div style="margin-top: 4px;">${barcodeSvg(item.hawb, { height: 28 })}</div>
+                        </td>
+                        <td style="padding: 3px; border: 1px solid #000000; vertical-align: top; font-size: 7px; background-color: #FFFFFF;">
+                            ${item.destination || ''}
+                        </td>
+                        <td style="padding: 0; border: 1px solid #000000; text-align: center; vertical-align: top; background-color: #FFFFFF;">
+                            <div style="border-bottom: 1px solid #000000; padding: 2px; font-weight: bold;">${item.slac || ''}</div>
+                            <div style="padding: 2px; font-size: 7px;">${item.qty || ''}</div>
+                        </td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                    </tr>
+                    <tr style="height: ${dynamicRowHeight}px;">
+                        <td colspan="3" style="border: 1px solid #000000; padding: 2px; vertical-align: top; font-size: 7px; background-color: #FFFFFF;">
+                            <span style="color: #000000;">Dock Notes:</span>
+                        </td>
+                        <td colspan="5" style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td colspan="5" style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td colspan="5" style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                        <td colspan="5" style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
+                    </tr>
+                `;
+            });
 
-        // Standard download method
-        const mergedPdfBytes = await mergedPdf.save();
-        const blob = new Blob([mergedPdfBytes], { type: 'application/pdf' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link); // Required for some browsers
-        link.click();
+            html += `</tbody></table></div>`;
+        });
+    });
 
-        setTimeout(() => {
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
-        }, 100);
-        setProgress({ current: 0, total: 0, message: '' });
-        console.log('PDF generation complete!');
-    };
+    return html;
+}
 
-    // Render content for a batch of items (MBLs or MAWBs)
-    const renderBatchContent = (itemBatch) => {
-        if (isAir) {
-            return renderAirBatchContent(itemBatch);
+// Saved template rendering: header on every page, the template's columns, optional notes rows
+function renderTemplateBatchContent(keyBatch, groupedData, layout, mode) {
+    let html = '';
+    const today = new Date();
+    const printedAt = `${today.getMonth() + 1}/${today.getDate()}/${String(today.getFullYear()).slice(-2)} `
+        + `${today.getHours()}:${String(today.getMinutes()).padStart(2, '0')}`;
+    const percents = getColumnPercents(layout);
+    const billField = getBillField(mode);
+
+    keyBatch.forEach((key, groupIdx) => {
+        const group = groupedData[key];
+        if (!group) return;
+
+        const pages = [];
+        for (let i = 0; i < group.items.length; i += layout.rowsPerPage) {
+            pages.push(group.items.slice(i, i + layout.rowsPerPage));
         }
-        return renderOceanBatchContent(itemBatch);
-    };
-
-    // Ocean-specific rendering
-    const renderOceanBatchContent = (mblBatch) => {
-        let html = '';
-
-        mblBatch.forEach((mbl, mblIdx) => {
-            const group = groupedData[mbl];
-            if (!group) return;
 
-            const itemsPerPage = 6;
-            const pages = [];
-            for (let i = 0; i < group.items.length; i += itemsPerPage) {
-                pages.push(group.items.slice(i, i + itemsPerPage));
-            }
-
-            pages.forEach((pageItems, pageIdx) => {
-                const isPageBreak = (mblIdx > 0 && pageIdx === 0) || pageIdx > 0;
-
-                html += `<div class="${isPageBreak ? 'page-break' : ''}" style="color: black; font-family: Arial, sans-serif; font-size: 11px; background-color: white; padding-top: ${pageIdx > 0 ? '10px' : '0'};">`;
-
-                // Header (only on first page of each MBL)
-                if (pageIdx === 0) {
-                    html += `
-                        <table style="width: 100%; border-collapse: collapse; border: 2px solid black; margin-bottom: -2px; position: relative; z-index: 1;">
-                            <tbody>
-                                <tr>
-                                    <td colspan="3" style="text-align: center; font-weight: bold; font-size: 14px; padding: 6px; border-bottom: 2px solid black;">
-                                        Ocean Dock Tally Report
-                                    </td>
-                                </tr>
-                                <tr>
-                                    <td style="width: 35%; padding: 6px 10px; border-right: 1px solid black; font-weight: bold;">
-                                        MBL: ${mbl}
-                                    </td>
-                                    <td style="width: 35%; padding: 6px 10px; border-right: 1px solid black; font-weight: bold;">
-                                        Container: ${group.containers.join(', ')}
-                                    </td>
-                                    <td style="width: 30%; padding: 6px 10px; font-weight: bold;">
-                                        Arrival:
-                                    </td>
-                                </tr>
-                            </tbody>
-                        </table>
-                    `;
-                }
+        pages.forEach((pageItems, pageIdx) => {
+            const isPageBreak = groupIdx > 0 || pageIdx > 0;
+            const cells = getHeaderCells(layout, group, mode, { pageNumber: pageIdx + 1, printedAt });
+            // As in the PDF, the barcode's cell gets twice the room
+            const cellWeight = cells.reduce((sum, cell) => sum + (cell.barcode ? 2 : 1), 0);
 
-                // Data table
-                html += `
-                    <table style="width: 100%; border-collapse: collapse; font-size: 10px; border: 2px solid black; border-top: ${pageIdx === 0 ? 'none' : '2px solid black'};">
-                        <thead>
-                            <tr>
-                                <th style="width: 15%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">HB</th>
-                                <th style="width: 12%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">Dest</th>
-                                <th style="width: 10%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">
-                                    <div>Mfst Qty</div>
-                                    <div style="font-size: 8px; font-weight: normal;">(Outer/PCS)</div>
-                                </th>
-                                <th style="width: 10%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">PCS</th>
-                                <th style="width: 10%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">LOC</th>
-                                <th style="width: 10%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">TIME</th>
-                                <th style="width: 10%; padding: 6px 4px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold;">DMG</th>
-                                <th style="width: 10%; padding: 6px 4px; border-bottom: 1px solid black; font-weight: bold;">CRW</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                `;
+            html += `<div class="${isPageBreak ? 'page-break' : ''}" style="color: black; font-family: Arial, sans-serif; font-size: 11px; background-color: white; padding-top: ${isPageBreak ? '10px' : '0'};">`;
 
-                pageItems.forEach(item => {
-                    html += `
+            html += `
+                <table style="width: 100%; border-collapse: collapse; border: 2px solid black; margin-bottom: -2px; table-layout: fixed;">
+                    <tbody>
                         <tr>
-                            <td style="padding: 6px; border-right: 1px solid black; border-bottom: 1px solid black; font-weight: bold; vertical-align: middle; height: 28px;">
-                                ${item.hb || ''}
-                            </td>
-                            <td style="padding: 6px; border-right: 1px solid black; border-bottom: 1px solid black; vertical-align: middle;">
-                                ${item.dest || ''}
+                            <td colspan="${Math.max(cells.length, 1)}" style="text-align: center; font-weight: bold; font-size: 14px; padding: 6px; ${cells.length > 0 ? 'border-bottom: 2px solid black;' : ''}">
+                                ${mode === 'air' ? 'Air' : 'Ocean'} Dock Tally Report
                             </td>
-                            <td style="border-right: 1px solid black; border-bottom: 1px solid black; text-align: center; vertical-align: middle; padding: 0;">
-                                <div style="border-bottom: 1px solid black; padding: 4px; font-weight: bold;">${item.outer_quantity || ''}</div>
-                                <div style="padding: 4px;">${item.pcs || ''}</div>
-                            </td>
-                            <td style="border-right: 1px solid black; border-bottom: 1px solid black;"></td>
-                            <td style="border-right: 1px solid black; border-bottom: 1px solid black;"></td>
-                            <td style="border-right: 1px solid black; border-bottom: 1px solid black;"></td>
-                            <td style="border-right: 1px solid black; border-bottom: 1px solid black;"></td>
-                            <td style="border-bottom: 1px solid black;"></td>
                         </tr>
+                        ${cells.length > 0 ? `<tr>${cells.map((cell, index) => `
+                            <td style="width: ${((cell.barcode ? 2 : 1) / cellWeight) * 100}%; padding: 6px 10px; ${index < cells.length - 1 ? 'border-right: 1px solid black;' : ''} font-weight: bold; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;">
+                                <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+                                    ${escapeHtml(cell.label)}: ${escapeHtml(cell.value)}
+                                    ${cell.barcode ? barcodeSvg(cell.value, { height: 30 }) : ''}
+                                </div>
+                            </td>`).join('')}
+                        </tr>` : ''}
+                    </tbody>
+                </table>
+            `;
+
+            html += `
+                <table style="width: 100%; border-collapse: collapse; font-size: 10px; border: 2px solid black; table-layout: fixed;">
+                    <thead>
                         <tr>
-                            <td style="height: 50px; border-right: 1px solid black; border-bottom: 2px solid black;"></td>
-                            <td style="border-right: 1px solid black; border-bottom: 2px solid black;"></td>
-                            <td style="border-right: 1px solid black; border-bottom: 2px solid black;"></td>
-                            <td style="border-right: 1px solid black; border-bottom: 2px solid black;"></td>
-                            <td style="border-right: 1px solid black; border-bottom: 2px solid black;"></td>
-                            <td style="border-right: 1px solid black; border-bottom: 2px solid black;"></td>
-                            <td style="border-right: 1px solid black; border-bottom: 2px solid black;"></td>
-                            <td style="border-bottom: 2px solid black;"></td>
+                            ${layout.columns.map((column, index) => `
+                            <th style="width: ${percents[index]}%; padding: 6px 4px; border: 1px solid black; font-weight: bold; overflow: hidden;">${escapeHtml(column.label)}</th>`).join('')}
                         </tr>
-                    `;
-                });
-
-                html += `</tbody></table></div>`;
+                    </thead>
+                    <tbody>
+            `;
+
+            pageItems.forEach(item => {
+                html += `<tr>${layout.columns.map((column, index) => `
+                    <td style="padding: 6px; border: 1px solid black; height: 28px; vertical-align: middle; overflow: hidden; white-space: nowrap; ${index === 0 ? 'font-weight: bold;' : ''}">
+                        ${column.field ? escapeHtml(item[column.field]) : ''}
+                        ${column.field === billField ? `<div style="margin-top: 4px;">${barcodeSvg(item[column.field], { height: 28 })}</div>` : ''}
+                    </td>`).join('')}
+                </tr>`;
+
+                if (layout.notesRow) {
+                    html += `<tr>${layout.columns.map(() => `
+                        <td style="height: 50px; border: 1px solid black; border-bottom: 2px solid black;"></td>`).join('')}
+                    </tr>`;
+                }
             });
+
+            html += `</tbody></table></div>`;
         });
+    });
+
+    return html;
+}
+
+export default function DockTallyReport({ isOpen, onClose, data = [], activeFilter, mode = 'ocean' }) {
+    const [selectedMBLs, setSelectedMBLs] = useState([]);
+    const [generating, setGenerating] = useState(false);
+    const [progress, setProgress] = useState({ current: 0, total: 0, message: '' });
+    const printRef = useRef(null);
+    // The running PDF job ({ promise, cancel }), if any
+    const jobRef = useRef(null);
+    const [templates, setTemplates] = useState([]);
+    // '' for the Standard layout
+    const [templateId, setTemplateId] = useState('');
+    // { template } while the editor is open; template is null for a new one
+    const [editing, setEditing] = useState(null);
 
-        return html;
+    const isAir = mode === 'air';
+
+    const selectedTemplate = templates.find(t => t.id === templateId) || null;
+    const layout = useMemo(
+        () => (selectedTemplate ? normalizeLayout(selectedTemplate.layout, mode) : null),
+        [selectedTemplate, mode]
+    );
+
+    // Saved templates, and the one last picked, each time the modal opens
+    useEffect(() => {
+        if (!isOpen) return;
+
+        getDockTallyTemplates(mode).then(rows => {
+            setTemplates(rows);
+            setTemplateId(localStorage.getItem(TEMPLATE_STORAGE_KEY + mode) || '');
+        });
+    }, [isOpen, mode]);
+
+    const handleSelectTemplate = (id) => {
+        setTemplateId(id);
+        localStorage.setItem(TEMPLATE_STORAGE_KEY + mode, id);
     };
 
-    // Air-specific rendering with SLAC/QTY and 4 Arrival sections
-    const renderAirBatchContent = (mawbBatch) => {
-        let html = '';
-        const today = new Date();
-        const dateStr = `${today.getMonth() + 1}/${today.getDate()}/${String(today.getFullYear()).slice(-2)}`;
-        const timeStr = `${today.getHours()}:${String(today.getMinutes()).padStart(2, '0')}`;
-
-        mawbBatch.forEach((mawb, mawbIdx) => {
-            const group = groupedData[mawb];
-            if (!group) return;
-
-            const itemsPerPage = 5;
-            const pages = [];
-            for (let i = 0; i < group.items.length; i += itemsPerPage) {
-                pages.push(group.items.slice(i, i + itemsPerPage));
-            }
+    const handleTemplateSaved = async (template) => {
+        setEditing(null);
+        setTemplates(await getDockTallyTemplates(mode));
+        handleSelectTemplate(template.id);
+    };
 
-            pages.forEach((pageItems, pageIdx) => {
-                const isPageBreak = (mawbIdx > 0 && pageIdx === 0) || pageIdx > 0;
-                const pageNum = pageIdx + 1;
+    const handleTemplateDeleted = async () => {
+        setEditing(null);
+        setTemplates(await getDockTallyTemplates(mode));
+        handleSelectTemplate('');
+    };
 
-                html += `<div class="${isPageBreak ? 'page-break' : ''}" style="page-break-inside: avoid; color: #000000; font-family: Arial, sans-serif; font-size: 10px; background-color: #FFFFFF; padding: 5px;">`;
+    // Group the passed data by MBL (Ocean) or MAWB (Air)
+    const groupedData = useMemo(
+        () => (isAir ? groupRowsByMAWB(data) : groupRowsByMBL(data)),
+        [data, isAir]
+    );
 
-                // Header - Only on first page of MAWB
-                if (pageIdx === 0) {
-                    html += `
-                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px; border-bottom: 1px solid black; padding-bottom: 3px;">
-                        <div><strong>Date:</strong> ${dateStr} ${timeStr}</div>
-                        <div style="font-weight: bold; font-size: 14px;">DOCK TALLY REPORT</div>
-                        <div><strong>Page:</strong> ${pageNum}</div>
-                    </div>
-                `;
+    // Select all items when the modal opens or its data changes
+    const selectionSource = isOpen ? groupedData : null;
+    const [selectedFrom, setSelectedFrom] = useState(null);
+    if (selectionSource !== selectedFrom) {
+        setSelectedFrom(selectionSource);
+        if (selectionSource) setSelectedMBLs(Object.keys(selectionSource));
+    }
 
-                    // MAWB Info
-                    html += `
-                    <div style="font-weight: bold; font-size: 12px; margin-bottom: 4px; border: 1px solid black; padding: 3px;">
-                        MAWB: ${mawb}
-                    </div>
-                `;
-                }
+    const toggleMBL = (mbl) => {
+        setSelectedMBLs(prev =>
+            prev.includes(mbl)
+                ? prev.filter(m => m !== mbl)
+                : [...prev, mbl]
+        );
+    };
 
-                // Table with 4 arrival sections
-                html += `
-                    <table style="width: 100%; border-collapse: collapse; font-size: 8px; border: 1px solid #000000; background-color: #FFFFFF;">
-                        <thead>
-                            <tr>
-                                <th rowspan="2" style="width: 7%; padding: 2px; border: 1px solid #000000; font-weight: bold; vertical-align: middle; background-color: #FFFFFF;">HAWB</th>
-                                <th rowspan="2" style="width: 7%; padding: 2px; border: 1px solid #000000; font-weight: bold; vertical-align: middle; background-color: #FFFFFF;">Dest</th>
-                                <th rowspan="2" style="width: 5%; padding: 2px; border: 1px solid #000000; font-weight: bold; vertical-align: middle; background-color: #FFFFFF;">
-                                    <div>SLAC</div>
-                                    <div style="font-size: 7px; font-weight: normal;">Total</div>
-                                </th>
-                                <th colspan="5" style="padding: 2px; border: 1px solid #000000; font-weight: bold; text-align: center; background-color: #FFFFFF;">Arrival 1<div style="font-size: 6px; font-weight: normal;">Supv</div></th>
-                                <th colspan="5" style="padding: 2px; border: 1px solid #000000; font-weight: bold; text-align: center; background-color: #FFFFFF;">Arrival 2<div style="font-size: 6px; font-weight: normal;">Supv</div></th>
-                                <th colspan="5" style="padding: 2px; border: 1px solid #000000; font-weight: bold; text-align: center; background-color: #FFFFFF;">Arrival 3<div style="font-size: 6px; font-weight: normal;">Supv</div></th>
-                                <th colspan="5" style="padding: 2px; border: 1px solid #000000; font-weight: bold; text-align: center; background-color: #FFFFFF;">Arrival 4<div style="font-size: 6px; font-weight: normal;">Supv</div></th>
-                            </tr>
-                            <tr>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">PCS</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">LOC</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">TIME</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">CRW</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">SUB</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">PCS</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">LOC</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">TIME</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">CRW</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">SUB</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">PCS</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">LOC</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">TIME</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">CRW</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">SUB</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">PCS</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">LOC</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">TIME</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">CRW</th>
-                                <th style="width: 3%; padding: 1px; border: 1px solid #000000; font-size: 6px; background-color: #FFFFFF;">SUB</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                `;
+    // A job still running when the Dashboard goes away has nowhere to deliver its file
+    useEffect(() => () => jobRef.current?.cancel(), []);
 
-                // Calculate dynamic row height based on number of items on this page
-                // Total available space reduced to fit on one page without overflow
-                // Each item needs 2 rows (data + notes), so divide by (pageItems.length * 2)
-                // Max row height capped at 80px to prevent excessive stretching with few HAWBs
-                const totalAvailableHeight = 550; // Reduced from 700 to prevent page overflow
-                const rowsNeeded = pageItems.length * 2; // 2 rows per HAWB
-                const calculatedHeight = Math.floor(totalAvailableHeight / rowsNeeded);
-                const dynamicRowHeight = Math.min(calculatedHeight, 80); // Cap at 80px max
-
-                // Render only actual items (no empty rows)
-                pageItems.forEach(item => {
-                    html += `
-                        <tr style="height: ${dynamicRowHeight}px;">
-                            <td style="padding: 3px; border: 1px solid #000000; font-weight: bold; vertical-align: top; font-size: 9px; background-color: #FFFFFF;">
-                                ${item.hawb || ''}
-                            </td>
-                            <td style="padding: 3px; border: 1px solid #000000; vertical-align: top; font-size: 7px; background-color: #FFFFFF;">
-                                ${item.destination || ''}
-                            </td>
-                            <td style="padding: 0; border: 1px solid #000000; text-align: center; vertical-align: top; background-color: #FFFFFF;">
-                                <div style="border-bottom: 1px solid #000000; padding: 2px; font-weight: bold;">${item.slac || ''}</div>
-                                <div style="padding: 2px; font-size: 7px;">${item.qty || ''}</div>
-                            </td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                        </tr>
-                        <tr style="height: ${dynamicRowHeight}px;">
-                            <td colspan="3" style="border: 1px solid #000000; padding: 2px; vertical-align: top; font-size: 7px; background-color: #FFFFFF;">
-                                <span style="color: #000000;">Dock Notes:</span>
-                            </td>
-                            <td colspan="5" style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td colspan="5" style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td colspan="5" style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                            <td colspan="5" style="border: 1px solid #000000; background-color: #FFFFFF;"></td>
-                        </tr>
-                    `;
-                });
+    const selectAll = () => setSelectedMBLs(Object.keys(groupedData));
+    const selectNone = () => setSelectedMBLs([]);
 
-                html += `</tbody></table></div>`;
-            });
+    // Drawn as a vector PDF in a worker (see lib/dockTallyJob); the HTML preview below is only for the screen and Print
+    const handleDownloadPDF = async () => {
+        if (selectedMBLs.length === 0) return;
+
+        const groups = selectedMBLs.map(key => groupedData[key]).filter(group => group);
+        const groupLabel = isAir ? 'MAWBs' : 'MBLs';
+
+        setGenerating(true);
+        setProgress({ current: 0, total: groups.length, message: 'Starting PDF generation...' });
+
+        const job = startDockTallyPdf(groups, {
+            mode,
+            layout,
+            onProgress: (current, total) => setProgress({
+                current,
+                total,
+                message: `Drawing ${current} of ${total} ${groupLabel}...`
+            }),
         });
+        jobRef.current = job;
+
+        try {
+            const pdfBytes = await job.promise;
+            // null when cancelled
+            if (pdfBytes) {
+                const timestamp = new Date().toISOString().split('T')[0];
+                const blob = new Blob([pdfBytes], { type: 'application/pdf' });
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `Dock_Tally_Report_${timestamp}.pdf`;
+                document.body.appendChild(link); // Required for some browsers
+                link.click();
+
+                setTimeout(() => {
+                    document.body.removeChild(link);
+                    URL.revokeObjectURL(url);
+                }, 100);
+            }
+        } catch (err) {
+            console.error('Error generating PDF:', err);
+            alert('Error generating PDF: ' + (err.message || 'Please try again.'));
+        }
+
+        jobRef.current = null;
+        setProgress({ current: 0, total: 0, message: '' });
+        setGenerating(false);
+    };
 
-        return html;
+    const handleCancelPDF = () => {
+        jobRef.current?.cancel();
     };
 
     const handlePrint = () => {
@@ -549,6 +520,7 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
       <head>
         <title>Ocean Dock Tally Report</title>
         <style>
+          ${layout ? `@page { size: ${layout.paperSize} ${layout.orientation}; }` : ''}
           body {
             font-family: Arial, sans-serif;
             font-size: 11pt;
@@ -640,198 +612,294 @@ export default function DockTallyReport({ isOpen, onClose, data = [], activeFilt
         }, 250);
     };
 
-    if (!isOpen) return null;
+    const percent = progress.total > 0 ? Math.round((progress.current / progress.total) * 100) : 0;
+
+    // Every selected group with a barcode per bill is a lot of markup; build it only when the
+    // selection or layout changes, not on each progress update from a running PDF
+    const previewHtml = useMemo(
+        () => (isOpen ? renderBatchContent(selectedMBLs, groupedData, layout, mode) : ''),
+        [isOpen, selectedMBLs, groupedData, layout, mode]
+    );
+
+    // Closed while a PDF is still being drawn: keep its progress in view
+    if (!isOpen) {
+        if (!generating) return null;
+
+        return (
+            <div style={{
+                position: 'fixed',
+                right: '24px',
+                bottom: '24px',
+                zIndex: 90,
+                display: 'flex',
+                alignItems: 'center',
+                gap: '12px',
+                padding: '12px 16px',
+                background: 'var(--bg-secondary)',
+                border: '1px solid var(--border-color)',
+                borderRadius: 'var(--radius-lg)',
+                boxShadow: 'var(--shadow-lg)',
+                fontSize: '0.875rem'
+            }}>
+                <span className="loading-spinner" style={{ width: '16px', height: '16px' }}></span>
+                <span>Dock Tally PDF {percent}%</span>
+                <button className="btn btn-sm btn-ghost" onClick={handleCancelPDF}>
+                    Cancel
+                </button>
+            </div>
+        );
+    }
 
     const mblList = Object.keys(groupedData);
     const itemLabel = isAir ? 'MAWBs' : 'MBLs';
 
     return (
-        <div className="modal-overlay" onClick={onClose}>
-            <div
-                className="modal"
-                onClick={e => e.stopPropagation()}
-                style={{ maxWidth: '1000px', maxHeight: '90vh' }}
-            >
-                <div className="modal-header">
-                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                        <FileText size={20} />
-                        Generate {isAir ? 'Air' : 'Ocean'} Dock Tally Report
-                        {activeFilter && activeFilter !== 'all' && (
-                            <span style={{
-                                fontSize: '0.75rem',
-                                background: 'var(--navy-dark)',
-                                color: 'white',
-                                padding: '2px 8px',
-                                borderRadius: '4px',
-                                marginLeft: '8px'
-                            }}>
-                                Filtered: {activeFilter.replace('_', ' ').toUpperCase()}
-                            </span>
-                        )}
-                    </h3>
-                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
-                        <X size={20} />
-                    </button>
-                </div>
-
-                <div className="modal-body" style={{ overflow: 'auto' }}>
-                    {mblList.length === 0 ? (
-                        <div className="empty-state">
-                            <div className="empty-state-icon">📄</div>
-                            <h3>No data available</h3>
-                            <p>Upload a CSV file first to generate reports.</p>
-                        </div>
-                    ) : (
-                        <>
-                            {/* MBL Selection */}
-                            <div style={{ marginBottom: '20px' }}>
-                                <div style={{
-                                    display: 'flex',
-                                    justifyContent: 'space-between',
-                                    alignItems: 'center',
-                                    marginBottom: '12px'
+        <>
+            <div className="modal-overlay" onClick={onClose}>
+                <div
+                    className="modal"
+                    onClick={e => e.stopPropagation()}
+                    style={{ maxWidth: '1000px', maxHeight: '90vh' }}
+                >
+                    <div className="modal-header">
+                        <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                            <FileText size={20} />
+                            Generate {isAir ? 'Air' : 'Ocean'} Dock Tally Report
+                            {activeFilter && activeFilter !== 'all' && (
+                                <span style={{
+                                    fontSize: '0.75rem',
+                                    background: 'var(--navy-dark)',
+                                    color: 'white',
+                                    padding: '2px 8px',
+                                    borderRadius: '4px',
+                                    marginLeft: '8px'
                                 }}>
-                                    <span style={{ fontWeight: '500' }}>
-                                        Select {itemLabel} to include ({selectedMBLs.length} of {mblList.length})
-                                    </span>
-                                    <div style={{ display: 'flex', gap: '8px' }}>
-                                        <button className="btn btn-sm btn-secondary" onClick={selectAll}>
-                                            Select All
-                                        </button>
-                                        <button className="btn btn-sm btn-secondary" onClick={selectNone}>
-                                            Clear
-                                        </button>
+                                    Filtered: {activeFilter.replace('_', ' ').toUpperCase()}
+                                </span>
+                            )}
+                        </h3>
+                        <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                            <X size={20} />
+                        </button>
+                    </div>
+
+                    <div className="modal-body" style={{ overflow: 'auto' }}>
+                        {mblList.length === 0 ? (
+                            <div className="empty-state">
+                                <div className="empty-state-icon">📄</div>
+                                <h3>No data available</h3>
+                                <p>Upload a CSV file first to generate reports.</p>
+                            </div>
+                        ) : (
+                            <>
+                                {/* Template Picker */}
+                                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '16px' }}>
+                                    <label htmlFor="dock-tally-template" style={{ fontWeight: '500' }}>Template</label>
+                                    <select
+                                        id="dock-tally-template"
+                                        className="input select"
+                                        style={{ width: '260px' }}
+                                        value={selectedTemplate ? templateId : ''}
+                                        onChange={(e) => handleSelectTemplate(e.target.value)}
+                                        disabled={generating}
+                                    >
+                                        <option value="">Standard</option>
+                                        {templates.map(template => (
+                                            <option key={template.id} value={template.id}>{template.name}</option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        className="btn btn-sm btn-ghost"
+                                        onClick={() => setEditing({ template: selectedTemplate })}
+                                        disabled={!selectedTemplate || generating}
+                                    >
+                                        <Pencil size={14} />
+                                        Edit
+                                    </button>
+                                    <button
+                                        className="btn btn-sm btn-ghost"
+                                        onClick={() => setEditing({ template: null })}
+                                        disabled={generating}
+                                    >
+                                        <Plus size={14} />
+                                        New Template
+                                    </button>
+                                </div>
+
+                                {/* MBL Selection */}
+                                <div style={{ marginBottom: '20px' }}>
+                                    <div style={{
+                                        display: 'flex',
+                                        justifyContent: 'space-between',
+                                        alignItems: 'center',
+                                        marginBottom: '12px'
+                                    }}>
+                                        <span style={{ fontWeight: '500' }}>
+                                            Select {itemLabel} to include ({selectedMBLs.length} of {mblList.length})
+                                        </span>
+                                        <div style={{ display: 'flex', gap: '8px' }}>
+                                            <button className="btn btn-sm btn-secondary" onClick={selectAll}>
+                                                Select All
+                                            </button>
+                                            <button className="btn btn-sm btn-secondary" onClick={selectNone}>
+                                                Clear
+                                            </button>
+                                        </div>
+                                    </div>
+
+                                    <div style={{
+                                        display: 'flex',
+                                        flexWrap: 'wrap',
+                                        gap: '8px',
+                                        maxHeight: '120px',
+                                        overflowY: 'auto',
+                                        padding: '12px',
+                                        background: 'var(--bg-tertiary)',
+                                        borderRadius: 'var(--radius-md)',
+                                        border: '1px solid var(--border-color)'
+                                    }}>
+                                        {mblList.map(mbl => (
+                                            <label
+                                                key={mbl}
+                                                style={{
+                                                    display: 'flex',
+                                                    alignItems: 'center',
+                                                    gap: '6px',
+                                                    padding: '6px 12px',
+                                                    background: selectedMBLs.includes(mbl) ? 'var(--navy-dark)' : 'white',
+                                                    color: selectedMBLs.includes(mbl) ? 'white' : 'var(--text-primary)',
+                                                    borderRadius: 'var(--radius-sm)',
+                                                    cursor: 'pointer',
+                                                    fontSize: '0.875rem',
+                                                    border: '1px solid var(--border-color)',
+                                                    transition: 'all 0.2s ease'
+                                                }}
+                                            >
+                                                <input
+                                                    type="checkbox"
+                                                    checked={selectedMBLs.includes(mbl)}
+                                                    onChange={() => toggleMBL(mbl)}
+                                                    style={{ display: 'none' }}
+                                                />
+                                                {mbl}
+                                                <span style={{
+                                                    fontSize: '0.75rem',
+                                                    opacity: 0.7
+                                                }}>
+                                                    ({groupedData[mbl].items.length})
+                                                </span>
+                                            </label>
+                                        ))}
                                     </div>
                                 </div>
 
+                                {/* Preview */}
                                 <div style={{
-                                    display: 'flex',
-                                    flexWrap: 'wrap',
-                                    gap: '8px',
-                                    maxHeight: '120px',
+                                    maxHeight: '400px',
                                     overflowY: 'auto',
-                                    padding: '12px',
-                                    background: 'var(--bg-tertiary)',
+                                    border: '1px solid var(--border-color)',
                                     borderRadius: 'var(--radius-md)',
-                                    border: '1px solid var(--border-color)'
+                                    background: 'white'
                                 }}>
-                                    {mblList.map(mbl => (
-                                        <label
-                                            key={mbl}
-                                            style={{
-                                                display: 'flex',
-                                                alignItems: 'center',
-                                                gap: '6px',
-                                                padding: '6px 12px',
-                                                background: selectedMBLs.includes(mbl) ? 'var(--navy-dark)' : 'white',
-                                                color: selectedMBLs.includes(mbl) ? 'white' : 'var(--text-primary)',
-                                                borderRadius: 'var(--radius-sm)',
-                                                cursor: 'pointer',
-                                                fontSize: '0.875rem',
-                                                border: '1px solid var(--border-color)',
-                                                transition: 'all 0.2s ease'
-                                            }}
-                                        >
-                                            <input
-                                                type="checkbox"
-                                                checked={selectedMBLs.includes(mbl)}
-                                                onChange={() => toggleMBL(mbl)}
-                                                style={{ display: 'none' }}
-                                            />
-                                            {mbl}
-                                            <span style={{
-                                                fontSize: '0.75rem',
-                                                opacity: 0.7
-                                            }}>
-                                                ({groupedData[mbl].items.length})
-                                            </span>
-                                        </label>
-                                    ))}
+                                    <div
+                                        ref={printRef}
+                                        dangerouslySetInnerHTML={{ __html: previewHtml }}
+                                    />
                                 </div>
-                            </div>
-
-                            {/* Preview */}
-                            <div style={{
-                                maxHeight: '400px',
-                                overflowY: 'auto',
-                                border: '1px solid var(--border-color)',
-                                borderRadius: 'var(--radius-md)',
-                                background: 'white'
-                            }}>
-                                <div
-                                    ref={printRef}
-                                    dangerouslySetInnerHTML={{ __html: renderBatchContent(selectedMBLs) }}
-                                />
-                            </div>
-                        </>
-                    )}
-                </div>
+                            </>
+                        )}
+                    </div>
 
-                <div className="modal-footer" style={{ flexDirection: 'column', gap: '12px' }}>
-                    {/* Progress Bar */}
-                    {generating && progress.total > 0 && (
-                        <div style={{ width: '100%' }}>
-                            <div style={{
-                                display: 'flex',
-                                justifyContent: 'space-between',
-                                marginBottom: '6px',
-                                fontSize: '0.85rem',
-                                color: 'var(--text-secondary)'
-                            }}>
-                                <span>{progress.message}</span>
-                                <span>{Math.round((progress.current / progress.total) * 100)}%</span>
-                            </div>
-                            <div style={{
-                                width: '100%',
-                                height: '8px',
-                                background: 'var(--bg-tertiary)',
-                                borderRadius: '4px',
-                                overflow: 'hidden'
-                            }}>
+                    <div className="modal-footer" style={{ flexDirection: 'column', gap: '12px' }}>
+                        {/* Progress Bar */}
+                        {generating && progress.total > 0 && (
+                            <div style={{ width: '100%' }}>
+                                <div style={{
+                                    display: 'flex',
+                                    justifyContent: 'space-between',
+                                    marginBottom: '6px',
+                                    fontSize: '0.85rem',
+                                    color: 'var(--text-secondary)'
+                                }}>
+                                    <span>{progress.message}</span>
+                                    <span>{percent}%</span>
+                                </div>
                                 <div style={{
-                                    width: `${(progress.current / progress.total) * 100}%`,
-                                    height: '100%',
-                                    background: 'linear-gradient(90deg, var(--cyan-primary), var(--cyan-light))',
+                                    width: '100%',
+                                    height: '8px',
+                                    background: 'var(--bg-tertiary)',
                                     borderRadius: '4px',
-                                    transition: 'width 0.3s ease'
-                                }} />
+                                    overflow: 'hidden'
+                                }}>
+                                    <div style={{
+                                        width: `${percent}%`,
+                                        height: '100%',
+                                        background: 'linear-gradient(90deg, var(--cyan-primary), var(--cyan-light))',
+                                        borderRadius: '4px',
+                                        transition: 'width 0.3s ease'
+                                    }} />
+                                </div>
+                                <div style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'space-between',
+                                    marginTop: '6px',
+                                    fontSize: '0.8rem',
+                                    color: 'var(--text-muted)'
+                                }}>
+                                    <span>You can close this window - the PDF downloads when it's ready.</span>
+                                    <button className="btn btn-sm btn-ghost" onClick={handleCancelPDF}>
+                                        Cancel
+                                    </button>
+                                </div>
                             </div>
-                        </div>
-                    )}
+                        )}
 
-                    {/* Buttons */}
-                    <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end', width: '100%' }}>
-                        <button className="btn btn-secondary" onClick={onClose}>
-                            Close
-                        </button>
-                        <button
-                            className="btn btn-secondary"
-                            onClick={handlePrint}
-                            disabled={selectedMBLs.length === 0 || generating}
-                        >
-                            <Printer size={18} />
-                            Print
-                        </button>
-                        <button
-                            className="btn btn-primary"
-                            onClick={handleDownloadPDF}
-                            disabled={selectedMBLs.length === 0 || generating}
-                        >
-                            {generating ? (
-                                <>
-                                    <span className="loading-spinner" style={{ width: '16px', height: '16px' }}></span>
-                                    {progress.total > 0 ? `Batch ${progress.current}/${progress.total}` : 'Generating...'}
-                                </>
-                            ) : (
-                                <>
-                                    <Download size={18} />
-                                    Download PDF
-                                </>
-                            )}
-                        </button>
+                        {/* Buttons */}
+                        <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end', width: '100%' }}>
+                            <button className="btn btn-secondary" onClick={onClose}>
+                                Close
+                            </button>
+                            <button
+                                className="btn btn-secondary"
+                                onClick={handlePrint}
+                                disabled={selectedMBLs.length === 0 || generating}
+                            >
+                                <Printer size={18} />
+                                Print
+                            </button>
+                            <button
+                                className="btn btn-primary"
+                                onClick={handleDownloadPDF}
+                                disabled={selectedMBLs.length === 0 || generating}
+                            >
+                                {generating ? (
+                                    <>
+                                        <span className="loading-spinner" style={{ width: '16px', height: '16px' }}></span>
+                                        {progress.total > 0 ? `${progress.current}/${progress.total}` : 'Generating...'}
+                                    </>
+                                ) : (
+                                    <>
+                                        <Download size={18} />
+                                        Download PDF
+                                    </>
+                                )}
+                            </button>
+                        </div>
                     </div>
                 </div>
             </div>
-        </div>
+
+            {/* Outside the overlay above, so its clicks don't close the report */}
+            {editing && (
+                <DockTallyTemplateEditor
+                    template={editing.template}
+                    mode={mode}
+                    onClose={() => setEditing(null)}
+                    onSaved={handleTemplateSaved}
+                    onDeleted={handleTemplateDeleted}
+                />
+            )}
+        </>
     );
 }
@@ -0,0 +1,306 @@
+/**
+ * Dock Tally Template Editor - Create, change or delete a named dock tally layout
+ * Columns print a Master List field, or stay blank for the dock to write in; widths are
+ * relative to each other. Opened from the Dock Tally Report's template picker.
+ */
+
+import { useState } from 'react';
+import { LayoutTemplate, X, Plus, ChevronLeft, ChevronRight, Trash2, AlertCircle } from 'lucide-react';
+import { DISPLAY_COLUMNS, AIR_DISPLAY_COLUMNS } from '../lib/csvUtils';
+import { saveDockTallyTemplate, deleteDockTallyTemplate } from '../lib/dataStore';
+import {
+    PAPER_SIZES, MAX_ROWS_PER_PAGE, getHeaderFieldOptions, createTemplateLayout, normalizeLayout
+} from '../lib/dockTallyTemplates';
+
+// Keys for column rows; only needs to be unique within the page
+let nextColumnId = 1;
+
+function withIds(columns) {
+    return columns.map(column => ({ ...column, id: nextColumnId++ }));
+}
+
+/**
+ * @param {Object} template - the saved template being edited, or null for a new one
+ */
+export default function DockTallyTemplateEditor({ template, mode = 'ocean', onClose, onSaved, onDeleted }) {
+    const fields = mode === 'air' ? AIR_DISPLAY_COLUMNS : DISPLAY_COLUMNS;
+    const headerOptions = getHeaderFieldOptions(mode);
+
+    const [name, setName] = useState(template?.name || '');
+    const [layout, setLayout] = useState(() => {
+        const initial = template ? normalizeLayout(template.layout, mode) : createTemplateLayout(mode);
+        return { ...initial, columns: withIds(initial.columns) };
+    });
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const update = (changes) => setLayout(current => ({ ...current, ...changes }));
+
+    const updateColumn = (id, changes) => {
+        update({
+            columns: layout.columns.map(column => {
+                if (column.id !== id) return column;
+
+                const updated = { ...column, ...changes };
+                // Picking a field relabels the column unless the label was changed by hand
+                if ('field' in changes) {
+                    const oldLabel = fields.find(f => f.key === column.field)?.label || '';
+                    if (!column.label || column.label.toUpperCase() === oldLabel) {
+                        updated.label = fields.find(f => f.key === changes.field)?.label || '';
+                    }
+                }
+                return updated;
+            }),
+        });
+    };
+
+    const moveColumn = (index, offset) => {
+        const columns = [...layout.columns];
+        [columns[index], columns[index + offset]] = [columns[index + offset], columns[index]];
+        update({ columns });
+    };
+
+    const addColumn = () => {
+        update({ columns: [...layout.columns, ...withIds([{ field: '', label: '', width: 10 }])] });
+    };
+
+    const removeColumn = (id) => {
+        update({ columns: layout.columns.filter(column => column.id !== id) });
+    };
+
+    const toggleHeaderField = (key) => {
+        update({
+            headerFields: layout.headerFields.includes(key)
+                ? layout.headerFields.filter(k => k !== key)
+                : [...layout.headerFields, key],
+        });
+    };
+
+    const handleSave = async () => {
+        if (!name.trim()) {
+            setError('Enter a template name');
+            return;
+        }
+        if (layout.columns.length === 0) {
+            setError('Add at least one column');
+            return;
+        }
+
+        setSaving(true);
+        setError('');
+        const saved = await saveDockTallyTemplate(
+            name.trim(),
+            mode,
+            // Also drops the row ids and turns typed-in numbers back into numbers
+            normalizeLayout(layout, mode),
+            template?.id || null
+        );
+        setSaving(false);
+
+        if (!saved) {
+            setError('Could not save the template - is the name already taken?');
+            return;
+        }
+        onSaved(saved);
+    };
+
+    const handleDelete = async () => {
+        if (!confirm(`Delete the template "${template.name}"?`)) return;
+
+        if (await deleteDockTallyTemplate(template.id)) {
+            onDeleted(template.id);
+        } else {
+            setError('Could not delete the template - please try again');
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" style={{ maxWidth: '820px', maxHeight: '90vh' }} onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <LayoutTemplate size={20} />
+                        {template ? 'Edit' : 'New'} {mode === 'air' ? 'Air' : 'Ocean'} Dock Tally Template
+                    </h3>
+                    <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body" style={{ overflow: 'auto' }}>
+                    <div className="form-group">
+                        <label htmlFor="template-name">Template name</label>
+                        <input
+                            id="template-name"
+                            type="text"
+                            className="input"
+                            placeholder="e.g. Dock 4 - with consignee"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                        />
+                    </div>
+
+                    <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+                        <div className="form-group" style={{ flex: 1, minWidth: '140px' }}>
+                            <label htmlFor="template-paper">Paper</label>
+                            <select
+                                id="template-paper"
+                                className="input select"
+                                value={layout.paperSize}
+                                onChange={(e) => update({ paperSize: e.target.value })}
+                            >
+                                {Object.entries(PAPER_SIZES).map(([key, paper]) => (
+                                    <option key={key} value={key}>{paper.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="form-group" style={{ flex: 1, minWidth: '140px' }}>
+                            <label htmlFor="template-orientation">Orientation</label>
+                            <select
+                                id="template-orientation"
+                                className="input select"
+                                value={layout.orientation}
+                                onChange={(e) => update({ orientation: e.target.value })}
+                            >
+                                <option value="landscape">Landscape</option>
+                                <option value="portrait">Portrait</option>
+                            </select>
+                        </div>
+                        <div className="form-group" style={{ flex: 1, minWidth: '140px' }}>
+                            <label htmlFor="template-rows">{mode === 'air' ? 'HAWBs' : 'HBs'} per page</label>
+                            <input
+                                id="template-rows"
+                                type="number"
+                                className="input"
+                                min={1}
+                                max={MAX_ROWS_PER_PAGE}
+                                value={layout.rowsPerPage}
+                                onChange={(e) => update({ rowsPerPage: e.target.value })}
+                                onBlur={() => update({ rowsPerPage: normalizeLayout(layout, mode).rowsPerPage })}
+                            />
+                        </div>
+                    </div>
+
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '16px', fontSize: '0.875rem' }}>
+                        <input
+                            type="checkbox"
+                            checked={layout.notesRow}
+                            onChange={(e) => update({ notesRow: e.target.checked })}
+                        />
+                        Blank dock notes row under each bill
+                    </label>
+
+                    <div className="form-group">
+                        <label>Header fields</label>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', fontSize: '0.875rem' }}>
+                            {headerOptions.map(option => (
+                                <label key={option.key} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={layout.headerFields.includes(option.key)}
+                                        onChange={() => toggleHeaderField(option.key)}
+                                    />
+                                    {option.label}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="form-group">
+                        <label>Columns</label>
+                        {layout.columns.map((column, index) => (
+                            <div
+                                key={column.id}
+                                style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}
+                            >
+                                <select
+                                    className="input select"
+                                    style={{ width: '200px' }}
+                                    value={column.field}
+                                    onChange={(e) => updateColumn(column.id, { field: e.target.value })}
+                                >
+                                    <option value="">(blank - filled in at the dock)</option>
+                                    {fields.map(field => (
+                                        <option key={field.key} value={field.key}>{field.label}</option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="text"
+                                    className="input"
+                                    style={{ flex: 1 }}
+                                    placeholder="Label"
+                                    value={column.label}
+                                    onChange={(e) => updateColumn(column.id, { label: e.target.value })}
+                                />
+                                <input
+                                    type="number"
+                                    className="input"
+                                    style={{ width: '80px' }}
+                                    title="Width, relative to the other columns"
+                                    min={1}
+                                    value={column.width}
+                                    onChange={(e) => updateColumn(column.id, { width: e.target.value })}
+                                />
+                                <button
+                                    className="btn btn-ghost btn-icon"
+                                    title="Move left"
+                                    onClick={() => moveColumn(index, -1)}
+                                    disabled={index === 0}
+                                >
+                                    <ChevronLeft size={16} />
+                                </button>
+                                <button
+                                    className="btn btn-ghost btn-icon"
+                                    title="Move right"
+                                    onClick={() => moveColumn(index, 1)}
+                                    disabled={index === layout.columns.length - 1}
+                                >
+                                    <ChevronRight size={16} />
+                                </button>
+                                <button
+                                    className="btn btn-ghost btn-icon"
+                                    title="Remove column"
+                                    onClick={() => removeColumn(column.id)}
+                                >
+                                    <X size={16} />
+                                </button>
+                            </div>
+                        ))}
+                        <button className="btn btn-sm btn-ghost" onClick={addColumn}>
+                            <Plus size={16} />
+                            Add column
+                        </button>
+                    </div>
+
+                    {error && (
+                        <div style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '8px',
+                            color: 'var(--danger)',
+                            fontSize: '0.875rem'
+                        }}>
+                            <AlertCircle size={16} />
+                            {error}
+                        </div>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    {template && (
+                        <button className="btn btn-ghost" style={{ marginRight: 'auto' }} onClick={handleDelete}>
+                            <Trash2 size={18} />
+                            Delete
+                        </button>
+                    )}
+                    <button className="btn btn-secondary" onClick={onClose}>
+                        Cancel
+                    </button>
+                    <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+                        {saving ? 'Saving...' : 'Save Template'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
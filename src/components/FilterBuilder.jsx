@@ -0,0 +1,231 @@
+/**
+ * Filter Builder Component - AND/OR conditions over any table column
+ * Conditions are edited as a draft and only reach the table (and the URL) when applied; they narrow
+ * whichever metric card is selected rather than replacing it.
+ */
+
+import { useState } from 'react';
+import { SlidersHorizontal, Plus, X } from 'lucide-react';
+import { DISPLAY_COLUMNS, AIR_DISPLAY_COLUMNS } from '../lib/csvUtils';
+import { EMPTY_FILTER, getFilterOperators, getActiveConditions } from '../lib/reportLogic';
+
+// Keys for condition rows; only needs to be unique within the page
+let nextConditionId = 1;
+
+function newCondition(column) {
+    return { id: nextConditionId++, column, operator: 'contains', value: '', valueTo: '' };
+}
+
+function ConditionValue({ condition, onChange }) {
+    const { operator, value, valueTo } = condition;
+
+    if (operator === 'empty' || operator === 'not_empty') return null;
+
+    if (operator === 'before' || operator === 'after') {
+        return (
+            <input
+                type="date"
+                className="input"
+                style={{ width: '160px' }}
+                value={value}
+                onChange={(e) => onChange({ value: e.target.value })}
+            />
+        );
+    }
+
+    if (operator === 'between') {
+        return (
+            <>
+                <input
+                    type="number"
+                    className="input"
+                    style={{ width: '110px' }}
+                    placeholder="Min"
+                    value={value}
+                    onChange={(e) => onChange({ value: e.target.value })}
+                />
+                <span style={{ color: 'var(--text-muted)' }}>to</span>
+                <input
+                    type="number"
+                    className="input"
+                    style={{ width: '110px' }}
+                    placeholder="Max"
+                    value={valueTo}
+                    onChange={(e) => onChange({ valueTo: e.target.value })}
+                />
+            </>
+        );
+    }
+
+    return (
+        <input
+            type="text"
+            className="input"
+            style={{ flex: 1, minWidth: '160px' }}
+            placeholder="Value..."
+            value={value}
+            onChange={(e) => onChange({ value: e.target.value })}
+        />
+    );
+}
+
+export default function FilterBuilder({ filter, onApply, mode = 'ocean' }) {
+    const columns = mode === 'air' ? AIR_DISPLAY_COLUMNS : DISPLAY_COLUMNS;
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState(filter);
+    const [appliedFilter, setAppliedFilter] = useState(filter);
+    const activeCount = getActiveConditions(filter).length;
+
+    // The filter changed from outside (applied, cleared, or a link/saved view opened) - start over from it
+    if (filter !== appliedFilter) {
+        setAppliedFilter(filter);
+        setDraft(filter);
+    }
+
+    const updateCondition = (id, changes) => {
+        setDraft(current => ({
+            ...current,
+            conditions: current.conditions.map(condition => {
+                if (condition.id !== id) return condition;
+
+                const updated = { ...condition, ...changes };
+                // A new column may not offer the chosen operator (e.g. before/after off a date column)
+                if (!getFilterOperators(updated.column).some(op => op.value === updated.operator)) {
+                    updated.operator = 'contains';
+                }
+                return updated;
+            }),
+        }));
+    };
+
+    const addCondition = () => {
+        setDraft(current => ({
+            ...current,
+            conditions: [...current.conditions, newCondition(columns[0].key)],
+        }));
+    };
+
+    const removeCondition = (id) => {
+        setDraft(current => ({
+            ...current,
+            conditions: current.conditions.filter(condition => condition.id !== id),
+        }));
+    };
+
+    const handleToggle = () => {
+        // Start with one empty row rather than a blank panel
+        if (!isOpen && draft.conditions.length === 0) addCondition();
+        setIsOpen(!isOpen);
+    };
+
+    const handleClear = () => {
+        setDraft(EMPTY_FILTER);
+        onApply(EMPTY_FILTER);
+    };
+
+    return (
+        <div style={{ marginBottom: '12px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <button className="btn btn-sm btn-secondary" onClick={handleToggle}>
+                    <SlidersHorizontal size={16} />
+                    Filters{activeCount > 0 && ` (${activeCount})`}
+                </button>
+                {activeCount > 0 && (
+                    <button className="btn btn-sm btn-ghost" onClick={handleClear}>
+                        Clear filters
+                    </button>
+                )}
+            </div>
+
+            {isOpen && (
+                <div style={{
+                    marginTop: '8px',
+                    padding: '16px 20px',
+                    background: 'var(--bg-secondary)',
+                    border: '1px solid var(--border-color)',
+                    borderRadius: 'var(--radius-lg)'
+                }}>
+                    <div style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                        marginBottom: '12px',
+                        fontSize: '0.875rem'
+                    }}>
+                        Match
+                        <select
+                            className="input select"
+                            style={{ width: '100px' }}
+                            value={draft.match}
+                            onChange={(e) => setDraft({ ...draft, match: e.target.value })}
+                        >
+                            <option value="and">all</option>
+                            <option value="or">any</option>
+                        </select>
+                        of these conditions
+                    </div>
+
+                    {draft.conditions.map(condition => (
+                        <div
+                            key={condition.id}
+                            style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}
+                        >
+                            <select
+                                className="input select"
+                                style={{ width: '160px' }}
+                                value={condition.column}
+                                onChange={(e) => updateCondition(condition.id, { column: e.target.value })}
+                            >
+                                {columns.map(col => (
+                                    <option key={col.key} value={col.key}>{col.label}</option>
+                                ))}
+                            </select>
+
+                            <select
+                                className="input select"
+                                style={{ width: '140px' }}
+                                value={condition.operator}
+                                onChange={(e) => updateCondition(condition.id, { operator: e.target.value })}
+                            >
+                                {getFilterOperators(condition.column).map(op => (
+                                    <option key={op.value} value={op.value}>{op.label}</option>
+                                ))}
+                            </select>
+
+                            <ConditionValue
+                                condition={condition}
+                                onChange={(changes) => updateCondition(condition.id, changes)}
+                            />
+
+                            <button
+                                className="btn btn-ghost btn-icon"
+                                title="Remove condition"
+                                onClick={() => removeCondition(condition.id)}
+                            >
+                                <X size={16} />
+                            </button>
+                        </div>
+                    ))}
+
+                    <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+                        <button className="btn btn-sm btn-ghost" onClick={addCondition}>
+                            <Plus size={16} />
+                            Add condition
+                        </button>
+                        <div style={{ flex: 1 }} />
+                        <button className="btn btn-sm btn-secondary" onClick={handleClear}>
+                            Clear
+                        </button>
+                        <button
+                            className="btn btn-sm btn-primary"
+                            onClick={() => onApply(draft)}
+                            disabled={draft === filter}
+                        >
+                            Apply
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,163 @@
+/**
+ * Lifecycle Drawer Component - How a single HB (Ocean) or HAWB (Air) evolved
+ * across every upload, with the Master List change log as a second tab (Ocean)
+ */
+
+import { useState, useEffect } from 'react';
+import { X, History, ArrowRight, Download } from 'lucide-react';
+import ChangeTimeline from './ChangeTimeline';
+import { exportToCSV, DISPLAY_COLUMNS, AIR_DISPLAY_COLUMNS } from '../lib/csvUtils';
+import { getHbLifecycle, getAirHawbLifecycle } from '../lib/dataStore';
+
+const STATUS_BADGES = {
+    'FIRST SEEN': 'badge-info',
+    'CHANGED': 'badge-warning',
+    'REMOVED': 'badge-danger',
+    'REAPPEARED': 'badge-success',
+};
+
+export default function LifecycleDrawer({ billNumber, mode = 'ocean', onClose }) {
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [tab, setTab] = useState('lifecycle');
+
+    const isAir = mode === 'air';
+    const billLabel = isAir ? 'HAWB' : 'HB';
+
+    // Parent remounts the drawer per bill number (key={billNumber}), so loading starts true
+    useEffect(() => {
+        let cancelled = false;
+
+        const lookup = isAir ? getAirHawbLifecycle : getHbLifecycle;
+        lookup(billNumber).then(result => {
+            if (cancelled) return;
+            setEntries(result);
+            setLoading(false);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [billNumber, isAir]);
+
+    const formatDate = (dateString) => {
+        const date = new Date(dateString);
+        return date.toLocaleDateString('en-US', {
+            month: '2-digit',
+            day: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const handleExport = () => {
+        const columns = isAir ? AIR_DISPLAY_COLUMNS : DISPLAY_COLUMNS;
+        const rows = entries.map(entry => {
+            const exported = {
+                'UPLOAD DATE': formatDate(entry.upload_date),
+                'FILENAME': entry.filename,
+                'STATUS': entry.status,
+                'CHANGES': entry.changes
+                    .map(change => `${change.label}: ${change.oldValue || ''} -> ${change.newValue || ''}`)
+                    .join('; '),
+            };
+            columns.forEach(col => {
+                exported[col.label] = entry.row?.[col.key] || '';
+            });
+            return exported;
+        });
+
+        exportToCSV(rows, `${billLabel}_${billNumber}_lifecycle.csv`);
+    };
+
+    return (
+        <div className="drawer-overlay" onClick={onClose}>
+            <aside className="drawer" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <History size={20} />
+                        {billLabel} {billNumber}
+                    </h3>
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                        <button
+                            className="btn btn-sm btn-secondary"
+                            onClick={handleExport}
+                            disabled={loading || entries.length === 0}
+                        >
+                            <Download size={14} />
+                            CSV
+                        </button>
+                        <button className="btn btn-ghost btn-icon" onClick={onClose}>
+                            <X size={20} />
+                        </button>
+                    </div>
+                </div>
+
+                {/* Master List change log only exists for Ocean */}
+                {!isAir && (
+                    <div style={{ display: 'flex', gap: '8px', padding: '12px 24px 0' }}>
+                        <button
+                            className={`btn btn-sm ${tab === 'lifecycle' ? 'btn-primary' : 'btn-ghost'}`}
+                            onClick={() => setTab('lifecycle')}
+                        >
+                            Lifecycle
+                        </button>
+                        <button
+                            className={`btn btn-sm ${tab === 'changes' ? 'btn-primary' : 'btn-ghost'}`}
+                            onClick={() => setTab('changes')}
+                        >
+                            Master List Changes
+                        </button>
+                    </div>
+                )}
+
+                <div className="modal-body" style={{ flex: 1 }}>
+                    {tab === 'changes' ? (
+                        <ChangeTimeline key={billNumber} hb={billNumber} />
+                    ) : loading ? (
+                        <div className="empty-state">
+                            <span className="loading-spinner" style={{ width: '32px', height: '32px' }}></span>
+                        </div>
+                    ) : entries.length === 0 ? (
+                        <div className="empty-state">
+                            <div className="empty-state-icon">🔍</div>
+                            <h3>{billLabel} not found</h3>
+                            <p>This {billLabel} does not appear in any upload.</p>
+                        </div>
+                    ) : (
+                        <div className="timeline">
+                            {entries.map(entry => (
+                                <div key={entry.upload_id} className="timeline-entry">
+                                    <div className="timeline-date" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                                        {formatDate(entry.upload_date)}
+                                        <span className={`badge ${STATUS_BADGES[entry.status] || ''}`}>
+                                            {entry.status}
+                                        </span>
+                                    </div>
+                                    <div className="timeline-filename" title={entry.filename}>
+                                        {entry.filename}
+                                    </div>
+                                    {entry.changes.length > 0 && (
+                                        <table className="timeline-changes">
+                                            <tbody>
+                                                {entry.changes.map(change => (
+                                                    <tr key={change.key}>
+                                                        <td style={{ fontWeight: '600' }}>{change.label}</td>
+                                                        <td style={{ color: 'var(--text-muted)' }}>{change.oldValue || '(empty)'}</td>
+                                                        <td><ArrowRight size={12} /></td>
+                                                        <td>{change.newValue || '(empty)'}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </aside>
+        </div>
+    );
+}
@@ -7,6 +7,7 @@ export default function MetricsBar({
     activeFilter,
     onFilterChange,
     isMasterList,
+    isCompare = false,
     mode = 'ocean'
 }) {
     const isAir = mode === 'air';
@@ -58,6 +59,15 @@ export default function MetricsBar({
                 enabled: true
             },
         ] : []),
+        // Field-level changes are only computed when comparing two chosen uploads
+        ...(isCompare ? [
+            {
+                key: 'changed_items',
+                label: 'Changed',
+                value: metrics.changedItems ?? 0,
+                enabled: true
+            },
+        ] : []),
     ];
 
     return (
@@ -2,7 +2,7 @@
  * Search Bar Component
  */
 
-import { Search, X } from 'lucide-react';
+import { Search, X, History, ClipboardList } from 'lucide-react';
 
 const SEARCH_FIELDS = [
     { value: 'all', label: 'All Fields' },
@@ -34,9 +34,13 @@ export default function SearchBar({
     onSearchChange,
     onFieldChange,
     onClear,
+    onShowLifecycle,
+    onBulkLookup,
     mode = 'ocean'
 }) {
     const fields = mode === 'air' ? AIR_SEARCH_FIELDS : SEARCH_FIELDS;
+    const billField = mode === 'air' ? 'hawb' : 'hb';
+    const canShowLifecycle = onShowLifecycle && searchField === billField && searchText.trim() !== '';
 
     return (
         <div className="search-bar">
@@ -67,6 +71,28 @@ export default function SearchBar({
                     <X size={18} />
                 </button>
             )}
+
+            {canShowLifecycle && (
+                <button
+                    className="btn btn-sm btn-secondary"
+                    onClick={() => onShowLifecycle(searchText)}
+                    title={`Show this ${mode === 'air' ? 'HAWB' : 'HB'} across every upload`}
+                >
+                    <History size={16} />
+                    Lifecycle
+                </button>
+            )}
+
+            {onBulkLookup && (
+                <button
+                    className="btn btn-sm btn-secondary"
+                    onClick={onBulkLookup}
+                    title={`Paste a list of ${mode === 'air' ? 'HAWBs or MAWBs' : 'HBs, MBLs or containers'}`}
+                >
+                    <ClipboardList size={16} />
+                    Bulk Lookup
+                </button>
+            )}
         </div>
     );
 }
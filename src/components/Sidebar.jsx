@@ -1,5 +1,5 @@
 /**
- * Sidebar Component - Upload history and navigation
+ * Sidebar Component - Upload history, saved views and navigation
  */
 
 import { useState } from 'react';
@@ -10,24 +10,42 @@ import {
     RefreshCw,
     Package,
     Star,
+    History,
+    GitCompare,
+    Bookmark,
+    Plus,
+    X,
     LogOut
 } from 'lucide-react';
+import SyncStatus from './SyncStatus';
+import { getBackendName, setBackendName } from '../lib/dataStore';
 
 export default function Sidebar({
     uploads,
     selectedUpload,
     isMasterList,
+    isRemovedHistory,
+    compareSelection,
     masterListCount,
     onSelectUpload,
     onSelectMasterList,
+    onSelectRemovedHistory,
+    onCompare,
     onUploadClick,
     onDeleteUpload,
     onRefresh,
     onRefreshMasterList,
+    savedViews = [],
+    currentViewUrl,
+    onSelectSavedView,
+    onSaveView,
+    onDeleteSavedView,
     onLogout,
     mode = 'ocean'
 }) {
     const [deleting, setDeleting] = useState(null);
+    const [compareBase, setCompareBase] = useState('');
+    const [compareTarget, setCompareTarget] = useState('');
 
     const handleDelete = async (uploadId, e) => {
         e.stopPropagation();
@@ -49,6 +67,32 @@ export default function Sidebar({
         });
     };
 
+    const handleCompare = () => {
+        if (!compareBase || !compareTarget || compareBase === compareTarget) return;
+        onCompare(compareBase, compareTarget);
+    };
+
+    const handleSaveView = () => {
+        const name = prompt('Name this view:');
+        if (name && name.trim()) onSaveView(name.trim());
+    };
+
+    const handleDeleteSavedView = (savedView, e) => {
+        e.stopPropagation();
+        if (confirm(`Delete the saved view "${savedView.name}"?`)) onDeleteSavedView(savedView.id);
+    };
+
+    const handleBackendChange = (e) => {
+        const message = e.target.value === 'local'
+            ? 'Switch to local data? Uploads will be stored in this browser only.'
+            : 'Switch to Supabase? You may need to sign in.';
+        if (!confirm(message)) return;
+
+        // Every component reads the backend chosen at load, so start over
+        setBackendName(e.target.value);
+        window.location.reload();
+    };
+
     const truncateFilename = (filename, maxLength = 25) => {
         if (filename.length <= maxLength) return filename;
         return filename.substring(0, maxLength - 3) + '...';
@@ -78,39 +122,157 @@ export default function Sidebar({
                     Upload CSV
                 </button>
 
-                {/* Master List - Only show in Ocean mode */}
+                {/* Master List */}
+                <div style={{ marginBottom: '16px' }}>
+                    <div
+                        className={`upload-item master-list ${isMasterList ? 'active' : ''}`}
+                        onClick={onSelectMasterList}
+                    >
+                        <div className="upload-date" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                            <Package size={16} />
+                            Master List
+                        </div>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                            <div className="upload-count">{masterListCount} items</div>
+                            <button
+                                className="btn btn-ghost btn-icon"
+                                style={{
+                                    width: '24px',
+                                    height: '24px',
+                                    padding: '4px'
+                                }}
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onRefreshMasterList();
+                                }}
+                                title="Sync Master List (remove orphaned items)"
+                            >
+                                <RefreshCw size={14} />
+                            </button>
+                        </div>
+                    </div>
+                </div>
+
+                {/* Removed History - Only show in Ocean mode */}
                 {mode === 'ocean' && (
                     <div style={{ marginBottom: '16px' }}>
                         <div
-                            className={`upload-item master-list ${isMasterList ? 'active' : ''}`}
-                            onClick={onSelectMasterList}
+                            className={`upload-item master-list ${isRemovedHistory ? 'active' : ''}`}
+                            onClick={onSelectRemovedHistory}
                         >
                             <div className="upload-date" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                                <Package size={16} />
-                                Master List
-                            </div>
-                            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                                <div className="upload-count">{masterListCount} items</div>
-                                <button
-                                    className="btn btn-ghost btn-icon"
-                                    style={{
-                                        width: '24px',
-                                        height: '24px',
-                                        padding: '4px'
-                                    }}
-                                    onClick={(e) => {
-                                        e.stopPropagation();
-                                        onRefreshMasterList();
-                                    }}
-                                    title="Sync Master List (remove orphaned items)"
-                                >
-                                    <RefreshCw size={14} />
-                                </button>
+                                <History size={16} />
+                                Removed History
                             </div>
+                            <div className="upload-count">HBs that dropped out of a report</div>
                         </div>
                     </div>
                 )}
 
+                {/* Compare Uploads - Only show in Ocean mode */}
+                {mode === 'ocean' && uploads.length > 1 && (
+                    <div
+                        className={`upload-item ${compareSelection ? 'active' : ''}`}
+                        style={{ marginBottom: '16px', cursor: 'default' }}
+                    >
+                        <div className="upload-date" style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+                            <GitCompare size={16} />
+                            Compare Uploads
+                        </div>
+                        <select
+                            className="input select"
+                            style={{ width: '100%', marginBottom: '6px', fontSize: '0.75rem' }}
+                            value={compareBase}
+                            onChange={(e) => setCompareBase(e.target.value)}
+                        >
+                            <option value="">Base (from)...</option>
+                            {uploads.map(upload => (
+                                <option key={upload.id} value={upload.id}>
+                                    {formatDate(upload.upload_date)} - {truncateFilename(upload.filename, 18)}
+                                </option>
+                            ))}
+                        </select>
+                        <select
+                            className="input select"
+                            style={{ width: '100%', marginBottom: '8px', fontSize: '0.75rem' }}
+                            value={compareTarget}
+                            onChange={(e) => setCompareTarget(e.target.value)}
+                        >
+                            <option value="">Target (to)...</option>
+                            {uploads.map(upload => (
+                                <option key={upload.id} value={upload.id}>
+                                    {formatDate(upload.upload_date)} - {truncateFilename(upload.filename, 18)}
+                                </option>
+                            ))}
+                        </select>
+                        <button
+                            className="btn btn-sm btn-secondary"
+                            style={{ width: '100%' }}
+                            onClick={handleCompare}
+                            disabled={!compareBase || !compareTarget || compareBase === compareTarget}
+                        >
+                            Compare
+                        </button>
+                    </div>
+                )}
+
+                {/* Saved Views Label */}
+                <div style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    marginBottom: '12px'
+                }}>
+                    <span style={{
+                        fontSize: '0.75rem',
+                        fontWeight: '600',
+                        color: 'var(--text-muted)',
+                        textTransform: 'uppercase',
+                        letterSpacing: '0.5px'
+                    }}>
+                        Saved Views
+                    </span>
+                    <button
+                        className="btn btn-ghost btn-icon"
+                        style={{ width: '28px', height: '28px' }}
+                        onClick={handleSaveView}
+                        title="Save the current view"
+                    >
+                        <Plus size={14} />
+                    </button>
+                </div>
+
+                {/* Saved View List */}
+                <div style={{ marginBottom: '20px' }}>
+                    {savedViews.length === 0 ? (
+                        <p style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                            Save a filtered view to come back to it
+                        </p>
+                    ) : (
+                        savedViews.map(savedView => (
+                            <div
+                                key={savedView.id}
+                                className={`upload-item ${savedView.url === currentViewUrl ? 'active' : ''}`}
+                                onClick={() => onSelectSavedView(savedView.url)}
+                                title={savedView.url}
+                            >
+                                <div className="upload-date" style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                    <Bookmark size={14} />
+                                    <span style={{ flex: 1 }}>{truncateFilename(savedView.name)}</span>
+                                    <button
+                                        className="btn btn-ghost btn-icon"
+                                        style={{ width: '24px', height: '24px', opacity: 0.7 }}
+                                        onClick={(e) => handleDeleteSavedView(savedView, e)}
+                                        title="Delete saved view"
+                                    >
+                                        <X size={12} />
+                                    </button>
+                                </div>
+                            </div>
+                        ))
+                    )}
+                </div>
+
                 {/* Upload History Label */}
                 <div style={{
                     display: 'flex',
@@ -147,7 +309,7 @@ export default function Sidebar({
                         uploads.map((upload, index) => (
                             <div
                                 key={upload.id}
-                                className={`upload-item ${selectedUpload === upload.id && !isMasterList ? 'active' : ''}`}
+                                className={`upload-item ${selectedUpload === upload.id && !isMasterList && !isRemovedHistory && !compareSelection ? 'active' : ''}`}
                                 onClick={() => onSelectUpload(upload.id)}
                             >
                                 <div className="upload-date" style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
@@ -180,14 +342,31 @@ export default function Sidebar({
             </div>
 
             <div className="sidebar-footer">
-                <button
-                    className="btn btn-ghost"
-                    style={{ width: '100%' }}
-                    onClick={onLogout}
-                >
-                    <LogOut size={16} />
-                    Sign Out
-                </button>
+                {/* The offline queue only exists in front of Supabase */}
+                {getBackendName() === 'supabase' && <SyncStatus />}
+                <div className="form-group" style={{ marginBottom: onLogout ? '8px' : 0 }}>
+                    <label htmlFor="data-backend">Data Source</label>
+                    <select
+                        id="data-backend"
+                        className="input select"
+                        value={getBackendName()}
+                        onChange={handleBackendChange}
+                    >
+                        <option value="supabase">Supabase (cloud)</option>
+                        <option value="local">Local (this browser)</option>
+                    </select>
+                </div>
+                {/* No session to end when working locally */}
+                {onLogout && (
+                    <button
+                        className="btn btn-ghost"
+                        style={{ width: '100%' }}
+                        onClick={onLogout}
+                    >
+                        <LogOut size={16} />
+                        Sign Out
+                    </button>
+                )}
             </div>
         </aside>
     );
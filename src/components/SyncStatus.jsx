@@ -0,0 +1,94 @@
+/**
+ * Sync Status Component - Connection state and the offline write queue (Supabase mode)
+ * Queued uploads that conflict with newer master list data wait here for a decision
+ */
+
+import { useSyncExternalStore } from 'react';
+import { Wifi, WifiOff, RefreshCw, AlertTriangle } from 'lucide-react';
+import {
+    subscribeToSyncStatus,
+    getSyncStatus,
+    replayQueue,
+    retryOperation,
+    discardOperation
+} from '../lib/syncQueue';
+
+// Conflicting HBs/HAWBs listed per held upload before "and N more"
+const MAX_CONFLICTS_LISTED = 5;
+
+function describeStatus({ online, syncing, operations }) {
+    const held = operations.filter(op => op.status !== 'pending').length;
+    const count = `${operations.length} change${operations.length === 1 ? '' : 's'}`;
+
+    if (held > 0) return { text: 'Sync paused - needs review', color: 'var(--danger)' };
+    if (!online) {
+        return operations.length > 0
+            ? { text: `Offline - ${count} queued`, color: 'var(--warning)' }
+            : { text: 'Offline', color: 'var(--warning)' };
+    }
+    if (syncing) return { text: `Syncing ${count}...`, color: 'var(--text-muted)' };
+    if (operations.length > 0) return { text: `${count} waiting to sync`, color: 'var(--warning)' };
+    return { text: 'All changes synced', color: 'var(--success)' };
+}
+
+function HeldOperation({ operation }) {
+    const isConflict = operation.status === 'conflict';
+
+    return (
+        <div style={{
+            marginTop: '8px',
+            padding: '8px',
+            background: 'var(--danger-bg)',
+            borderRadius: 'var(--radius-md)',
+            fontSize: '0.75rem'
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontWeight: '600' }}>
+                <AlertTriangle size={12} style={{ color: 'var(--danger)', flexShrink: 0 }} />
+                {operation.label}
+            </div>
+            {isConflict ? (
+                <p style={{ margin: '4px 0', color: 'var(--text-secondary)' }}>
+                    Changed by another upload since this was queued:{' '}
+                    {operation.conflicts.slice(0, MAX_CONFLICTS_LISTED).join(', ')}
+                    {operation.conflicts.length > MAX_CONFLICTS_LISTED
+                        && ` and ${operation.conflicts.length - MAX_CONFLICTS_LISTED} more`}
+                </p>
+            ) : (
+                <p style={{ margin: '4px 0', color: 'var(--text-secondary)' }}>{operation.error}</p>
+            )}
+            <div style={{ display: 'flex', gap: '6px' }}>
+                <button className="btn btn-sm btn-secondary" onClick={() => retryOperation(operation.id)}>
+                    {isConflict ? 'Upload Anyway' : 'Retry'}
+                </button>
+                <button className="btn btn-sm btn-ghost" onClick={() => discardOperation(operation.id)}>
+                    Discard
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default function SyncStatus() {
+    const status = useSyncExternalStore(subscribeToSyncStatus, getSyncStatus);
+    const { text, color } = describeStatus(status);
+    const heldOperations = status.operations.filter(op => op.status !== 'pending');
+    const canSync = status.online && !status.syncing && status.operations.length > 0
+        && heldOperations.length === 0;
+
+    return (
+        <div style={{ marginBottom: '12px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8125rem', color }}>
+                {status.online ? <Wifi size={14} /> : <WifiOff size={14} />}
+                <span style={{ flex: 1 }}>{text}</span>
+                {canSync && (
+                    <button className="btn btn-ghost btn-icon" title="Sync now" onClick={replayQueue}>
+                        <RefreshCw size={14} />
+                    </button>
+                )}
+            </div>
+            {heldOperations.map(operation => (
+                <HeldOperation key={operation.id} operation={operation} />
+            ))}
+        </div>
+    );
+}
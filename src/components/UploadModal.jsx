@@ -1,21 +1,41 @@
 /**
- * Upload Modal Component - CSV file upload with drag & drop
+ * Upload Modal Component - CSV / Excel file upload with drag & drop
+ * Excel workbooks are read with their real cell types, from a chosen sheet
+ * Every upload shows a row-level validation preview before anything is saved,
+ * with a warning when the same file (or the same set of rows) was already uploaded
+ * Files with missing required columns go through a column mapping step;
+ * mappings can be saved as named carrier profiles and are auto-applied next time
  */
 
 import { useState, useRef } from 'react';
 import { Upload, X, FileText, CheckCircle, AlertCircle } from 'lucide-react';
-import { parseCSV, validateColumns, cleanData, cleanAirData } from '../lib/csvUtils';
 import {
-    saveUpload, saveReportData, updateMasterList,
-    saveAirUpload, saveAirReportData
-} from '../lib/database';
+    parseCSV, isExcelFile, readExcelWorkbook, parseExcelSheet, validateColumns, cleanData, cleanAirData,
+    suggestColumnMapping, applyColumnMapping, findMatchingProfile, buildUploadPreview,
+    hashFile, hashRowSet
+} from '../lib/csvUtils';
+import {
+    ingestUpload, ingestAirUpload, findDuplicateUpload, findDuplicateAirUpload,
+    getColumnMappingProfiles, saveColumnMappingProfile
+} from '../lib/dataStore';
+import UploadPreview from './UploadPreview';
 
 export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean' }) {
     const [file, setFile] = useState(null);
+    // Excel only: the loaded workbook and the sheet to import
+    const [workbook, setWorkbook] = useState(null);
+    const [sheetName, setSheetName] = useState('');
     const [dragActive, setDragActive] = useState(false);
     const [uploading, setUploading] = useState(false);
     const [error, setError] = useState('');
     const [progress, setProgress] = useState({ step: '', detail: '' });
+    // Column mapping step: { headers, data, parseErrors, columns: { requiredCol: sourceHeader } }
+    const [mappingStep, setMappingStep] = useState(null);
+    const [profileName, setProfileName] = useState('');
+    const [saveProfile, setSaveProfile] = useState(true);
+    // Preview step: { rows, report, profileNote, profile, hashes, duplicate } - shown before the upload is committed
+    // profile is the { name, columns } mapping to save once the upload goes through
+    const [previewStep, setPreviewStep] = useState(null);
     const fileInputRef = useRef(null);
 
     const handleDrag = (e) => {
@@ -35,10 +55,10 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
         setError('');
 
         const droppedFile = e.dataTransfer.files[0];
-        if (droppedFile && droppedFile.name.endsWith('.csv')) {
-            setFile(droppedFile);
+        if (droppedFile && (droppedFile.name.endsWith('.csv') || isExcelFile(droppedFile))) {
+            selectFile(droppedFile);
         } else {
-            setError('Please upload a CSV file');
+            setError('Please upload a CSV or Excel file');
         }
     };
 
@@ -46,7 +66,123 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
         setError('');
         const selectedFile = e.target.files[0];
         if (selectedFile) {
-            setFile(selectedFile);
+            selectFile(selectedFile);
+        }
+    };
+
+    // Workbooks are read up front so the sheet can be picked before uploading
+    const selectFile = async (selectedFile) => {
+        setFile(selectedFile);
+        setWorkbook(null);
+        setSheetName('');
+
+        if (!isExcelFile(selectedFile)) return;
+
+        try {
+            const book = await readExcelWorkbook(selectedFile);
+            if (book.SheetNames.length === 0) {
+                throw new Error('Workbook has no sheets');
+            }
+            setWorkbook(book);
+            setSheetName(book.SheetNames[0]);
+        } catch (err) {
+            setFile(null);
+            setError(`Could not read Excel file: ${err.message}`);
+        }
+    };
+
+    // Steps 3-5: clean and save rows whose headers already match the required columns
+    const ingestRows = async (rows, profileNote = '', hashes = {}, profile = null) => {
+        // Step 3: Clean data (mode-aware)
+        setProgress({ step: 'Cleaning data...', detail: profileNote });
+        const cleanedData = mode === 'air'
+            ? cleanAirData(rows)
+            : cleanData(rows);
+
+        if (cleanedData.length === 0) {
+            throw new Error('No valid data rows found in file');
+        }
+
+        // Step 4: Save everything in one transaction (mode-aware): upload record, report data,
+        // master list and - for Ocean - the change log and removed items history.
+        // If any part fails nothing is saved and the error names the failing step.
+        setProgress({ step: 'Saving upload...', detail: `${cleanedData.length} rows` });
+        const result = mode === 'air'
+            ? await ingestAirUpload(file.name, cleanedData, hashes)
+            : await ingestUpload(file.name, cleanedData, hashes);
+
+        if (result.error) {
+            throw new Error(result.error);
+        }
+
+        const { uploadId, rowsInserted, itemsAdded, itemsUpdated, queued } = result;
+
+        // Step 5: Save the new mapping profile - only now that its upload has gone through
+        if (profile) {
+            setProgress({ step: 'Saving mapping profile...', detail: profile.name });
+            const saved = await saveColumnMappingProfile(profile.name, mode, profile.columns);
+            profileNote = saved
+                ? `saved profile "${saved.name}"`
+                : `mapping profile "${profile.name}" could not be saved`;
+        }
+
+        // Offline: kept in the sync queue and uploaded once the connection is back
+        setProgress(queued ? {
+            step: 'Saved offline',
+            detail: `${rowsInserted} rows will upload when the connection is back`
+        } : {
+            step: 'Complete!',
+            detail: `${rowsInserted} rows imported, ${itemsAdded} new items, ${itemsUpdated} updated`
+                + (profileNote ? ` (${profileNote})` : '')
+        });
+
+        // Success - wait a moment then close
+        setTimeout(() => {
+            onSuccess({
+                rowsInserted,
+                itemsAdded,
+                itemsUpdated,
+                uploadId: uploadId,
+                queued: !!queued
+            });
+            handleClose();
+        }, 1500);
+    };
+
+    // Rows are ready (headers match) - show the validation report and wait for the user
+    const showPreview = async (rows, parseErrors, profileNote = '', profile = null) => {
+        // Has this file, or the same set of rows, already been uploaded?
+        setProgress({ step: 'Checking for duplicate uploads...', detail: '' });
+        const cleanedData = mode === 'air' ? cleanAirData(rows) : cleanData(rows);
+        const hashes = {
+            contentHash: await hashFile(file),
+            rowSetHash: await hashRowSet(cleanedData, mode),
+        };
+        const duplicate = mode === 'air'
+            ? await findDuplicateAirUpload(hashes.contentHash, hashes.rowSetHash)
+            : await findDuplicateUpload(hashes.contentHash, hashes.rowSetHash);
+
+        setPreviewStep({
+            rows,
+            report: buildUploadPreview(rows, parseErrors, mode),
+            profileNote,
+            profile,
+            hashes,
+            duplicate,
+        });
+        setMappingStep(null);
+        setUploading(false);
+    };
+
+    const handleConfirmPreview = async () => {
+        setUploading(true);
+        setError('');
+
+        try {
+            await ingestRows(previewStep.rows, previewStep.profileNote, previewStep.hashes, previewStep.profile);
+        } catch (err) {
+            setError(err.message);
+            setUploading(false);
         }
     };
 
@@ -57,89 +193,113 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
         setError('');
 
         try {
-            // Step 1: Parse CSV
-            setProgress({ step: 'Parsing CSV...', detail: '' });
-            const results = await parseCSV(file);
+            // Step 1: Parse CSV, or the chosen sheet of an Excel workbook
+            let results;
+            if (workbook) {
+                setProgress({ step: 'Reading Excel sheet...', detail: sheetName });
+                results = await parseExcelSheet(workbook, sheetName);
+
+                if (results.errors.length > 0) {
+                    throw new Error(`Excel parsing error: ${results.errors[0].message}`);
+                }
+            } else {
+                setProgress({ step: 'Parsing CSV...', detail: '' });
+                results = await parseCSV(file);
 
-            if (results.errors.length > 0) {
-                throw new Error(`CSV parsing error: ${results.errors[0].message}`);
+                // Errors without a row (e.g. undetectable delimiter) mean the file can't be read at all;
+                // row-level errors are listed in the preview instead
+                const fatalError = results.errors.find(err => err.row === undefined);
+                if (fatalError) {
+                    throw new Error(`CSV parsing error: ${fatalError.message}`);
+                }
             }
+            const parseErrors = results.errors;
 
             // Step 2: Validate columns (mode-aware)
             setProgress({ step: 'Validating columns...', detail: '' });
-            const validation = validateColumns(results.meta.fields, mode);
+            const headers = results.meta.fields;
+            const validation = validateColumns(headers, mode);
 
-            if (!validation.isValid) {
-                throw new Error(validation.message);
+            if (validation.isValid) {
+                await showPreview(results.data, parseErrors);
+                return;
             }
 
-            // Step 3: Clean data (mode-aware)
-            setProgress({ step: 'Cleaning data...', detail: '' });
-            const cleanedData = mode === 'air'
-                ? cleanAirData(results.data)
-                : cleanData(results.data);
+            // Headers don't match - try the saved carrier profiles before asking
+            const profiles = await getColumnMappingProfiles(mode);
+            const profile = findMatchingProfile(profiles, headers, mode);
 
-            if (cleanedData.length === 0) {
-                throw new Error('No valid data rows found in CSV');
+            if (profile) {
+                const mapped = applyColumnMapping(results.data, headers, profile.mapping);
+                await showPreview(mapped.data, parseErrors, `mapped with profile "${profile.name}"`);
+                return;
             }
 
-            setProgress({ step: 'Saving upload...', detail: `${cleanedData.length} rows` });
+            // No profile fits - let the user map the missing columns
+            const columns = suggestColumnMapping(headers, validation.missingColumns);
+            const carrierHeader = mode === 'air' ? 'Carrier' : 'CARRIER';
+            const carrier = results.data[0]?.[columns[carrierHeader] || carrierHeader] || '';
 
-            // Step 4: Save upload record (mode-aware)
-            const uploadId = mode === 'air'
-                ? await saveAirUpload(file.name, cleanedData.length)
-                : await saveUpload(file.name, cleanedData.length);
-            if (!uploadId) {
-                throw new Error('Failed to save upload record');
-            }
-
-            // Step 5: Save report data (mode-aware)
-            setProgress({ step: 'Saving report data...', detail: '' });
-            const rowsInserted = mode === 'air'
-                ? await saveAirReportData(uploadId, cleanedData)
-                : await saveReportData(uploadId, cleanedData);
+            setMappingStep({
+                headers,
+                data: results.data,
+                parseErrors,
+                columns,
+            });
+            setProfileName(String(carrier).trim());
+            setUploading(false);
+        } catch (err) {
+            setError(err.message);
+            setUploading(false);
+        }
+    };
 
-            if (!rowsInserted) {
-                throw new Error('Failed to save report data');
-            }
+    const handleApplyMapping = async () => {
+        const unmapped = Object.keys(mappingStep.columns).filter(col => !mappingStep.columns[col]);
+        if (unmapped.length > 0) {
+            setError(`Select a source column for: ${unmapped.join(', ')}`);
+            return;
+        }
+        if (saveProfile && !profileName.trim()) {
+            setError('Enter a profile name or untick "Save as profile"');
+            return;
+        }
 
-            // Step 6: Update master list (Ocean mode only)
-            let itemsAdded = 0;
-            let itemsUpdated = 0;
+        setUploading(true);
+        setError('');
 
-            if (mode === 'ocean') {
-                setProgress({ step: 'Updating master list...', detail: '' });
-                const result = await updateMasterList(uploadId, cleanedData);
-                itemsAdded = result.itemsAdded;
-                itemsUpdated = result.itemsUpdated;
+        try {
+            const mapped = applyColumnMapping(mappingStep.data, mappingStep.headers, mappingStep.columns);
+            const validation = validateColumns(mapped.headers, mode);
+            if (!validation.isValid) {
+                throw new Error(validation.message);
             }
 
-            setProgress({
-                step: 'Complete!',
-                detail: `${rowsInserted} rows imported, ${itemsAdded} new items, ${itemsUpdated} updated`
-            });
-
-            // Success - wait a moment then close
-            setTimeout(() => {
-                onSuccess({
-                    rowsInserted,
-                    itemsAdded,
-                    itemsUpdated,
-                    uploadId: uploadId
-                });
-                handleClose();
-            }, 1500);
-
+            const profile = saveProfile ? { name: profileName.trim(), columns: mappingStep.columns } : null;
+            await showPreview(mapped.data, mappingStep.parseErrors, '', profile);
         } catch (err) {
             setError(err.message);
             setUploading(false);
         }
     };
 
+    const handleMappingChange = (requiredCol, sourceHeader) => {
+        setMappingStep(prev => ({
+            ...prev,
+            columns: { ...prev.columns, [requiredCol]: sourceHeader }
+        }));
+    };
+
     const handleClose = () => {
         setFile(null);
+        setWorkbook(null);
+        setSheetName('');
         setError('');
         setUploading(false);
+        setMappingStep(null);
+        setProfileName('');
+        setSaveProfile(true);
+        setPreviewStep(null);
         setProgress({ step: '', detail: '' });
         onClose();
     };
@@ -152,7 +312,7 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
                 <div className="modal-header">
                     <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
                         <Upload size={20} />
-                        Upload CSV File
+                        Upload CSV / Excel File
                     </h3>
                     <button className="btn btn-ghost btn-icon" onClick={handleClose}>
                         <X size={20} />
@@ -178,7 +338,62 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
                         </div>
                     )}
 
-                    {!uploading ? (
+                    {!uploading && previewStep ? (
+                        <UploadPreview
+                            filename={file.name}
+                            report={previewStep.report}
+                            duplicate={previewStep.duplicate}
+                        />
+                    ) : !uploading && mappingStep ? (
+                        <>
+                            <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginBottom: '12px' }}>
+                                <strong>{file.name}</strong> is missing some required columns.
+                                Pick the column in the file that holds each one.
+                            </p>
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', maxHeight: '300px', overflowY: 'auto' }}>
+                                {Object.keys(mappingStep.columns).map(requiredCol => (
+                                    <div
+                                        key={requiredCol}
+                                        style={{ display: 'flex', alignItems: 'center', gap: '12px' }}
+                                    >
+                                        <span style={{ width: '140px', flexShrink: 0, fontWeight: '500', fontSize: '0.875rem' }}>
+                                            {requiredCol}
+                                        </span>
+                                        <select
+                                            className="input select"
+                                            value={mappingStep.columns[requiredCol]}
+                                            onChange={(e) => handleMappingChange(requiredCol, e.target.value)}
+                                        >
+                                            <option value="">Select column...</option>
+                                            {mappingStep.headers.map(header => (
+                                                <option key={header} value={header}>{header}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                ))}
+                            </div>
+
+                            <div className="form-group" style={{ marginTop: '16px' }}>
+                                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={saveProfile}
+                                        onChange={(e) => setSaveProfile(e.target.checked)}
+                                    />
+                                    Save as profile (applied automatically to future uploads)
+                                </label>
+                                {saveProfile && (
+                                    <input
+                                        type="text"
+                                        className="input"
+                                        placeholder="Profile name, e.g. carrier"
+                                        value={profileName}
+                                        onChange={(e) => setProfileName(e.target.value)}
+                                    />
+                                )}
+                            </div>
+                        </>
+                    ) : !uploading ? (
                         <>
                             <div
                                 className={`drop-zone ${dragActive ? 'active' : ''}`}
@@ -191,7 +406,7 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
                                 <input
                                     ref={fileInputRef}
                                     type="file"
-                                    accept=".csv"
+                                    accept=".csv,.xlsx,.xls"
                                     onChange={handleFileSelect}
                                     style={{ display: 'none' }}
                                 />
@@ -210,7 +425,7 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
                                     <>
                                         <Upload size={48} style={{ color: 'var(--text-muted)', marginBottom: '16px' }} />
                                         <p style={{ fontWeight: '500', marginBottom: '8px' }}>
-                                            Drop your CSV file here
+                                            Drop your CSV or Excel file here
                                         </p>
                                         <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>
                                             or click to browse
@@ -219,6 +434,22 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
                                 )}
                             </div>
 
+                            {workbook && (
+                                <div className="form-group" style={{ marginTop: '16px' }}>
+                                    <label htmlFor="sheet-name">Sheet</label>
+                                    <select
+                                        id="sheet-name"
+                                        className="input select"
+                                        value={sheetName}
+                                        onChange={(e) => setSheetName(e.target.value)}
+                                    >
+                                        {workbook.SheetNames.map(name => (
+                                            <option key={name} value={name}>{name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
                             <div style={{
                                 marginTop: '16px',
                                 padding: '12px',
@@ -251,16 +482,48 @@ export default function UploadModal({ isOpen, onClose, onSuccess, mode = 'ocean'
 
                 {!uploading && (
                     <div className="modal-footer">
-                        <button className="btn btn-secondary" onClick={handleClose}>
-                            Cancel
-                        </button>
-                        <button
-                            className="btn btn-primary"
-                            onClick={handleUpload}
-                            disabled={!file}
-                        >
-                            Upload
-                        </button>
+                        {previewStep ? (
+                            <>
+                                <button className="btn btn-secondary" onClick={handleClose}>
+                                    {previewStep.duplicate ? 'Skip Upload' : 'Cancel'}
+                                </button>
+                                <button
+                                    className="btn btn-primary"
+                                    onClick={handleConfirmPreview}
+                                    disabled={previewStep.report.keptRows === 0}
+                                >
+                                    {previewStep.duplicate ? 'Upload Anyway' : 'Continue Upload'}
+                                </button>
+                            </>
+                        ) : mappingStep ? (
+                            <>
+                                <button
+                                    className="btn btn-secondary"
+                                    onClick={() => {
+                                        setMappingStep(null);
+                                        setError('');
+                                    }}
+                                >
+                                    Back
+                                </button>
+                                <button className="btn btn-primary" onClick={handleApplyMapping}>
+                                    Apply Mapping
+                                </button>
+                            </>
+                        ) : (
+                            <>
+                                <button className="btn btn-secondary" onClick={handleClose}>
+                                    Cancel
+                                </button>
+                                <button
+                                    className="btn btn-primary"
+                                    onClick={handleUpload}
+                                    disabled={!file || (isExcelFile(file) && !workbook)}
+                                >
+                                    Upload
+                                </button>
+                            </>
+                        )}
                     </div>
                 )}
             </div>
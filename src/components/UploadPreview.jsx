@@ -0,0 +1,141 @@
+/**
+ * Upload Preview Component - Row-level validation report shown before an upload is saved
+ * Lists parse errors, dropped rows, duplicate HB/HAWBs, unparseable dates and non-numeric values,
+ * and warns when the file was already uploaded
+ */
+
+import { AlertTriangle, Copy } from 'lucide-react';
+
+// Long files can have thousands of issues; only the first few are listed per section
+const MAX_LISTED = 50;
+
+function IssueSection({ title, items, renderItem }) {
+    if (items.length === 0) return null;
+
+    return (
+        <div style={{ marginTop: '16px' }}>
+            <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                fontWeight: '600',
+                fontSize: '0.875rem',
+                marginBottom: '6px'
+            }}>
+                <AlertTriangle size={14} style={{ color: 'var(--warning)' }} />
+                {title} ({items.length})
+            </div>
+            <ul style={{
+                margin: 0,
+                paddingLeft: '20px',
+                fontSize: '0.8125rem',
+                color: 'var(--text-secondary)',
+                maxHeight: '140px',
+                overflowY: 'auto'
+            }}>
+                {items.slice(0, MAX_LISTED).map((item, idx) => (
+                    <li key={idx}>{renderItem(item)}</li>
+                ))}
+                {items.length > MAX_LISTED && (
+                    <li style={{ color: 'var(--text-muted)' }}>
+                        ...and {items.length - MAX_LISTED} more
+                    </li>
+                )}
+            </ul>
+        </div>
+    );
+}
+
+export default function UploadPreview({ filename, report, duplicate }) {
+    const issueCount = report.parseErrors.length + report.dropped.length + report.duplicates.length
+        + report.badDates.length + report.badNumbers.length;
+
+    const stats = [
+        { label: 'Rows in file', value: report.totalRows },
+        { label: 'Will import', value: report.keptRows },
+        { label: 'Dropped', value: report.dropped.length },
+        { label: `Duplicate ${report.keyColumn}s`, value: report.duplicates.length },
+    ];
+
+    return (
+        <>
+            <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginBottom: '12px' }}>
+                Review <strong>{filename}</strong> before it is saved.
+            </p>
+
+            {duplicate && (
+                <div style={{
+                    background: 'var(--warning-bg)',
+                    border: '1px solid var(--warning)',
+                    borderRadius: 'var(--radius-md)',
+                    padding: '12px',
+                    marginBottom: '12px',
+                    display: 'flex',
+                    alignItems: 'flex-start',
+                    gap: '8px',
+                    color: 'var(--warning)',
+                    fontSize: '0.875rem'
+                }}>
+                    <Copy size={18} style={{ flexShrink: 0, marginTop: '2px' }} />
+                    <span>
+                        {duplicate.match === 'identical'
+                            ? 'This exact file was already uploaded'
+                            : 'A file with the same rows was already uploaded'}
+                        {' '}as <strong>{duplicate.upload.filename}</strong> on{' '}
+                        {new Date(duplicate.upload.upload_date).toLocaleString()}.
+                        Uploading it again adds a duplicate to the history.
+                    </span>
+                </div>
+            )}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px' }}>
+                {stats.map(stat => (
+                    <div
+                        key={stat.label}
+                        style={{
+                            padding: '10px',
+                            background: 'var(--bg-glass)',
+                            borderRadius: 'var(--radius-md)',
+                            textAlign: 'center'
+                        }}
+                    >
+                        <div style={{ fontSize: '1.25rem', fontWeight: '700' }}>{stat.value}</div>
+                        <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>{stat.label}</div>
+                    </div>
+                ))}
+            </div>
+
+            {issueCount === 0 && (
+                <p style={{ marginTop: '16px', fontSize: '0.875rem', color: 'var(--success)' }}>
+                    No problems found.
+                </p>
+            )}
+
+            <IssueSection
+                title="Parse errors"
+                items={report.parseErrors}
+                renderItem={err => err.row ? `Row ${err.row}: ${err.message}` : err.message}
+            />
+            <IssueSection
+                title="Rows that will be dropped"
+                items={report.dropped}
+                renderItem={item => `Row ${item.row}: ${item.reason}`}
+            />
+            <IssueSection
+                title={`Duplicate ${report.keyColumn}s in this file`}
+                items={report.duplicates}
+                renderItem={dup => `${dup.value} - rows ${dup.rows.join(', ')}`}
+            />
+            <IssueSection
+                title="Unparseable dates"
+                items={report.badDates}
+                renderItem={item => `Row ${item.row}: ${item.column} "${item.value}"`}
+            />
+            <IssueSection
+                title="Non-numeric values"
+                items={report.badNumbers}
+                renderItem={item => `Row ${item.row}: ${item.column} "${item.value}"`}
+            />
+        </>
+    );
+}
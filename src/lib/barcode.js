@@ -0,0 +1,60 @@
+/**
+ * Barcodes - Code 128 for HBs / HAWBs and MBLs / MAWBs on dock tally sheets
+ * Encoded in the browser by JsBarcode (no external service). Its object renderer needs no DOM,
+ * so the PDF worker (dockTallyPdf.js) and the HTML preview (DockTallyReport.jsx) share this.
+ */
+
+import JsBarcode from 'jsbarcode';
+
+// Blank modules either side, so scanners can find where the code starts and ends
+export const QUIET_ZONE = 10;
+
+/**
+ * Code 128 modules for a value, '1' for bar and '0' for space
+ * @returns {string|null} null for blank values or characters Code 128 can't carry
+ */
+export function encodeCode128(value) {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    const target = {};
+    let isValid = true;
+    // Invalid input is reported through `valid` rather than thrown
+    JsBarcode(target, text, { format: 'CODE128', valid: (valid) => { isValid = valid; } });
+    if (!isValid || !target.encodings) return null;
+
+    return target.encodings.map(encoding => encoding.data).join('');
+}
+
+/**
+ * Bars as { start, width } in modules from the first module (quiet zone not included)
+ */
+export function getBars(modules) {
+    const bars = [];
+    for (let i = 0; i < modules.length; i++) {
+        if (modules[i] !== '1') continue;
+        if (i > 0 && modules[i - 1] === '1') {
+            bars[bars.length - 1].width++;
+        } else {
+            bars.push({ start: i, width: 1 });
+        }
+    }
+    return bars;
+}
+
+/**
+ * Inline SVG barcode for the HTML preview and Print, or '' when the value can't be encoded
+ * @param {Object} options - { height, moduleWidth } in px; narrow cells squeeze it to fit
+ */
+export function barcodeSvg(value, { height = 28, moduleWidth = 1.5 } = {}) {
+    const modules = encodeCode128(value);
+    if (!modules) return '';
+
+    const total = modules.length + QUIET_ZONE * 2;
+    const rects = getBars(modules)
+        .map(bar => `<rect x="${bar.start + QUIET_ZONE}" y="0" width="${bar.width}" height="${height}"/>`)
+        .join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${height}" width="${total * moduleWidth}" height="${height}" `
+        + `preserveAspectRatio="none" shape-rendering="crispEdges" style="display: block; max-width: 100%;">${rects}</svg>`;
+}
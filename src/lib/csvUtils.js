@@ -1,5 +1,6 @@
 /**
  * CSV Processing Utilities
+ * Excel workbooks are read into the same row shape as parsed CSVs
  */
 
 import Papa from 'papaparse';
@@ -37,6 +38,107 @@ export function parseCSV(file) {
     });
 }
 
+/**
+ * Check whether a file is an Excel workbook (.xlsx / .xls)
+ * @param {File} file - Selected file
+ * @returns {boolean}
+ */
+export function isExcelFile(file) {
+    return /\.xlsx?$/i.test(file?.name || '');
+}
+
+/**
+ * Read an Excel workbook (SheetJS is loaded on demand to keep it out of the main bundle)
+ * @param {File} file - The .xlsx / .xls file
+ * @returns {Promise<Object>} Workbook; sheet names are in workbook.SheetNames
+ */
+export async function readExcelWorkbook(file) {
+    const XLSX = await import('xlsx');
+    const buffer = await file.arrayBuffer();
+    // cellNF keeps each cell's number format so date cells can be told apart from numbers
+    return XLSX.read(buffer, { type: 'array', cellNF: true });
+}
+
+/**
+ * Convert a worksheet cell to the string the CSV export would have held,
+ * using the cell's real type instead of its displayed text
+ * (large HBs stay whole numbers, date cells become MM/DD/YYYY)
+ */
+function excelCellToString(cell, SSF) {
+    if (!cell || cell.v === null || cell.v === undefined) return '';
+
+    if (cell.t === 'n' && cell.z && SSF.is_date(cell.z)) {
+        const date = SSF.parse_date_code(cell.v);
+        const pad = (n) => String(n).padStart(2, '0');
+        // Serials below 1 are time-only cells (e.g. ETA TIME)
+        if (cell.v < 1) {
+            return `${pad(date.H)}:${pad(date.M)}`;
+        }
+        return `${pad(date.m)}/${pad(date.d)}/${date.y}`;
+    }
+
+    if (cell.t === 'n') {
+        // Avoid exponent notation for long numeric bill numbers
+        return Number.isInteger(cell.v)
+            ? cell.v.toLocaleString('fullwide', { useGrouping: false })
+            : String(cell.v);
+    }
+
+    if (cell.t === 'b') return cell.v ? 'TRUE' : 'FALSE';
+    if (cell.t === 'e') return '';
+
+    return String(cell.v);
+}
+
+/**
+ * Parse one sheet of a workbook into the same shape parseCSV returns,
+ * so the rest of the upload pipeline (validate / clean) is unchanged
+ * @param {Object} workbook - Workbook from readExcelWorkbook
+ * @param {string} sheetName - Sheet to read
+ * @returns {Promise<{data: Array, errors: Array, meta: Object}>}
+ */
+export async function parseExcelSheet(workbook, sheetName) {
+    const XLSX = await import('xlsx');
+    const sheet = workbook.Sheets[sheetName];
+
+    if (!sheet || !sheet['!ref']) {
+        return { data: [], errors: [{ message: `Sheet "${sheetName}" is empty` }], meta: { fields: [] } };
+    }
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const cellAt = (r, c) => sheet[XLSX.utils.encode_cell({ r, c })];
+
+    // First row holds the headers
+    const columns = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+        const header = excelCellToString(cellAt(range.s.r, c), XLSX.SSF);
+        if (header !== '') {
+            columns.push({ c, header });
+        }
+    }
+
+    const data = [];
+    for (let r = range.s.r + 1; r <= range.e.r; r++) {
+        const row = {};
+        let hasValue = false;
+        for (const { c, header } of columns) {
+            const value = excelCellToString(cellAt(r, c), XLSX.SSF);
+            row[header] = value;
+            if (value !== '') hasValue = true;
+        }
+        // Match parseCSV's skipEmptyLines
+        if (hasValue) {
+            data.push(row);
+        }
+    }
+
+    return {
+        data,
+        errors: [],
+        meta: { fields: columns.map(col => col.header) }
+    };
+}
+
 /**
  * Validate CSV has all required columns
  * @param {Array} headers - Column headers from CSV
@@ -62,6 +164,72 @@ export function validateColumns(headers, mode = 'ocean') {
     };
 }
 
+/**
+ * Normalize a header for loose matching ("SEAL#" / "Seal #" -> "seal")
+ * @param {string} header - Column header
+ * @returns {string} Lowercase header with only letters and digits
+ */
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Suggest a source header for each missing required column
+ * Matches headers that only differ by case, spacing or punctuation
+ * @param {Array} headers - Column headers from CSV
+ * @param {Array} missingColumns - Required columns not found in headers
+ * @returns {Object} Mapping of required column -> source header ('' when no match)
+ */
+export function suggestColumnMapping(headers, missingColumns) {
+    const mapping = {};
+    for (const col of missingColumns) {
+        const match = headers.find(header => normalizeHeader(header) === normalizeHeader(col));
+        mapping[col] = match || '';
+    }
+    return mapping;
+}
+
+/**
+ * Rename source headers to required column names
+ * @param {Array} data - Raw CSV data rows
+ * @param {Array} headers - Column headers from CSV
+ * @param {Object} mapping - Required column -> source header
+ * @returns {{data: Array, headers: Array}} Rows and headers using the required names
+ */
+export function applyColumnMapping(data, headers, mapping) {
+    const renames = {};
+    for (const [requiredCol, sourceHeader] of Object.entries(mapping)) {
+        if (sourceHeader && headers.includes(sourceHeader)) {
+            renames[sourceHeader] = requiredCol;
+        }
+    }
+
+    return {
+        data: data.map(row => {
+            const mapped = {};
+            for (const key of Object.keys(row)) {
+                mapped[renames[key] || key] = row[key];
+            }
+            return mapped;
+        }),
+        headers: headers.map(header => renames[header] || header),
+    };
+}
+
+/**
+ * Find the first saved mapping profile that makes these headers valid
+ * @param {Array} profiles - Saved profiles ({ name, mapping })
+ * @param {Array} headers - Column headers from CSV
+ * @param {string} mode - 'ocean' or 'air'
+ * @returns {Object|null} The matching profile
+ */
+export function findMatchingProfile(profiles, headers, mode = 'ocean') {
+    return profiles.find(profile => {
+        const mapped = applyColumnMapping([], headers, profile.mapping || {});
+        return validateColumns(mapped.headers, mode).isValid;
+    }) || null;
+}
+
 /**
  * Convert Excel serial date to readable date string
  * Excel stores dates as numbers (days since 1900-01-01)
@@ -99,43 +267,47 @@ export function convertExcelDate(value) {
  */
 export function cleanData(data) {
     return data
-        .map(row => {
-            const cleaned = {};
+        .map(cleanOceanRow)
+        // Only remove rows that are completely empty (no data in any important field)
+        .filter(hasOceanIdentifier);
+}
 
-            for (const key of Object.keys(row)) {
-                let value = row[key];
+function cleanOceanRow(row) {
+    const cleaned = {};
+
+    for (const key of Object.keys(row)) {
+        let value = row[key];
 
-                // Trim whitespace from string values
-                if (typeof value === 'string') {
-                    value = value.trim();
-                }
+        // Trim whitespace from string values
+        if (typeof value === 'string') {
+            value = value.trim();
+        }
 
-                // Normalize HB column (handle scientific notation)
-                if (key === 'HB') {
-                    value = normalizeHB(value);
-                }
+        // Normalize HB column (handle scientific notation)
+        if (key === 'HB') {
+            value = normalizeHB(value);
+        }
 
-                // Convert Excel date columns to readable dates
-                if (key === 'FRL' || key === 'TDF') {
-                    value = convertExcelDate(value);
-                }
+        // Convert Excel date columns to readable dates
+        if (key === 'FRL' || key === 'TDF') {
+            value = convertExcelDate(value);
+        }
 
-                cleaned[key] = value;
-            }
+        cleaned[key] = value;
+    }
 
-            return cleaned;
-        })
-        // Only remove rows that are completely empty (no data in any important field)
-        .filter(row => {
-            const container = row['CONTAINER'];
-            const hb = row['HB'];
-            const mbl = row['MBL'];
-            // Keep row if it has a container OR an HB OR an MBL
-            const hasContainer = container && container !== '' && container.toLowerCase() !== 'nan';
-            const hasHB = hb && hb !== '' && hb.toLowerCase() !== 'nan';
-            const hasMBL = mbl && mbl !== '' && mbl.toLowerCase() !== 'nan';
-            return hasContainer || hasHB || hasMBL;
-        });
+    return cleaned;
+}
+
+// Keep row if it has a container OR an HB OR an MBL
+function hasOceanIdentifier(row) {
+    const container = row['CONTAINER'];
+    const hb = row['HB'];
+    const mbl = row['MBL'];
+    const hasContainer = container && container !== '' && container.toLowerCase() !== 'nan';
+    const hasHB = hb && hb !== '' && hb.toLowerCase() !== 'nan';
+    const hasMBL = mbl && mbl !== '' && mbl.toLowerCase() !== 'nan';
+    return hasContainer || hasHB || hasMBL;
 }
 
 /**
@@ -246,6 +418,24 @@ export const DISPLAY_COLUMNS = [
     { key: 'tdf', label: 'TDF' },
 ];
 
+/**
+ * Display column names for the Removed History table
+ * Same as DISPLAY_COLUMNS, led by when the HB was last seen and when it vanished
+ */
+export const REMOVED_HISTORY_COLUMNS = [
+    { key: 'removed_at_date', label: 'REMOVED ON', type: 'datetime' },
+    { key: 'last_seen_date', label: 'LAST SEEN', type: 'datetime' },
+    ...DISPLAY_COLUMNS,
+];
+
+/**
+ * Display column names for field-changed rows when comparing two uploads
+ */
+export const CHANGED_ITEMS_COLUMNS = [
+    { key: 'changed_fields', label: 'CHANGED' },
+    ...DISPLAY_COLUMNS,
+];
+
 /**
  * Air Column Mapping
  */
@@ -299,33 +489,179 @@ export const AIR_DISPLAY_COLUMNS = [
  */
 export function cleanAirData(data) {
     return data
-        .map(row => {
-            const cleaned = {};
+        .map(cleanAirRow)
+        .filter(hasAirIdentifier);
+}
 
-            for (const key of Object.keys(row)) {
-                let value = row[key];
+function cleanAirRow(row) {
+    const cleaned = {};
 
-                // Trim whitespace from string values
-                if (typeof value === 'string') {
-                    value = value.trim();
-                }
+    for (const key of Object.keys(row)) {
+        let value = row[key];
 
-                // Normalize HAWB column (handle scientific notation)
-                if (key === 'HAWB') {
-                    value = normalizeHB(value);
-                }
+        // Trim whitespace from string values
+        if (typeof value === 'string') {
+            value = value.trim();
+        }
 
-                cleaned[key] = value;
+        // Normalize HAWB column (handle scientific notation)
+        if (key === 'HAWB') {
+            value = normalizeHB(value);
+        }
+
+        cleaned[key] = value;
+    }
+
+    return cleaned;
+}
+
+// Keep row if it has a MAWB or HAWB
+function hasAirIdentifier(row) {
+    const mawb = row['MAWB'];
+    const hawb = row['HAWB'];
+    const hasMAWB = mawb && mawb !== '' && mawb.toLowerCase() !== 'nan';
+    const hasHAWB = hawb && hawb !== '' && hawb.toLowerCase() !== 'nan';
+    return hasMAWB || hasHAWB;
+}
+
+/**
+ * DUPLICATE FILE DETECTION
+ * Hashes stored on each upload so the same report isn't ingested twice
+ */
+
+async function sha256Hex(data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Hash the raw file bytes (identical file)
+ * @param {File} file - Uploaded file
+ * @returns {Promise<string>} Hex SHA-256
+ */
+export async function hashFile(file) {
+    return sha256Hex(await file.arrayBuffer());
+}
+
+/**
+ * Hash the cleaned rows independent of their order, column order or file format
+ * (same row set, e.g. a re-export of the same report or the CSV of an uploaded workbook)
+ * @param {Array} cleanedRows - Rows from cleanData / cleanAirData
+ * @param {string} mode - 'ocean' or 'air'
+ * @returns {Promise<string>} Hex SHA-256
+ */
+export async function hashRowSet(cleanedRows, mode = 'ocean') {
+    const columns = mode === 'air' ? AIR_REQUIRED_COLUMNS : REQUIRED_COLUMNS;
+    const lines = cleanedRows
+        .map(row => JSON.stringify(columns.map(col => String(row[col] ?? ''))))
+        .sort();
+    return sha256Hex(lines.join('\n'));
+}
+
+/**
+ * UPLOAD PREVIEW
+ * Row-level checks run on the parsed file before anything is written
+ */
+
+const PREVIEW_RULES = {
+    ocean: {
+        clean: cleanOceanRow,
+        isKept: hasOceanIdentifier,
+        dropReason: 'No CONTAINER, HB or MBL',
+        keyColumn: 'HB',
+        dateColumns: ['FRL', 'TDF'],
+        numericColumns: ['PCS', 'WT_LBS'],
+    },
+    air: {
+        clean: cleanAirRow,
+        isKept: hasAirIdentifier,
+        dropReason: 'No MAWB or HAWB',
+        keyColumn: 'HAWB',
+        dateColumns: ['ETA', 'Flt Date'],
+        numericColumns: ['QTY', 'WEIGHT'],
+    },
+};
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === ''
+        || String(value).toLowerCase() === 'nan';
+}
+
+function isParseableDate(value) {
+    const str = String(value).trim();
+    if (/^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(str)) {
+        const [month, day] = str.split('/').map(Number);
+        return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+    }
+    return !isNaN(Date.parse(str));
+}
+
+function isNumeric(value) {
+    const str = String(value).trim().replace(/,/g, '');
+    return str !== '' && isFinite(Number(str));
+}
+
+/**
+ * Build the validation report shown before an upload is committed
+ * Row numbers are 1-based data rows (the header row is not counted)
+ * @param {Array} data - Parsed rows (required column names already applied)
+ * @param {Array} parseErrors - Errors from parseCSV / parseExcelSheet
+ * @param {string} mode - 'ocean' or 'air'
+ * @returns {{totalRows: number, keptRows: number, keyColumn: string,
+ *   parseErrors: Array<{row, message}>, dropped: Array<{row, reason}>,
+ *   duplicates: Array<{value, rows}>, badDates: Array<{row, column, value}>,
+ *   badNumbers: Array<{row, column, value}>}}
+ */
+export function buildUploadPreview(data, parseErrors = [], mode = 'ocean') {
+    const rules = PREVIEW_RULES[mode] || PREVIEW_RULES.ocean;
+    const dropped = [];
+    const badDates = [];
+    const badNumbers = [];
+    const keyRows = {};
+
+    data.forEach((raw, index) => {
+        const rowNumber = index + 1;
+        const row = rules.clean(raw);
+
+        if (!rules.isKept(row)) {
+            dropped.push({ row: rowNumber, reason: rules.dropReason });
+            return;
+        }
+
+        const key = row[rules.keyColumn];
+        if (!isBlank(key)) {
+            (keyRows[key] = keyRows[key] || []).push(rowNumber);
+        }
+
+        for (const column of rules.dateColumns) {
+            if (!isBlank(row[column]) && !isParseableDate(row[column])) {
+                badDates.push({ row: rowNumber, column, value: row[column] });
             }
+        }
 
-            return cleaned;
-        })
-        // Keep row if it has a MAWB or HAWB
-        .filter(row => {
-            const mawb = row['MAWB'];
-            const hawb = row['HAWB'];
-            const hasMAWB = mawb && mawb !== '' && mawb.toLowerCase() !== 'nan';
-            const hasHAWB = hawb && hawb !== '' && hawb.toLowerCase() !== 'nan';
-            return hasMAWB || hasHAWB;
-        });
+        for (const column of rules.numericColumns) {
+            if (!isBlank(row[column]) && !isNumeric(row[column])) {
+                badNumbers.push({ row: rowNumber, column, value: row[column] });
+            }
+        }
+    });
+
+    return {
+        totalRows: data.length,
+        keptRows: data.length - dropped.length,
+        keyColumn: rules.keyColumn,
+        parseErrors: parseErrors.map(err => ({
+            row: err.row !== undefined ? err.row + 1 : null,
+            message: err.message
+        })),
+        dropped,
+        duplicates: Object.entries(keyRows)
+            .filter(([, rows]) => rows.length > 1)
+            .map(([value, rows]) => ({ value, rows })),
+        badDates,
+        badNumbers,
+    };
 }
@@ -0,0 +1,98 @@
+/**
+ * Data Store - Picks the data backend the app talks to
+ * 'supabase' (default) or 'local' (browser storage, works offline). The choice comes from
+ * the Sidebar toggle, saved in localStorage, falling back to VITE_DATA_BACKEND.
+ * Both backends export the same functions; components import them from here.
+ * Supabase writes made while offline are queued and replayed by syncQueue.js.
+ */
+
+import * as supabaseBackend from './database';
+import * as localBackend from './localDatabase';
+import { withOfflineQueue } from './syncQueue';
+
+const BACKEND_STORAGE_KEY = 'csvdock_data_backend';
+
+export const DATA_BACKENDS = ['supabase', 'local'];
+
+export function getBackendName() {
+    const saved = localStorage.getItem(BACKEND_STORAGE_KEY);
+    if (DATA_BACKENDS.includes(saved)) return saved;
+
+    const configured = import.meta.env.VITE_DATA_BACKEND;
+    return DATA_BACKENDS.includes(configured) ? configured : 'supabase';
+}
+
+/**
+ * Save the backend choice; takes effect on the next page load
+ */
+export function setBackendName(name) {
+    localStorage.setItem(BACKEND_STORAGE_KEY, name);
+}
+
+export function isLocalBackend() {
+    return getBackendName() === 'local';
+}
+
+// Chosen once at load so every component sees the same backend
+const backend = getBackendName() === 'local' ? localBackend : withOfflineQueue(supabaseBackend);
+
+export const {
+    getAllUploads,
+    findDuplicateUpload,
+    deleteUpload,
+    cleanupOrphanedMasterListItems,
+    getReportData,
+    getReportDataPage,
+    getDuplicateBills,
+    getMasterListChanges,
+    getMasterListData,
+    getMasterListPage,
+    findMasterListRows,
+    getMasterListMetrics,
+    getLatestUploadId,
+    getMasterListNewItems,
+    getMasterListUpdatedItems,
+    getMasterListNewFrl,
+    getUploadDiff,
+    detectNewlyFrld,
+    getNewlyFrldData,
+    detectNewItems,
+    detectRemovedItems,
+    getNewItemsData,
+    getRemovedItemsData,
+    getChangedItemsData,
+    detectChangedItems,
+    getRemovedItemsHistory,
+    getHbLifecycle,
+    ingestUpload,
+    ingestAirUpload,
+    getColumnMappingProfiles,
+    saveColumnMappingProfile,
+    getSavedViews,
+    saveSavedView,
+    deleteSavedView,
+    getDockTallyTemplates,
+    saveDockTallyTemplate,
+    deleteDockTallyTemplate,
+    getDockTallyEntries,
+    saveDockTallyEntries,
+    getDataGroupedByMBL,
+    // Air functions
+    getAllAirUploads,
+    findDuplicateAirUpload,
+    deleteAirUpload,
+    getAirReportData,
+    getAirReportDataPage,
+    getAirDuplicateBills,
+    getAirHawbLifecycle,
+    getAirMasterListData,
+    getAirMasterListPage,
+    findAirMasterListRows,
+    getAirMasterListMetrics,
+    getLatestAirUploadId,
+    getAirMasterListNewItems,
+    getAirMasterListUpdatedItems,
+    cleanupOrphanedAirMasterListItems,
+    getAirDockTallyEntries,
+    saveAirDockTallyEntries,
+} = backend;
@@ -3,40 +3,63 @@
  */
 
 import { supabase } from './supabase';
+import {
+    TRACKED_FIELDS, AIR_TRACKED_FIELDS, normalizeHB,
+    getChangedFields, toReportRow, toAirReportRow, planMasterListChanges,
+    planAirMasterListChanges, buildLifecycle, groupRowsByMBL, SEARCH_COLUMNS, AIR_SEARCH_COLUMNS,
+    getActiveConditions, BULK_LOOKUP_COLUMNS, AIR_BULK_LOOKUP_COLUMNS
+} from './reportLogic';
+
+// Same rules everywhere: 'with_frl' / 'without_frl' (or the Air LOG equivalents) on a column
+function filterByValue(query, column, filter, withKey, withoutKey) {
+    if (filter === withKey) return query.not(column, 'is', null).neq(column, '');
+    if (filter === withoutKey) return query.or(`${column}.is.null,${column}.eq.`);
+    return query;
+}
 
 /**
  * UPLOADS TABLE OPERATIONS
  */
 
-export async function saveUpload(filename, rowCount) {
+export async function getAllUploads() {
     const { data, error } = await supabase
         .from('uploads')
-        .insert({
-            filename,
-            row_count: rowCount,
-            upload_date: new Date().toISOString(),
-        })
-        .select()
-        .single();
+        .select('*')
+        .order('upload_date', { ascending: false });
 
     if (error) {
-        console.error('Error saving upload:', error);
-        return null;
+        console.error('Error getting uploads:', error);
+        return [];
     }
     return data;
 }
 
-export async function getAllUploads() {
+/**
+ * Find the most recent upload with the same file bytes or the same row set
+ * @returns {Promise<{upload: Object, match: 'identical'|'same_rows'}|null>}
+ */
+async function findUploadByHashes(table, contentHash, rowSetHash) {
     const { data, error } = await supabase
-        .from('uploads')
-        .select('*')
+        .from(table)
+        .select('id, filename, upload_date, row_count, content_hash, row_set_hash')
+        .or(`content_hash.eq.${contentHash},row_set_hash.eq.${rowSetHash}`)
         .order('upload_date', { ascending: false });
 
     if (error) {
-        console.error('Error getting uploads:', error);
-        return [];
+        console.error(`Error checking ${table} for duplicates:`, error);
+        return null;
     }
-    return data;
+    if (!data || data.length === 0) return null;
+
+    // An identical file is the stronger match, even if an older upload
+    const identical = data.find(upload => upload.content_hash === contentHash);
+    return identical
+        ? { upload: identical, match: 'identical' }
+        : { upload: data[0], match: 'same_rows' };
+}
+
+export async function findDuplicateUpload(contentHash, rowSetHash) {
+    return findUploadByHashes('uploads', contentHash, rowSetHash);
 }
 
 export async function deleteUpload(uploadId) {
@@ -111,40 +134,6 @@ export async function cleanupOrphanedMasterListItems() {
  * REPORT DATA OPERATIONS
  */
 
-export async function saveReportData(uploadId, rows) {
-    const dataToInsert = rows.map(row => ({
-        upload_id: uploadId,
-        container: row['CONTAINER'] || null,
-        seal_number: row['SEAL #'] || null,
-        carrier: row['CARRIER'] || null,
-        mbl: row['MBL'] || null,
-        mi: row['MI'] || null,
-        vessel: row['VESSEL'] || null,
-        hb: normalizeHB(row['HB']),
-        outer_quantity: row['OUTER QUANTITY'] || null,
-        pcs: row['PCS'] || null,
-        wt_lbs: row['WT_LBS'] || null,
-        cnee: row['CNEE'] || null,
-        frl: row['FRL'] || null,
-        file_no: row['FILE_NO'] || null,
-        dest: row['DEST'] || null,
-        volume: row['VOLUME'] || null,
-        vbond: row['VBOND#'] || null,
-        tdf: row['TDF'] || null,
-    }));
-
-    const { data, error } = await supabase
-        .from('report_data')
-        .insert(dataToInsert)
-        .select();
-
-    if (error) {
-        console.error('Error saving report data:', error);
-        return null;
-    }
-    return data.length;
-}
-
 export async function getReportData(uploadId, filter = 'all') {
     // Fetch data in batches to avoid any row limits
     const BATCH_SIZE = 1000;
@@ -160,11 +149,7 @@ export async function getReportData(uploadId, filter = 'all') {
             .order('id', { ascending: true })
             .range(start, start + BATCH_SIZE - 1);
 
-        if (filter === 'with_frl') {
-            query = query.not('frl', 'is', null).neq('frl', '');
-        } else if (filter === 'without_frl') {
-            query = query.or('frl.is.null,frl.eq.');
-        }
+        query = filterByValue(query, 'frl', filter, 'with_frl', 'without_frl');
 
         const { data, error } = await query;
 
@@ -192,104 +177,81 @@ export async function getReportData(uploadId, filter = 'all') {
  * MASTER LIST OPERATIONS
  */
 
-export async function updateMasterList(uploadId, rows) {
-    let itemsAdded = 0;
-    let itemsUpdated = 0;
-
-    // Extract all HBs from the upload
-    const hbsToCheck = rows.map(row => normalizeHB(row['HB'])).filter(hb => hb);
+/**
+ * Read rows matching a list of keys, a chunk of keys per request (keeps the request URL short)
+ * Each chunk is paged in 1000s: keys like MBL or container match many rows each
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function readRowsByKeys(table, column, keys, columns = '*') {
+    const CHUNK_SIZE = 200;
+    const BATCH_SIZE = 1000;
+    let allData = [];
 
-    if (hbsToCheck.length === 0) {
-        return { itemsAdded: 0, itemsUpdated: 0 };
+    for (let i = 0; i < keys.length; i += CHUNK_SIZE) {
+        let start = 0;
+        let hasMore = true;
+
+        while (hasMore) {
+            const { data, error } = await supabase
+                .from(table)
+                .select(columns)
+                .in(column, keys.slice(i, i + CHUNK_SIZE))
+                .order('id', { ascending: true })
+                .range(start, start + BATCH_SIZE - 1);
+
+            if (error) {
+                console.error(`Error reading ${table}:`, error);
+                return { data: null, error };
+            }
+            allData = allData.concat(data);
+            hasMore = data.length === BATCH_SIZE;
+            start += BATCH_SIZE;
+        }
     }
 
-    // Fetch all existing master list items in ONE query
-    const { data: existingItems } = await supabase
-        .from('master_list')
-        .select('id, hb, frl, tdf, vbond')
-        .in('hb', hbsToCheck);
-
-    // Create a map for quick lookup
-    const existingMap = new Map();
-    if (existingItems) {
-        existingItems.forEach(item => {
-            existingMap.set(item.hb, item);
-        });
-    }
+    return { data: allData, error: null };
+}
 
-    // Separate items into new vs updates
-    const itemsToInsert = [];
-    const itemsToUpdate = [];
-
-    for (const row of rows) {
-        const hb = normalizeHB(row['HB']);
-        if (!hb) continue;
-
-        const itemData = {
-            container: row['CONTAINER'] || null,
-            seal_number: row['SEAL #'] || null,
-            carrier: row['CARRIER'] || null,
-            mbl: row['MBL'] || null,
-            mi: row['MI'] || null,
-            vessel: row['VESSEL'] || null,
-            hb: hb,
-            outer_quantity: row['OUTER QUANTITY'] || null,
-            pcs: row['PCS'] || null,
-            wt_lbs: row['WT_LBS'] || null,
-            cnee: row['CNEE'] || null,
-            frl: row['FRL'] || null,
-            file_no: row['FILE_NO'] || null,
-            dest: row['DEST'] || null,
-            volume: row['VOLUME'] || null,
-            vbond: row['VBOND#'] || null,
-            tdf: row['TDF'] || null,
-            last_updated_upload_id: uploadId,
-            updated_at: new Date().toISOString(),
-        };
+/**
+ * @returns {Promise<Array|null>} null on error
+ */
+async function getRowsByKeys(table, column, keys, columns = '*') {
+    const { data } = await readRowsByKeys(table, column, keys, columns);
+    return data;
+}
 
-        const existing = existingMap.get(hb);
+/**
+ * Work out which master list items an upload adds or changes, without writing anything
+ * Upload ids and timestamps are stamped on by whoever writes the plan
+ * @returns {Promise<{itemsToInsert: Array, itemsToUpdate: Array, changesToInsert: Array}|{error: Object}>}
+ *   error is the failed read of the existing master list items
+ */
+async function planMasterListUpdate(rows) {
+    // Extract all HBs from the upload
+    const hbsToCheck = [...new Set(rows.map(row => normalizeHB(row['HB'])).filter(hb => hb))];
 
-        if (existing) {
-            // Determine update reason
-            let updateReason = [];
-            if (hasValueChanged(existing.frl, row['FRL'])) updateReason.push('FRL');
-            if (hasValueChanged(existing.tdf, row['TDF'])) updateReason.push('TDF');
-            if (hasValueChanged(existing.vbond, row['VBOND#'])) updateReason.push('VBOND');
+    const { data: existingItems, error } = await readRowsByKeys('master_list', 'hb', hbsToCheck);
+    if (error) return { error };
 
-            if (updateReason.length > 0) {
-                itemData.id = existing.id;
-                itemData.last_update_reason = updateReason.join(', ');
-                itemsToUpdate.push(itemData);
-            }
-        } else {
-            // New item
-            itemData.first_seen_upload_id = uploadId;
-            itemData.created_at = new Date().toISOString();
-            itemsToInsert.push(itemData);
-        }
-    }
+    return planMasterListChanges(rows, existingItems);
+}
 
-    // Batch insert new items (Supabase supports up to 1000 per batch)
-    if (itemsToInsert.length > 0) {
-        const batchSize = 1000;
-        for (let i = 0; i < itemsToInsert.length; i += batchSize) {
-            const batch = itemsToInsert.slice(i, i + batchSize);
-            await supabase.from('master_list').insert(batch);
-        }
-        itemsAdded = itemsToInsert.length;
-    }
+/**
+ * Get every recorded column change for an HB, newest first
+ */
+export async function getMasterListChanges(hb) {
+    const { data, error } = await supabase
+        .from('master_list_changes')
+        .select('*, uploads(upload_date, filename)')
+        .eq('hb', normalizeHB(hb))
+        .order('changed_at', { ascending: false })
+        .range(0, 999999); // Remove default 1000 row limit
 
-    // Batch update existing items using upsert
-    if (itemsToUpdate.length > 0) {
-        const batchSize = 1000;
-        for (let i = 0; i < itemsToUpdate.length; i += batchSize) {
-            const batch = itemsToUpdate.slice(i, i + batchSize);
-            await supabase.from('master_list').upsert(batch);
-        }
-        itemsUpdated = itemsToUpdate.length;
+    if (error) {
+        console.error('Error getting master list changes:', error);
+        return [];
     }
-
-    return { itemsAdded, itemsUpdated };
+    return data;
 }
 
 export async function getMasterListData(filter = 'all') {
@@ -306,11 +268,7 @@ export async function getMasterListData(filter = 'all') {
             .order('id', { ascending: true })
             .range(start, start + BATCH_SIZE - 1);
 
-        if (filter === 'with_frl') {
-            query = query.not('frl', 'is', null).neq('frl', '');
-        } else if (filter === 'without_frl') {
-            query = query.or('frl.is.null,frl.eq.');
-        }
+        query = filterByValue(query, 'frl', filter, 'with_frl', 'without_frl');
 
         const { data, error } = await query;
 
@@ -334,46 +292,27 @@ export async function getMasterListData(filter = 'all') {
     return allData;
 }
 
+/**
+ * Every Master List metric card, counted by the get_master_list_metrics RPC
+ * New / updated / newly FRL'd are relative to the latest upload
+ */
 export async function getMasterListMetrics() {
-    // Get total count using count parameter
-    const { count: totalRows } = await supabase
-        .from('master_list')
-        .select('*', { count: 'exact', head: true });
-
-    // Fetch all FRL values in batches to calculate with/without FRL
-    const BATCH_SIZE = 1000;
-    let allFrlData = [];
-    let start = 0;
-    let hasMore = true;
-
-    while (hasMore) {
-        const { data, error } = await supabase
-            .from('master_list')
-            .select('frl')
-            .order('id', { ascending: true })
-            .range(start, start + BATCH_SIZE - 1);
-
-        if (error) {
-            console.error('Error fetching FRL data:', error);
-            break;
-        }
+    const { data, error } = await supabase.rpc('get_master_list_metrics');
 
-        if (!data || data.length === 0) {
-            hasMore = false;
-        } else {
-            allFrlData = allFrlData.concat(data);
-            if (data.length < BATCH_SIZE) {
-                hasMore = false;
-            } else {
-                start += BATCH_SIZE;
-            }
-        }
+    if (error) {
+        console.error('Error getting master list metrics:', error);
+        return { totalRows: 0, withFrl: 0, withoutFrl: 0, uniqueMbls: 0, newItems: 0, updatedItems: 0, newFrl: 0 };
     }
 
-    const withFrl = allFrlData.filter(r => r.frl && r.frl.trim() !== '').length;
-    const withoutFrl = (totalRows || 0) - withFrl;
-
-    return { totalRows: totalRows || 0, withFrl, withoutFrl };
+    return {
+        totalRows: data.total_rows,
+        withFrl: data.with_frl,
+        withoutFrl: data.without_frl,
+        uniqueMbls: data.unique_mbls,
+        newItems: data.new_items,
+        updatedItems: data.updated_items,
+        newFrl: data.new_frl,
+    };
 }
 
 export async function getLatestUploadId() {
@@ -444,45 +383,17 @@ export async function getMasterListNewFrl() {
 }
 
 /**
- * Normalize FRL value for comparison (handles both dates and Excel serial numbers)
+ * Get the upload immediately before the given one (by date, not ID)
  */
-function normalizeFrlForComparison(frlValue) {
-    if (!frlValue || frlValue.trim() === '') return '';
-
-    const trimmed = frlValue.trim();
-
-    // If it's already a date (contains /), return as-is
-    if (trimmed.includes('/')) return trimmed;
-
-    // If it's an Excel serial number, convert it
-    const num = parseFloat(trimmed);
-    if (!isNaN(num) && num > 40000 && num < 60000) {
-        // Likely an Excel date serial (40000 ≈ 2009, 60000 ≈ 2064)
-        const excelEpoch = new Date(1899, 11, 30);
-        const date = new Date(excelEpoch.getTime() + num * 24 * 60 * 60 * 1000);
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const year = date.getFullYear();
-        return `${month}/${day}/${year}`;
-    }
-
-    return trimmed;
-}
-
-/**
- * Detect newly FRL'd items for a specific upload (compared to previous upload)
- */
-export async function detectNewlyFrld(currentUploadId) {
-    // Get the current upload's date first
+async function getPreviousUploadId(currentUploadId) {
     const { data: currentUpload } = await supabase
         .from('uploads')
         .select('upload_date')
         .eq('id', currentUploadId)
         .single();
 
-    if (!currentUpload) return 0;
+    if (!currentUpload) return null;
 
-    // Get previous upload (by date, not ID)
     const { data: uploads } = await supabase
         .from('uploads')
         .select('id')
@@ -490,401 +401,708 @@ export async function detectNewlyFrld(currentUploadId) {
         .order('upload_date', { ascending: false })
         .limit(1);
 
-    if (!uploads || uploads.length === 0) return 0;
+    if (!uploads || uploads.length === 0) return null;
 
-    const prevUploadId = uploads[0].id;
+    return uploads[0].id;
+}
 
-    // Get HBs from current upload that have FRL
-    const { data: currentWithFrl } = await supabase
-        .from('report_data')
-        .select('hb, frl')
-        .eq('upload_id', currentUploadId)
-        .not('frl', 'is', null)
-        .neq('frl', '');
+/**
+ * COMPARISON OPERATIONS (Between uploads)
+ * Each compares against the previous upload unless a base upload is given
+ */
 
-    if (!currentWithFrl || currentWithFrl.length === 0) return 0;
+/**
+ * Counts for an upload and its new / removed / newly FRL'd diff from the get_upload_diff RPC,
+ * in one round trip; `rows` asks for one diff's rows ('new_items', 'removed_items' or 'new_frl')
+ */
+export async function getUploadDiff(currentUploadId, baseUploadId = null, rows = null) {
+    const { data, error } = await supabase.rpc('get_upload_diff', {
+        p_upload_id: currentUploadId,
+        p_base_upload_id: baseUploadId,
+        p_rows: rows,
+    });
 
-    // Get ALL HBs from previous upload (including those without FRL)
-    const { data: prevData } = await supabase
-        .from('report_data')
-        .select('hb, frl')
-        .eq('upload_id', prevUploadId);
-
-    // Create a map of HB -> normalized FRL for previous upload
-    const prevFrlMap = new Map();
-    if (prevData) {
-        prevData.forEach(item => {
-            const normalizedFrl = normalizeFrlForComparison(item.frl || '');
-            prevFrlMap.set(item.hb, normalizedFrl);
-        });
+    if (error) {
+        console.error('Error comparing uploads:', error);
+        return null;
     }
 
-    // Count items that:
-    // - Existed in previous upload (prevFrlMap.has(item.hb))
-    // - Did NOT have FRL in previous upload (prevFrl === '')
-    // - NOW have FRL in current upload (currentFrl !== '')
-    const newlyFrld = currentWithFrl.filter(item => {
-        // Check if item existed in previous upload
-        if (!prevFrlMap.has(item.hb)) {
-            // Item didn't exist before - NOT newly FRL'd, just new
-            return false;
-        }
+    return {
+        baseUploadId: data.base_upload_id,
+        totalRows: data.total_rows,
+        uniqueMbls: data.unique_mbls,
+        withFrl: data.with_frl,
+        withoutFrl: data.without_frl,
+        newItems: data.new_items,
+        removedItems: data.removed_items,
+        newFrl: data.new_frl,
+        rows: data.rows,
+    };
+}
+
+/**
+ * Get the actual data for newly FRL'd items
+ */
+export async function getNewlyFrldData(currentUploadId, baseUploadId = null) {
+    return (await getUploadDiff(currentUploadId, baseUploadId, 'new_frl'))?.rows || [];
+}
 
-        const prevFrl = prevFrlMap.get(item.hb);
-        const currentFrl = normalizeFrlForComparison(item.frl);
+/**
+ * Detect newly FRL'd items for a specific upload
+ * (compared to the previous upload, or to baseUploadId when given)
+ */
+export async function detectNewlyFrld(currentUploadId, baseUploadId = null) {
+    return (await getUploadDiff(currentUploadId, baseUploadId))?.newFrl || 0;
+}
 
-        // Item existed before without FRL, now has FRL
-        if (prevFrl === '' && currentFrl !== '') {
-            return true;
-        }
+export async function detectNewItems(currentUploadId, baseUploadId = null) {
+    return (await getUploadDiff(currentUploadId, baseUploadId))?.newItems || 0;
+}
 
-        // Both have FRL, or current doesn't have FRL - not newly FRL'd
-        return false;
-    });
+export async function detectRemovedItems(currentUploadId, baseUploadId = null) {
+    return (await getUploadDiff(currentUploadId, baseUploadId))?.removedItems || 0;
+}
+
+export async function getNewItemsData(currentUploadId, baseUploadId = null) {
+    return (await getUploadDiff(currentUploadId, baseUploadId, 'new_items'))?.rows || [];
+}
 
-    return newlyFrld.length;
+export async function getRemovedItemsData(currentUploadId, baseUploadId = null) {
+    return (await getUploadDiff(currentUploadId, baseUploadId, 'removed_items'))?.rows || [];
 }
 
 /**
- * Get the actual data for newly FRL'd items
+ * Get rows whose HB exists in both uploads but with at least one different field
+ * Each returned row is the current upload's row plus a `changed_fields` summary
  */
-export async function getNewlyFrldData(currentUploadId) {
-    // Get the current upload's date first
-    const { data: currentUpload } = await supabase
-        .from('uploads')
-        .select('upload_date')
-        .eq('id', currentUploadId)
-        .single();
+export async function getChangedItemsData(currentUploadId, baseUploadId = null) {
+    // Compare against the chosen base upload, or the previous upload by default
+    const prevUploadId = baseUploadId || await getPreviousUploadId(currentUploadId);
+    if (!prevUploadId) return [];
+
+    // Use the batch fetching function so large reports aren't truncated
+    const prevData = await getReportData(prevUploadId);
+    const currentData = await getReportData(currentUploadId);
+
+    const prevMap = new Map();
+    prevData.forEach(row => {
+        if (row.hb) prevMap.set(row.hb, row);
+    });
 
-    if (!currentUpload) return [];
+    const changedRows = [];
+    for (const row of currentData) {
+        const prevRow = row.hb && prevMap.get(row.hb);
+        if (!prevRow) continue;
 
-    // Get previous upload (by date, not ID)
-    const { data: uploads } = await supabase
-        .from('uploads')
-        .select('id')
-        .lt('upload_date', currentUpload.upload_date)
-        .order('upload_date', { ascending: false })
-        .limit(1);
+        const changedFields = getChangedFields(prevRow, row);
 
-    if (!uploads || uploads.length === 0) return [];
+        if (changedFields.length > 0) {
+            changedRows.push({ ...row, changed_fields: changedFields.map(f => f.label).join(', ') });
+        }
+    }
 
-    const prevUploadId = uploads[0].id;
+    return changedRows;
+}
 
-    // Get HBs from current upload that have FRL
-    const { data: currentWithFrl } = await supabase
-        .from('report_data')
-        .select('hb, frl')
-        .eq('upload_id', currentUploadId)
-        .not('frl', 'is', null)
-        .neq('frl', '');
+export async function detectChangedItems(currentUploadId, baseUploadId = null) {
+    const changedRows = await getChangedItemsData(currentUploadId, baseUploadId);
+    return changedRows.length;
+}
 
-    if (!currentWithFrl || currentWithFrl.length === 0) return [];
+/**
+ * REMOVED ITEMS HISTORY OPERATIONS
+ */
 
-    // Get ALL HBs from previous upload (including those without FRL)
-    const { data: prevData } = await supabase
-        .from('report_data')
-        .select('hb, frl')
-        .eq('upload_id', prevUploadId);
-
-    // Create a map of HB -> normalized FRL for previous upload
-    const prevFrlMap = new Map();
-    if (prevData) {
-        prevData.forEach(item => {
-            const normalizedFrl = normalizeFrlForComparison(item.frl || '');
-            prevFrlMap.set(item.hb, normalizedFrl);
-        });
-    }
+export async function getRemovedItemsHistory(filter = 'all') {
+    // Fetch data in batches to avoid any row limits
+    const BATCH_SIZE = 1000;
+    let allData = [];
+    let start = 0;
+    let hasMore = true;
 
-    // Filter to get HBs that are newly FRL'd
-    const newlyFrldHbs = currentWithFrl
-        .filter(item => {
-            // Check if item existed in previous upload
-            if (!prevFrlMap.has(item.hb)) {
-                // Item didn't exist before - NOT newly FRL'd, just new
-                return false;
-            }
+    while (hasMore) {
+        let query = supabase
+            .from('removed_items_history')
+            .select('*')
+            .order('removed_at_date', { ascending: false })
+            .order('id', { ascending: true })
+            .range(start, start + BATCH_SIZE - 1);
 
-            const prevFrl = prevFrlMap.get(item.hb);
-            const currentFrl = normalizeFrlForComparison(item.frl);
+        query = filterByValue(query, 'frl', filter, 'with_frl', 'without_frl');
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('Error getting removed items history:', error);
+            break;
+        }
 
-            // Item existed before without FRL, now has FRL
-            if (prevFrl === '' && currentFrl !== '') {
-                return true;
+        if (!data || data.length === 0) {
+            hasMore = false;
+        } else {
+            allData = allData.concat(data);
+            if (data.length < BATCH_SIZE) {
+                hasMore = false;
+            } else {
+                start += BATCH_SIZE;
             }
+        }
+    }
 
-            // Both have FRL, or current doesn't have FRL - not newly FRL'd
-            return false;
-        })
-        .map(item => item.hb);
+    return allData;
+}
+
+/**
+ * LIFECYCLE OPERATIONS
+ * Walk every upload in date order to show how a single house bill evolved
+ */
+
+/**
+ * Get the lifecycle of an Ocean HB across every upload
+ */
+export async function getHbLifecycle(hb) {
+    const normalizedHb = normalizeHB(hb);
+    if (!normalizedHb) return [];
 
-    if (newlyFrldHbs.length === 0) return [];
+    const uploads = await getAllUploads();
 
-    // Fetch full data for these HBs
-    const { data: fullData } = await supabase
+    const { data: rows, error } = await supabase
         .from('report_data')
         .select('*')
-        .eq('upload_id', currentUploadId)
-        .in('hb', newlyFrldHbs);
+        .eq('hb', normalizedHb)
+        .range(0, 999999); // Remove default 1000 row limit
+
+    if (error) {
+        console.error('Error getting HB lifecycle:', error);
+        return [];
+    }
 
-    return fullData || [];
+    return buildLifecycle([...uploads].reverse(), rows || [], TRACKED_FIELDS);
 }
 
 /**
- * COMPARISON OPERATIONS (Between uploads)
+ * UPLOAD INGEST
+ * Each upload is written by a single Postgres function (ingest_upload / ingest_air_upload),
+ * so a failure at any step rolls the whole upload back. The master list diff is still
+ * worked out here and passed in; the function stamps upload ids and timestamps.
  */
 
-export async function detectNewItems(currentUploadId) {
-    // Get the current upload's date first
-    const { data: currentUpload } = await supabase
-        .from('uploads')
-        .select('upload_date')
-        .eq('id', currentUploadId)
-        .single();
+function toIngestResult(data) {
+    return {
+        uploadId: data.upload_id,
+        rowsInserted: data.rows_inserted,
+        itemsAdded: data.items_added,
+        itemsUpdated: data.items_updated,
+        itemsRemoved: data.items_removed ?? 0,
+        error: null,
+    };
+}
 
-    if (!currentUpload) return 0;
+/**
+ * Save an Ocean upload atomically: upload record, report data, master list
+ * items and their change log, and removed items history
+ * @param {Object} hashes - { contentHash, rowSetHash } stored for duplicate detection
+ * @returns {Promise<{uploadId, rowsInserted, itemsAdded, itemsUpdated, itemsRemoved, error}>}
+ *   error names the step that failed; nothing is saved in that case
+ */
+export async function ingestUpload(filename, rows, hashes = {}) {
+    const plan = await planMasterListUpdate(rows);
+    // The read's own message is kept so a dropped connection is recognised and queued
+    if (plan.error) {
+        return { error: `Upload failed while trying to read the master list (${plan.error.message}). Nothing was saved.` };
+    }
 
-    // Get previous upload (by date, not ID)
-    const { data: uploads } = await supabase
-        .from('uploads')
-        .select('id')
-        .lt('upload_date', currentUpload.upload_date)
-        .order('upload_date', { ascending: false })
-        .limit(1);
+    const { data, error } = await supabase.rpc('ingest_upload', {
+        p_filename: filename,
+        p_report_rows: rows.map(toReportRow),
+        p_new_items: plan.itemsToInsert,
+        p_updated_items: plan.itemsToUpdate,
+        p_changes: plan.changesToInsert,
+        p_content_hash: hashes.contentHash || null,
+        p_row_set_hash: hashes.rowSetHash || null,
+    });
 
-    if (!uploads || uploads.length === 0) {
-        // No previous upload, nothing to compare to
-        return 0;
+    if (error) {
+        console.error('Error ingesting upload:', error);
+        return { error: `${error.message}. Nothing was saved.` };
     }
+    return toIngestResult(data);
+}
 
-    const prevUploadId = uploads[0].id;
+/**
+ * Save an Air upload atomically: upload record, report data and air master list items
+ * @param {Object} hashes - { contentHash, rowSetHash } stored for duplicate detection
+ * @returns {Promise<{uploadId, rowsInserted, itemsAdded, itemsUpdated, itemsRemoved, error}>}
+ */
+export async function ingestAirUpload(filename, rows, hashes = {}) {
+    const plan = await planAirMasterListUpdate(rows);
+    if (plan.error) {
+        return { error: `Upload failed while trying to read the air master list (${plan.error.message}). Nothing was saved.` };
+    }
 
-    // Get HBs from current upload
-    const { data: currentHBs } = await supabase
-        .from('report_data')
-        .select('hb')
-        .eq('upload_id', currentUploadId)
-        .not('hb', 'is', null)
-        .neq('hb', '');
+    const { data, error } = await supabase.rpc('ingest_air_upload', {
+        p_filename: filename,
+        p_report_rows: rows.map(toAirReportRow),
+        p_new_items: plan.itemsToInsert,
+        p_updated_items: plan.itemsToUpdate,
+        p_content_hash: hashes.contentHash || null,
+        p_row_set_hash: hashes.rowSetHash || null,
+    });
 
-    // Get HBs from previous upload
-    const { data: prevHBs } = await supabase
-        .from('report_data')
-        .select('hb')
-        .eq('upload_id', prevUploadId)
-        .not('hb', 'is', null)
-        .neq('hb', '');
+    if (error) {
+        console.error('Error ingesting air upload:', error);
+        return { error: `${error.message}. Nothing was saved.` };
+    }
+    return toIngestResult(data);
+}
 
-    const prevHBSet = new Set(prevHBs?.map(r => r.hb) || []);
-    const newItems = currentHBs?.filter(r => !prevHBSet.has(r.hb)) || [];
+/**
+ * BULK LOOKUP
+ */
 
-    return newItems.length;
+// Rows of a table where any of the columns holds one of the values, each row once
+async function findRowsByValues(table, values, columns) {
+    const found = new Map();
+    for (const column of columns) {
+        const rows = await getRowsByKeys(table, column, values);
+        if (rows === null) return null;
+        rows.forEach(row => found.set(row.id, row));
+    }
+    return [...found.values()];
 }
 
-export async function detectRemovedItems(currentUploadId) {
-    // Get the current upload's date first
-    const { data: currentUpload } = await supabase
-        .from('uploads')
-        .select('upload_date')
-        .eq('id', currentUploadId)
-        .single();
+/**
+ * Master List rows whose HB, MBL or container is one of the pasted values
+ * Values are matched as stored (HBs are saved uppercase; pass normalized values)
+ * @returns {Promise<Array|null>} null on error
+ */
+export async function findMasterListRows(values, columns = BULK_LOOKUP_COLUMNS) {
+    return findRowsByValues('master_list', values, columns);
+}
 
-    if (!currentUpload) return 0;
+export async function findAirMasterListRows(values, columns = AIR_BULK_LOOKUP_COLUMNS) {
+    return findRowsByValues('air_master_list', values, columns);
+}
 
-    // Get previous upload (by date, not ID)
-    const { data: uploads } = await supabase
-        .from('uploads')
-        .select('id')
-        .lt('upload_date', currentUpload.upload_date)
-        .order('upload_date', { ascending: false })
-        .limit(1);
+/**
+ * PAGED QUERIES
+ * Search, sort and paging run in Postgres so the table only ever holds the rows on screen
+ */
 
-    if (!uploads || uploads.length === 0) return 0;
+// LIKE wildcards typed by the user are matched literally
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, ch => `\\${ch}`);
+}
 
-    const prevUploadId = uploads[0].id;
+// ilike pattern for "contains"
+function containsPattern(text) {
+    return `%${escapeLike(text)}%`;
+}
 
-    const { data: currentHBs } = await supabase
-        .from('report_data')
-        .select('hb')
-        .eq('upload_id', currentUploadId)
-        .not('hb', 'is', null)
-        .neq('hb', '');
+// Quoted so commas and brackets in the value don't break an or() filter
+function quoteFilterValue(value) {
+    return `"${value.replace(/["\\]/g, ch => `\\${ch}`)}"`;
+}
 
-    const { data: prevHBs } = await supabase
-        .from('report_data')
-        .select('hb')
-        .eq('upload_id', prevUploadId)
-        .not('hb', 'is', null)
-        .neq('hb', '');
+/**
+ * A filter builder condition as a PostgREST logic-tree clause
+ * Date and numeric comparisons go through the <column>_date / <column>_number computed
+ * fields, which parse the text columns the same way reportLogic.js does
+ */
+function toFilterClause({ column, operator, value = '', valueTo = '' }) {
+    const text = String(value).trim();
+
+    switch (operator) {
+        case 'equals': return `${column}.ilike.${quoteFilterValue(escapeLike(text))}`;
+        case 'contains': return `${column}.ilike.${quoteFilterValue(containsPattern(text))}`;
+        case 'starts_with': return `${column}.ilike.${quoteFilterValue(`${escapeLike(text)}%`)}`;
+        case 'empty': return `or(${column}.is.null,${column}.eq."")`;
+        case 'not_empty': return `and(${column}.not.is.null,${column}.neq."")`;
+        case 'before': return `${column}_date.lt.${text}`;
+        case 'after': return `${column}_date.gt.${text}`;
+        case 'between': {
+            const bounds = [];
+            if (text !== '') bounds.push(`${column}_number.gte.${Number(text)}`);
+            if (String(valueTo).trim() !== '') bounds.push(`${column}_number.lte.${Number(valueTo)}`);
+            return `and(${bounds.join(',')})`;
+        }
+        default: return null;
+    }
+}
 
-    const currentHBSet = new Set(currentHBs?.map(r => r.hb) || []);
-    const removedItems = prevHBs?.filter(r => !currentHBSet.has(r.hb)) || [];
+function applyFilter(query, filter) {
+    const clauses = getActiveConditions(filter).map(toFilterClause).filter(clause => clause);
+    if (clauses.length === 0) return query;
 
-    return removedItems.length;
+    return filter.match === 'or'
+        ? query.or(clauses.join(','))
+        : query.or(`and(${clauses.join(',')})`);
 }
 
-export async function getNewItemsData(currentUploadId) {
-    // Get the current upload's date first
-    const { data: currentUpload } = await supabase
-        .from('uploads')
-        .select('upload_date')
-        .eq('id', currentUploadId)
-        .single();
+/**
+ * One page of a table's rows and the number of rows matching the search
+ * Only the first page is counted; an exact count re-runs the whole search, so later pages
+ * leave total null and the caller keeps the one it has
+ * @param {Function} narrow - Adds the view's own filters (upload, with/without FRL) to the query
+ * @param {Object} options - { searchField, searchText, filter, sortKey, sortDirection, offset, limit }
+ * @returns {Promise<{rows: Array, total: number|null}|null>} null on error
+ */
+async function getPage(table, narrow, searchColumns, options = {}) {
+    const {
+        searchField = 'all', searchText = '', filter = null, sortKey = null, sortDirection = 'asc',
+        offset = 0, limit = 100,
+    } = options;
+
+    let query = narrow(supabase.from(table).select('*', offset === 0 ? { count: 'exact' } : {}));
+
+    const text = searchText.trim();
+    if (text) {
+        const pattern = containsPattern(text);
+        query = searchField === 'all'
+            ? query.or(searchColumns.map(col => `${col}.ilike.${quoteFilterValue(pattern)}`).join(','))
+            : query.ilike(searchField, pattern);
+    }
+    query = applyFilter(query, filter);
 
-    if (!currentUpload) return [];
+    if (sortKey) {
+        const ascending = sortDirection === 'asc';
+        query = query.order(sortKey, { ascending, nullsFirst: ascending });
+    }
 
-    // Get previous upload (by date, not ID)
-    const { data: uploads } = await supabase
-        .from('uploads')
-        .select('id')
-        .lt('upload_date', currentUpload.upload_date)
-        .order('upload_date', { ascending: false })
-        .limit(1);
+    const { data, count, error } = await query
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1);
 
-    if (!uploads || uploads.length === 0) {
-        return [];
+    if (error) {
+        console.error(`Error getting ${table} page:`, error);
+        return null;
     }
 
-    const prevUploadId = uploads[0].id;
+    return { rows: data, total: offset === 0 ? count || 0 : null };
+}
 
-    const { data: prevHBs } = await supabase
-        .from('report_data')
-        .select('hb')
-        .eq('upload_id', prevUploadId)
-        .not('hb', 'is', null)
-        .neq('hb', '');
+export async function getMasterListPage(filter = 'all', options = {}) {
+    return getPage(
+        'master_list',
+        query => filterByValue(query, 'frl', filter, 'with_frl', 'without_frl'),
+        SEARCH_COLUMNS,
+        options
+    );
+}
 
-    const prevHBSet = new Set(prevHBs?.map(r => r.hb) || []);
+export async function getReportDataPage(uploadId, filter = 'all', options = {}) {
+    return getPage(
+        'report_data',
+        query => filterByValue(query.eq('upload_id', uploadId), 'frl', filter, 'with_frl', 'without_frl'),
+        SEARCH_COLUMNS,
+        options
+    );
+}
 
-    const { data: currentData } = await supabase
-        .from('report_data')
-        .select('*')
-        .eq('upload_id', currentUploadId);
+export async function getAirMasterListPage(filter = 'all', options = {}) {
+    return getPage(
+        'air_master_list',
+        query => filterByValue(query, 'log', filter, 'with_log', 'without_log'),
+        AIR_SEARCH_COLUMNS,
+        options
+    );
+}
 
-    return currentData?.filter(r => r.hb && !prevHBSet.has(r.hb)) || [];
+export async function getAirReportDataPage(uploadId, filter = 'all', options = {}) {
+    return getPage(
+        'air_report_data',
+        query => filterByValue(query.eq('upload_id', uploadId), 'log', filter, 'with_log', 'without_log'),
+        AIR_SEARCH_COLUMNS,
+        options
+    );
 }
 
-export async function getRemovedItemsData(currentUploadId) {
-    // Get the current upload's date first
-    const { data: currentUpload } = await supabase
-        .from('uploads')
-        .select('upload_date')
-        .eq('id', currentUploadId)
-        .single();
+/**
+ * Which of the given HBs / MBLs appear more than once in an upload (or in the master list
+ * when uploadId is null); paged tables ask for the bills on each page they load
+ * @returns {Promise<{primary: Array<string>, secondary: Array<string>}>}
+ */
+export async function getDuplicateBills(uploadId, hbs, mbls) {
+    const { data, error } = await supabase.rpc('get_duplicate_bills', {
+        p_upload_id: uploadId,
+        p_hbs: hbs,
+        p_mbls: mbls,
+    });
 
-    if (!currentUpload) return [];
+    if (error) {
+        console.error('Error getting duplicate bills:', error);
+        return { primary: [], secondary: [] };
+    }
 
-    // Get previous upload (by date, not ID)
-    const { data: uploads } = await supabase
-        .from('uploads')
+    return { primary: data.hbs, secondary: data.mbls };
+}
+
+export async function getAirDuplicateBills(uploadId, hawbs, mawbs) {
+    const { data, error } = await supabase.rpc('get_air_duplicate_bills', {
+        p_upload_id: uploadId,
+        p_hawbs: hawbs,
+        p_mawbs: mawbs,
+    });
+
+    if (error) {
+        console.error('Error getting air duplicate bills:', error);
+        return { primary: [], secondary: [] };
+    }
+
+    return { primary: data.hawbs, secondary: data.mawbs };
+}
+
+/**
+ * OFFLINE SYNC CONFLICTS
+ * Before an upload queued offline is replayed, find the items another upload changed meanwhile
+ */
+
+/**
+ * Master list items for the given keys whose last change came from an upload made after `since`
+ * @param {Array<string>} ignoreUploadIds - Uploads the queue itself replayed, which aren't conflicts
+ * @returns {Promise<Array|null>} null when the check couldn't be made
+ */
+async function getItemsChangedSince(uploadsTable, masterTable, keyColumn, keys, since, ignoreUploadIds) {
+    const { data: uploads, error } = await supabase
+        .from(uploadsTable)
         .select('id')
-        .lt('upload_date', currentUpload.upload_date)
-        .order('upload_date', { ascending: false })
-        .limit(1);
+        .gt('upload_date', since);
 
-    if (!uploads || uploads.length === 0) return [];
+    if (error) {
+        console.error(`Error getting ${uploadsTable} since ${since}:`, error);
+        return null;
+    }
+    if (uploads.every(upload => ignoreUploadIds.includes(upload.id))) return [];
 
-    const prevUploadId = uploads[0].id;
+    const items = await getRowsByKeys(
+        masterTable, keyColumn, keys, `${keyColumn}, last_updated_upload_id, last_update_reason`
+    );
+    if (items === null) return null;
 
-    const { data: currentHBs } = await supabase
-        .from('report_data')
-        .select('hb')
-        .eq('upload_id', currentUploadId)
-        .not('hb', 'is', null)
-        .neq('hb', '');
+    const newerUploadIds = new Set(
+        uploads.map(upload => upload.id).filter(id => !ignoreUploadIds.includes(id))
+    );
+    return items.filter(item => newerUploadIds.has(item.last_updated_upload_id));
+}
 
-    const currentHBSet = new Set(currentHBs?.map(r => r.hb) || []);
+export async function getMasterListItemsChangedSince(hbs, since, ignoreUploadIds = []) {
+    return getItemsChangedSince('uploads', 'master_list', 'hb', hbs, since, ignoreUploadIds);
+}
 
-    const { data: prevData } = await supabase
-        .from('report_data')
+export async function getAirMasterListItemsChangedSince(hawbs, since, ignoreUploadIds = []) {
+    return getItemsChangedSince('air_uploads', 'air_master_list', 'hawb', hawbs, since, ignoreUploadIds);
+}
+
+/**
+ * COLUMN MAPPING PROFILE OPERATIONS
+ * Named header mappings (required column -> source header), one set per mode
+ */
+
+export async function getColumnMappingProfiles(mode = 'ocean') {
+    const { data, error } = await supabase
+        .from('column_mapping_profiles')
         .select('*')
-        .eq('upload_id', prevUploadId);
+        .eq('mode', mode)
+        .order('updated_at', { ascending: false });
+
+    if (error) {
+        console.error('Error getting column mapping profiles:', error);
+        return [];
+    }
+    return data;
+}
+
+export async function saveColumnMappingProfile(name, mode, mapping) {
+    const { data, error } = await supabase
+        .from('column_mapping_profiles')
+        .upsert({
+            name,
+            mode,
+            mapping,
+            updated_at: new Date().toISOString(),
+        }, { onConflict: 'name,mode' })
+        .select()
+        .single();
 
-    return prevData?.filter(r => r.hb && !currentHBSet.has(r.hb)) || [];
+    if (error) {
+        console.error('Error saving column mapping profile:', error);
+        return null;
+    }
+    return data;
 }
 
 /**
- * DOCK TALLY REPORT OPERATIONS
+ * SAVED VIEW OPERATIONS
+ * Named Dashboard URLs; row level security keeps each user's list to themselves
  */
 
-export async function getDataGroupedByMBL(uploadId = null) {
-    // Use the batch fetching functions to avoid row limits
-    const data = uploadId
-        ? await getReportData(uploadId, 'all')
-        : await getMasterListData('all');
+export async function getSavedViews(mode = 'ocean') {
+    const { data, error } = await supabase
+        .from('saved_views')
+        .select('*')
+        .eq('mode', mode)
+        .order('name', { ascending: true });
 
-    if (!data || data.length === 0) {
-        return {};
+    if (error) {
+        console.error('Error getting saved views:', error);
+        return [];
     }
+    return data;
+}
 
-    // Group by MBL
-    const grouped = {};
-    for (const row of data || []) {
-        const mbl = row.mbl || 'NO MBL';
-        if (!grouped[mbl]) {
-            grouped[mbl] = {
-                mbl: mbl,
-                containers: new Set(),
-                items: [],
-            };
-        }
-        if (row.container) {
-            grouped[mbl].containers.add(row.container);
-        }
-        grouped[mbl].items.push(row);
+export async function saveSavedView(name, mode, url) {
+    const { data, error } = await supabase
+        .from('saved_views')
+        .upsert({
+            name,
+            mode,
+            url,
+            updated_at: new Date().toISOString(),
+        }, { onConflict: 'user_id,mode,name' })
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Error saving view:', error);
+        return null;
     }
+    return data;
+}
+
+export async function deleteSavedView(viewId) {
+    const { error } = await supabase
+        .from('saved_views')
+        .delete()
+        .eq('id', viewId);
 
-    // Convert Sets to arrays
-    for (const mbl in grouped) {
-        grouped[mbl].containers = Array.from(grouped[mbl].containers);
+    if (error) {
+        console.error('Error deleting saved view:', error);
+        return false;
     }
+    return true;
+}
+
+/**
+ * DOCK TALLY TEMPLATE OPERATIONS
+ * Named dock tally layouts (see dockTallyTemplates.js), shared by everyone, one set per mode
+ */
 
-    return grouped;
+export async function getDockTallyTemplates(mode = 'ocean') {
+    const { data, error } = await supabase
+        .from('dock_tally_templates')
+        .select('*')
+        .eq('mode', mode)
+        .order('name', { ascending: true });
+
+    if (error) {
+        console.error('Error getting dock tally templates:', error);
+        return [];
+    }
+    return data;
 }
 
 /**
- * HELPER FUNCTIONS
+ * Save a template by name, or update templateId in place (which can also rename it)
  */
+export async function saveDockTallyTemplate(name, mode, layout, templateId = null) {
+    const row = { name, mode, layout, updated_at: new Date().toISOString() };
+    const query = templateId
+        ? supabase.from('dock_tally_templates').update(row).eq('id', templateId)
+        : supabase.from('dock_tally_templates').upsert(row, { onConflict: 'name,mode' });
 
-function normalizeHB(value) {
-    if (value === null || value === undefined || value === '') return '';
-    // Always preserve the original value as string (including letters and numbers)
-    // Just trim whitespace
-    return String(value).trim().toUpperCase();
+    const { data, error } = await query.select().single();
+
+    if (error) {
+        console.error('Error saving dock tally template:', error);
+        return null;
+    }
+    return data;
 }
 
-function hasValueChanged(oldVal, newVal) {
-    const old = (oldVal || '').toString().trim();
-    const now = (newVal || '').toString().trim();
-    // If old was empty and new has value, it changed
-    if (!old && now) return true;
-    // If both had values but different, it changed
-    if (old && now && old !== now) return true;
-    return false;
+export async function deleteDockTallyTemplate(templateId) {
+    const { error } = await supabase
+        .from('dock_tally_templates')
+        .delete()
+        .eq('id', templateId);
+
+    if (error) {
+        console.error('Error deleting dock tally template:', error);
+        return false;
+    }
+    return true;
 }
 
 /**
- * AIR CARGO OPERATIONS
- * Air mode works on an upload-to-upload basis (no Master List)
+ * DOCK TALLY ENTRY OPERATIONS
+ * Counts checkers record on screen, one row per HB (Ocean) or per HAWB and arrival (Air)
+ */
+
+/**
+ * Upsert entries by bill and arrival, each linked to its bill's master list row
+ * @returns {Promise<Array|null>} the saved rows, or null on error
  */
+async function saveTallyEntries(table, masterTable, billColumn, linkColumn, entries) {
+    const bills = [...new Set(entries.map(entry => entry[billColumn]))];
+    const masterRows = await getRowsByKeys(masterTable, billColumn, bills, `id, ${billColumn}`);
+    if (masterRows === null) return null;
+
+    const masterIds = new Map(masterRows.map(row => [row[billColumn], row.id]));
+    const now = new Date().toISOString();
 
-export async function saveAirUpload(filename, rowCount) {
     const { data, error } = await supabase
-        .from('air_uploads')
-        .insert([{
-            filename,
-            row_count: rowCount,
-            upload_date: new Date().toISOString()
-        }])
-        .select()
-        .single();
+        .from(table)
+        .upsert(entries.map(entry => ({
+            ...entry,
+            [linkColumn]: masterIds.get(entry[billColumn]) ?? null,
+            updated_at: now,
+        })), { onConflict: `${billColumn},arrival` })
+        .select();
 
     if (error) {
-        console.error('Error saving air upload:', error);
+        console.error(`Error saving ${table}:`, error);
         return null;
     }
-    return data.id;
+    return data;
+}
+
+export async function getDockTallyEntries(hbs) {
+    return (await getRowsByKeys('dock_tally_entries', 'hb', hbs)) || [];
+}
+
+export async function saveDockTallyEntries(entries) {
+    return saveTallyEntries('dock_tally_entries', 'master_list', 'hb', 'master_list_id', entries);
+}
+
+export async function getAirDockTallyEntries(hawbs) {
+    return (await getRowsByKeys('air_dock_tally_entries', 'hawb', hawbs)) || [];
+}
+
+export async function saveAirDockTallyEntries(entries) {
+    return saveTallyEntries('air_dock_tally_entries', 'air_master_list', 'hawb', 'air_master_list_id', entries);
+}
+
+/**
+ * DOCK TALLY REPORT OPERATIONS
+ */
+
+export async function getDataGroupedByMBL(uploadId = null) {
+    // Use the batch fetching functions to avoid row limits
+    const data = uploadId
+        ? await getReportData(uploadId, 'all')
+        : await getMasterListData('all');
+
+    if (!data || data.length === 0) {
+        return {};
+    }
+
+    return groupRowsByMBL(data);
 }
 
+/**
+ * AIR CARGO OPERATIONS
+ * Air mode mirrors Ocean: uploads, report data and a HAWB-keyed Master List
+ */
+
 export async function getAllAirUploads() {
     const { data, error } = await supabase
         .from('air_uploads')
@@ -898,8 +1116,18 @@ export async function getAllAirUploads() {
     return data;
 }
 
+export async function findDuplicateAirUpload(contentHash, rowSetHash) {
+    return findUploadByHashes('air_uploads', contentHash, rowSetHash);
+}
+
 export async function deleteAirUpload(uploadId) {
     try {
+        // Delete from air_master_list items that were ONLY seen in this upload
+        await supabase
+            .from('air_master_list')
+            .delete()
+            .eq('first_seen_upload_id', uploadId);
+
         // Delete report data (CASCADE will handle this automatically)
         const { error: reportError } = await supabase
             .from('air_report_data')
@@ -922,6 +1150,9 @@ export async function deleteAirUpload(uploadId) {
             return false;
         }
 
+        // Clean up orphaned air master list items
+        await cleanupOrphanedAirMasterListItems();
+
         return true;
     } catch (err) {
         console.error('Error in deleteAirUpload:', err);
@@ -929,46 +1160,90 @@ export async function deleteAirUpload(uploadId) {
     }
 }
 
-export async function saveAirReportData(uploadId, rows) {
-    const dataToInsert = rows.map(row => ({
-        upload_id: uploadId,
-        mawb: row['MAWB'] || null,
-        hawb: row['HAWB'] || null,
-        consignee: row['Consignee'] || null,
-        carrier: row['Carrier'] || null,
-        flight_number: row['FLIGHT NUMBER'] || null,
-        freight_location: row['FREIGHT LOCATION'] || null,
-        origin: row['ORIGIN'] || null,
-        destination: row['DESTINATION'] || null,
-        file_number: row['File Number'] || null,
-        qty: row['QTY'] || null,
-        shipment_type: row['Shipment Type'] || null,
-        slac: row['SLAC'] || null,
-        weight: row['WEIGHT'] || null,
-        eta: row['ETA'] || null,
-        eta_time: row['ETA TIME'] || null,
-        log: row['LOG'] || null,
-        flt_date: row['Flt Date'] || null,
-    }));
-
-    // Insert in batches of 1000
-    const batchSize = 1000;
-    for (let i = 0; i < dataToInsert.length; i += batchSize) {
-        const batch = dataToInsert.slice(i, i + batchSize);
-        const { error } = await supabase
+export async function getAirReportData(uploadId, filter = 'all') {
+    // Fetch data in batches to avoid any row limits
+    const BATCH_SIZE = 1000;
+    let allData = [];
+    let start = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+        let query = supabase
             .from('air_report_data')
-            .insert(batch);
+            .select('*')
+            .eq('upload_id', uploadId)
+            .order('id', { ascending: true })
+            .range(start, start + BATCH_SIZE - 1);
+
+        query = filterByValue(query, 'log', filter, 'with_log', 'without_log');
+
+        const { data, error } = await query;
 
         if (error) {
-            console.error('Error saving air report data:', error);
-            return null;
+            console.error('Error getting air report data:', error);
+            break;
+        }
+
+        if (!data || data.length === 0) {
+            hasMore = false;
+        } else {
+            allData = allData.concat(data);
+            if (data.length < BATCH_SIZE) {
+                hasMore = false;
+            } else {
+                start += BATCH_SIZE;
+            }
         }
     }
 
-    return dataToInsert.length;
+    return allData;
 }
 
-export async function getAirReportData(uploadId, filter = 'all') {
+/**
+ * Get the lifecycle of an Air HAWB across every air upload
+ */
+export async function getAirHawbLifecycle(hawb) {
+    const trimmedHawb = (hawb || '').trim();
+    if (!trimmedHawb) return [];
+
+    const uploads = await getAllAirUploads();
+
+    const { data: rows, error } = await supabase
+        .from('air_report_data')
+        .select('*')
+        .ilike('hawb', trimmedHawb)
+        .range(0, 999999); // Remove default 1000 row limit
+
+    if (error) {
+        console.error('Error getting HAWB lifecycle:', error);
+        return [];
+    }
+
+    return buildLifecycle([...uploads].reverse(), rows || [], AIR_TRACKED_FIELDS);
+}
+
+/**
+ * AIR MASTER LIST OPERATIONS
+ * Consolidated view keyed by normalized HAWB
+ */
+
+/**
+ * Work out which air master list items an upload adds or changes, without writing anything
+ * @returns {Promise<{itemsToInsert: Array, itemsToUpdate: Array}|{error: Object}>} error on read failure
+ */
+async function planAirMasterListUpdate(rows) {
+    // Extract all HAWBs from the upload
+    const hawbsToCheck = [...new Set(rows.map(row => normalizeHB(row['HAWB'])).filter(hawb => hawb))];
+
+    const { data: existingItems, error } = await readRowsByKeys(
+        'air_master_list', 'hawb', hawbsToCheck, 'id, hawb, log, freight_location, eta'
+    );
+    if (error) return { error };
+
+    return planAirMasterListChanges(rows, existingItems);
+}
+
+export async function getAirMasterListData(filter = 'all') {
     // Fetch data in batches to avoid any row limits
     const BATCH_SIZE = 1000;
     let allData = [];
@@ -977,22 +1252,17 @@ export async function getAirReportData(uploadId, filter = 'all') {
 
     while (hasMore) {
         let query = supabase
-            .from('air_report_data')
+            .from('air_master_list')
             .select('*')
-            .eq('upload_id', uploadId)
             .order('id', { ascending: true })
             .range(start, start + BATCH_SIZE - 1);
 
-        if (filter === 'with_log') {
-            query = query.not('log', 'is', null).neq('log', '');
-        } else if (filter === 'without_log') {
-            query = query.or('log.is.null,log.eq.');
-        }
+        query = filterByValue(query, 'log', filter, 'with_log', 'without_log');
 
         const { data, error } = await query;
 
         if (error) {
-            console.error('Error getting air report data:', error);
+            console.error('Error getting air master list:', error);
             break;
         }
 
@@ -1011,19 +1281,95 @@ export async function getAirReportData(uploadId, filter = 'all') {
     return allData;
 }
 
-// Air mode doesn't have a Master List - these functions are not used
-export async function getAirMasterListData(filter = 'all') {
-    return [];
-}
-
+/**
+ * Every Air Master List metric card, counted by the get_air_master_list_metrics RPC
+ * withFrl / withoutFrl count LOG values, which Air uses in place of FRL
+ */
 export async function getAirMasterListMetrics() {
-    return { totalRows: 0, withFrl: 0, withoutFrl: 0 };
+    const { data, error } = await supabase.rpc('get_air_master_list_metrics');
+
+    if (error) {
+        console.error('Error getting air master list metrics:', error);
+        return { totalRows: 0, withFrl: 0, withoutFrl: 0, uniqueMbls: 0, newItems: 0, updatedItems: 0 };
+    }
+
+    return {
+        totalRows: data.total_rows,
+        withFrl: data.with_log,
+        withoutFrl: data.without_log,
+        uniqueMbls: data.unique_mawbs,
+        newItems: data.new_items,
+        updatedItems: data.updated_items,
+    };
 }
 
-export async function updateAirMasterList(uploadId, rows) {
-    return { itemsAdded: 0, itemsUpdated: 0 };
+export async function getLatestAirUploadId() {
+    const { data } = await supabase
+        .from('air_uploads')
+        .select('id')
+        .order('upload_date', { ascending: false })
+        .limit(1)
+        .single();
+
+    return data?.id || null;
 }
 
 export async function getAirMasterListNewItems() {
-    return { count: 0, data: [] };
+    const latestUploadId = await getLatestAirUploadId();
+    if (!latestUploadId) return { count: 0, data: [] };
+
+    const { data, error } = await supabase
+        .from('air_master_list')
+        .select('*')
+        .eq('first_seen_upload_id', latestUploadId)
+        .range(0, 999999); // Remove default 1000 row limit
+
+    if (error) {
+        console.error('Error getting new air items:', error);
+        return { count: 0, data: [] };
+    }
+
+    return { count: data.length, data };
+}
+
+export async function getAirMasterListUpdatedItems() {
+    const latestUploadId = await getLatestAirUploadId();
+    if (!latestUploadId) return { count: 0, data: [] };
+
+    const { data, error } = await supabase
+        .from('air_master_list')
+        .select('*')
+        .eq('last_updated_upload_id', latestUploadId)
+        .not('last_update_reason', 'is', null)
+        .range(0, 999999); // Remove default 1000 row limit
+
+    if (error) {
+        console.error('Error getting updated air items:', error);
+        return { count: 0, data: [] };
+    }
+
+    return { count: data.length, data };
+}
+
+/**
+ * Remove air master list items that have no upload references
+ */
+export async function cleanupOrphanedAirMasterListItems() {
+    try {
+        const { error } = await supabase
+            .from('air_master_list')
+            .delete()
+            .is('first_seen_upload_id', null)
+            .is('last_updated_upload_id', null);
+
+        if (error) {
+            console.error('Error cleaning up orphaned air items:', error);
+            return false;
+        }
+
+        return true;
+    } catch (err) {
+        console.error('Error in cleanupOrphanedAirMasterListItems:', err);
+        return false;
+    }
 }
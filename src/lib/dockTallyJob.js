@@ -0,0 +1,39 @@
+/**
+ * Dock Tally Job - Runs dock tally PDF generation in a Web Worker
+ * The page stays responsive while hundreds of MBLs are drawn, and a job can be
+ * cancelled at any point (the worker is simply terminated).
+ */
+
+/**
+ * Start building a dock tally PDF
+ * @param {Array} groups - MBL/MAWB groups in print order (see buildDockTallyPdf)
+ * @param {Object} options - { mode, layout, onProgress(current, total) }; layout as in buildDockTallyPdf
+ * @returns {{promise: Promise<Uint8Array|null>, cancel: Function}} promise resolves to the
+ *   PDF bytes, or null when cancelled; it rejects if generation fails
+ */
+export function startDockTallyPdf(groups, { mode = 'ocean', layout = null, onProgress } = {}) {
+    const worker = new Worker(new URL('./dockTallyPdf.worker.js', import.meta.url), { type: 'module' });
+    let cancel;
+
+    const promise = new Promise((resolve, reject) => {
+        const finish = (settle, value) => {
+            worker.terminate();
+            settle(value);
+        };
+
+        worker.onmessage = ({ data }) => {
+            if (data.type === 'progress') onProgress?.(data.current, data.total);
+            if (data.type === 'done') finish(resolve, data.pdf);
+            if (data.type === 'error') finish(reject, new Error(data.message));
+        };
+        worker.onerror = (event) => {
+            finish(reject, new Error(event.message || 'PDF worker failed to start'));
+        };
+        // Settling twice is a no-op, so cancelling a finished job does nothing
+        cancel = () => finish(resolve, null);
+
+        worker.postMessage({ groups, mode, layout });
+    });
+
+    return { promise, cancel };
+}
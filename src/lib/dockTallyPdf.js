@@ -0,0 +1,510 @@
+/**
+ * Dock Tally PDF - Draws Ocean and Air dock tally reports as vector PDFs with pdf-lib
+ * Text and lines are written straight into the PDF (no screenshots), so files stay small,
+ * print sharp and can be searched. Layouts match the HTML preview in DockTallyReport.jsx:
+ * the Standard Ocean and Air layouts, or a saved template (see dockTallyTemplates.js).
+ * Each HB / HAWB and MBL / MAWB carries a Code 128 barcode (lib/barcode) for handheld scanners.
+ * No DOM access: it runs in a Web Worker (dockTallyPdf.worker.js, started by dockTallyJob.js).
+ */
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { getPageSize, getHeaderCells, getBillField } from './dockTallyTemplates';
+import { encodeCode128, getBars, QUIET_ZONE } from './barcode';
+
+// Standard layouts: US Letter, landscape, in points
+const PAGE_WIDTH = 792;
+const PAGE_HEIGHT = 612;
+const MARGIN_X = 28;
+const MARGIN_Y = 14;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN_X * 2;
+const CELL_PADDING = 4;
+
+const BLACK = rgb(0, 0, 0);
+
+// Wider bars scan no better, they just take space from the rest of the sheet
+const MAX_MODULE_WIDTH = 1.5;
+
+// Bills per page, as in the HTML layouts
+const OCEAN_ITEMS_PER_PAGE = 6;
+const AIR_ITEMS_PER_PAGE = 5;
+
+// Relative column widths, as in the HTML layouts
+const OCEAN_COLUMNS = [
+    { label: 'HB', width: 15 },
+    { label: 'Dest', width: 12 },
+    { label: 'Mfst Qty', note: '(Outer/PCS)', width: 10 },
+    { label: 'PCS', width: 10 },
+    { label: 'LOC', width: 10 },
+    { label: 'TIME', width: 10 },
+    { label: 'DMG', width: 10 },
+    { label: 'CRW', width: 10 },
+];
+const AIR_LEAD_COLUMNS = [
+    // Wide enough for the HAWB's barcode
+    { label: 'HAWB', width: 12 },
+    { label: 'Dest', width: 7 },
+    { label: 'SLAC', note: 'Total', width: 5 },
+];
+const AIR_ARRIVALS = 4;
+const AIR_ARRIVAL_FIELDS = ['PCS', 'LOC', 'TIME', 'CRW', 'SUB'];
+const AIR_FIELD_WIDTH = 3;
+
+/**
+ * Column x positions and widths scaled to the content width
+ */
+function layoutColumns(widths, contentWidth = CONTENT_WIDTH) {
+    const total = widths.reduce((sum, width) => sum + width, 0);
+    let x = MARGIN_X;
+    return widths.map(width => {
+        const column = { x, width: (width / total) * contentWidth };
+        x += column.width;
+        return column;
+    });
+}
+
+// Standard fonts only cover WinAnsi; anything else would make pdf-lib throw
+function toPdfText(value) {
+    return String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+/**
+ * Shrink text down to minSize, then cut it with "..." so it fits maxWidth
+ * @returns {{text: string, size: number}}
+ */
+function fitText(value, font, size, maxWidth, minSize = size) {
+    let text = toPdfText(value);
+    let fitted = size;
+    while (fitted > minSize && font.widthOfTextAtSize(text, fitted) > maxWidth) fitted -= 0.5;
+    if (font.widthOfTextAtSize(text, fitted) <= maxWidth) return { text, size: fitted };
+
+    while (text.length > 0 && font.widthOfTextAtSize(`${text}...`, fitted) > maxWidth) {
+        text = text.slice(0, -1);
+    }
+    return { text: `${text}...`, size: fitted };
+}
+
+/**
+ * A page with top-down coordinates (pdf-lib measures y from the bottom)
+ */
+function createPage(pdf, fonts, pageWidth = PAGE_WIDTH, pageHeight = PAGE_HEIGHT) {
+    const page = pdf.addPage([pageWidth, pageHeight]);
+
+    const box = (x, top, width, height, borderWidth = 0.75) => {
+        page.drawRectangle({
+            x, y: pageHeight - top - height, width, height, borderColor: BLACK, borderWidth,
+        });
+    };
+
+    const line = (x1, top1, x2, top2, thickness = 0.75) => {
+        page.drawLine({
+            start: { x: x1, y: pageHeight - top1 },
+            end: { x: x2, y: pageHeight - top2 },
+            thickness,
+            color: BLACK,
+        });
+    };
+
+    /**
+     * Text inside a cell; align 'left' | 'center' | 'right', valign 'middle' | 'top'
+     */
+    const text = (value, x, top, width, height, options = {}) => {
+        const { bold = false, size = 9, minSize = size, align = 'left', valign = 'middle' } = options;
+        if (value === null || value === undefined || value === '') return;
+
+        const font = bold ? fonts.bold : fonts.regular;
+        const fitted = fitText(value, font, size, width - CELL_PADDING * 2, minSize);
+        const textWidth = font.widthOfTextAtSize(fitted.text, fitted.size);
+
+        let textX = x + CELL_PADDING;
+        if (align === 'center') textX = x + (width - textWidth) / 2;
+        if (align === 'right') textX = x + width - CELL_PADDING - textWidth;
+
+        // Baseline roughly a cap height below the top, or centred in the cell
+        const textTop = valign === 'top'
+            ? top + CELL_PADDING + fitted.size * 0.75
+            : top + height / 2 + fitted.size * 0.35;
+
+        page.drawText(fitted.text, { x: textX, y: pageHeight - textTop, size: fitted.size, font });
+    };
+
+    /**
+     * Code 128 barcode filling a cell's height; bars shrink to fit its width
+     */
+    const barcode = (value, x, top, width, height, options = {}) => {
+        const { align = 'left' } = options;
+        const modules = encodeCode128(value);
+        if (!modules) return;
+
+        const total = modules.length + QUIET_ZONE * 2;
+        const moduleWidth = Math.min((width - CELL_PADDING * 2) / total, MAX_MODULE_WIDTH);
+        let codeX = x + CELL_PADDING;
+        if (align === 'center') codeX = x + (width - total * moduleWidth) / 2;
+        if (align === 'right') codeX = x + width - CELL_PADDING - total * moduleWidth;
+        codeX += QUIET_ZONE * moduleWidth;
+
+        getBars(modules).forEach(bar => {
+            page.drawRectangle({
+                x: codeX + bar.start * moduleWidth,
+                y: pageHeight - top - height,
+                width: bar.width * moduleWidth,
+                height,
+                color: BLACK,
+            });
+        });
+    };
+
+    return { box, line, text, barcode };
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+}
+
+/**
+ * OCEAN LAYOUT
+ * Title and MBL / container / arrival header, then two rows per HB: the bill with its
+ * manifest quantity, and a tall blank row for dock notes with the HB's barcode under the HB
+ */
+
+const OCEAN_TITLE_HEIGHT = 22;
+const OCEAN_INFO_HEIGHT = 34;
+const OCEAN_BARCODE_HEIGHT = 28;
+const OCEAN_HEAD_HEIGHT = 28;
+const OCEAN_ROW_HEIGHT = 22;
+const OCEAN_NOTES_HEIGHT = 56;
+
+function drawOceanHeader(draw, group) {
+    let top = MARGIN_Y;
+    draw.box(MARGIN_X, top, CONTENT_WIDTH, OCEAN_TITLE_HEIGHT + OCEAN_INFO_HEIGHT, 1.5);
+
+    draw.text('Ocean Dock Tally Report', MARGIN_X, top, CONTENT_WIDTH, OCEAN_TITLE_HEIGHT, {
+        bold: true, size: 12, align: 'center',
+    });
+    top += OCEAN_TITLE_HEIGHT;
+    draw.line(MARGIN_X, top, MARGIN_X + CONTENT_WIDTH, top, 1.5);
+
+    const cells = layoutColumns([35, 35, 30]);
+    const labels = [`MBL: ${group.mbl}`, `Container: ${group.containers.join(', ')}`, 'Arrival:'];
+    cells.forEach((cell, index) => {
+        if (index > 0) draw.line(cell.x, top, cell.x, top + OCEAN_INFO_HEIGHT);
+        draw.text(labels[index], cell.x, top, cell.width, OCEAN_INFO_HEIGHT, { bold: true, size: 9, minSize: 6 });
+    });
+
+    // MBL barcode in the right half of its cell
+    const [mblCell] = cells;
+    draw.barcode(group.mbl, mblCell.x + mblCell.width / 2, top + 4, mblCell.width / 2, OCEAN_INFO_HEIGHT - 8, {
+        align: 'right',
+    });
+
+    return top + OCEAN_INFO_HEIGHT;
+}
+
+function drawOceanPage(draw, group, items, isFirstPage) {
+    let top = isFirstPage ? drawOceanHeader(draw, group) : MARGIN_Y;
+    const tableTop = top;
+    const columns = layoutColumns(OCEAN_COLUMNS.map(col => col.width));
+
+    // Column headings
+    OCEAN_COLUMNS.forEach((col, index) => {
+        const { x, width } = columns[index];
+        draw.box(x, top, width, OCEAN_HEAD_HEIGHT);
+        if (col.note) {
+            draw.text(col.label, x, top, width, OCEAN_HEAD_HEIGHT * 0.6, { bold: true, size: 9, align: 'center' });
+            draw.text(col.note, x, top + OCEAN_HEAD_HEIGHT * 0.45, width, OCEAN_HEAD_HEIGHT * 0.5, {
+                size: 6.5, align: 'center',
+            });
+        } else {
+            draw.text(col.label, x, top, width, OCEAN_HEAD_HEIGHT, { bold: true, size: 9, align: 'center' });
+        }
+    });
+    top += OCEAN_HEAD_HEIGHT;
+
+    items.forEach(item => {
+        columns.forEach(({ x, width }) => {
+            draw.box(x, top, width, OCEAN_ROW_HEIGHT);
+            draw.box(x, top + OCEAN_ROW_HEIGHT, width, OCEAN_NOTES_HEIGHT);
+        });
+
+        const [hb, dest, mfst] = columns;
+        draw.text(item.hb, hb.x, top, hb.width, OCEAN_ROW_HEIGHT, { bold: true, size: 9, minSize: 7 });
+        draw.text(item.dest, dest.x, top, dest.width, OCEAN_ROW_HEIGHT, { size: 9, minSize: 7 });
+
+        // Manifest quantity: outer quantity over pieces
+        const half = OCEAN_ROW_HEIGHT / 2;
+        draw.line(mfst.x, top + half, mfst.x + mfst.width, top + half);
+        draw.text(item.outer_quantity, mfst.x, top, mfst.width, half, { bold: true, size: 8, align: 'center' });
+        draw.text(item.pcs, mfst.x, top + half, mfst.width, half, { size: 8, align: 'center' });
+
+        draw.barcode(item.hb, hb.x, top + OCEAN_ROW_HEIGHT + 4, hb.width, OCEAN_BARCODE_HEIGHT);
+
+        top += OCEAN_ROW_HEIGHT + OCEAN_NOTES_HEIGHT;
+        // Heavier rule between bills
+        draw.line(MARGIN_X, top, MARGIN_X + CONTENT_WIDTH, top, 1.5);
+    });
+
+    draw.box(MARGIN_X, tableTop, CONTENT_WIDTH, top - tableTop, 1.5);
+}
+
+/**
+ * AIR LAYOUT
+ * Date / title / page header and the MAWB with its barcode, then two rows per HAWB: the bill
+ * (barcode under the HAWB) with SLAC over quantity and four arrival sections, and a dock notes row
+ */
+
+const AIR_PAGE_HEADER_HEIGHT = 18;
+const AIR_MAWB_HEIGHT = 32;
+// Room above the HAWB's barcode for the HAWB itself
+const AIR_HAWB_TEXT_HEIGHT = 16;
+const AIR_ARRIVAL_HEAD_HEIGHT = 20;
+const AIR_FIELD_HEAD_HEIGHT = 11;
+const AIR_MAX_ROW_HEIGHT = 54;
+const AIR_SLAC_HEIGHT = 11;
+
+function drawAirHeader(draw, group, pageNumber, printedAt) {
+    let top = MARGIN_Y;
+    const third = CONTENT_WIDTH / 3;
+
+    draw.text(`Date: ${printedAt}`, MARGIN_X, top, third, AIR_PAGE_HEADER_HEIGHT, { bold: true, size: 9 });
+    draw.text('DOCK TALLY REPORT', MARGIN_X + third, top, third, AIR_PAGE_HEADER_HEIGHT, {
+        bold: true, size: 12, align: 'center',
+    });
+    draw.text(`Page: ${pageNumber}`, MARGIN_X + third * 2, top, third, AIR_PAGE_HEADER_HEIGHT, {
+        bold: true, size: 9, align: 'right',
+    });
+    top += AIR_PAGE_HEADER_HEIGHT;
+    draw.line(MARGIN_X, top, MARGIN_X + CONTENT_WIDTH, top);
+    top += 4;
+
+    draw.box(MARGIN_X, top, CONTENT_WIDTH, AIR_MAWB_HEIGHT);
+    draw.text(`MAWB: ${group.mawb}`, MARGIN_X, top, CONTENT_WIDTH, AIR_MAWB_HEIGHT, { bold: true, size: 10 });
+    draw.barcode(group.mawb, MARGIN_X + CONTENT_WIDTH / 2, top + 4, CONTENT_WIDTH / 2, AIR_MAWB_HEIGHT - 8, {
+        align: 'right',
+    });
+
+    return top + AIR_MAWB_HEIGHT + 4;
+}
+
+function drawAirPage(draw, group, items, pageIndex, printedAt) {
+    let top = pageIndex === 0 ? drawAirHeader(draw, group, pageIndex + 1, printedAt) : MARGIN_Y;
+
+    const widths = [
+        ...AIR_LEAD_COLUMNS.map(col => col.width),
+        ...Array(AIR_ARRIVALS * AIR_ARRIVAL_FIELDS.length).fill(AIR_FIELD_WIDTH),
+    ];
+    const columns = layoutColumns(widths);
+    const leadCount = AIR_LEAD_COLUMNS.length;
+    const headHeight = AIR_ARRIVAL_HEAD_HEIGHT + AIR_FIELD_HEAD_HEIGHT;
+    // Span of arrival section n (0-based) across its five field columns
+    const arrivalSpan = (n) => {
+        const first = columns[leadCount + n * AIR_ARRIVAL_FIELDS.length];
+        const last = columns[leadCount + (n + 1) * AIR_ARRIVAL_FIELDS.length - 1];
+        return { x: first.x, width: last.x + last.width - first.x };
+    };
+
+    // Headings: bill columns span both heading rows, each arrival spans its five fields
+    AIR_LEAD_COLUMNS.forEach((col, index) => {
+        const { x, width } = columns[index];
+        draw.box(x, top, width, headHeight);
+        if (col.note) {
+            draw.text(col.label, x, top, width, headHeight * 0.6, { bold: true, size: 7, align: 'center' });
+            draw.text(col.note, x, top + headHeight * 0.45, width, headHeight * 0.5, { size: 6, align: 'center' });
+        } else {
+            draw.text(col.label, x, top, width, headHeight, { bold: true, size: 7, align: 'center' });
+        }
+    });
+    for (let n = 0; n < AIR_ARRIVALS; n++) {
+        const { x, width } = arrivalSpan(n);
+        draw.box(x, top, width, AIR_ARRIVAL_HEAD_HEIGHT);
+        draw.text(`Arrival ${n + 1}`, x, top, width, AIR_ARRIVAL_HEAD_HEIGHT * 0.65, {
+            bold: true, size: 7, align: 'center',
+        });
+        draw.text('Supv', x, top + AIR_ARRIVAL_HEAD_HEIGHT * 0.45, width, AIR_ARRIVAL_HEAD_HEIGHT * 0.5, {
+            size: 5, align: 'center',
+        });
+    }
+    columns.slice(leadCount).forEach(({ x, width }, index) => {
+        draw.box(x, top + AIR_ARRIVAL_HEAD_HEIGHT, width, AIR_FIELD_HEAD_HEIGHT);
+        draw.text(AIR_ARRIVAL_FIELDS[index % AIR_ARRIVAL_FIELDS.length], x, top + AIR_ARRIVAL_HEAD_HEIGHT, width,
+            AIR_FIELD_HEAD_HEIGHT, { size: 5.5, align: 'center' });
+    });
+    top += headHeight;
+
+    // Rows share what's left of the page, but few HAWBs shouldn't stretch them
+    const rowHeight = Math.min(Math.floor((PAGE_HEIGHT - MARGIN_Y - top) / (items.length * 2)), AIR_MAX_ROW_HEIGHT);
+
+    items.forEach(item => {
+        columns.forEach(({ x, width }) => draw.box(x, top, width, rowHeight));
+
+        const [hawb, dest, slac] = columns;
+        draw.text(item.hawb, hawb.x, top, hawb.width, rowHeight, {
+            bold: true, size: 7.5, minSize: 5.5, valign: 'top',
+        });
+        draw.barcode(item.hawb, hawb.x, top + AIR_HAWB_TEXT_HEIGHT, hawb.width, rowHeight - AIR_HAWB_TEXT_HEIGHT - 4);
+        draw.text(item.destination, dest.x, top, dest.width, rowHeight, { size: 6, minSize: 5, valign: 'top' });
+
+        // SLAC over the HAWB's quantity, at the top of the cell
+        draw.line(slac.x, top + AIR_SLAC_HEIGHT, slac.x + slac.width, top + AIR_SLAC_HEIGHT);
+        draw.text(item.slac, slac.x, top, slac.width, AIR_SLAC_HEIGHT, { bold: true, size: 7, align: 'center' });
+        draw.text(item.qty, slac.x, top + AIR_SLAC_HEIGHT, slac.width, AIR_SLAC_HEIGHT, { size: 6, align: 'center' });
+        top += rowHeight;
+
+        // Dock notes: one cell over the bill columns, one per arrival
+        const billWidth = columns[leadCount].x - MARGIN_X;
+        draw.box(MARGIN_X, top, billWidth, rowHeight);
+        draw.text('Dock Notes:', MARGIN_X, top, billWidth, rowHeight, { size: 6, valign: 'top' });
+        for (let n = 0; n < AIR_ARRIVALS; n++) {
+            const { x, width } = arrivalSpan(n);
+            draw.box(x, top, width, rowHeight);
+        }
+        top += rowHeight;
+    });
+}
+
+/**
+ * TEMPLATE LAYOUT
+ * Title and the template's header cells on every page, then one row per bill with the
+ * template's columns, each followed by a blank dock notes row if the template has one.
+ * The MBL / MAWB header cell and the HB / HAWB column carry barcodes when there's room.
+ */
+
+const TEMPLATE_TITLE_HEIGHT = 22;
+const TEMPLATE_INFO_HEIGHT = 20;
+const TEMPLATE_BARCODE_INFO_HEIGHT = 34;
+const TEMPLATE_HEAD_HEIGHT = 22;
+const TEMPLATE_ROW_HEIGHT = 22;
+// A bill row tall enough for its barcode under the text, and the least that still fits one
+const TEMPLATE_BARCODE_ROW_HEIGHT = 44;
+const TEMPLATE_MIN_BARCODE_ROW_HEIGHT = 34;
+const TEMPLATE_BARCODE_TEXT_HEIGHT = 16;
+const TEMPLATE_MAX_NOTES_HEIGHT = 72;
+
+function drawTemplateHeader(draw, layout, group, mode, context) {
+    const { width: pageWidth } = getPageSize(layout);
+    const contentWidth = pageWidth - MARGIN_X * 2;
+    const cells = getHeaderCells(layout, group, mode, context);
+    const hasBarcode = cells.some(cell => cell.barcode);
+    const infoHeight = cells.length > 0 ? (hasBarcode ? TEMPLATE_BARCODE_INFO_HEIGHT : TEMPLATE_INFO_HEIGHT) : 0;
+    let top = MARGIN_Y;
+
+    draw.box(MARGIN_X, top, contentWidth, TEMPLATE_TITLE_HEIGHT + infoHeight, 1.5);
+    draw.text(mode === 'air' ? 'Air Dock Tally Report' : 'Ocean Dock Tally Report', MARGIN_X, top, contentWidth,
+        TEMPLATE_TITLE_HEIGHT, { bold: true, size: 12, align: 'center' });
+    top += TEMPLATE_TITLE_HEIGHT;
+    if (cells.length === 0) return top;
+
+    draw.line(MARGIN_X, top, MARGIN_X + contentWidth, top, 1.5);
+    // The barcode's cell gets twice the room: text on the left, bars on the right
+    layoutColumns(cells.map(cell => (cell.barcode ? 2 : 1)), contentWidth).forEach(({ x, width }, index) => {
+        const cell = cells[index];
+        if (index > 0) draw.line(x, top, x, top + infoHeight);
+        draw.text(`${cell.label}: ${cell.value}`, x, top, cell.barcode ? width / 2 : width, infoHeight, {
+            bold: true, size: 9, minSize: 6,
+        });
+        if (cell.barcode) {
+            draw.barcode(cell.value, x + width / 2, top + 4, width / 2, infoHeight - 8, { align: 'right' });
+        }
+    });
+
+    return top + infoHeight;
+}
+
+function drawTemplatePage(draw, layout, group, items, mode, context) {
+    const { width: pageWidth, height: pageHeight } = getPageSize(layout);
+    const contentWidth = pageWidth - MARGIN_X * 2;
+    const columns = layoutColumns(layout.columns.map(column => column.width), contentWidth);
+
+    let top = drawTemplateHeader(draw, layout, group, mode, context);
+    const tableTop = top;
+
+    layout.columns.forEach((column, index) => {
+        const { x, width } = columns[index];
+        draw.box(x, top, width, TEMPLATE_HEAD_HEIGHT);
+        draw.text(column.label, x, top, width, TEMPLATE_HEAD_HEIGHT, { bold: true, size: 9, minSize: 6, align: 'center' });
+    });
+    top += TEMPLATE_HEAD_HEIGHT;
+
+    const billField = getBillField(mode);
+    const hasBillColumn = layout.columns.some(column => column.field === billField);
+
+    // Every page is spaced for a full page of bills, so short last pages match the rest
+    const space = Math.floor((pageHeight - MARGIN_Y - top) / layout.rowsPerPage);
+    const rowHeight = Math.min(
+        hasBillColumn ? TEMPLATE_BARCODE_ROW_HEIGHT : TEMPLATE_ROW_HEIGHT,
+        layout.notesRow ? space / 2 : space
+    );
+    const notesHeight = layout.notesRow ? Math.min(space - rowHeight, TEMPLATE_MAX_NOTES_HEIGHT) : 0;
+    const showBarcodes = rowHeight >= TEMPLATE_MIN_BARCODE_ROW_HEIGHT;
+    const size = Math.min(9, TEMPLATE_ROW_HEIGHT * 0.5, rowHeight * 0.5);
+
+    items.forEach(item => {
+        layout.columns.forEach((column, index) => {
+            const { x, width } = columns[index];
+            draw.box(x, top, width, rowHeight);
+            if (notesHeight > 0) draw.box(x, top + rowHeight, width, notesHeight);
+            if (!column.field) return;
+
+            const withBarcode = showBarcodes && column.field === billField;
+            draw.text(item[column.field], x, top, width, withBarcode ? TEMPLATE_BARCODE_TEXT_HEIGHT : rowHeight, {
+                bold: index === 0, size, minSize: Math.min(size, 6),
+            });
+            if (withBarcode) {
+                draw.barcode(item[column.field], x, top + TEMPLATE_BARCODE_TEXT_HEIGHT, width,
+                    rowHeight - TEMPLATE_BARCODE_TEXT_HEIGHT - 4);
+            }
+        });
+
+        top += rowHeight + notesHeight;
+        // Heavier rule between bills
+        draw.line(MARGIN_X, top, MARGIN_X + contentWidth, top, 1.5);
+    });
+
+    draw.box(MARGIN_X, tableTop, contentWidth, top - tableTop, 1.5);
+}
+
+/**
+ * Build a dock tally PDF, one or more pages per MBL (Ocean) or MAWB (Air)
+ * @param {Array} groups - { mbl, containers, items } (Ocean) or { mawb, flights, items } (Air), in print order
+ * @param {Object} options - { mode, layout, onProgress(done, total) }; layout is a normalized
+ *   template layout, or null for the Standard one
+ * @returns {Promise<Uint8Array>} the PDF file
+ */
+export async function buildDockTallyPdf(groups, { mode = 'ocean', layout = null, onProgress } = {}) {
+    const pdf = await PDFDocument.create();
+    pdf.setTitle(mode === 'air' ? 'Air Dock Tally Report' : 'Ocean Dock Tally Report');
+    const fonts = {
+        regular: await pdf.embedFont(StandardFonts.Helvetica),
+        bold: await pdf.embedFont(StandardFonts.HelveticaBold),
+    };
+
+    const now = new Date();
+    const printedAt = `${now.getMonth() + 1}/${now.getDate()}/${String(now.getFullYear()).slice(-2)} `
+        + `${now.getHours()}:${String(now.getMinutes()).padStart(2, '0')}`;
+
+    for (let index = 0; index < groups.length; index++) {
+        const group = groups[index];
+
+        if (layout) {
+            const { width, height } = getPageSize(layout);
+            chunk(group.items, layout.rowsPerPage).forEach((items, pageIndex) => {
+                drawTemplatePage(createPage(pdf, fonts, width, height), layout, group, items, mode, {
+                    pageNumber: pageIndex + 1,
+                    printedAt,
+                });
+            });
+        } else if (mode === 'air') {
+            chunk(group.items, AIR_ITEMS_PER_PAGE).forEach((items, pageIndex) => {
+                drawAirPage(createPage(pdf, fonts), group, items, pageIndex, printedAt);
+            });
+        } else {
+            chunk(group.items, OCEAN_ITEMS_PER_PAGE).forEach((items, pageIndex) => {
+                drawOceanPage(createPage(pdf, fonts), group, items, pageIndex === 0);
+            });
+        }
+
+        onProgress?.(index + 1, groups.length);
+    }
+
+    return pdf.save();
+}
@@ -0,0 +1,23 @@
+/**
+ * Dock Tally PDF Worker - Builds dock tally PDFs off the main thread
+ * Receives { groups, mode, layout }; posts { type: 'progress', current, total } per MBL/MAWB,
+ * then { type: 'done', pdf } or { type: 'error', message }. Cancelling terminates the worker.
+ */
+
+import { buildDockTallyPdf } from './dockTallyPdf';
+
+self.onmessage = async (event) => {
+    const { groups, mode, layout } = event.data;
+
+    try {
+        const pdf = await buildDockTallyPdf(groups, {
+            mode,
+            layout,
+            onProgress: (current, total) => self.postMessage({ type: 'progress', current, total }),
+        });
+        // Hand the bytes over instead of copying them
+        self.postMessage({ type: 'done', pdf }, [pdf.buffer]);
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message || 'PDF generation failed' });
+    }
+};
@@ -0,0 +1,164 @@
+/**
+ * Dock Tally Templates - Named dock tally layouts: columns, rows per page, paper and header
+ * A template's layout is plain data, saved per mode by the backends and read by both the
+ * HTML preview (DockTallyReport.jsx) and the PDF worker (dockTallyPdf.js).
+ * No template picked means the Standard layout those files draw themselves.
+ */
+
+// Paper sizes in points, portrait
+export const PAPER_SIZES = {
+    letter: { label: 'Letter', width: 612, height: 792 },
+    legal: { label: 'Legal', width: 612, height: 1008 },
+    a4: { label: 'A4', width: 595.28, height: 841.89 },
+};
+
+export const MAX_ROWS_PER_PAGE = 30;
+
+// Header cells over each MBL/MAWB's table; 'arrival' is left blank for the dock to fill in
+const OCEAN_HEADER_FIELDS = [
+    { key: 'mbl', label: 'MBL' },
+    { key: 'containers', label: 'Container' },
+    { key: 'carrier', label: 'Carrier' },
+    { key: 'vessel', label: 'Vessel' },
+    { key: 'arrival', label: 'Arrival' },
+    { key: 'printed', label: 'Date' },
+    { key: 'page', label: 'Page' },
+];
+
+const AIR_HEADER_FIELDS = [
+    { key: 'mawb', label: 'MAWB' },
+    { key: 'flights', label: 'Flight' },
+    { key: 'carrier', label: 'Carrier' },
+    { key: 'arrival', label: 'Arrival' },
+    { key: 'printed', label: 'Date' },
+    { key: 'page', label: 'Page' },
+];
+
+export function getHeaderFieldOptions(mode = 'ocean') {
+    return mode === 'air' ? AIR_HEADER_FIELDS : OCEAN_HEADER_FIELDS;
+}
+
+/**
+ * The field scanners read off each row (HB / HAWB); its column carries the barcode
+ */
+export function getBillField(mode = 'ocean') {
+    return mode === 'air' ? 'hawb' : 'hb';
+}
+
+/**
+ * Starting layout for a new template, close to the Standard one
+ * Columns with no field are blank for the dock to write in
+ */
+export function createTemplateLayout(mode = 'ocean') {
+    if (mode === 'air') {
+        return {
+            paperSize: 'letter',
+            orientation: 'landscape',
+            rowsPerPage: 5,
+            notesRow: true,
+            headerFields: ['mawb', 'flights', 'printed', 'page'],
+            columns: [
+                { field: 'hawb', label: 'HAWB', width: 14 },
+                { field: 'destination', label: 'Dest', width: 10 },
+                { field: 'slac', label: 'SLAC', width: 8 },
+                { field: 'qty', label: 'QTY', width: 8 },
+                { field: '', label: 'PCS', width: 10 },
+                { field: '', label: 'LOC', width: 10 },
+                { field: '', label: 'TIME', width: 10 },
+                { field: '', label: 'CRW', width: 10 },
+                { field: '', label: 'SUB', width: 10 },
+            ],
+        };
+    }
+
+    return {
+        paperSize: 'letter',
+        orientation: 'landscape',
+        rowsPerPage: 6,
+        notesRow: true,
+        headerFields: ['mbl', 'containers', 'arrival'],
+        columns: [
+            { field: 'hb', label: 'HB', width: 15 },
+            { field: 'dest', label: 'Dest', width: 12 },
+            { field: 'outer_quantity', label: 'Outer Qty', width: 10 },
+            { field: 'pcs', label: 'Mfst PCS', width: 10 },
+            { field: '', label: 'PCS', width: 10 },
+            { field: '', label: 'LOC', width: 10 },
+            { field: '', label: 'TIME', width: 10 },
+            { field: '', label: 'DMG', width: 10 },
+            { field: '', label: 'CRW', width: 10 },
+        ],
+    };
+}
+
+/**
+ * A saved layout with anything missing or out of range put back to something printable
+ * Saved rows come from the database (or an older version of this file), so don't trust them
+ */
+export function normalizeLayout(layout, mode = 'ocean') {
+    const defaults = createTemplateLayout(mode);
+    const headerKeys = getHeaderFieldOptions(mode).map(field => field.key);
+    const rowsPerPage = Math.round(Number(layout?.rowsPerPage));
+
+    const columns = (Array.isArray(layout?.columns) ? layout.columns : [])
+        .map(column => ({
+            field: String(column?.field || ''),
+            label: String(column?.label ?? ''),
+            width: Number(column?.width) > 0 ? Number(column.width) : 10,
+        }));
+
+    return {
+        paperSize: PAPER_SIZES[layout?.paperSize] ? layout.paperSize : defaults.paperSize,
+        orientation: layout?.orientation === 'portrait' ? 'portrait' : 'landscape',
+        rowsPerPage: rowsPerPage >= 1 ? Math.min(rowsPerPage, MAX_ROWS_PER_PAGE) : defaults.rowsPerPage,
+        notesRow: layout?.notesRow !== false,
+        headerFields: Array.isArray(layout?.headerFields)
+            ? headerKeys.filter(key => layout.headerFields.includes(key))
+            : defaults.headerFields,
+        columns: columns.length > 0 ? columns : defaults.columns,
+    };
+}
+
+/**
+ * Page width and height in points for the layout's paper and orientation
+ */
+export function getPageSize(layout) {
+    const { width, height } = PAPER_SIZES[layout.paperSize] || PAPER_SIZES.letter;
+    return layout.orientation === 'portrait' ? { width, height } : { width: height, height: width };
+}
+
+/**
+ * Header cells for one page of a group, as { label, value, barcode }
+ * barcode is set on the MBL / MAWB cell, which gets one
+ * @param {Object} context - { pageNumber, printedAt }
+ */
+export function getHeaderCells(layout, group, mode, { pageNumber, printedAt }) {
+    const first = group.items[0] || {};
+    const values = {
+        mbl: group.mbl,
+        mawb: group.mawb,
+        containers: (group.containers || []).join(', '),
+        flights: (group.flights || []).join(', '),
+        carrier: first.carrier,
+        vessel: first.vessel,
+        arrival: '',
+        printed: printedAt,
+        page: pageNumber,
+    };
+
+    return getHeaderFieldOptions(mode)
+        .filter(field => layout.headerFields.includes(field.key))
+        .map(field => ({
+            label: field.label,
+            value: values[field.key] ?? '',
+            barcode: field.key === 'mbl' || field.key === 'mawb',
+        }));
+}
+
+/**
+ * Relative column widths as percentages of the table
+ */
+export function getColumnPercents(layout) {
+    const total = layout.columns.reduce((sum, column) => sum + column.width, 0);
+    return layout.columns.map(column => (column.width / total) * 100);
+}
@@ -0,0 +1,170 @@
+/**
+ * IndexedDB Configuration - Database, object stores and indexes behind the local backend
+ * Small promise helpers over the native API; each store mirrors a Supabase table
+ */
+
+const DB_NAME = 'csvdock';
+const DB_VERSION = 5;
+
+// Object store name -> indexed columns (every store is keyed by `id`)
+const STORE_INDEXES = {
+    uploads: [],
+    report_data: ['upload_id', 'hb', 'mbl'],
+    master_list: ['hb', 'mbl', 'first_seen_upload_id', 'last_updated_upload_id'],
+    master_list_changes: ['upload_id', 'hb', 'master_list_id'],
+    removed_items_history: ['removed_at_upload_id', 'last_seen_upload_id', 'hb', 'mbl'],
+    column_mapping_profiles: ['mode'],
+    air_uploads: [],
+    air_report_data: ['upload_id', 'hawb', 'mawb'],
+    air_master_list: ['hawb', 'mawb', 'first_seen_upload_id', 'last_updated_upload_id'],
+    // Supabase writes made while offline, waiting to be replayed (added in version 2)
+    sync_queue: [],
+    // Named Dashboard URLs (added in version 3)
+    saved_views: ['mode'],
+    // Named dock tally layouts (added in version 4)
+    dock_tally_templates: ['mode'],
+    // On-screen dock tally counts (added in version 5)
+    dock_tally_entries: ['hb', 'mbl', 'master_list_id'],
+    air_dock_tally_entries: ['hawb', 'mawb', 'air_master_list_id'],
+};
+
+// localStorage keys used before the move to IndexedDB, copied over on first open
+const LEGACY_STORAGE_KEYS = {
+    uploads: 'csvdock_uploads',
+    report_data: 'csvdock_report_data',
+    master_list: 'csvdock_master_list',
+    air_uploads: 'csvdock_air_uploads',
+    air_report_data: 'csvdock_air_report_data',
+    air_master_list: 'csvdock_air_master_list',
+};
+
+export const STORE_NAMES = Object.keys(STORE_INDEXES);
+
+let dbPromise = null;
+
+function createStores(db, tx) {
+    for (const [storeName, indexes] of Object.entries(STORE_INDEXES)) {
+        const store = db.objectStoreNames.contains(storeName)
+            ? tx.objectStore(storeName)
+            : db.createObjectStore(storeName, { keyPath: 'id' });
+
+        indexes.forEach(column => {
+            if (!store.indexNames.contains(column)) store.createIndex(column, column);
+        });
+    }
+}
+
+function copyLegacyStorage(tx) {
+    for (const [storeName, key] of Object.entries(LEGACY_STORAGE_KEYS)) {
+        const saved = localStorage.getItem(key);
+        if (!saved) continue;
+
+        const store = tx.objectStore(storeName);
+        JSON.parse(saved).forEach(row => store.put(row));
+    }
+
+    // Only drop the old copies once they are safely in IndexedDB
+    tx.addEventListener('complete', () => {
+        Object.values(LEGACY_STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+    });
+}
+
+/**
+ * Open (and on first use create) the database; the connection is shared
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                createStores(request.result, request.transaction);
+                if (event.oldVersion === 0) copyLegacyStorage(request.transaction);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Wrap a single IDBRequest in a promise
+ */
+export function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run `work(stores)` inside one transaction over the named stores
+ * Resolves with work's result once the transaction commits. If any request fails or
+ * work throws, the whole transaction is rolled back and the promise rejects.
+ * Only await IndexedDB requests inside work, or the transaction commits early.
+ */
+export async function withTransaction(storeNames, mode, work) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+        let result;
+
+        tx.oncomplete = () => resolve(result);
+        tx.onabort = () => reject(tx.error || new Error('Local database transaction was aborted'));
+
+        Promise.resolve()
+            .then(() => work(stores))
+            .then(value => {
+                result = value;
+            }, err => {
+                reject(err);
+                try {
+                    tx.abort();
+                } catch {
+                    // Already finished; nothing left to roll back
+                }
+            });
+    });
+}
+
+/**
+ * Every row in a store, or only the rows whose indexed column equals value
+ */
+export function getRows(store, indexName = null, value = null) {
+    // A missing key would match every row rather than none
+    if (indexName && (value === null || value === undefined)) return Promise.resolve([]);
+
+    const source = indexName ? store.index(indexName) : store;
+    return requestToPromise(indexName ? source.getAll(value) : source.getAll());
+}
+
+/**
+ * Rows whose indexed column matches any of the given values, one index lookup per value
+ */
+export async function getRowsByKeys(store, indexName, values) {
+    const results = await Promise.all(values.map(value => getRows(store, indexName, value)));
+    return results.flat();
+}
+
+/**
+ * Put every row (insert or replace by id)
+ */
+export function putRows(store, rows) {
+    return Promise.all(rows.map(row => requestToPromise(store.put(row))));
+}
+
+/**
+ * Delete the rows whose indexed column equals value
+ * @returns {Promise<Array>} the deleted rows
+ */
+export async function deleteRows(store, indexName, value) {
+    const rows = await getRows(store, indexName, value);
+    await Promise.all(rows.map(row => requestToPromise(store.delete(row.id))));
+    return rows;
+}
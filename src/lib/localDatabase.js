@@ -1,16 +1,35 @@
 /**
- * Local Storage Database - For testing without Supabase
- * This module stores all data in browser localStorage
+ * Local Database - Offline backend with the same API as database.js
+ * Stores every table in the browser's IndexedDB (see indexedDb.js); selected through dataStore.js
  */
 
-const STORAGE_KEYS = {
-    UPLOADS: 'csvdock_uploads',
-    REPORT_DATA: 'csvdock_report_data',
-    MASTER_LIST: 'csvdock_master_list',
+import {
+    TRACKED_FIELDS, AIR_TRACKED_FIELDS, normalizeHB,
+    getChangedFields, toReportRow, toAirReportRow, planMasterListChanges,
+    planAirMasterListChanges, buildLifecycle, groupRowsByMBL, groupRowsByMAWB, diffUploadRows,
+    pageRows, findDuplicateValues, SEARCH_COLUMNS, AIR_SEARCH_COLUMNS,
+    BULK_LOOKUP_COLUMNS, AIR_BULK_LOOKUP_COLUMNS
+} from './reportLogic';
+import {
+    STORE_NAMES, withTransaction, requestToPromise, getRows, getRowsByKeys, putRows, deleteRows
+} from './indexedDb';
+
+const STORES = {
+    UPLOADS: 'uploads',
+    REPORT_DATA: 'report_data',
+    MASTER_LIST: 'master_list',
+    MASTER_LIST_CHANGES: 'master_list_changes',
+    REMOVED_ITEMS_HISTORY: 'removed_items_history',
+    COLUMN_MAPPING_PROFILES: 'column_mapping_profiles',
     // Air cargo storage
-    AIR_UPLOADS: 'csvdock_air_uploads',
-    AIR_REPORT_DATA: 'csvdock_air_report_data',
-    AIR_MASTER_LIST: 'csvdock_air_master_list',
+    AIR_UPLOADS: 'air_uploads',
+    AIR_REPORT_DATA: 'air_report_data',
+    AIR_MASTER_LIST: 'air_master_list',
+    SYNC_QUEUE: 'sync_queue',
+    SAVED_VIEWS: 'saved_views',
+    DOCK_TALLY_TEMPLATES: 'dock_tally_templates',
+    DOCK_TALLY_ENTRIES: 'dock_tally_entries',
+    AIR_DOCK_TALLY_ENTRIES: 'air_dock_tally_entries',
 };
 
 // Helper to generate unique IDs
@@ -18,581 +37,1131 @@ function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
-// Helper to get data from localStorage
-function getStorage(key) {
-    const data = localStorage.getItem(key);
-    return data ? JSON.parse(data) : [];
+// Read every row of a store, or the rows whose indexed column equals value
+function readRows(storeName, indexName = null, value = null) {
+    return withTransaction([storeName], 'readonly', stores => getRows(stores[storeName], indexName, value));
 }
 
-// Helper to save data to localStorage
-function setStorage(key, data) {
-    localStorage.setItem(key, JSON.stringify(data));
+// Same rules as the Supabase queries: 'with_frl' / 'without_frl' on a column
+function filterByValue(data, column, filter, withKey, withoutKey) {
+    if (filter === withKey) return data.filter(r => r[column] && r[column].trim() !== '');
+    if (filter === withoutKey) return data.filter(r => !r[column] || r[column].trim() === '');
+    return data;
+}
+
+// Newest first, like the Supabase upload queries
+function sortByDateDesc(uploads) {
+    return [...uploads].sort((a, b) => b.upload_date.localeCompare(a.upload_date));
 }
 
 /**
  * UPLOADS OPERATIONS
  */
 
-export async function saveUpload(filename, rowCount) {
-    const uploads = getStorage(STORAGE_KEYS.UPLOADS);
-    const newUpload = {
-        id: generateId(),
-        filename,
-        row_count: rowCount,
-        upload_date: new Date().toISOString(),
-    };
-    uploads.unshift(newUpload);
-    setStorage(STORAGE_KEYS.UPLOADS, uploads);
-    return newUpload;
+export async function getAllUploads() {
+    try {
+        return sortByDateDesc(await readRows(STORES.UPLOADS));
+    } catch (err) {
+        console.error('Error getting uploads:', err);
+        return [];
+    }
 }
 
-export async function getAllUploads() {
-    return getStorage(STORAGE_KEYS.UPLOADS);
+/**
+ * Find the most recent upload with the same file bytes or the same row set
+ * @returns {Promise<{upload: Object, match: 'identical'|'same_rows'}|null>}
+ */
+async function findUploadByHashes(storeName, contentHash, rowSetHash) {
+    try {
+        const matches = sortByDateDesc(await readRows(storeName)).filter(upload =>
+            (contentHash && upload.content_hash === contentHash)
+            || (rowSetHash && upload.row_set_hash === rowSetHash)
+        );
+        if (matches.length === 0) return null;
+
+        // An identical file is the stronger match, even if an older upload
+        const identical = matches.find(upload => upload.content_hash === contentHash);
+        return identical
+            ? { upload: identical, match: 'identical' }
+            : { upload: matches[0], match: 'same_rows' };
+    } catch (err) {
+        console.error(`Error checking ${storeName} for duplicates:`, err);
+        return null;
+    }
 }
 
-export async function deleteUpload(uploadId) {
-    // Delete upload
-    const uploads = getStorage(STORAGE_KEYS.UPLOADS).filter(u => u.id !== uploadId);
-    setStorage(STORAGE_KEYS.UPLOADS, uploads);
+export async function findDuplicateUpload(contentHash, rowSetHash) {
+    return findUploadByHashes(STORES.UPLOADS, contentHash, rowSetHash);
+}
 
-    // Delete associated report data
-    const reportData = getStorage(STORAGE_KEYS.REPORT_DATA).filter(r => r.upload_id !== uploadId);
-    setStorage(STORAGE_KEYS.REPORT_DATA, reportData);
+// Clear an upload reference on every row that points at it (SET NULL in Supabase)
+async function clearUploadReference(store, column, uploadId) {
+    const rows = await getRows(store, column, uploadId);
+    await putRows(store, rows.map(row => ({ ...row, [column]: null })));
+}
 
-    return true;
+// Tally entries keep their counts when the rows they link to are deleted (SET NULL in Supabase)
+async function unlinkTallyEntries(store, column, deletedRows) {
+    const ids = new Set(deletedRows.map(row => row.id));
+    const rows = (await getRows(store)).filter(row => ids.has(row[column]));
+    await putRows(store, rows.map(row => ({ ...row, [column]: null })));
 }
 
-/**
- * REPORT DATA OPERATIONS
- */
+export async function deleteUpload(uploadId) {
+    const storeNames = [
+        STORES.UPLOADS, STORES.REPORT_DATA, STORES.MASTER_LIST,
+        STORES.MASTER_LIST_CHANGES, STORES.REMOVED_ITEMS_HISTORY, STORES.DOCK_TALLY_ENTRIES,
+    ];
+
+    try {
+        await withTransaction(storeNames, 'readwrite', async stores => {
+            // Master list items first seen in this upload go with it, along with their change log
+            const removedItems = await deleteRows(stores[STORES.MASTER_LIST], 'first_seen_upload_id', uploadId);
+            for (const item of removedItems) {
+                await deleteRows(stores[STORES.MASTER_LIST_CHANGES], 'master_list_id', item.id);
+            }
+            await unlinkTallyEntries(stores[STORES.DOCK_TALLY_ENTRIES], 'master_list_id', removedItems);
+            await clearUploadReference(stores[STORES.MASTER_LIST], 'last_updated_upload_id', uploadId);
+            await deleteRows(stores[STORES.MASTER_LIST_CHANGES], 'upload_id', uploadId);
 
-export async function saveReportData(uploadId, rows) {
-    const reportData = getStorage(STORAGE_KEYS.REPORT_DATA);
+            await deleteRows(stores[STORES.REMOVED_ITEMS_HISTORY], 'removed_at_upload_id', uploadId);
+            await clearUploadReference(stores[STORES.REMOVED_ITEMS_HISTORY], 'last_seen_upload_id', uploadId);
 
-    const dataToInsert = rows.map(row => ({
-        id: generateId(),
-        upload_id: uploadId,
-        container: row['CONTAINER'] || null,
-        seal_number: row['SEAL #'] || null,
-        carrier: row['CARRIER'] || null,
-        mbl: row['MBL'] || null,
-        mi: row['MI'] || null,
-        vessel: row['VESSEL'] || null,
-        hb: normalizeHB(row['HB']),
-        outer_quantity: row['OUTER QUANTITY'] || null,
-        pcs: row['PCS'] || null,
-        wt_lbs: row['WT_LBS'] || null,
-        cnee: row['CNEE'] || null,
-        frl: row['FRL'] || null,
-        file_no: row['FILE_NO'] || null,
-        dest: row['DEST'] || null,
-        volume: row['VOLUME'] || null,
-        vbond: row['VBOND#'] || null,
-        tdf: row['TDF'] || null,
-    }));
+            const reportRows = await deleteRows(stores[STORES.REPORT_DATA], 'upload_id', uploadId);
+            await unlinkTallyEntries(stores[STORES.DOCK_TALLY_ENTRIES], 'report_data_id', reportRows);
+            await requestToPromise(stores[STORES.UPLOADS].delete(uploadId));
+        });
 
-    reportData.push(...dataToInsert);
-    setStorage(STORAGE_KEYS.REPORT_DATA, reportData);
+        // Clean up orphaned master list items (items with no upload references)
+        await cleanupOrphanedMasterListItems();
 
-    return dataToInsert.length;
+        return true;
+    } catch (err) {
+        console.error('Error in deleteUpload:', err);
+        return false;
+    }
 }
 
-export async function getReportData(uploadId, filter = 'all') {
-    let data = getStorage(STORAGE_KEYS.REPORT_DATA).filter(r => r.upload_id === uploadId);
-
-    if (filter === 'with_frl') {
-        data = data.filter(r => r.frl && r.frl.trim() !== '');
-    } else if (filter === 'without_frl') {
-        data = data.filter(r => !r.frl || r.frl.trim() === '');
+/**
+ * Remove master list items that have no upload references
+ * This happens when all uploads referencing an item have been deleted
+ */
+export async function cleanupOrphanedMasterListItems() {
+    try {
+        const storeNames = [STORES.MASTER_LIST, STORES.MASTER_LIST_CHANGES, STORES.DOCK_TALLY_ENTRIES];
+        await withTransaction(storeNames, 'readwrite', async stores => {
+            const masterList = await getRows(stores[STORES.MASTER_LIST]);
+            const orphans = masterList.filter(m => !m.first_seen_upload_id && !m.last_updated_upload_id);
+
+            for (const item of orphans) {
+                await requestToPromise(stores[STORES.MASTER_LIST].delete(item.id));
+                await deleteRows(stores[STORES.MASTER_LIST_CHANGES], 'master_list_id', item.id);
+            }
+            await unlinkTallyEntries(stores[STORES.DOCK_TALLY_ENTRIES], 'master_list_id', orphans);
+        });
+        return true;
+    } catch (err) {
+        console.error('Error in cleanupOrphanedMasterListItems:', err);
+        return false;
     }
+}
 
-    return data;
+/**
+ * REPORT DATA OPERATIONS
+ */
+
+export async function getReportData(uploadId, filter = 'all') {
+    try {
+        const data = await readRows(STORES.REPORT_DATA, 'upload_id', uploadId);
+        return filterByValue(data, 'frl', filter, 'with_frl', 'without_frl');
+    } catch (err) {
+        console.error('Error getting report data:', err);
+        return [];
+    }
 }
 
 /**
  * MASTER LIST OPERATIONS
  */
 
-export async function updateMasterList(uploadId, rows) {
-    const masterList = getStorage(STORAGE_KEYS.MASTER_LIST);
-    let itemsAdded = 0;
-    let itemsUpdated = 0;
-
-    // Master List is a unique catalog by HB - no duplicates
-    for (const row of rows) {
-        const hb = normalizeHB(row['HB']);
-        if (!hb) continue; // Skip rows without HB
-
-        // Check if this HB already exists in master list
-        const existingIndex = masterList.findIndex(m => m.hb === hb);
-
-        const itemData = {
-            container: row['CONTAINER'] || null,
-            seal_number: row['SEAL #'] || null,
-            carrier: row['CARRIER'] || null,
-            mbl: row['MBL'] || null,
-            mi: row['MI'] || null,
-            vessel: row['VESSEL'] || null,
-            hb: hb,
-            outer_quantity: row['OUTER QUANTITY'] || null,
-            pcs: row['PCS'] || null,
-            wt_lbs: row['WT_LBS'] || null,
-            cnee: row['CNEE'] || null,
-            frl: row['FRL'] || null,
-            file_no: row['FILE_NO'] || null,
-            dest: row['DEST'] || null,
-            volume: row['VOLUME'] || null,
-            vbond: row['VBOND#'] || null,
-            tdf: row['TDF'] || null,
-            last_updated_upload_id: uploadId,
-            updated_at: new Date().toISOString(),
-        };
+// Stored master list items for the upload's keys (HB or HAWB column), one index lookup per key
+function getExistingItems(store, rows, column, indexName) {
+    const keys = [...new Set(rows.map(row => normalizeHB(row[column])).filter(key => key))];
+    return getRowsByKeys(store, indexName, keys);
+}
 
-        if (existingIndex >= 0) {
-            // Update existing entry with latest data
-            const existing = masterList[existingIndex];
-            masterList[existingIndex] = { ...existing, ...itemData };
-            itemsUpdated++;
-        } else {
-            // Add new entry
-            itemData.id = generateId();
-            itemData.first_seen_upload_id = uploadId;
-            itemData.created_at = new Date().toISOString();
-            masterList.push(itemData);
-            itemsAdded++;
-        }
+/**
+ * Stamp a master list plan with upload ids and timestamps and write it
+ * Runs inside the caller's transaction, so a failed write rolls back with the rest
+ */
+async function applyMasterListPlan(masterStore, changesStore, uploadId, plan, existingItems) {
+    const now = new Date().toISOString();
+    const existingById = new Map(existingItems.map(item => [item.id, item]));
+
+    const itemsToInsert = plan.itemsToInsert.map(item => ({
+        ...item,
+        id: generateId(),
+        first_seen_upload_id: uploadId,
+        last_updated_upload_id: uploadId,
+        created_at: now,
+        updated_at: now,
+    }));
+    const itemsToUpdate = plan.itemsToUpdate.map(item => ({
+        ...existingById.get(item.id),
+        ...item,
+        last_updated_upload_id: uploadId,
+        updated_at: now,
+    }));
+    await putRows(masterStore, [...itemsToInsert, ...itemsToUpdate]);
+
+    if (changesStore) {
+        await putRows(changesStore, plan.changesToInsert.map(change => ({
+            ...change,
+            id: generateId(),
+            upload_id: uploadId,
+            changed_at: now,
+        })));
     }
 
-    setStorage(STORAGE_KEYS.MASTER_LIST, masterList);
-    return { itemsAdded, itemsUpdated };
+    return { itemsAdded: itemsToInsert.length, itemsUpdated: itemsToUpdate.length };
 }
 
-export async function getMasterListData(filter = 'all') {
-    let data = getStorage(STORAGE_KEYS.MASTER_LIST);
+/**
+ * Get every recorded column change for an HB, newest first
+ */
+export async function getMasterListChanges(hb) {
+    try {
+        const [changes, uploads] = await withTransaction(
+            [STORES.MASTER_LIST_CHANGES, STORES.UPLOADS], 'readonly', stores => Promise.all([
+                getRows(stores[STORES.MASTER_LIST_CHANGES], 'hb', normalizeHB(hb)),
+                getRows(stores[STORES.UPLOADS]),
+            ])
+        );
+        const uploadsById = new Map(uploads.map(u => [u.id, u]));
+
+        return changes
+            .sort((a, b) => b.changed_at.localeCompare(a.changed_at))
+            .map(change => {
+                // Same shape as the Supabase join on uploads
+                const upload = uploadsById.get(change.upload_id);
+                return {
+                    ...change,
+                    uploads: upload ? { upload_date: upload.upload_date, filename: upload.filename } : null,
+                };
+            });
+    } catch (err) {
+        console.error('Error getting master list changes:', err);
+        return [];
+    }
+}
 
-    if (filter === 'with_frl') {
-        data = data.filter(r => r.frl && r.frl.trim() !== '');
-    } else if (filter === 'without_frl') {
-        data = data.filter(r => !r.frl || r.frl.trim() === '');
+export async function getMasterListData(filter = 'all') {
+    try {
+        const data = await readRows(STORES.MASTER_LIST);
+        return filterByValue(data, 'frl', filter, 'with_frl', 'without_frl');
+    } catch (err) {
+        console.error('Error getting master list:', err);
+        return [];
     }
+}
 
-    return data;
+// Distinct non-blank values of a column (unique MBLs / MAWBs)
+function countUniqueValues(rows, column) {
+    return new Set(rows.map(r => r[column]).filter(value => value && value.trim() !== '')).size;
 }
 
+/**
+ * Every Master List metric card, same shape as the Supabase RPC result
+ */
 export async function getMasterListMetrics() {
-    const allData = getStorage(STORAGE_KEYS.MASTER_LIST);
+    const allData = await getMasterListData('all');
+    const latestUploadId = await getLatestUploadId();
     const totalRows = allData.length;
     const withFrl = allData.filter(r => r.frl && r.frl.trim() !== '').length;
-    const withoutFrl = totalRows - withFrl;
+    const updated = allData.filter(r => latestUploadId && r.last_updated_upload_id === latestUploadId
+        && r.last_update_reason);
 
-    return { totalRows, withFrl, withoutFrl };
+    return {
+        totalRows,
+        withFrl,
+        withoutFrl: totalRows - withFrl,
+        uniqueMbls: countUniqueValues(allData, 'mbl'),
+        newItems: allData.filter(r => latestUploadId && r.first_seen_upload_id === latestUploadId).length,
+        updatedItems: updated.length,
+        newFrl: updated.filter(r => r.last_update_reason.toUpperCase().includes('FRL')).length,
+    };
 }
 
 export async function getLatestUploadId() {
-    const uploads = getStorage(STORAGE_KEYS.UPLOADS);
+    const uploads = await getAllUploads();
     return uploads.length > 0 ? uploads[0].id : null;
 }
 
-export async function getMasterListNewItems() {
-    const latestUploadId = await getLatestUploadId();
+// Master list items stamped by the latest upload, via the given upload id index
+async function getLatestUploadItems(storeName, latestUploadId, indexName, keep = () => true) {
     if (!latestUploadId) return { count: 0, data: [] };
 
-    const data = getStorage(STORAGE_KEYS.MASTER_LIST).filter(
-        m => m.first_seen_upload_id === latestUploadId
-    );
+    try {
+        const data = (await readRows(storeName, indexName, latestUploadId)).filter(keep);
+        return { count: data.length, data };
+    } catch (err) {
+        console.error(`Error getting ${storeName} items:`, err);
+        return { count: 0, data: [] };
+    }
+}
 
-    return { count: data.length, data };
+export async function getMasterListNewItems() {
+    return getLatestUploadItems(STORES.MASTER_LIST, await getLatestUploadId(), 'first_seen_upload_id');
 }
 
 export async function getMasterListUpdatedItems() {
-    const latestUploadId = await getLatestUploadId();
-    if (!latestUploadId) return { count: 0, data: [] };
-
-    const data = getStorage(STORAGE_KEYS.MASTER_LIST).filter(
-        m => m.last_updated_upload_id === latestUploadId && m.last_update_reason
+    return getLatestUploadItems(
+        STORES.MASTER_LIST, await getLatestUploadId(), 'last_updated_upload_id',
+        m => m.last_update_reason
     );
-
-    return { count: data.length, data };
 }
 
 export async function getMasterListNewFrl() {
-    const latestUploadId = await getLatestUploadId();
-    if (!latestUploadId) return { count: 0, data: [] };
+    return getLatestUploadItems(
+        STORES.MASTER_LIST, await getLatestUploadId(), 'last_updated_upload_id',
+        m => m.last_update_reason && m.last_update_reason.toUpperCase().includes('FRL')
+    );
+}
 
-    const data = getStorage(STORAGE_KEYS.MASTER_LIST).filter(
-        m => m.last_updated_upload_id === latestUploadId &&
-            m.last_update_reason &&
-            m.last_update_reason.includes('FRL')
+/**
+ * Get the upload immediately before the given one (by date, not ID)
+ */
+function findPreviousUpload(uploads, currentUploadId) {
+    const current = uploads.find(u => u.id === currentUploadId);
+    if (!current) return null;
+
+    return sortByDateDesc(uploads).find(u => u.upload_date < current.upload_date) || null;
+}
+
+// Report rows of the current and base uploads, or null when there's nothing to compare against
+async function getComparisonRows(currentUploadId, baseUploadId) {
+    // Compare against the chosen base upload, or the previous upload by default
+    const prevUploadId = baseUploadId || findPreviousUpload(await getAllUploads(), currentUploadId)?.id;
+    if (!prevUploadId) return null;
+
+    const [currentData, prevData] = await withTransaction([STORES.REPORT_DATA], 'readonly', stores =>
+        Promise.all([
+            getRows(stores[STORES.REPORT_DATA], 'upload_id', currentUploadId),
+            getRows(stores[STORES.REPORT_DATA], 'upload_id', prevUploadId),
+        ])
     );
+    return { prevUploadId, currentData, prevData };
+}
 
-    return { count: data.length, data };
+/**
+ * COMPARISON OPERATIONS (Between uploads)
+ * Each compares against the previous upload unless a base upload is given
+ */
+
+/**
+ * Counts for an upload and its new / removed / newly FRL'd diff, same shape as the
+ * get_upload_diff RPC; `rows` holds one diff ('new_items', 'removed_items' or 'new_frl')
+ */
+export async function getUploadDiff(currentUploadId, baseUploadId = null, rows = null) {
+    try {
+        const comparison = await getComparisonRows(currentUploadId, baseUploadId);
+        const currentData = comparison?.currentData || await readRows(STORES.REPORT_DATA, 'upload_id', currentUploadId);
+        const diff = comparison
+            ? diffUploadRows(comparison.currentData, comparison.prevData)
+            : { new_items: [], removed_items: [], new_frl: [] };
+        const withFrl = currentData.filter(r => r.frl && r.frl.trim() !== '').length;
+
+        return {
+            baseUploadId: comparison?.prevUploadId || null,
+            totalRows: currentData.length,
+            uniqueMbls: countUniqueValues(currentData, 'mbl'),
+            withFrl,
+            withoutFrl: currentData.length - withFrl,
+            newItems: diff.new_items.length,
+            removedItems: diff.removed_items.length,
+            newFrl: diff.new_frl.length,
+            rows: (rows && diff[rows]) || [],
+        };
+    } catch (err) {
+        console.error('Error comparing uploads:', err);
+        return null;
+    }
 }
 
 /**
- * COMPARISON OPERATIONS
+ * Get the rows of HBs that were in the base upload without an FRL and now have one
+ * (HBs that are new in this upload are new items, not newly FRL'd)
  */
+export async function getNewlyFrldData(currentUploadId, baseUploadId = null) {
+    return (await getUploadDiff(currentUploadId, baseUploadId, 'new_frl'))?.rows || [];
+}
 
-export async function detectNewItems(currentUploadId) {
-    const uploads = getStorage(STORAGE_KEYS.UPLOADS);
-    const currentIndex = uploads.findIndex(u => u.id === currentUploadId);
+/**
+ * Detect newly FRL'd items for a specific upload
+ * (compared to the previous upload, or to baseUploadId when given)
+ */
+export async function detectNewlyFrld(currentUploadId, baseUploadId = null) {
+    return (await getUploadDiff(currentUploadId, baseUploadId))?.newFrl || 0;
+}
 
-    if (currentIndex === -1 || currentIndex >= uploads.length - 1) {
-        // No previous upload
-        const currentData = getStorage(STORAGE_KEYS.REPORT_DATA).filter(r => r.upload_id === currentUploadId);
-        return currentData.length;
-    }
+export async function getNewItemsData(currentUploadId, baseUploadId = null) {
+    return (await getUploadDiff(currentUploadId, baseUploadId, 'new_items'))?.rows || [];
+}
 
-    const prevUploadId = uploads[currentIndex + 1].id;
-    const reportData = getStorage(STORAGE_KEYS.REPORT_DATA);
+export async function getRemovedItemsData(currentUploadId, baseUploadId = null) {
+    return (await getUploadDiff(currentUploadId, baseUploadId, 'removed_items'))?.rows || [];
+}
 
-    const currentHBs = new Set(
-        reportData.filter(r => r.upload_id === currentUploadId && r.hb).map(r => r.hb)
-    );
-    const prevHBs = new Set(
-        reportData.filter(r => r.upload_id === prevUploadId && r.hb).map(r => r.hb)
-    );
+export async function detectNewItems(currentUploadId, baseUploadId = null) {
+    return (await getUploadDiff(currentUploadId, baseUploadId))?.newItems || 0;
+}
+
+export async function detectRemovedItems(currentUploadId, baseUploadId = null) {
+    return (await getUploadDiff(currentUploadId, baseUploadId))?.removedItems || 0;
+}
 
-    let count = 0;
-    currentHBs.forEach(hb => {
-        if (!prevHBs.has(hb)) count++;
+/**
+ * Get rows whose HB exists in both uploads but with at least one different field
+ * Each returned row is the current upload's row plus a `changed_fields` summary
+ */
+export async function getChangedItemsData(currentUploadId, baseUploadId = null) {
+    const comparison = await getComparisonRows(currentUploadId, baseUploadId);
+    if (!comparison) return [];
+
+    const prevMap = new Map();
+    comparison.prevData.forEach(row => {
+        if (row.hb) prevMap.set(row.hb, row);
     });
 
-    return count;
+    const changedRows = [];
+    for (const row of comparison.currentData) {
+        const prevRow = row.hb && prevMap.get(row.hb);
+        if (!prevRow) continue;
+
+        const changedFields = getChangedFields(prevRow, row);
+
+        if (changedFields.length > 0) {
+            changedRows.push({ ...row, changed_fields: changedFields.map(f => f.label).join(', ') });
+        }
+    }
+
+    return changedRows;
 }
 
-export async function detectRemovedItems(currentUploadId) {
-    const uploads = getStorage(STORAGE_KEYS.UPLOADS);
-    const currentIndex = uploads.findIndex(u => u.id === currentUploadId);
+export async function detectChangedItems(currentUploadId, baseUploadId = null) {
+    const changedRows = await getChangedItemsData(currentUploadId, baseUploadId);
+    return changedRows.length;
+}
 
-    if (currentIndex === -1 || currentIndex >= uploads.length - 1) {
-        return 0;
+/**
+ * REMOVED ITEMS HISTORY OPERATIONS
+ */
+
+/**
+ * Build one history entry per HB that was in the previous upload but is missing from this one
+ */
+function planRemovedItems(currentUpload, currentRows, prevUpload, prevRows) {
+    const currentHBSet = new Set(currentRows.map(r => r.hb).filter(hb => hb));
+
+    // One history entry per HB, even if it appeared on several rows
+    const recordedHBs = new Set();
+    const itemsToInsert = [];
+
+    for (const row of prevRows) {
+        if (!row.hb || currentHBSet.has(row.hb) || recordedHBs.has(row.hb)) continue;
+        recordedHBs.add(row.hb);
+
+        const item = { id: generateId(), hb: row.hb };
+        TRACKED_FIELDS.forEach(field => {
+            item[field.key] = row[field.key];
+        });
+        itemsToInsert.push({
+            ...item,
+            last_seen_upload_id: prevUpload.id,
+            removed_at_upload_id: currentUpload.id,
+            last_seen_date: prevUpload.upload_date,
+            removed_at_date: currentUpload.upload_date,
+        });
     }
 
-    const prevUploadId = uploads[currentIndex + 1].id;
-    const reportData = getStorage(STORAGE_KEYS.REPORT_DATA);
+    return itemsToInsert;
+}
 
-    const currentHBs = new Set(
-        reportData.filter(r => r.upload_id === currentUploadId && r.hb).map(r => r.hb)
-    );
-    const prevHBs = new Set(
-        reportData.filter(r => r.upload_id === prevUploadId && r.hb).map(r => r.hb)
-    );
+export async function getRemovedItemsHistory(filter = 'all') {
+    try {
+        const data = (await readRows(STORES.REMOVED_ITEMS_HISTORY))
+            .sort((a, b) => b.removed_at_date.localeCompare(a.removed_at_date));
+        return filterByValue(data, 'frl', filter, 'with_frl', 'without_frl');
+    } catch (err) {
+        console.error('Error getting removed items history:', err);
+        return [];
+    }
+}
 
-    let count = 0;
-    prevHBs.forEach(hb => {
-        if (!currentHBs.has(hb)) count++;
-    });
+/**
+ * LIFECYCLE OPERATIONS
+ * Walk every upload in date order to show how a single house bill evolved
+ */
 
-    return count;
+/**
+ * Get the lifecycle of an Ocean HB across every upload
+ */
+export async function getHbLifecycle(hb) {
+    const normalizedHb = normalizeHB(hb);
+    if (!normalizedHb) return [];
+
+    try {
+        const uploads = await getAllUploads();
+        const rows = await readRows(STORES.REPORT_DATA, 'hb', normalizedHb);
+
+        return buildLifecycle([...uploads].reverse(), rows, TRACKED_FIELDS);
+    } catch (err) {
+        console.error('Error getting HB lifecycle:', err);
+        return [];
+    }
 }
 
-export async function getNewItemsData(currentUploadId) {
-    const uploads = getStorage(STORAGE_KEYS.UPLOADS);
-    const currentIndex = uploads.findIndex(u => u.id === currentUploadId);
-    const reportData = getStorage(STORAGE_KEYS.REPORT_DATA);
+/**
+ * UPLOAD INGEST
+ * Same contract as the Supabase ingest functions: every store is written in one
+ * IndexedDB transaction, so a failure at any step (e.g. a full disk) saves nothing
+ */
+
+function newUploadRecord(filename, rowCount, hashes) {
+    return {
+        id: generateId(),
+        filename,
+        row_count: rowCount,
+        upload_date: new Date().toISOString(),
+        content_hash: hashes.contentHash || null,
+        row_set_hash: hashes.rowSetHash || null,
+    };
+}
 
-    const currentData = reportData.filter(r => r.upload_id === currentUploadId);
+/**
+ * Save an Ocean upload atomically: upload record, report data, master list
+ * items and their change log, and removed items history
+ * @param {Object} hashes - { contentHash, rowSetHash } stored for duplicate detection
+ * @returns {Promise<{uploadId, rowsInserted, itemsAdded, itemsUpdated, itemsRemoved, error}>}
+ */
+export async function ingestUpload(filename, rows, hashes = {}) {
+    const storeNames = [
+        STORES.UPLOADS, STORES.REPORT_DATA, STORES.MASTER_LIST,
+        STORES.MASTER_LIST_CHANGES, STORES.REMOVED_ITEMS_HISTORY,
+    ];
+
+    try {
+        return await withTransaction(storeNames, 'readwrite', async stores => {
+            const existingItems = await getExistingItems(stores[STORES.MASTER_LIST], rows, 'HB', 'hb');
+            const plan = planMasterListChanges(rows, existingItems);
+
+            const upload = newUploadRecord(filename, rows.length, hashes);
+            const prevUpload = findPreviousUpload([...await getRows(stores[STORES.UPLOADS]), upload], upload.id);
+            await requestToPromise(stores[STORES.UPLOADS].add(upload));
+
+            const reportRows = rows.map(row => ({ id: generateId(), upload_id: upload.id, ...toReportRow(row) }));
+            await putRows(stores[STORES.REPORT_DATA], reportRows);
+
+            const { itemsAdded, itemsUpdated } = await applyMasterListPlan(
+                stores[STORES.MASTER_LIST], stores[STORES.MASTER_LIST_CHANGES], upload.id, plan, existingItems
+            );
+
+            const removedItems = prevUpload
+                ? planRemovedItems(
+                    upload, reportRows,
+                    prevUpload, await getRows(stores[STORES.REPORT_DATA], 'upload_id', prevUpload.id)
+                )
+                : [];
+            await putRows(stores[STORES.REMOVED_ITEMS_HISTORY], removedItems);
+
+            return {
+                uploadId: upload.id,
+                rowsInserted: reportRows.length,
+                itemsAdded,
+                itemsUpdated,
+                itemsRemoved: removedItems.length,
+                error: null,
+            };
+        });
+    } catch (err) {
+        console.error('Error ingesting upload:', err);
+        return { error: `Upload failed while saving to the local database: ${err.message.replace(/\.$/, '')}. Nothing was saved.` };
+    }
+}
 
-    if (currentIndex === -1 || currentIndex >= uploads.length - 1) {
-        return currentData;
+/**
+ * Save an Air upload atomically: upload record, report data and air master list items
+ * @param {Object} hashes - { contentHash, rowSetHash } stored for duplicate detection
+ * @returns {Promise<{uploadId, rowsInserted, itemsAdded, itemsUpdated, itemsRemoved, error}>}
+ */
+export async function ingestAirUpload(filename, rows, hashes = {}) {
+    const storeNames = [STORES.AIR_UPLOADS, STORES.AIR_REPORT_DATA, STORES.AIR_MASTER_LIST];
+
+    try {
+        return await withTransaction(storeNames, 'readwrite', async stores => {
+            const existingItems = await getExistingItems(stores[STORES.AIR_MASTER_LIST], rows, 'HAWB', 'hawb');
+            const plan = planAirMasterListChanges(rows, existingItems);
+
+            const upload = newUploadRecord(filename, rows.length, hashes);
+            await requestToPromise(stores[STORES.AIR_UPLOADS].add(upload));
+
+            const reportRows = rows.map(row => ({ id: generateId(), upload_id: upload.id, ...toAirReportRow(row) }));
+            await putRows(stores[STORES.AIR_REPORT_DATA], reportRows);
+
+            const { itemsAdded, itemsUpdated } = await applyMasterListPlan(
+                stores[STORES.AIR_MASTER_LIST], null, upload.id, plan, existingItems
+            );
+
+            return {
+                uploadId: upload.id,
+                rowsInserted: reportRows.length,
+                itemsAdded,
+                itemsUpdated,
+                itemsRemoved: 0,
+                error: null,
+            };
+        });
+    } catch (err) {
+        console.error('Error ingesting air upload:', err);
+        return { error: `Upload failed while saving to the local database: ${err.message.replace(/\.$/, '')}. Nothing was saved.` };
     }
+}
 
-    const prevUploadId = uploads[currentIndex + 1].id;
-    const prevHBs = new Set(
-        reportData.filter(r => r.upload_id === prevUploadId && r.hb).map(r => r.hb)
-    );
+/**
+ * BULK LOOKUP
+ */
 
-    return currentData.filter(r => r.hb && !prevHBs.has(r.hb));
+// Rows of a store where any of the columns holds one of the values (compared normalized)
+async function findRowsByValues(storeName, values, columns) {
+    const wanted = new Set(values.map(normalizeHB));
+    const rows = await readRows(storeName);
+    return rows.filter(row => columns.some(column => wanted.has(normalizeHB(row[column]))));
 }
 
-export async function getRemovedItemsData(currentUploadId) {
-    const uploads = getStorage(STORAGE_KEYS.UPLOADS);
-    const currentIndex = uploads.findIndex(u => u.id === currentUploadId);
+export async function findMasterListRows(values, columns = BULK_LOOKUP_COLUMNS) {
+    try {
+        return await findRowsByValues(STORES.MASTER_LIST, values, columns);
+    } catch (err) {
+        console.error('Error looking up master list rows:', err);
+        return null;
+    }
+}
 
-    if (currentIndex === -1 || currentIndex >= uploads.length - 1) {
-        return [];
+export async function findAirMasterListRows(values, columns = AIR_BULK_LOOKUP_COLUMNS) {
+    try {
+        return await findRowsByValues(STORES.AIR_MASTER_LIST, values, columns);
+    } catch (err) {
+        console.error('Error looking up air master list rows:', err);
+        return null;
+    }
+}
+
+/**
+ * PAGED QUERIES
+ * Same results as the Supabase page queries, searched and sorted in memory
+ */
+
+// narrow applies the view's own with/without FRL (or LOG) filter
+async function getPage(storeName, uploadId, narrow, searchColumns, options) {
+    try {
+        const data = uploadId
+            ? await readRows(storeName, 'upload_id', uploadId)
+            : await readRows(storeName);
+        return pageRows(narrow(data), options, searchColumns);
+    } catch (err) {
+        console.error(`Error getting ${storeName} page:`, err);
+        return null;
     }
+}
+
+export async function getMasterListPage(filter = 'all', options = {}) {
+    return getPage(
+        STORES.MASTER_LIST, null,
+        data => filterByValue(data, 'frl', filter, 'with_frl', 'without_frl'),
+        SEARCH_COLUMNS, options
+    );
+}
+
+export async function getReportDataPage(uploadId, filter = 'all', options = {}) {
+    return getPage(
+        STORES.REPORT_DATA, uploadId,
+        data => filterByValue(data, 'frl', filter, 'with_frl', 'without_frl'),
+        SEARCH_COLUMNS, options
+    );
+}
 
-    const prevUploadId = uploads[currentIndex + 1].id;
-    const reportData = getStorage(STORAGE_KEYS.REPORT_DATA);
+export async function getAirMasterListPage(filter = 'all', options = {}) {
+    return getPage(
+        STORES.AIR_MASTER_LIST, null,
+        data => filterByValue(data, 'log', filter, 'with_log', 'without_log'),
+        AIR_SEARCH_COLUMNS, options
+    );
+}
 
-    const currentHBs = new Set(
-        reportData.filter(r => r.upload_id === currentUploadId && r.hb).map(r => r.hb)
+export async function getAirReportDataPage(uploadId, filter = 'all', options = {}) {
+    return getPage(
+        STORES.AIR_REPORT_DATA, uploadId,
+        data => filterByValue(data, 'log', filter, 'with_log', 'without_log'),
+        AIR_SEARCH_COLUMNS, options
     );
-    const prevData = reportData.filter(r => r.upload_id === prevUploadId);
+}
 
-    return prevData.filter(r => r.hb && !currentHBs.has(r.hb));
+// Which of the requested values of a column are duplicated among the rows
+function pickDuplicates(rows, column, values) {
+    const duplicates = findDuplicateValues(rows, column);
+    return values.filter(value => duplicates.has(value));
 }
 
 /**
- * DOCK TALLY REPORT
+ * Which of the given HBs / MBLs appear more than once in an upload (or in the master list
+ * when uploadId is null); same shape as the Supabase RPC result
  */
+export async function getDuplicateBills(uploadId, hbs, mbls) {
+    try {
+        const rows = uploadId
+            ? await readRows(STORES.REPORT_DATA, 'upload_id', uploadId)
+            : await readRows(STORES.MASTER_LIST);
+        return { primary: pickDuplicates(rows, 'hb', hbs), secondary: pickDuplicates(rows, 'mbl', mbls) };
+    } catch (err) {
+        console.error('Error getting duplicate bills:', err);
+        return { primary: [], secondary: [] };
+    }
+}
 
-export async function getDataGroupedByMBL(uploadId = null) {
-    const data = uploadId
-        ? getStorage(STORAGE_KEYS.REPORT_DATA).filter(r => r.upload_id === uploadId)
-        : getStorage(STORAGE_KEYS.MASTER_LIST);
-
-    const grouped = {};
-
-    for (const row of data) {
-        const mbl = row.mbl || 'NO MBL';
-        if (!grouped[mbl]) {
-            grouped[mbl] = {
-                mbl: mbl,
-                containers: new Set(),
-                items: [],
-            };
-        }
-        if (row.container) {
-            grouped[mbl].containers.add(row.container);
-        }
-        grouped[mbl].items.push(row);
+export async function getAirDuplicateBills(uploadId, hawbs, mawbs) {
+    try {
+        const rows = uploadId
+            ? await readRows(STORES.AIR_REPORT_DATA, 'upload_id', uploadId)
+            : await readRows(STORES.AIR_MASTER_LIST);
+        return { primary: pickDuplicates(rows, 'hawb', hawbs), secondary: pickDuplicates(rows, 'mawb', mawbs) };
+    } catch (err) {
+        console.error('Error getting air duplicate bills:', err);
+        return { primary: [], secondary: [] };
     }
+}
+
+/**
+ * COLUMN MAPPING PROFILE OPERATIONS
+ * Named header mappings (required column -> source header), one set per mode
+ */
 
-    // Convert Sets to arrays
-    for (const mbl in grouped) {
-        grouped[mbl].containers = Array.from(grouped[mbl].containers);
+export async function getColumnMappingProfiles(mode = 'ocean') {
+    try {
+        const profiles = await readRows(STORES.COLUMN_MAPPING_PROFILES, 'mode', mode);
+        return profiles.sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+    } catch (err) {
+        console.error('Error getting column mapping profiles:', err);
+        return [];
     }
+}
 
-    return grouped;
+export async function saveColumnMappingProfile(name, mode, mapping) {
+    try {
+        return await withTransaction([STORES.COLUMN_MAPPING_PROFILES], 'readwrite', async stores => {
+            const store = stores[STORES.COLUMN_MAPPING_PROFILES];
+            const now = new Date().toISOString();
+            const existing = (await getRows(store, 'mode', mode)).find(p => p.name === name);
+
+            const profile = existing
+                ? { ...existing, mapping, updated_at: now }
+                : { id: generateId(), name, mode, mapping, created_at: now, updated_at: now };
+            await requestToPromise(store.put(profile));
+            return profile;
+        });
+    } catch (err) {
+        console.error('Error saving column mapping profile:', err);
+        return null;
+    }
 }
 
 /**
- * HELPER FUNCTIONS
+ * SAVED VIEW OPERATIONS
+ * Everyone using this browser shares one list
  */
 
-function normalizeHB(value) {
-    if (value === null || value === undefined || value === '') return '';
+export async function getSavedViews(mode = 'ocean') {
+    try {
+        const views = await readRows(STORES.SAVED_VIEWS, 'mode', mode);
+        return views.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (err) {
+        console.error('Error getting saved views:', err);
+        return [];
+    }
+}
 
-    const strValue = String(value).trim();
+export async function saveSavedView(name, mode, url) {
+    try {
+        return await withTransaction([STORES.SAVED_VIEWS], 'readwrite', async stores => {
+            const store = stores[STORES.SAVED_VIEWS];
+            const now = new Date().toISOString();
+            const existing = (await getRows(store, 'mode', mode)).find(v => v.name === name);
+
+            const view = existing
+                ? { ...existing, url, updated_at: now }
+                : { id: generateId(), name, mode, url, created_at: now, updated_at: now };
+            await requestToPromise(store.put(view));
+            return view;
+        });
+    } catch (err) {
+        console.error('Error saving view:', err);
+        return null;
+    }
+}
 
-    // Check if it's scientific notation (e.g., 6.17E+08 or 6.17e+08)
-    if (/^-?\d+\.?\d*[eE][+-]?\d+$/.test(strValue)) {
-        try {
-            const num = parseFloat(strValue);
-            if (!isNaN(num)) {
-                return String(Math.floor(num));
+export async function deleteSavedView(viewId) {
+    try {
+        await withTransaction([STORES.SAVED_VIEWS], 'readwrite', stores => (
+            requestToPromise(stores[STORES.SAVED_VIEWS].delete(viewId))
+        ));
+        return true;
+    } catch (err) {
+        console.error('Error deleting saved view:', err);
+        return false;
+    }
+}
+
+/**
+ * DOCK TALLY TEMPLATE OPERATIONS
+ * Named dock tally layouts (see dockTallyTemplates.js), one set per mode
+ */
+
+export async function getDockTallyTemplates(mode = 'ocean') {
+    try {
+        const templates = await readRows(STORES.DOCK_TALLY_TEMPLATES, 'mode', mode);
+        return templates.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (err) {
+        console.error('Error getting dock tally templates:', err);
+        return [];
+    }
+}
+
+/**
+ * Save a template by name, or update templateId in place (which can also rename it)
+ */
+export async function saveDockTallyTemplate(name, mode, layout, templateId = null) {
+    try {
+        return await withTransaction([STORES.DOCK_TALLY_TEMPLATES], 'readwrite', async stores => {
+            const store = stores[STORES.DOCK_TALLY_TEMPLATES];
+            const now = new Date().toISOString();
+            const templates = await getRows(store, 'mode', mode);
+            const existing = templateId
+                ? templates.find(t => t.id === templateId)
+                : templates.find(t => t.name === name);
+
+            // Same rule as the table's UNIQUE (name, mode)
+            if (templates.some(t => t.name === name && t.id !== existing?.id)) {
+                throw new Error(`A template named "${name}" already exists`);
             }
-        } catch {
-            // If conversion fails, return original
-        }
+
+            const template = existing
+                ? { ...existing, name, layout, updated_at: now }
+                : { id: generateId(), name, mode, layout, created_at: now, updated_at: now };
+            await requestToPromise(store.put(template));
+            return template;
+        });
+    } catch (err) {
+        console.error('Error saving dock tally template:', err);
+        return null;
     }
+}
 
-    // For everything else (including alphanumeric like "62R0537240"), keep as-is
-    return strValue;
+export async function deleteDockTallyTemplate(templateId) {
+    try {
+        await withTransaction([STORES.DOCK_TALLY_TEMPLATES], 'readwrite', stores => (
+            requestToPromise(stores[STORES.DOCK_TALLY_TEMPLATES].delete(templateId))
+        ));
+        return true;
+    } catch (err) {
+        console.error('Error deleting dock tally template:', err);
+        return false;
+    }
 }
 
-function hasValueChanged(oldVal, newVal) {
-    const old = (oldVal || '').toString().trim();
-    const now = (newVal || '').toString().trim();
-    if (!old && now) return true;
-    if (old && now && old !== now) return true;
-    return false;
+/**
+ * DOCK TALLY ENTRY OPERATIONS
+ * Counts checkers record on screen, one row per HB (Ocean) or per HAWB and arrival (Air)
+ */
+
+async function getTallyEntries(storeName, billColumn, bills) {
+    try {
+        return await withTransaction([storeName], 'readonly', stores => (
+            getRowsByKeys(stores[storeName], billColumn, bills)
+        ));
+    } catch (err) {
+        console.error(`Error reading ${storeName}:`, err);
+        return [];
+    }
 }
 
 /**
- * CLEAR ALL DATA (for testing)
+ * Insert or replace entries by bill and arrival, each linked to its bill's master list row
+ * @returns {Promise<Array|null>} the saved rows, or null on error
  */
-export function clearAllData() {
-    localStorage.removeItem(STORAGE_KEYS.UPLOADS);
-    localStorage.removeItem(STORAGE_KEYS.REPORT_DATA);
-    localStorage.removeItem(STORAGE_KEYS.MASTER_LIST);
-    localStorage.removeItem(STORAGE_KEYS.AIR_UPLOADS);
-    localStorage.removeItem(STORAGE_KEYS.AIR_REPORT_DATA);
-    localStorage.removeItem(STORAGE_KEYS.AIR_MASTER_LIST);
+async function saveTallyEntries(storeName, masterStoreName, billColumn, linkColumn, entries) {
+    try {
+        return await withTransaction([storeName, masterStoreName], 'readwrite', async stores => {
+            const bills = [...new Set(entries.map(entry => entry[billColumn]))];
+            const existing = await getRowsByKeys(stores[storeName], billColumn, bills);
+            const masterRows = await getRowsByKeys(stores[masterStoreName], billColumn, bills);
+            const masterIds = new Map(masterRows.map(row => [row[billColumn], row.id]));
+            const now = new Date().toISOString();
+
+            const saved = entries.map(entry => {
+                const previous = existing.find(row => (
+                    row[billColumn] === entry[billColumn] && row.arrival === entry.arrival
+                ));
+                return {
+                    id: previous?.id || generateId(),
+                    created_at: previous?.created_at || now,
+                    ...entry,
+                    [linkColumn]: masterIds.get(entry[billColumn]) ?? null,
+                    updated_at: now,
+                };
+            });
+            await putRows(stores[storeName], saved);
+            return saved;
+        });
+    } catch (err) {
+        console.error(`Error saving ${storeName}:`, err);
+        return null;
+    }
+}
+
+export async function getDockTallyEntries(hbs) {
+    return getTallyEntries(STORES.DOCK_TALLY_ENTRIES, 'hb', hbs);
+}
+
+export async function saveDockTallyEntries(entries) {
+    return saveTallyEntries(STORES.DOCK_TALLY_ENTRIES, STORES.MASTER_LIST, 'hb', 'master_list_id', entries);
+}
+
+export async function getAirDockTallyEntries(hawbs) {
+    return getTallyEntries(STORES.AIR_DOCK_TALLY_ENTRIES, 'hawb', hawbs);
+}
+
+export async function saveAirDockTallyEntries(entries) {
+    return saveTallyEntries(
+        STORES.AIR_DOCK_TALLY_ENTRIES, STORES.AIR_MASTER_LIST, 'hawb', 'air_master_list_id', entries
+    );
 }
 
 /**
- * ===================================
- * AIR CARGO OPERATIONS
- * ===================================
+ * DOCK TALLY REPORT
+ */
+
+export async function getDataGroupedByMBL(uploadId = null) {
+    const data = uploadId
+        ? await getReportData(uploadId, 'all')
+        : await getMasterListData('all');
+
+    return groupRowsByMBL(data);
+}
+
+/**
+ * CLEAR ALL DATA (for testing)
  */
+export function clearAllData() {
+    // Queued Supabase writes aren't local data; they stay until synced or discarded
+    const storeNames = STORE_NAMES.filter(name => name !== STORES.SYNC_QUEUE);
+    return withTransaction(storeNames, 'readwrite', stores =>
+        Promise.all(Object.values(stores).map(store => requestToPromise(store.clear())))
+    );
+}
 
 /**
- * AIR UPLOADS
+ * SYNC QUEUE OPERATIONS
+ * Supabase writes captured while offline (see syncQueue.js); not part of the shared backend API
  */
-export async function saveAirUpload(filename, rowCount) {
-    const uploads = getStorage(STORAGE_KEYS.AIR_UPLOADS);
-    const newUpload = {
+
+// Operations replay in queued_at order, so two queued in the same millisecond still get distinct times
+let lastQueuedAt = 0;
+
+export async function addSyncOperation(operation) {
+    lastQueuedAt = Math.max(Date.now(), lastQueuedAt + 1);
+    const entry = {
+        ...operation,
         id: generateId(),
-        filename,
-        row_count: rowCount,
-        upload_date: new Date().toISOString(),
+        status: 'pending',
+        queued_at: new Date(lastQueuedAt).toISOString(),
     };
-    uploads.unshift(newUpload);
-    setStorage(STORAGE_KEYS.AIR_UPLOADS, uploads);
-    return newUpload;
+    await withTransaction([STORES.SYNC_QUEUE], 'readwrite', stores =>
+        requestToPromise(stores[STORES.SYNC_QUEUE].add(entry))
+    );
+    return entry;
 }
 
-export async function getAllAirUploads() {
-    return getStorage(STORAGE_KEYS.AIR_UPLOADS);
+/**
+ * Every queued operation, oldest first (the order they have to be replayed in)
+ */
+export async function getSyncOperations() {
+    const operations = await readRows(STORES.SYNC_QUEUE);
+    return operations.sort((a, b) => a.queued_at.localeCompare(b.queued_at));
 }
 
-export async function deleteAirUpload(uploadId) {
-    const uploads = getStorage(STORAGE_KEYS.AIR_UPLOADS).filter(u => u.id !== uploadId);
-    setStorage(STORAGE_KEYS.AIR_UPLOADS, uploads);
-
-    const reportData = getStorage(STORAGE_KEYS.AIR_REPORT_DATA).filter(r => r.upload_id !== uploadId);
-    setStorage(STORAGE_KEYS.AIR_REPORT_DATA, reportData);
+export async function updateSyncOperation(id, changes) {
+    await withTransaction([STORES.SYNC_QUEUE], 'readwrite', async stores => {
+        const store = stores[STORES.SYNC_QUEUE];
+        const operation = await requestToPromise(store.get(id));
+        if (operation) await requestToPromise(store.put({ ...operation, ...changes }));
+    });
+}
 
-    return true;
+export async function removeSyncOperation(id) {
+    await withTransaction([STORES.SYNC_QUEUE], 'readwrite', stores =>
+        requestToPromise(stores[STORES.SYNC_QUEUE].delete(id))
+    );
 }
 
 /**
- * AIR REPORT DATA
+ * ===================================
+ * AIR CARGO OPERATIONS
+ * ===================================
  */
-export async function saveAirReportData(uploadId, rows) {
-    const reportData = getStorage(STORAGE_KEYS.AIR_REPORT_DATA);
 
-    const dataToInsert = rows.map(row => ({
-        id: generateId(),
-        upload_id: uploadId,
-        mawb: row['MAWB'] || null,
-        hawb: row['HAWB'] || null,
-        consignee: row['Consignee'] || null,
-        carrier: row['Carrier'] || null,
-        flight_number: row['FLIGHT NUMBER'] || null,
-        freight_location: row['FREIGHT LOCATION'] || null,
-        origin: row['ORIGIN'] || null,
-        destination: row['DESTINATION'] || null,
-        file_number: row['File Number'] || null,
-        qty: row['QTY'] || null,
-        shipment_type: row['Shipment Type'] || null,
-        slac: row['SLAC'] || null,
-        weight: row['WEIGHT'] || null,
-        eta: row['ETA'] || null,
-        eta_time: row['ETA TIME'] || null,
-        log: row['LOG'] || null,
-        flt_date: row['Flt Date'] || null,
-    }));
+/**
+ * AIR UPLOADS
+ */
+export async function getAllAirUploads() {
+    try {
+        return sortByDateDesc(await readRows(STORES.AIR_UPLOADS));
+    } catch (err) {
+        console.error('Error getting air uploads:', err);
+        return [];
+    }
+}
 
-    reportData.push(...dataToInsert);
-    setStorage(STORAGE_KEYS.AIR_REPORT_DATA, reportData);
+export async function findDuplicateAirUpload(contentHash, rowSetHash) {
+    return findUploadByHashes(STORES.AIR_UPLOADS, contentHash, rowSetHash);
+}
 
-    return dataToInsert.length;
+export async function deleteAirUpload(uploadId) {
+    const storeNames = [
+        STORES.AIR_UPLOADS, STORES.AIR_REPORT_DATA, STORES.AIR_MASTER_LIST, STORES.AIR_DOCK_TALLY_ENTRIES,
+    ];
+
+    try {
+        await withTransaction(storeNames, 'readwrite', async stores => {
+            // Air master list references are SET NULL in Supabase
+            const removedItems = await deleteRows(stores[STORES.AIR_MASTER_LIST], 'first_seen_upload_id', uploadId);
+            await unlinkTallyEntries(stores[STORES.AIR_DOCK_TALLY_ENTRIES], 'air_master_list_id', removedItems);
+            await clearUploadReference(stores[STORES.AIR_MASTER_LIST], 'last_updated_upload_id', uploadId);
+
+            const reportRows = await deleteRows(stores[STORES.AIR_REPORT_DATA], 'upload_id', uploadId);
+            await unlinkTallyEntries(stores[STORES.AIR_DOCK_TALLY_ENTRIES], 'air_report_data_id', reportRows);
+            await requestToPromise(stores[STORES.AIR_UPLOADS].delete(uploadId));
+        });
+
+        // Clean up orphaned air master list items
+        await cleanupOrphanedAirMasterListItems();
+
+        return true;
+    } catch (err) {
+        console.error('Error in deleteAirUpload:', err);
+        return false;
+    }
 }
 
+/**
+ * AIR REPORT DATA
+ */
 export async function getAirReportData(uploadId, filter = 'all') {
-    let data = getStorage(STORAGE_KEYS.AIR_REPORT_DATA).filter(r => r.upload_id === uploadId);
-
-    if (filter === 'with_frl') {
-        data = data.filter(r => r.log && r.log.trim() !== '');
-    } else if (filter === 'without_frl') {
-        data = data.filter(r => !r.log || r.log.trim() === '');
+    try {
+        const data = await readRows(STORES.AIR_REPORT_DATA, 'upload_id', uploadId);
+        return filterByValue(data, 'log', filter, 'with_log', 'without_log');
+    } catch (err) {
+        console.error('Error getting air report data:', err);
+        return [];
     }
+}
 
-    return data;
+/**
+ * Get the lifecycle of an Air HAWB across every air upload
+ */
+export async function getAirHawbLifecycle(hawb) {
+    const trimmedHawb = (hawb || '').trim();
+    if (!trimmedHawb) return [];
+
+    try {
+        const uploads = await getAllAirUploads();
+        // Report rows keep the HAWB as uploaded; look up both spellings like Supabase's ilike
+        const keys = [...new Set([trimmedHawb, trimmedHawb.toUpperCase()])];
+        const rows = await withTransaction([STORES.AIR_REPORT_DATA], 'readonly', stores =>
+            getRowsByKeys(stores[STORES.AIR_REPORT_DATA], 'hawb', keys)
+        );
+
+        return buildLifecycle([...uploads].reverse(), rows, AIR_TRACKED_FIELDS);
+    } catch (err) {
+        console.error('Error getting HAWB lifecycle:', err);
+        return [];
+    }
 }
 
 /**
  * AIR MASTER LIST
  */
 export async function getAirMasterListData(filter = 'all') {
-    let data = getStorage(STORAGE_KEYS.AIR_MASTER_LIST);
-
-    if (filter === 'with_frl') {
-        data = data.filter(r => r.log && r.log.trim() !== '');
-    } else if (filter === 'without_frl') {
-        data = data.filter(r => !r.log || r.log.trim() === '');
+    try {
+        const data = await readRows(STORES.AIR_MASTER_LIST);
+        return filterByValue(data, 'log', filter, 'with_log', 'without_log');
+    } catch (err) {
+        console.error('Error getting air master list:', err);
+        return [];
     }
-
-    return data;
 }
 
 export async function getAirMasterListMetrics() {
-    const data = getStorage(STORAGE_KEYS.AIR_MASTER_LIST);
+    const data = await getAirMasterListData('all');
+    const latestUploadId = await getLatestAirUploadId();
     const withLog = data.filter(r => r.log && r.log.trim() !== '').length;
     return {
         totalRows: data.length,
         withFrl: withLog,
         withoutFrl: data.length - withLog,
+        uniqueMbls: countUniqueValues(data, 'mawb'),
+        newItems: data.filter(r => latestUploadId && r.first_seen_upload_id === latestUploadId).length,
+        updatedItems: data.filter(r => latestUploadId && r.last_updated_upload_id === latestUploadId
+            && r.last_update_reason).length,
     };
 }
 
-export async function updateAirMasterList(uploadId, rows) {
-    const masterList = getStorage(STORAGE_KEYS.AIR_MASTER_LIST);
-    let itemsAdded = 0;
-    let itemsUpdated = 0;
-
-    for (const row of rows) {
-        const hawb = normalizeHB(row['HAWB']);
-        if (!hawb) continue;
-
-        const existingIndex = masterList.findIndex(m => m.hawb === hawb);
-
-        const itemData = {
-            mawb: row['MAWB'] || null,
-            hawb: hawb,
-            consignee: row['Consignee'] || null,
-            carrier: row['Carrier'] || null,
-            flight_number: row['FLIGHT NUMBER'] || null,
-            freight_location: row['FREIGHT LOCATION'] || null,
-            origin: row['ORIGIN'] || null,
-            destination: row['DESTINATION'] || null,
-            file_number: row['File Number'] || null,
-            qty: row['QTY'] || null,
-            shipment_type: row['Shipment Type'] || null,
-            slac: row['SLAC'] || null,
-            weight: row['WEIGHT'] || null,
-            eta: row['ETA'] || null,
-            eta_time: row['ETA TIME'] || null,
-            log: row['LOG'] || null,
-            flt_date: row['Flt Date'] || null,
-            last_updated_upload_id: uploadId,
-            updated_at: new Date().toISOString(),
-        };
-
-        if (existingIndex >= 0) {
-            const existing = masterList[existingIndex];
-            masterList[existingIndex] = { ...existing, ...itemData };
-            itemsUpdated++;
-        } else {
-            itemData.id = generateId();
-            itemData.first_seen_upload_id = uploadId;
-            itemData.created_at = new Date().toISOString();
-            masterList.push(itemData);
-            itemsAdded++;
-        }
-    }
-
-    setStorage(STORAGE_KEYS.AIR_MASTER_LIST, masterList);
-    return { itemsAdded, itemsUpdated };
+export async function getLatestAirUploadId() {
+    const uploads = await getAllAirUploads();
+    return uploads.length > 0 ? uploads[0].id : null;
 }
 
 export async function getAirMasterListNewItems() {
-    const masterList = getStorage(STORAGE_KEYS.AIR_MASTER_LIST);
-    const uploads = getStorage(STORAGE_KEYS.AIR_UPLOADS);
-
-    if (uploads.length === 0) return { count: 0, data: [] };
-
-    const latestUploadId = uploads[0].id;
-    const newItems = masterList.filter(item => item.first_seen_upload_id === latestUploadId);
-
-    return { count: newItems.length, data: newItems };
+    return getLatestUploadItems(STORES.AIR_MASTER_LIST, await getLatestAirUploadId(), 'first_seen_upload_id');
 }
 
-export function groupAirDataByMAWB(data) {
-    const grouped = {};
-
-    for (const row of data) {
-        const mawb = row.mawb || 'NO MAWB';
-        if (!grouped[mawb]) {
-            grouped[mawb] = {
-                mawb: mawb,
-                flights: new Set(),
-                items: [],
-            };
-        }
-        if (row.flight_number) {
-            grouped[mawb].flights.add(row.flight_number);
-        }
-        grouped[mawb].items.push(row);
-    }
+export async function getAirMasterListUpdatedItems() {
+    return getLatestUploadItems(
+        STORES.AIR_MASTER_LIST, await getLatestAirUploadId(), 'last_updated_upload_id',
+        item => item.last_update_reason
+    );
+}
 
-    for (const mawb in grouped) {
-        grouped[mawb].flights = Array.from(grouped[mawb].flights);
+/**
+ * Remove air master list items that have no upload references
+ */
+export async function cleanupOrphanedAirMasterListItems() {
+    try {
+        const storeNames = [STORES.AIR_MASTER_LIST, STORES.AIR_DOCK_TALLY_ENTRIES];
+        await withTransaction(storeNames, 'readwrite', async stores => {
+            const masterList = await getRows(stores[STORES.AIR_MASTER_LIST]);
+            const orphans = masterList.filter(m => !m.first_seen_upload_id && !m.last_updated_upload_id);
+
+            for (const item of orphans) {
+                await requestToPromise(stores[STORES.AIR_MASTER_LIST].delete(item.id));
+            }
+            await unlinkTallyEntries(stores[STORES.AIR_DOCK_TALLY_ENTRIES], 'air_master_list_id', orphans);
+        });
+        return true;
+    } catch (err) {
+        console.error('Error in cleanupOrphanedAirMasterListItems:', err);
+        return false;
     }
+}
 
-    return grouped;
+export function groupAirDataByMAWB(data) {
+    return groupRowsByMAWB(data);
 }
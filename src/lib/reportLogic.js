@@ -0,0 +1,774 @@
+/**
+ * Report Logic - Backend-independent rules shared by the Supabase and local data layers
+ * Row mapping, HB normalization, change detection, master list planning and lifecycle building
+ */
+
+/**
+ * NORMALIZATION
+ */
+
+/**
+ * Normalize an HB/HAWB for matching (trimmed, uppercase)
+ */
+export function normalizeHB(value) {
+    if (value === null || value === undefined || value === '') return '';
+    // Always preserve the original value as string (including letters and numbers)
+    // Just trim whitespace
+    return String(value).trim().toUpperCase();
+}
+
+/**
+ * Whether a tracked value was filled in or changed (clearing a value doesn't count)
+ */
+export function hasValueChanged(oldVal, newVal) {
+    const old = (oldVal || '').toString().trim();
+    const now = (newVal || '').toString().trim();
+    // If old was empty and new has value, it changed
+    if (!old && now) return true;
+    // If both had values but different, it changed
+    if (old && now && old !== now) return true;
+    return false;
+}
+
+/**
+ * Normalize FRL value for comparison (handles both dates and Excel serial numbers)
+ */
+export function normalizeFrlForComparison(frlValue) {
+    if (!frlValue || frlValue.trim() === '') return '';
+
+    const trimmed = frlValue.trim();
+
+    // If it's already a date (contains /), return as-is
+    if (trimmed.includes('/')) return trimmed;
+
+    // If it's an Excel serial number, convert it
+    const num = parseFloat(trimmed);
+    if (!isNaN(num) && num > 40000 && num < 60000) {
+        // Likely an Excel date serial (40000 ≈ 2009, 60000 ≈ 2064)
+        const excelEpoch = new Date(1899, 11, 30);
+        const date = new Date(excelEpoch.getTime() + num * 24 * 60 * 60 * 1000);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        const year = date.getFullYear();
+        return `${month}/${day}/${year}`;
+    }
+
+    return trimmed;
+}
+
+/**
+ * ROW MAPPING
+ */
+
+// CSV row -> report_data / master_list columns
+export function toReportRow(row) {
+    return {
+        container: row['CONTAINER'] || null,
+        seal_number: row['SEAL #'] || null,
+        carrier: row['CARRIER'] || null,
+        mbl: row['MBL'] || null,
+        mi: row['MI'] || null,
+        vessel: row['VESSEL'] || null,
+        hb: normalizeHB(row['HB']),
+        outer_quantity: row['OUTER QUANTITY'] || null,
+        pcs: row['PCS'] || null,
+        wt_lbs: row['WT_LBS'] || null,
+        cnee: row['CNEE'] || null,
+        frl: row['FRL'] || null,
+        file_no: row['FILE_NO'] || null,
+        dest: row['DEST'] || null,
+        volume: row['VOLUME'] || null,
+        vbond: row['VBOND#'] || null,
+        tdf: row['TDF'] || null,
+    };
+}
+
+// Air CSV row -> air_report_data / air_master_list columns
+export function toAirReportRow(row) {
+    return {
+        mawb: row['MAWB'] || null,
+        hawb: row['HAWB'] || null,
+        consignee: row['Consignee'] || null,
+        carrier: row['Carrier'] || null,
+        flight_number: row['FLIGHT NUMBER'] || null,
+        freight_location: row['FREIGHT LOCATION'] || null,
+        origin: row['ORIGIN'] || null,
+        destination: row['DESTINATION'] || null,
+        file_number: row['File Number'] || null,
+        qty: row['QTY'] || null,
+        shipment_type: row['Shipment Type'] || null,
+        slac: row['SLAC'] || null,
+        weight: row['WEIGHT'] || null,
+        eta: row['ETA'] || null,
+        eta_time: row['ETA TIME'] || null,
+        log: row['LOG'] || null,
+        flt_date: row['Flt Date'] || null,
+    };
+}
+
+/**
+ * CHANGE DETECTION
+ */
+
+/**
+ * Ocean columns tracked for field-level changes
+ * (master list change audit and upload-to-upload comparison)
+ */
+export const TRACKED_FIELDS = [
+    { key: 'container', label: 'CONTAINER' },
+    { key: 'seal_number', label: 'SEAL #' },
+    { key: 'carrier', label: 'CARRIER' },
+    { key: 'mbl', label: 'MBL' },
+    { key: 'mi', label: 'MI' },
+    { key: 'vessel', label: 'VESSEL' },
+    { key: 'outer_quantity', label: 'OUTER QUANTITY' },
+    { key: 'pcs', label: 'PCS' },
+    { key: 'wt_lbs', label: 'WT_LBS' },
+    { key: 'cnee', label: 'CNEE' },
+    { key: 'frl', label: 'FRL', isDate: true },
+    { key: 'file_no', label: 'FILE_NO' },
+    { key: 'dest', label: 'DEST' },
+    { key: 'volume', label: 'VOLUME' },
+    { key: 'vbond', label: 'VBOND#' },
+    { key: 'tdf', label: 'TDF', isDate: true },
+];
+
+/**
+ * Air columns tracked for field-level changes (HAWB lifecycle)
+ */
+export const AIR_TRACKED_FIELDS = [
+    { key: 'mawb', label: 'MAWB' },
+    { key: 'consignee', label: 'Consignee' },
+    { key: 'carrier', label: 'Carrier' },
+    { key: 'flight_number', label: 'FLIGHT NUMBER' },
+    { key: 'freight_location', label: 'FREIGHT LOCATION' },
+    { key: 'origin', label: 'ORIGIN' },
+    { key: 'destination', label: 'DESTINATION' },
+    { key: 'file_number', label: 'File Number' },
+    { key: 'qty', label: 'QTY' },
+    { key: 'shipment_type', label: 'Shipment Type' },
+    { key: 'slac', label: 'SLAC' },
+    { key: 'weight', label: 'WEIGHT' },
+    { key: 'eta', label: 'ETA' },
+    { key: 'eta_time', label: 'ETA TIME' },
+    { key: 'log', label: 'LOG' },
+    { key: 'flt_date', label: 'Flt Date' },
+];
+
+/**
+ * Get the tracked columns whose value differs between two versions of an HB row
+ * @returns {Array<{key: string, label: string, oldValue: string|null, newValue: string|null}>}
+ */
+export function getChangedFields(existing, itemData, fields = TRACKED_FIELDS) {
+    return fields
+        .filter(field => {
+            const normalize = field.isDate
+                ? normalizeFrlForComparison
+                : (value) => String(value).trim();
+            return normalize(existing[field.key] || '') !== normalize(itemData[field.key] || '');
+        })
+        .map(field => ({
+            key: field.key,
+            label: field.label,
+            oldValue: existing[field.key] || null,
+            newValue: itemData[field.key] || null,
+        }));
+}
+
+/**
+ * Compare two uploads' report rows by HB, the way get_upload_diff does in Postgres
+ * new_items: current rows whose HB isn't in the base upload
+ * removed_items: base rows whose HB isn't in the current upload
+ * new_frl: current rows whose HB had no FRL in the base upload and has one now
+ * @returns {{new_items: Array, removed_items: Array, new_frl: Array}}
+ */
+export function diffUploadRows(currentData, baseData) {
+    const currentHBSet = new Set(currentData.map(r => r.hb).filter(hb => hb));
+    const baseFrlMap = new Map();
+    baseData.forEach(item => {
+        baseFrlMap.set(item.hb, normalizeFrlForComparison(item.frl || ''));
+    });
+
+    return {
+        new_items: currentData.filter(r => r.hb && !baseFrlMap.has(r.hb)),
+        removed_items: baseData.filter(r => r.hb && !currentHBSet.has(r.hb)),
+        new_frl: currentData.filter(item =>
+            baseFrlMap.get(item.hb) === '' && normalizeFrlForComparison(item.frl || '') !== ''
+        ),
+    };
+}
+
+/**
+ * MASTER LIST PLANNING
+ */
+
+/**
+ * Work out which master list items an upload adds or changes, given the items already stored
+ * for the upload's HBs. Upload ids and timestamps are stamped on by whoever writes the plan
+ * @returns {{itemsToInsert: Array, itemsToUpdate: Array, changesToInsert: Array}}
+ */
+export function planMasterListChanges(rows, existingItems) {
+    // Create a map for quick lookup
+    const existingMap = new Map();
+    existingItems.forEach(item => {
+        existingMap.set(item.hb, item);
+    });
+
+    // Separate items into new vs updates, collecting a change record per changed column
+    const itemsToInsert = [];
+    const updatesById = new Map();
+    const changesToInsert = [];
+    const insertedHbs = new Set();
+
+    for (const row of rows) {
+        const hb = normalizeHB(row['HB']);
+        if (!hb) continue;
+
+        const itemData = toReportRow(row);
+        const existing = existingMap.get(hb);
+
+        if (existing) {
+            // Update reason lists every changed column
+            const changedFields = getChangedFields(existing, itemData);
+
+            if (changedFields.length > 0) {
+                itemData.id = existing.id;
+                itemData.last_update_reason = changedFields.map(f => f.label).join(', ');
+                // HBs repeated within the same file keep their last version
+                updatesById.set(existing.id, itemData);
+
+                changedFields.forEach(field => {
+                    changesToInsert.push({
+                        master_list_id: existing.id,
+                        hb,
+                        column_name: field.label,
+                        old_value: field.oldValue,
+                        new_value: field.newValue,
+                    });
+                });
+
+                // Later rows for the same HB in this file compare against this version
+                existingMap.set(hb, { ...existing, ...itemData });
+            }
+        } else if (!insertedHbs.has(hb)) {
+            // New item (HBs repeated within the same file are only inserted once)
+            insertedHbs.add(hb);
+            itemsToInsert.push(itemData);
+        }
+    }
+
+    return { itemsToInsert, itemsToUpdate: [...updatesById.values()], changesToInsert };
+}
+
+/**
+ * Work out which air master list items an upload adds or changes, given the items already stored
+ * for the upload's HAWBs
+ * @returns {{itemsToInsert: Array, itemsToUpdate: Array}}
+ */
+export function planAirMasterListChanges(rows, existingItems) {
+    // Create a map for quick lookup
+    const existingMap = new Map();
+    existingItems.forEach(item => {
+        existingMap.set(item.hawb, item);
+    });
+
+    // Separate items into new vs updates
+    const itemsToInsert = [];
+    const updatesById = new Map();
+    const insertedHawbs = new Set();
+
+    for (const row of rows) {
+        const hawb = normalizeHB(row['HAWB']);
+        if (!hawb) continue;
+
+        const itemData = { ...toAirReportRow(row), hawb };
+        const existing = existingMap.get(hawb);
+
+        if (existing) {
+            // Determine update reason
+            let updateReason = [];
+            if (hasValueChanged(existing.log, row['LOG'])) updateReason.push('LOG');
+            if (hasValueChanged(existing.freight_location, row['FREIGHT LOCATION'])) updateReason.push('FREIGHT LOCATION');
+            if (hasValueChanged(existing.eta, row['ETA'])) updateReason.push('ETA');
+
+            if (updateReason.length > 0) {
+                itemData.id = existing.id;
+                itemData.last_update_reason = updateReason.join(', ');
+                // HAWBs repeated within the same file keep their last version
+                updatesById.set(existing.id, itemData);
+            }
+        } else if (!insertedHawbs.has(hawb)) {
+            // New item (HAWBs repeated within the same file are only inserted once)
+            insertedHawbs.add(hawb);
+            itemsToInsert.push(itemData);
+        }
+    }
+
+    return { itemsToInsert, itemsToUpdate: [...updatesById.values()] };
+}
+
+/**
+ * LIFECYCLE
+ */
+
+/**
+ * Build one timeline entry per upload, from the first upload the key appeared in
+ * @param {Array} uploads - Uploads sorted oldest first
+ * @param {Array} rows - Every report row for the key, across all uploads
+ * @param {Array} fields - Tracked columns used to describe changes
+ * @returns {Array<{upload_id, upload_date, filename, status, changes, row}>}
+ *   status is one of FIRST SEEN, PRESENT, CHANGED, REMOVED, REAPPEARED
+ */
+export function buildLifecycle(uploads, rows, fields) {
+    const rowsByUpload = new Map();
+    rows.forEach(row => {
+        // Keep the first row when an upload repeats the key
+        if (!rowsByUpload.has(row.upload_id)) rowsByUpload.set(row.upload_id, row);
+    });
+
+    const timeline = [];
+    let lastRow = null;
+    let wasPresent = false;
+
+    for (const upload of uploads) {
+        const row = rowsByUpload.get(upload.id) || null;
+        const entry = {
+            upload_id: upload.id,
+            upload_date: upload.upload_date,
+            filename: upload.filename,
+            status: null,
+            changes: [],
+            row,
+        };
+
+        if (row && !lastRow) {
+            entry.status = 'FIRST SEEN';
+        } else if (row && !wasPresent) {
+            entry.status = 'REAPPEARED';
+            entry.changes = getChangedFields(lastRow, row, fields);
+        } else if (row) {
+            entry.changes = getChangedFields(lastRow, row, fields);
+            entry.status = entry.changes.length > 0 ? 'CHANGED' : 'PRESENT';
+        } else if (wasPresent) {
+            entry.status = 'REMOVED';
+        }
+
+        // Skip uploads before the first appearance and while the key stays absent
+        if (entry.status) timeline.push(entry);
+
+        if (row) lastRow = row;
+        wasPresent = !!row;
+    }
+
+    return timeline;
+}
+
+/**
+ * DOCK TALLY
+ */
+
+/**
+ * Group report rows by MBL with the distinct containers of each
+ */
+export function groupRowsByMBL(data) {
+    // Group by MBL
+    const grouped = {};
+    for (const row of data || []) {
+        const mbl = row.mbl || 'NO MBL';
+        if (!grouped[mbl]) {
+            grouped[mbl] = {
+                mbl: mbl,
+                containers: new Set(),
+                items: [],
+            };
+        }
+        if (row.container) {
+            grouped[mbl].containers.add(row.container);
+        }
+        grouped[mbl].items.push(row);
+    }
+
+    // Convert Sets to arrays
+    for (const mbl in grouped) {
+        grouped[mbl].containers = Array.from(grouped[mbl].containers);
+    }
+
+    return grouped;
+}
+
+/**
+ * Group Air report rows by MAWB with the distinct flights of each
+ */
+export function groupRowsByMAWB(data) {
+    const grouped = {};
+    for (const row of data || []) {
+        const mawb = row.mawb || 'NO MAWB';
+        if (!grouped[mawb]) {
+            grouped[mawb] = {
+                mawb: mawb,
+                flights: new Set(),
+                items: [],
+            };
+        }
+        if (row.flight_number) {
+            grouped[mawb].flights.add(row.flight_number);
+        }
+        grouped[mawb].items.push(row);
+    }
+
+    for (const mawb in grouped) {
+        grouped[mawb].flights = Array.from(grouped[mawb].flights);
+    }
+
+    return grouped;
+}
+
+/**
+ * DOCK TALLY ENTRY
+ * What checkers record on screen instead of on the printed tally: per HB (Ocean, one arrival)
+ * or per HAWB and arrival (Air, up to AIR_ARRIVALS)
+ */
+
+export const TALLY_FIELDS = [
+    { key: 'pcs', label: 'PCS', type: 'number' },
+    { key: 'location', label: 'LOC' },
+    { key: 'tallied_at', label: 'TIME', type: 'time' },
+    { key: 'damage', label: 'DMG' },
+    { key: 'crew', label: 'CRW' },
+    { key: 'notes', label: 'NOTES' },
+];
+
+export const AIR_TALLY_FIELDS = [
+    { key: 'pcs', label: 'PCS', type: 'number' },
+    { key: 'location', label: 'LOC' },
+    { key: 'tallied_at', label: 'TIME', type: 'time' },
+    { key: 'crew', label: 'CRW' },
+    { key: 'sub', label: 'SUB' },
+    { key: 'notes', label: 'NOTES' },
+];
+
+export const AIR_ARRIVALS = 4;
+
+/**
+ * Bill and manifest piece columns for a mode
+ */
+export function getTallyColumns(mode = 'ocean') {
+    return mode === 'air'
+        ? { bill: 'hawb', master: 'mawb', manifestPcs: 'qty', fields: AIR_TALLY_FIELDS }
+        : { bill: 'hb', master: 'mbl', manifestPcs: 'pcs', fields: TALLY_FIELDS };
+}
+
+export function getTallyKey(bill, arrival = 1) {
+    return `${bill}|${arrival}`;
+}
+
+/**
+ * A saved entry as form values: strings, with the time as local HH:MM for a time input
+ */
+export function getTallyInputs(entry, mode = 'ocean') {
+    const inputs = {};
+    getTallyColumns(mode).fields.forEach(({ key, type }) => {
+        const value = entry?.[key];
+        if (type === 'time') {
+            const date = value ? new Date(value) : null;
+            inputs[key] = date && !isNaN(date)
+                ? `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+                : '';
+        } else {
+            inputs[key] = value === null || value === undefined ? '' : String(value);
+        }
+    });
+    return inputs;
+}
+
+/**
+ * Row to save for one bill and arrival from its form values
+ * The master list link is filled in by the backend (by HB / HAWB); the report data link is
+ * the row itself when the tally was taken from an upload, else whatever was saved before.
+ * A time keeps the day it was first saved on (today for a new one).
+ * @param {Object} inputs - form values as from getTallyInputs
+ * @param {Object|null} saved - the entry saved before, if any
+ */
+export function toTallyEntry(item, inputs, saved, arrival, mode = 'ocean') {
+    const { bill, master, fields } = getTallyColumns(mode);
+    const reportDataKey = mode === 'air' ? 'air_report_data_id' : 'report_data_id';
+
+    const entry = {
+        [bill]: item[bill],
+        [master]: item[master] || null,
+        arrival,
+        [reportDataKey]: item.upload_id ? item.id : (saved?.[reportDataKey] ?? null),
+    };
+    fields.forEach(({ key, type }) => {
+        const value = String(inputs[key] ?? '').trim();
+        if (type === 'number') {
+            entry[key] = parseReportNumber(value);
+        } else if (type === 'time') {
+            const [hours, minutes] = value.split(':').map(Number);
+            const date = saved?.[key] ? new Date(saved[key]) : new Date();
+            date.setHours(hours, minutes, 0, 0);
+            entry[key] = value && !isNaN(date) ? date.toISOString() : null;
+        } else {
+            entry[key] = value || null;
+        }
+    });
+    return entry;
+}
+
+/**
+ * Received pieces across every arrival of a bill against its manifest pieces
+ * @param {Object} entriesByKey - saved entries or form values, keyed by getTallyKey
+ * @returns {{received: number|null, expected: number|null, status: string}} status is
+ *   'pending' (nothing counted yet), 'match', 'short' or 'over'
+ */
+export function getTallyStatus(item, entriesByKey, mode = 'ocean') {
+    const { bill, manifestPcs } = getTallyColumns(mode);
+    const arrivals = mode === 'air' ? AIR_ARRIVALS : 1;
+
+    let received = null;
+    for (let arrival = 1; arrival <= arrivals; arrival++) {
+        const pcs = parseReportNumber(entriesByKey[getTallyKey(item[bill], arrival)]?.pcs);
+        if (pcs !== null) received = (received || 0) + pcs;
+    }
+
+    const expected = parseReportNumber(item[manifestPcs]);
+    let status = 'pending';
+    if (received !== null) {
+        status = expected === null || received === expected ? 'match' : received < expected ? 'short' : 'over';
+    }
+    return { received, expected, status };
+}
+
+/**
+ * SEARCH AND PAGING
+ */
+
+/**
+ * Columns searched by "All Fields" (the SearchBar's field list), trigram-indexed in Supabase
+ */
+export const SEARCH_COLUMNS = ['hb', 'mbl', 'container', 'cnee', 'carrier', 'vessel', 'file_no', 'dest'];
+export const AIR_SEARCH_COLUMNS = [
+    'hawb', 'mawb', 'consignee', 'carrier', 'flight_number', 'freight_location', 'file_number', 'destination',
+];
+
+/**
+ * Order two rows by a column, blanks first (the DataTable's sort order)
+ */
+export function compareRows(a, b, sortKey, sortDirection = 'asc') {
+    const aVal = a[sortKey] || '';
+    const bVal = b[sortKey] || '';
+
+    if (aVal < bVal) return sortDirection === 'asc' ? -1 : 1;
+    if (aVal > bVal) return sortDirection === 'asc' ? 1 : -1;
+    return 0;
+}
+
+/**
+ * One page of rows after a case-insensitive "contains" search, the filter builder's
+ * conditions and an optional sort, matching what the Supabase page queries do in Postgres
+ * @returns {{rows: Array, total: number}} total counts every matching row, not just the page
+ */
+export function pageRows(rows, options = {}, searchColumns = SEARCH_COLUMNS) {
+    const {
+        searchField = 'all', searchText = '', filter = null, sortKey = null, sortDirection = 'asc',
+        offset = 0, limit = 100,
+    } = options;
+    const text = searchText.trim().toLowerCase();
+    const columns = searchField === 'all' ? searchColumns : [searchField];
+
+    const searched = text
+        ? rows.filter(row => columns.some(col => row[col] && String(row[col]).toLowerCase().includes(text)))
+        : rows;
+    const matched = filter ? searched.filter(row => matchesFilter(row, filter)) : searched;
+    const sorted = sortKey ? [...matched].sort((a, b) => compareRows(a, b, sortKey, sortDirection)) : matched;
+
+    return { rows: sorted.slice(offset, offset + limit), total: matched.length };
+}
+
+/**
+ * Non-blank values of a column that appear on more than one row (duplicate HB/MBL highlighting)
+ * @returns {Set<string>}
+ */
+export function findDuplicateValues(rows, column) {
+    const counts = new Map();
+    rows.forEach(row => {
+        const value = row[column];
+        if (value && value.trim() !== '') counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return new Set([...counts].filter(([, count]) => count > 1).map(([value]) => value));
+}
+
+/**
+ * FILTER BUILDER
+ * A filter is { match: 'and' | 'or', conditions: [{ column, operator, value, valueTo }] }
+ * Supabase runs the same conditions in Postgres (report_date / report_number)
+ */
+
+// Columns that can also be compared as dates or as numbers
+export const DATE_FILTER_COLUMNS = ['frl', 'tdf', 'eta'];
+export const NUMBER_FILTER_COLUMNS = ['pcs', 'wt_lbs', 'weight'];
+
+const TEXT_OPERATORS = [
+    { value: 'equals', label: 'equals' },
+    { value: 'contains', label: 'contains' },
+    { value: 'starts_with', label: 'starts with' },
+    { value: 'empty', label: 'is empty' },
+    { value: 'not_empty', label: 'is not empty' },
+];
+
+export const EMPTY_FILTER = { match: 'and', conditions: [] };
+
+/**
+ * Operators offered for a column: the text operators, plus before/after for date
+ * columns and between for numeric columns
+ */
+export function getFilterOperators(column) {
+    if (DATE_FILTER_COLUMNS.includes(column)) {
+        return [...TEXT_OPERATORS, { value: 'before', label: 'before' }, { value: 'after', label: 'after' }];
+    }
+    if (NUMBER_FILTER_COLUMNS.includes(column)) {
+        return [...TEXT_OPERATORS, { value: 'between', label: 'between' }];
+    }
+    return TEXT_OPERATORS;
+}
+
+/**
+ * Parse an FRL/TDF/ETA value (M/D/YYYY, M/D/YY or YYYY-MM-DD, time ignored)
+ * @returns {string|null} YYYY-MM-DD, or null when it isn't a date
+ */
+export function parseReportDate(value) {
+    const text = String(value ?? '').trim();
+    let year, month, day;
+
+    let match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/);
+    if (match) {
+        [, month, day, year] = match.map(Number);
+        if (match[3].length === 2) year += 2000;
+    } else if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+        [, year, month, day] = match.map(Number);
+    } else {
+        return null;
+    }
+
+    // A day past the end of its month (2/31) is not a date; matches report_date() in SQL
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth) return null;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Parse a PCS/WT LBS/WEIGHT value, ignoring thousands separators
+ * @returns {number|null}
+ */
+export function parseReportNumber(value) {
+    const text = String(value ?? '').trim().replace(/,/g, '');
+    return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+}
+
+/**
+ * Whether a condition has everything its operator needs (incomplete ones are ignored)
+ */
+export function isConditionComplete({ column, operator, value = '', valueTo = '' }) {
+    if (!column || !operator) return false;
+    if (operator === 'empty' || operator === 'not_empty') return true;
+    if (operator === 'before' || operator === 'after') return /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (operator === 'between') {
+        const bounds = [value, valueTo].filter(bound => String(bound).trim() !== '');
+        return bounds.length > 0 && bounds.every(bound => Number.isFinite(Number(bound)));
+    }
+    return String(value).trim() !== '';
+}
+
+export function getActiveConditions(filter) {
+    return (filter?.conditions || []).filter(isConditionComplete);
+}
+
+function matchesCondition(row, { column, operator, value = '', valueTo = '' }) {
+    const cell = String(row[column] ?? '').trim();
+    const cellLower = cell.toLowerCase();
+    const valueLower = String(value).trim().toLowerCase();
+
+    switch (operator) {
+        case 'equals': return cellLower === valueLower;
+        case 'contains': return cellLower.includes(valueLower);
+        case 'starts_with': return cellLower.startsWith(valueLower);
+        case 'empty': return cell === '';
+        case 'not_empty': return cell !== '';
+        case 'before': {
+            const date = parseReportDate(cell);
+            return date !== null && date < value;
+        }
+        case 'after': {
+            const date = parseReportDate(cell);
+            return date !== null && date > value;
+        }
+        case 'between': {
+            const number = parseReportNumber(cell);
+            if (number === null) return false;
+            if (String(value).trim() !== '' && number < Number(value)) return false;
+            if (String(valueTo).trim() !== '' && number > Number(valueTo)) return false;
+            return true;
+        }
+        default: return true;
+    }
+}
+
+/**
+ * Whether a row passes a filter builder filter (no complete conditions passes everything)
+ */
+export function matchesFilter(row, filter) {
+    const conditions = getActiveConditions(filter);
+    if (conditions.length === 0) return true;
+
+    return filter.match === 'or'
+        ? conditions.some(condition => matchesCondition(row, condition))
+        : conditions.every(condition => matchesCondition(row, condition));
+}
+
+/**
+ * BULK LOOKUP
+ * A pasted list of bills or containers matched against the Master List
+ */
+
+export const BULK_LOOKUP_COLUMNS = ['hb', 'mbl', 'container'];
+export const AIR_BULK_LOOKUP_COLUMNS = ['hawb', 'mawb'];
+
+/**
+ * Values from pasted text: one per line, or separated by commas, semicolons, tabs or spaces
+ * @returns {Array<string>} normalized (trimmed, uppercase), duplicates removed, in pasted order
+ */
+export function parseBulkList(text) {
+    const values = String(text ?? '').split(/[\s,;]+/).map(normalizeHB).filter(value => value);
+    return [...new Set(values)];
+}
+
+/**
+ * Which rows each pasted value matched, on any of the given columns
+ * @returns {{rows: Array, notFound: Array<string>}} rows in pasted order without repeats;
+ *   notFound keeps the values no row matched
+ */
+export function matchBulkValues(rows, values, columns) {
+    const rowsByValue = new Map();
+    rows.forEach(row => {
+        columns.forEach(column => {
+            const key = normalizeHB(row[column]);
+            if (!key) return;
+            if (!rowsByValue.has(key)) rowsByValue.set(key, []);
+            rowsByValue.get(key).push(row);
+        });
+    });
+
+    const matched = new Set();
+    const notFound = [];
+    values.forEach(value => {
+        const hits = rowsByValue.get(value);
+        if (!hits) {
+            notFound.push(value);
+            return;
+        }
+        hits.forEach(row => matched.add(row));
+    });
+
+    return { rows: [...matched], notFound };
+}
@@ -0,0 +1,279 @@
+/**
+ * Offline Sync Queue - Keeps Supabase writes made while offline and replays them later
+ * Uploads, upload deletes, mapping profile saves and dock tally entries made without a
+ * connection are stored in IndexedDB (localDatabase.js) and replayed in order once the
+ * browser is back online.
+ * A queued upload whose HBs/HAWBs were changed by another upload in the meantime is held
+ * as a conflict until someone chooses to upload it anyway or discard it.
+ */
+
+import {
+    addSyncOperation, getSyncOperations, updateSyncOperation, removeSyncOperation
+} from './localDatabase';
+import { normalizeHB } from './reportLogic';
+
+// Newest upload date seen while online, per mode; queued uploads are checked against it
+const LAST_SEEN_UPLOAD_KEYS = {
+    ocean: 'csvdock_last_seen_upload_date',
+    air: 'csvdock_last_seen_air_upload_date',
+};
+
+// How the browser reports a request that never reached Supabase
+const NETWORK_ERROR = /failed to fetch|networkerror|load failed|network request failed/i;
+
+// Writes that can be queued; `type` is the backend function replayed with the saved args
+const INGEST_TYPES = ['ingestUpload', 'ingestAirUpload'];
+const TALLY_SAVE_TYPES = ['saveDockTallyEntries', 'saveAirDockTallyEntries'];
+
+let supabaseApi = null;
+let status = {
+    online: typeof navigator === 'undefined' ? true : navigator.onLine,
+    syncing: false,
+    operations: [],
+    lastSyncedAt: null,
+};
+const listeners = new Set();
+
+function setStatus(changes) {
+    status = { ...status, ...changes };
+    listeners.forEach(listener => listener());
+}
+
+/**
+ * Sync status for useSyncExternalStore: { online, syncing, operations, lastSyncedAt }
+ * lastSyncedAt changes whenever queued writes reach Supabase, so views can reload
+ */
+export function subscribeToSyncStatus(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export function getSyncStatus() {
+    return status;
+}
+
+export function isOffline() {
+    return !navigator.onLine;
+}
+
+async function refreshQueue() {
+    try {
+        setStatus({ operations: await getSyncOperations() });
+    } catch (err) {
+        console.error('Error reading sync queue:', err);
+    }
+}
+
+async function enqueue(type, args, label, mode = null) {
+    await addSyncOperation({
+        type,
+        args,
+        label,
+        mode,
+        // Anything uploaded to Supabase after this may conflict with the queued write
+        base_upload_date: (mode && localStorage.getItem(LAST_SEEN_UPLOAD_KEYS[mode])) || new Date().toISOString(),
+        conflicts: [],
+        own_upload_ids: [],
+        error: null,
+        force: false,
+    });
+    await refreshQueue();
+}
+
+function rememberLatestUpload(mode, uploads) {
+    if (uploads.length > 0) {
+        localStorage.setItem(LAST_SEEN_UPLOAD_KEYS[mode], uploads[0].upload_date);
+    }
+    return uploads;
+}
+
+/**
+ * HBs/HAWBs of a queued upload that another upload changed after it was queued
+ * @returns {Promise<Array<string>|null>} null when Supabase couldn't be checked
+ */
+async function findConflicts(operation) {
+    const isAir = operation.type === 'ingestAirUpload';
+    const [, rows] = operation.args;
+    const keyColumn = isAir ? 'HAWB' : 'HB';
+    const keys = [...new Set(rows.map(row => normalizeHB(row[keyColumn])).filter(key => key))];
+
+    const { base_upload_date: since, own_upload_ids: ownUploadIds = [] } = operation;
+
+    const changedItems = isAir
+        ? await supabaseApi.getAirMasterListItemsChangedSince(keys, since, ownUploadIds)
+        : await supabaseApi.getMasterListItemsChangedSince(keys, since, ownUploadIds);
+    if (changedItems === null) return null;
+
+    return changedItems.map(item => (isAir ? item.hawb : item.hb));
+}
+
+/**
+ * An upload that lost its connection mid-request may have been saved after all;
+ * an identical file uploaded since it was queued means there is nothing left to replay
+ */
+async function wasAlreadySaved(operation) {
+    const [, , hashes = {}] = operation.args;
+    if (!hashes.contentHash) return false;
+
+    const duplicate = operation.type === 'ingestAirUpload'
+        ? await supabaseApi.findDuplicateAirUpload(hashes.contentHash, hashes.rowSetHash)
+        : await supabaseApi.findDuplicateUpload(hashes.contentHash, hashes.rowSetHash);
+
+    return duplicate?.match === 'identical'
+        && new Date(duplicate.upload.upload_date) > new Date(operation.base_upload_date);
+}
+
+async function markOwnUpload(mode, uploadId) {
+    for (const operation of await getSyncOperations()) {
+        if (operation.mode !== mode) continue;
+        await updateSyncOperation(operation.id, {
+            own_upload_ids: [...(operation.own_upload_ids || []), uploadId],
+        });
+    }
+}
+
+function succeeded(operation, result) {
+    return INGEST_TYPES.includes(operation.type) ? !result.error : !!result;
+}
+
+/**
+ * Replay queued writes against Supabase, oldest first
+ * Stops at the first conflict or failure (later writes may depend on it) and whenever
+ * the connection drops again; called automatically when the browser comes back online
+ */
+export async function replayQueue() {
+    if (!supabaseApi || status.syncing || isOffline()) return;
+
+    setStatus({ syncing: true });
+    let synced = 0;
+
+    try {
+        // Always the oldest operation still queued; replayed ones are removed
+        let operation;
+        while ((operation = (await getSyncOperations())[0])) {
+            // Held until someone resolves it
+            if (operation.status !== 'pending') break;
+
+            if (INGEST_TYPES.includes(operation.type)) {
+                if (await wasAlreadySaved(operation)) {
+                    await removeSyncOperation(operation.id);
+                    synced++;
+                    continue;
+                }
+
+                if (!operation.force) {
+                    const conflicts = await findConflicts(operation);
+                    if (conflicts === null) break;
+                    if (conflicts.length > 0) {
+                        await updateSyncOperation(operation.id, { status: 'conflict', conflicts });
+                        break;
+                    }
+                }
+            }
+
+            const result = await supabaseApi[operation.type](...operation.args);
+
+            if (!succeeded(operation, result)) {
+                const message = result?.error || 'Supabase rejected the change';
+                // Connection dropped again - try once it's back
+                if (isOffline() || NETWORK_ERROR.test(message)) break;
+
+                await updateSyncOperation(operation.id, { status: 'failed', error: message });
+                break;
+            }
+
+            await removeSyncOperation(operation.id);
+            synced++;
+
+            // Later uploads queued alongside this one shouldn't conflict with it
+            if (INGEST_TYPES.includes(operation.type)) {
+                await markOwnUpload(operation.mode, result.uploadId);
+            }
+        }
+    } catch (err) {
+        console.error('Error replaying sync queue:', err);
+    } finally {
+        await refreshQueue();
+        setStatus({
+            syncing: false,
+            lastSyncedAt: synced > 0 ? new Date().toISOString() : status.lastSyncedAt,
+        });
+    }
+}
+
+/**
+ * Replay a held operation; a conflicting upload is applied over the newer data
+ */
+export async function retryOperation(id) {
+    await updateSyncOperation(id, { status: 'pending', force: true, error: null });
+    await refreshQueue();
+    await replayQueue();
+}
+
+export async function discardOperation(id) {
+    await removeSyncOperation(id);
+    await refreshQueue();
+    await replayQueue();
+}
+
+/**
+ * Wrap the Supabase backend so its writes are queued while offline
+ * Reads are left as they are; they simply come back empty without a connection
+ */
+export function withOfflineQueue(api) {
+    supabaseApi = api;
+
+    window.addEventListener('online', () => {
+        setStatus({ online: true });
+        replayQueue();
+    });
+    window.addEventListener('offline', () => setStatus({ online: false }));
+    refreshQueue().then(replayQueue);
+
+    const ingestOrQueue = (type, mode) => async (filename, rows, hashes = {}) => {
+        if (!isOffline()) {
+            const result = await api[type](filename, rows, hashes);
+            if (!result.error || !NETWORK_ERROR.test(result.error)) return result;
+        }
+
+        await enqueue(type, [filename, rows, hashes], `Upload ${filename}`, mode);
+        return {
+            uploadId: null,
+            rowsInserted: rows.length,
+            itemsAdded: 0,
+            itemsUpdated: 0,
+            itemsRemoved: 0,
+            error: null,
+            queued: true,
+        };
+    };
+
+    const writeOrQueue = (type, describe) => async (...args) => {
+        if (!isOffline()) return api[type](...args);
+
+        await enqueue(type, args, describe(...args));
+        // Same truthy result the online write gives on success
+        if (type === 'saveColumnMappingProfile') return { name: args[0], mode: args[1], mapping: args[2] };
+        // Tally saves give back the entries, without the ids Supabase will add
+        return TALLY_SAVE_TYPES.includes(type) ? args[0] : true;
+    };
+
+    return {
+        ...api,
+        getAllUploads: async () => rememberLatestUpload('ocean', await api.getAllUploads()),
+        getAllAirUploads: async () => rememberLatestUpload('air', await api.getAllAirUploads()),
+        ingestUpload: ingestOrQueue('ingestUpload', 'ocean'),
+        ingestAirUpload: ingestOrQueue('ingestAirUpload', 'air'),
+        deleteUpload: writeOrQueue('deleteUpload', () => 'Delete an Ocean upload'),
+        deleteAirUpload: writeOrQueue('deleteAirUpload', () => 'Delete an Air upload'),
+        saveColumnMappingProfile: writeOrQueue(
+            'saveColumnMappingProfile', (name) => `Save mapping profile "${name}"`
+        ),
+        saveDockTallyEntries: writeOrQueue(
+            'saveDockTallyEntries', (entries) => `Save ${entries.length} Ocean tally entries`
+        ),
+        saveAirDockTallyEntries: writeOrQueue(
+            'saveAirDockTallyEntries', (entries) => `Save ${entries.length} Air tally entries`
+        ),
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * View Routes - The Dashboard's view as a shareable URL
+ * Paths pick the mode and what's on screen; the query string holds the metric card,
+ * search and filter builder conditions, e.g. /ocean/uploads/<id>?filter=new_frl&q=MSCU
+ *
+ *   /:mode                               Master List
+ *   /:mode/uploads/:uploadId             One upload
+ *   /:mode/compare/:baseId/:targetId     Two uploads compared
+ *   /:mode/removed                       Removed History (Ocean)
+ */
+
+import { EMPTY_FILTER } from './reportLogic';
+
+export const MODES = ['ocean', 'air'];
+
+/**
+ * Path and query string for a view; defaults are left out to keep links short
+ * @param {Object} view - { mode, view, uploadId, baseId, targetId, activeFilter, searchField, searchText, advancedFilter }
+ */
+export function buildViewUrl({
+    mode, view = 'master', uploadId, baseId, targetId,
+    activeFilter = 'all', searchField = 'all', searchText = '', advancedFilter = EMPTY_FILTER,
+}) {
+    let path = `/${mode}`;
+    if (view === 'upload') path += `/uploads/${encodeURIComponent(uploadId)}`;
+    if (view === 'compare') path += `/compare/${encodeURIComponent(baseId)}/${encodeURIComponent(targetId)}`;
+    if (view === 'removed') path += '/removed';
+
+    const params = new URLSearchParams();
+    if (activeFilter !== 'all') params.set('filter', activeFilter);
+    if (searchField !== 'all') params.set('field', searchField);
+    if (searchText) params.set('q', searchText);
+    if (advancedFilter.conditions.length > 0) {
+        if (advancedFilter.match === 'or') params.set('match', 'or');
+        params.set('where', encodeConditions(advancedFilter.conditions));
+    }
+
+    const query = params.toString();
+    return query ? `${path}?${query}` : path;
+}
+
+// Conditions as [column, operator, value, valueTo] tuples, trailing blanks dropped
+function encodeConditions(conditions) {
+    return JSON.stringify(conditions.map(({ column, operator, value = '', valueTo = '' }) => {
+        if (valueTo !== '') return [column, operator, value, valueTo];
+        return value !== '' ? [column, operator, value] : [column, operator];
+    }));
+}
+
+/**
+ * Filter builder filter from the `match` and `where` query parameters
+ * A malformed `where` (a hand-edited link) is ignored rather than breaking the page
+ */
+export function decodeFilter(match, where) {
+    if (!where) return EMPTY_FILTER;
+
+    try {
+        const tuples = JSON.parse(where);
+        if (!Array.isArray(tuples)) return EMPTY_FILTER;
+
+        return {
+            match: match === 'or' ? 'or' : 'and',
+            conditions: tuples
+                .filter(tuple => Array.isArray(tuple) && tuple.length >= 2)
+                .map(([column, operator, value = '', valueTo = ''], index) => ({
+                    // The builder's own ids are numbers, so these never collide with them
+                    id: `url-${index}`,
+                    column: String(column),
+                    operator: String(operator),
+                    value: String(value),
+                    valueTo: String(valueTo),
+                })),
+        };
+    } catch {
+        return EMPTY_FILTER;
+    }
+}
@@ -0,0 +1,66 @@
+-- ============================================
+-- Migration: Add Air Master List
+-- Run this in your Supabase SQL Editor if you already ran supabase-schema-air.sql
+-- ============================================
+
+-- ============================================
+-- AIR_MASTER_LIST TABLE
+-- Consolidated Air data that tracks all items
+-- HAWB is unique - items are only added/updated
+-- ============================================
+CREATE TABLE IF NOT EXISTS air_master_list (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    mawb TEXT,
+    hawb TEXT UNIQUE,
+    consignee TEXT,
+    carrier TEXT,
+    flight_number TEXT,
+    freight_location TEXT,
+    origin TEXT,
+    destination TEXT,
+    file_number TEXT,
+    qty TEXT,
+    shipment_type TEXT,
+    slac TEXT,
+    weight TEXT,
+    eta TEXT,
+    eta_time TEXT,
+    log TEXT,
+    flt_date TEXT,
+    first_seen_upload_id UUID REFERENCES air_uploads(id) ON DELETE SET NULL,
+    last_updated_upload_id UUID REFERENCES air_uploads(id) ON DELETE SET NULL,
+    last_update_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_air_master_list_hawb ON air_master_list(hawb);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_mawb ON air_master_list(mawb);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_first_seen ON air_master_list(first_seen_upload_id);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_last_updated ON air_master_list(last_updated_upload_id);
+
+ALTER TABLE air_master_list ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow authenticated users to read air_master_list"
+    ON air_master_list FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to insert air_master_list"
+    ON air_master_list FOR INSERT
+    TO authenticated
+    WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users to update air_master_list"
+    ON air_master_list FOR UPDATE
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to delete air_master_list"
+    ON air_master_list FOR DELETE
+    TO authenticated
+    USING (true);
+
+-- ============================================
+-- DONE! Air uploads will now build a consolidated Master List.
+-- ============================================
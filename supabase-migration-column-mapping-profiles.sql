@@ -0,0 +1,40 @@
+-- ============================================
+-- Migration: Column Mapping Profiles
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- COLUMN_MAPPING_PROFILES TABLE
+-- Named header mappings per carrier, applied to uploads
+-- whose headers don't match the required columns
+-- ============================================
+CREATE TABLE IF NOT EXISTS column_mapping_profiles (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name TEXT NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'ocean',
+    mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (name, mode)
+);
+
+ALTER TABLE column_mapping_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow authenticated users to read column_mapping_profiles"
+    ON column_mapping_profiles FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to insert column_mapping_profiles"
+    ON column_mapping_profiles FOR INSERT
+    TO authenticated
+    WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users to update column_mapping_profiles"
+    ON column_mapping_profiles FOR UPDATE
+    TO authenticated
+    USING (true);
+
+-- ============================================
+-- DONE! Saved column mappings are applied automatically on upload.
+-- ============================================
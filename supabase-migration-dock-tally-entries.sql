@@ -0,0 +1,105 @@
+-- ============================================
+-- Migration: Dock Tally Entries
+-- Run this in your Supabase SQL Editor
+-- (after supabase-schema-air.sql if you use Air mode)
+-- ============================================
+
+-- ============================================
+-- DOCK_TALLY_ENTRIES TABLE
+-- Counts checkers record on screen, one row per HB; links are
+-- cleared (not cascaded) so counts outlive deleted uploads
+-- ============================================
+CREATE TABLE IF NOT EXISTS dock_tally_entries (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    master_list_id UUID REFERENCES master_list(id) ON DELETE SET NULL,
+    report_data_id UUID REFERENCES report_data(id) ON DELETE SET NULL,
+    hb TEXT NOT NULL,
+    mbl TEXT,
+    arrival INTEGER NOT NULL DEFAULT 1,
+    pcs NUMERIC,
+    location TEXT,
+    tallied_at TIMESTAMPTZ,
+    damage TEXT,
+    crew TEXT,
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (hb, arrival)
+);
+
+-- Index for dock tally entries
+CREATE INDEX IF NOT EXISTS idx_dock_tally_entries_mbl ON dock_tally_entries(mbl);
+
+ALTER TABLE dock_tally_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow authenticated users to read dock_tally_entries"
+    ON dock_tally_entries FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to insert dock_tally_entries"
+    ON dock_tally_entries FOR INSERT
+    TO authenticated
+    WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users to update dock_tally_entries"
+    ON dock_tally_entries FOR UPDATE
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to delete dock_tally_entries"
+    ON dock_tally_entries FOR DELETE
+    TO authenticated
+    USING (true);
+
+-- ============================================
+-- AIR_DOCK_TALLY_ENTRIES TABLE
+-- Counts checkers record on screen, one row per HAWB and arrival
+-- (a HAWB can come in over several); links are cleared (not
+-- cascaded) so counts outlive deleted uploads
+-- ============================================
+CREATE TABLE IF NOT EXISTS air_dock_tally_entries (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    air_master_list_id UUID REFERENCES air_master_list(id) ON DELETE SET NULL,
+    air_report_data_id UUID REFERENCES air_report_data(id) ON DELETE SET NULL,
+    hawb TEXT NOT NULL,
+    mawb TEXT,
+    arrival INTEGER NOT NULL DEFAULT 1,
+    pcs NUMERIC,
+    location TEXT,
+    tallied_at TIMESTAMPTZ,
+    crew TEXT,
+    sub TEXT,
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (hawb, arrival)
+);
+
+CREATE INDEX IF NOT EXISTS idx_air_dock_tally_entries_mawb ON air_dock_tally_entries(mawb);
+
+ALTER TABLE air_dock_tally_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow authenticated users to read air_dock_tally_entries"
+    ON air_dock_tally_entries FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to insert air_dock_tally_entries"
+    ON air_dock_tally_entries FOR INSERT
+    TO authenticated
+    WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users to update air_dock_tally_entries"
+    ON air_dock_tally_entries FOR UPDATE
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to delete air_dock_tally_entries"
+    ON air_dock_tally_entries FOR DELETE
+    TO authenticated
+    USING (true);
+
+-- ============================================
+-- DONE! Counts saved in Tally Entry are kept per HB / HAWB.
+-- ============================================
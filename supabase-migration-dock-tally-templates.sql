@@ -0,0 +1,45 @@
+-- ============================================
+-- Migration: Dock Tally Templates
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- DOCK_TALLY_TEMPLATES TABLE
+-- Named dock tally layouts shared by everyone, per mode; layout
+-- holds columns, rows per page, paper, orientation and header fields
+-- ============================================
+CREATE TABLE IF NOT EXISTS dock_tally_templates (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name TEXT NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'ocean',
+    layout JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (name, mode)
+);
+
+ALTER TABLE dock_tally_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow authenticated users to read dock_tally_templates"
+    ON dock_tally_templates FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to insert dock_tally_templates"
+    ON dock_tally_templates FOR INSERT
+    TO authenticated
+    WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users to update dock_tally_templates"
+    ON dock_tally_templates FOR UPDATE
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to delete dock_tally_templates"
+    ON dock_tally_templates FOR DELETE
+    TO authenticated
+    USING (true);
+
+-- ============================================
+-- DONE! Saved templates appear in the Dock Tally Report's template picker.
+-- ============================================
@@ -0,0 +1,104 @@
+-- ============================================
+-- Migration: Duplicate Bills (duplicate highlighting for paged tables)
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- GET_DUPLICATE_BILLS FUNCTION
+-- Which of the given HBs / MBLs appear more than once in an upload,
+-- or in the master list when p_upload_id is NULL. The data table
+-- asks for the values on each page it loads to highlight duplicates.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_duplicate_bills(
+    p_upload_id UUID,
+    p_hbs TEXT[],
+    p_mbls TEXT[]
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_hbs JSONB;
+    v_mbls JSONB;
+BEGIN
+    IF p_upload_id IS NULL THEN
+        SELECT jsonb_agg(hb) INTO v_hbs FROM (
+            SELECT hb FROM master_list WHERE hb = ANY(p_hbs) GROUP BY hb HAVING COUNT(*) > 1
+        ) d;
+        SELECT jsonb_agg(mbl) INTO v_mbls FROM (
+            SELECT mbl FROM master_list WHERE mbl = ANY(p_mbls) GROUP BY mbl HAVING COUNT(*) > 1
+        ) d;
+    ELSE
+        SELECT jsonb_agg(hb) INTO v_hbs FROM (
+            SELECT hb FROM report_data
+            WHERE upload_id = p_upload_id AND hb = ANY(p_hbs)
+            GROUP BY hb HAVING COUNT(*) > 1
+        ) d;
+        SELECT jsonb_agg(mbl) INTO v_mbls FROM (
+            SELECT mbl FROM report_data
+            WHERE upload_id = p_upload_id AND mbl = ANY(p_mbls)
+            GROUP BY mbl HAVING COUNT(*) > 1
+        ) d;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'hbs', COALESCE(v_hbs, '[]'::jsonb),
+        'mbls', COALESCE(v_mbls, '[]'::jsonb)
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_duplicate_bills(UUID, TEXT[], TEXT[]) TO authenticated;
+
+-- ============================================
+-- GET_AIR_DUPLICATE_BILLS FUNCTION
+-- Which of the given HAWBs / MAWBs appear more than once in an upload,
+-- or in the air master list when p_upload_id is NULL. The data table
+-- asks for the values on each page it loads to highlight duplicates.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_air_duplicate_bills(
+    p_upload_id UUID,
+    p_hawbs TEXT[],
+    p_mawbs TEXT[]
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_hawbs JSONB;
+    v_mawbs JSONB;
+BEGIN
+    IF p_upload_id IS NULL THEN
+        SELECT jsonb_agg(hawb) INTO v_hawbs FROM (
+            SELECT hawb FROM air_master_list WHERE hawb = ANY(p_hawbs) GROUP BY hawb HAVING COUNT(*) > 1
+        ) d;
+        SELECT jsonb_agg(mawb) INTO v_mawbs FROM (
+            SELECT mawb FROM air_master_list WHERE mawb = ANY(p_mawbs) GROUP BY mawb HAVING COUNT(*) > 1
+        ) d;
+    ELSE
+        SELECT jsonb_agg(hawb) INTO v_hawbs FROM (
+            SELECT hawb FROM air_report_data
+            WHERE upload_id = p_upload_id AND hawb = ANY(p_hawbs)
+            GROUP BY hawb HAVING COUNT(*) > 1
+        ) d;
+        SELECT jsonb_agg(mawb) INTO v_mawbs FROM (
+            SELECT mawb FROM air_report_data
+            WHERE upload_id = p_upload_id AND mawb = ANY(p_mawbs)
+            GROUP BY mawb HAVING COUNT(*) > 1
+        ) d;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'hawbs', COALESCE(v_hawbs, '[]'::jsonb),
+        'mawbs', COALESCE(v_mawbs, '[]'::jsonb)
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_air_duplicate_bills(UUID, TEXT[], TEXT[]) TO authenticated;
+
+-- ============================================
+-- DONE! Paged tables now highlight duplicate bills.
+-- ============================================
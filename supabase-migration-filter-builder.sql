@@ -0,0 +1,120 @@
+-- ============================================
+-- Migration: Filter Builder (date and numeric conditions)
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- FILTER BUILDER HELPERS
+-- FRL/TDF/ETA and PCS/WT LBS/WEIGHT are stored as text straight from
+-- the CSV. These parse them (NULL when a value isn't a date / number)
+-- so the filter builder can compare them as dates and numbers.
+-- Dates: M/D/YYYY, M/D/YY or YYYY-MM-DD, anything after is ignored.
+-- ============================================
+CREATE OR REPLACE FUNCTION report_date(p_value TEXT)
+RETURNS DATE
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_parts TEXT[];
+    v_year INT;
+    v_month INT;
+    v_day INT;
+BEGIN
+    v_parts := regexp_match(btrim(p_value), '^(\d{1,2})/(\d{1,2})/(\d{4}|\d{2})\y');
+    IF v_parts IS NOT NULL THEN
+        v_month := v_parts[1]::INT;
+        v_day := v_parts[2]::INT;
+        v_year := v_parts[3]::INT;
+        IF length(v_parts[3]) = 2 THEN
+            v_year := v_year + 2000;
+        END IF;
+    ELSE
+        v_parts := regexp_match(btrim(p_value), '^(\d{4})-(\d{1,2})-(\d{1,2})');
+        IF v_parts IS NULL THEN
+            RETURN NULL;
+        END IF;
+        v_year := v_parts[1]::INT;
+        v_month := v_parts[2]::INT;
+        v_day := v_parts[3]::INT;
+    END IF;
+
+    -- A day past the end of its month (2/31) is not a date rather than rolling over
+    IF v_month NOT BETWEEN 1 AND 12 OR v_day < 1
+        OR v_day > extract(DAY FROM make_date(v_year, v_month, 1) + INTERVAL '1 month - 1 day') THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN make_date(v_year, v_month, v_day);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION report_number(p_value TEXT)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_text TEXT := replace(btrim(p_value), ',', '');
+BEGIN
+    IF v_text ~ '^-?\d+(\.\d+)?$' THEN
+        RETURN v_text::NUMERIC;
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+-- Computed fields: PostgREST exposes these as filterable columns,
+-- e.g. ?frl_date=lt.2024-06-01 or ?pcs_number=gte.10
+CREATE OR REPLACE FUNCTION frl_date(master_list) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_date($1.frl) $$;
+CREATE OR REPLACE FUNCTION tdf_date(master_list) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_date($1.tdf) $$;
+CREATE OR REPLACE FUNCTION pcs_number(master_list) RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_number($1.pcs) $$;
+CREATE OR REPLACE FUNCTION wt_lbs_number(master_list) RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_number($1.wt_lbs) $$;
+
+CREATE OR REPLACE FUNCTION frl_date(report_data) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_date($1.frl) $$;
+CREATE OR REPLACE FUNCTION tdf_date(report_data) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_date($1.tdf) $$;
+CREATE OR REPLACE FUNCTION pcs_number(report_data) RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_number($1.pcs) $$;
+CREATE OR REPLACE FUNCTION wt_lbs_number(report_data) RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_number($1.wt_lbs) $$;
+
+GRANT EXECUTE ON FUNCTION report_date(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION report_number(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION frl_date(master_list) TO authenticated;
+GRANT EXECUTE ON FUNCTION tdf_date(master_list) TO authenticated;
+GRANT EXECUTE ON FUNCTION pcs_number(master_list) TO authenticated;
+GRANT EXECUTE ON FUNCTION wt_lbs_number(master_list) TO authenticated;
+GRANT EXECUTE ON FUNCTION frl_date(report_data) TO authenticated;
+GRANT EXECUTE ON FUNCTION tdf_date(report_data) TO authenticated;
+GRANT EXECUTE ON FUNCTION pcs_number(report_data) TO authenticated;
+GRANT EXECUTE ON FUNCTION wt_lbs_number(report_data) TO authenticated;
+
+-- ============================================
+-- FILTER BUILDER COMPUTED FIELDS
+-- ETA as a date and WEIGHT as a number for the filter builder;
+-- built on report_date / report_number above
+-- ============================================
+CREATE OR REPLACE FUNCTION eta_date(air_master_list) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_date($1.eta) $$;
+CREATE OR REPLACE FUNCTION weight_number(air_master_list) RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_number($1.weight) $$;
+
+CREATE OR REPLACE FUNCTION eta_date(air_report_data) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_date($1.eta) $$;
+CREATE OR REPLACE FUNCTION weight_number(air_report_data) RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_number($1.weight) $$;
+
+GRANT EXECUTE ON FUNCTION eta_date(air_master_list) TO authenticated;
+GRANT EXECUTE ON FUNCTION weight_number(air_master_list) TO authenticated;
+GRANT EXECUTE ON FUNCTION eta_date(air_report_data) TO authenticated;
+GRANT EXECUTE ON FUNCTION weight_number(air_report_data) TO authenticated;
+
+-- ============================================
+-- DONE! The filter builder can compare dates and numbers.
+-- ============================================
@@ -0,0 +1,38 @@
+-- ============================================
+-- Migration: Master List Change Audit
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- MASTER_LIST_CHANGES TABLE
+-- Audit log of every column changed by a master list update
+-- ============================================
+CREATE TABLE IF NOT EXISTS master_list_changes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    master_list_id UUID REFERENCES master_list(id) ON DELETE CASCADE,
+    hb TEXT NOT NULL,
+    column_name TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    upload_id UUID REFERENCES uploads(id) ON DELETE CASCADE,
+    changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_master_list_changes_hb ON master_list_changes(hb);
+CREATE INDEX IF NOT EXISTS idx_master_list_changes_upload ON master_list_changes(upload_id);
+
+ALTER TABLE master_list_changes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow authenticated users to read master_list_changes"
+    ON master_list_changes FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to insert master_list_changes"
+    ON master_list_changes FOR INSERT
+    TO authenticated
+    WITH CHECK (true);
+
+-- ============================================
+-- DONE! Master list updates will now record field-level changes.
+-- ============================================
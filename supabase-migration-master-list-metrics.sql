@@ -0,0 +1,91 @@
+-- ============================================
+-- Migration: Master List Metrics (server-side counts)
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- GET_MASTER_LIST_METRICS FUNCTION
+-- Every Master List metric card in one round trip, counted in the
+-- database so the dashboard never downloads the list to count it.
+-- New / updated / newly FRL'd are relative to the latest upload.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_master_list_metrics()
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_latest_upload_id UUID;
+    v_metrics JSONB;
+BEGIN
+    SELECT id INTO v_latest_upload_id
+    FROM uploads
+    ORDER BY upload_date DESC
+    LIMIT 1;
+
+    SELECT jsonb_build_object(
+        'total_rows', COUNT(*),
+        'with_frl', COUNT(*) FILTER (WHERE NULLIF(btrim(frl), '') IS NOT NULL),
+        'without_frl', COUNT(*) FILTER (WHERE NULLIF(btrim(frl), '') IS NULL),
+        'unique_mbls', COUNT(DISTINCT mbl) FILTER (WHERE btrim(mbl) <> ''),
+        'new_items', COUNT(*) FILTER (WHERE first_seen_upload_id = v_latest_upload_id),
+        'updated_items', COUNT(*) FILTER (
+            WHERE last_updated_upload_id = v_latest_upload_id
+              AND last_update_reason IS NOT NULL
+        ),
+        'new_frl', COUNT(*) FILTER (
+            WHERE last_updated_upload_id = v_latest_upload_id
+              AND last_update_reason ILIKE '%FRL%'
+        )
+    )
+    INTO v_metrics
+    FROM master_list;
+
+    RETURN v_metrics;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_master_list_metrics() TO authenticated;
+
+-- ============================================
+-- GET_AIR_MASTER_LIST_METRICS FUNCTION
+-- Every Air Master List metric card in one round trip. The FRL
+-- counts are based on LOG, which Air uses in place of FRL.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_air_master_list_metrics()
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_latest_upload_id UUID;
+    v_metrics JSONB;
+BEGIN
+    SELECT id INTO v_latest_upload_id
+    FROM air_uploads
+    ORDER BY upload_date DESC
+    LIMIT 1;
+
+    SELECT jsonb_build_object(
+        'total_rows', COUNT(*),
+        'with_log', COUNT(*) FILTER (WHERE NULLIF(btrim(log), '') IS NOT NULL),
+        'without_log', COUNT(*) FILTER (WHERE NULLIF(btrim(log), '') IS NULL),
+        'unique_mawbs', COUNT(DISTINCT mawb) FILTER (WHERE btrim(mawb) <> ''),
+        'new_items', COUNT(*) FILTER (WHERE first_seen_upload_id = v_latest_upload_id),
+        'updated_items', COUNT(*) FILTER (
+            WHERE last_updated_upload_id = v_latest_upload_id
+              AND last_update_reason IS NOT NULL
+        )
+    )
+    INTO v_metrics
+    FROM air_master_list;
+
+    RETURN v_metrics;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_air_master_list_metrics() TO authenticated;
+
+-- ============================================
+-- DONE! Master List metrics are counted in the database.
+-- ============================================
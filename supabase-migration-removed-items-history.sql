@@ -0,0 +1,32 @@
+-- ============================================
+-- Migration: Removed Items History
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Drop existing foreign key constraints on removed_items_history
+ALTER TABLE removed_items_history
+DROP CONSTRAINT IF EXISTS removed_items_history_last_seen_upload_id_fkey;
+
+ALTER TABLE removed_items_history
+DROP CONSTRAINT IF EXISTS removed_items_history_removed_at_upload_id_fkey;
+
+-- Re-add foreign key constraints so uploads can still be deleted
+-- Deleting the upload an item was removed at also deletes that history entry
+ALTER TABLE removed_items_history
+ADD CONSTRAINT removed_items_history_last_seen_upload_id_fkey
+FOREIGN KEY (last_seen_upload_id)
+REFERENCES uploads(id)
+ON DELETE SET NULL;
+
+ALTER TABLE removed_items_history
+ADD CONSTRAINT removed_items_history_removed_at_upload_id_fkey
+FOREIGN KEY (removed_at_upload_id)
+REFERENCES uploads(id)
+ON DELETE CASCADE;
+
+-- Index for listing history by removal date
+CREATE INDEX IF NOT EXISTS idx_removed_items_removed_at ON removed_items_history(removed_at_date DESC);
+
+-- ============================================
+-- DONE! Removed items will now be recorded on each upload.
+-- ============================================
@@ -0,0 +1,47 @@
+-- ============================================
+-- Migration: Saved Views
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- SAVED_VIEWS TABLE
+-- Named Dashboard views per user; url is the view's path and
+-- query string (mode, upload, metric filter, search, conditions)
+-- ============================================
+CREATE TABLE IF NOT EXISTS saved_views (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'ocean',
+    url TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, mode, name)
+);
+
+ALTER TABLE saved_views ENABLE ROW LEVEL SECURITY;
+
+-- Saved views policies (each user only sees their own)
+CREATE POLICY "Allow users to read their saved_views"
+    ON saved_views FOR SELECT
+    TO authenticated
+    USING (user_id = auth.uid());
+
+CREATE POLICY "Allow users to insert their saved_views"
+    ON saved_views FOR INSERT
+    TO authenticated
+    WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Allow users to update their saved_views"
+    ON saved_views FOR UPDATE
+    TO authenticated
+    USING (user_id = auth.uid());
+
+CREATE POLICY "Allow users to delete their saved_views"
+    ON saved_views FOR DELETE
+    TO authenticated
+    USING (user_id = auth.uid());
+
+-- ============================================
+-- DONE! Saved views appear in the sidebar.
+-- ============================================
@@ -0,0 +1,52 @@
+-- ============================================
+-- Migration: Table Search (server-side paging, sorting and search)
+-- Run this in your Supabase SQL Editor
+-- The data table now pages, sorts and searches in Postgres; these
+-- trigram indexes keep "contains" searches fast on large lists.
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- master_list
+CREATE INDEX IF NOT EXISTS idx_master_list_hb_trgm ON master_list USING gin (hb gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_master_list_mbl_trgm ON master_list USING gin (mbl gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_master_list_container_trgm ON master_list USING gin (container gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_master_list_cnee_trgm ON master_list USING gin (cnee gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_master_list_carrier_trgm ON master_list USING gin (carrier gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_master_list_vessel_trgm ON master_list USING gin (vessel gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_master_list_file_no_trgm ON master_list USING gin (file_no gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_master_list_dest_trgm ON master_list USING gin (dest gin_trgm_ops);
+
+-- report_data
+CREATE INDEX IF NOT EXISTS idx_report_data_hb_trgm ON report_data USING gin (hb gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_report_data_mbl_trgm ON report_data USING gin (mbl gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_report_data_container_trgm ON report_data USING gin (container gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_report_data_cnee_trgm ON report_data USING gin (cnee gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_report_data_carrier_trgm ON report_data USING gin (carrier gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_report_data_vessel_trgm ON report_data USING gin (vessel gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_report_data_file_no_trgm ON report_data USING gin (file_no gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_report_data_dest_trgm ON report_data USING gin (dest gin_trgm_ops);
+
+-- air_master_list
+CREATE INDEX IF NOT EXISTS idx_air_master_list_hawb_trgm ON air_master_list USING gin (hawb gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_mawb_trgm ON air_master_list USING gin (mawb gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_consignee_trgm ON air_master_list USING gin (consignee gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_carrier_trgm ON air_master_list USING gin (carrier gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_flight_number_trgm ON air_master_list USING gin (flight_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_freight_location_trgm ON air_master_list USING gin (freight_location gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_file_number_trgm ON air_master_list USING gin (file_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_destination_trgm ON air_master_list USING gin (destination gin_trgm_ops);
+
+-- air_report_data
+CREATE INDEX IF NOT EXISTS idx_air_report_data_hawb_trgm ON air_report_data USING gin (hawb gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_mawb_trgm ON air_report_data USING gin (mawb gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_consignee_trgm ON air_report_data USING gin (consignee gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_carrier_trgm ON air_report_data USING gin (carrier gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_flight_number_trgm ON air_report_data USING gin (flight_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_freight_location_trgm ON air_report_data USING gin (freight_location gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_file_number_trgm ON air_report_data USING gin (file_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_destination_trgm ON air_report_data USING gin (destination gin_trgm_ops);
+
+-- ============================================
+-- DONE! Data table searches now run in the database.
+-- ============================================
@@ -0,0 +1,235 @@
+-- ============================================
+-- Migration: Transactional Uploads
+-- Run this in your Supabase SQL Editor
+-- Uploads are written by these functions so a failed upload leaves no trace
+-- ============================================
+
+-- ============================================
+-- INGEST_UPLOAD FUNCTION
+-- Writes a whole Ocean upload in one transaction: upload record,
+-- report data, master list inserts/updates, change log and removed
+-- items history. Any failure rolls everything back and the error
+-- names the step that failed.
+-- The app works out the master list diff and passes it in.
+-- ============================================
+CREATE OR REPLACE FUNCTION ingest_upload(
+    p_filename TEXT,
+    p_report_rows JSONB,
+    p_new_items JSONB,
+    p_updated_items JSONB,
+    p_changes JSONB
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_step TEXT := 'save the upload record';
+    v_upload_id UUID;
+    v_upload_date TIMESTAMPTZ;
+    v_prev_id UUID;
+    v_prev_date TIMESTAMPTZ;
+    v_rows_inserted INTEGER;
+    v_items_added INTEGER;
+    v_items_updated INTEGER;
+    v_items_removed INTEGER := 0;
+BEGIN
+    INSERT INTO uploads (filename, row_count, upload_date)
+    VALUES (p_filename, jsonb_array_length(p_report_rows), NOW())
+    RETURNING id, upload_date INTO v_upload_id, v_upload_date;
+
+    v_step := 'save report data';
+    INSERT INTO report_data (
+        upload_id, container, seal_number, carrier, mbl, mi, vessel,
+        hb, outer_quantity, pcs, wt_lbs, cnee, frl,
+        file_no, dest, volume, vbond, tdf
+    )
+    SELECT
+        v_upload_id, r.container, r.seal_number, r.carrier, r.mbl, r.mi, r.vessel,
+        r.hb, r.outer_quantity, r.pcs, r.wt_lbs, r.cnee, r.frl,
+        r.file_no, r.dest, r.volume, r.vbond, r.tdf
+    FROM jsonb_populate_recordset(NULL::report_data, p_report_rows) r;
+    GET DIAGNOSTICS v_rows_inserted = ROW_COUNT;
+
+    v_step := 'add new master list items';
+    INSERT INTO master_list (
+        container, seal_number, carrier, mbl, mi, vessel,
+        hb, outer_quantity, pcs, wt_lbs, cnee, frl,
+        file_no, dest, volume, vbond, tdf,
+        first_seen_upload_id, last_updated_upload_id, created_at, updated_at
+    )
+    SELECT
+        r.container, r.seal_number, r.carrier, r.mbl, r.mi, r.vessel,
+        r.hb, r.outer_quantity, r.pcs, r.wt_lbs, r.cnee, r.frl,
+        r.file_no, r.dest, r.volume, r.vbond, r.tdf,
+        v_upload_id, v_upload_id, NOW(), NOW()
+    FROM jsonb_populate_recordset(NULL::master_list, p_new_items) r;
+    GET DIAGNOSTICS v_items_added = ROW_COUNT;
+
+    v_step := 'update master list items';
+    UPDATE master_list m SET
+        container = r.container,
+        seal_number = r.seal_number,
+        carrier = r.carrier,
+        mbl = r.mbl,
+        mi = r.mi,
+        vessel = r.vessel,
+        outer_quantity = r.outer_quantity,
+        pcs = r.pcs,
+        wt_lbs = r.wt_lbs,
+        cnee = r.cnee,
+        frl = r.frl,
+        file_no = r.file_no,
+        dest = r.dest,
+        volume = r.volume,
+        vbond = r.vbond,
+        tdf = r.tdf,
+        last_update_reason = r.last_update_reason,
+        last_updated_upload_id = v_upload_id,
+        updated_at = NOW()
+    FROM jsonb_populate_recordset(NULL::master_list, p_updated_items) r
+    WHERE m.id = r.id;
+    GET DIAGNOSTICS v_items_updated = ROW_COUNT;
+
+    v_step := 'record master list changes';
+    INSERT INTO master_list_changes (master_list_id, hb, column_name, old_value, new_value, upload_id)
+    SELECT r.master_list_id, r.hb, r.column_name, r.old_value, r.new_value, v_upload_id
+    FROM jsonb_populate_recordset(NULL::master_list_changes, p_changes) r;
+
+    -- HBs in the previous upload (by date) that are missing from this one
+    v_step := 'record removed items';
+    SELECT id, upload_date INTO v_prev_id, v_prev_date
+    FROM uploads
+    WHERE upload_date < v_upload_date
+    ORDER BY upload_date DESC
+    LIMIT 1;
+
+    IF v_prev_id IS NOT NULL THEN
+        INSERT INTO removed_items_history (
+            container, seal_number, carrier, mbl, mi, vessel,
+            hb, outer_quantity, pcs, wt_lbs, cnee, frl,
+            file_no, dest, volume, vbond, tdf,
+            last_seen_upload_id, removed_at_upload_id, last_seen_date, removed_at_date
+        )
+        SELECT DISTINCT ON (p.hb)
+            p.container, p.seal_number, p.carrier, p.mbl, p.mi, p.vessel,
+            p.hb, p.outer_quantity, p.pcs, p.wt_lbs, p.cnee, p.frl,
+            p.file_no, p.dest, p.volume, p.vbond, p.tdf,
+            v_prev_id, v_upload_id, v_prev_date, v_upload_date
+        FROM report_data p
+        WHERE p.upload_id = v_prev_id
+          AND p.hb IS NOT NULL AND p.hb <> ''
+          AND NOT EXISTS (
+              SELECT 1 FROM report_data c
+              WHERE c.upload_id = v_upload_id AND c.hb = p.hb
+          )
+        ORDER BY p.hb, p.id;
+        GET DIAGNOSTICS v_items_removed = ROW_COUNT;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'upload_id', v_upload_id,
+        'rows_inserted', v_rows_inserted,
+        'items_added', v_items_added,
+        'items_updated', v_items_updated,
+        'items_removed', v_items_removed
+    );
+EXCEPTION WHEN OTHERS THEN
+    RAISE EXCEPTION 'Upload failed while trying to %: %', v_step, SQLERRM;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION ingest_upload(TEXT, JSONB, JSONB, JSONB, JSONB) TO authenticated;
+
+-- ============================================
+-- INGEST_AIR_UPLOAD FUNCTION
+-- Writes a whole Air upload in one transaction: upload record,
+-- report data and air master list inserts/updates. Any failure
+-- rolls everything back and the error names the step that failed.
+-- ============================================
+CREATE OR REPLACE FUNCTION ingest_air_upload(
+    p_filename TEXT,
+    p_report_rows JSONB,
+    p_new_items JSONB,
+    p_updated_items JSONB
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_step TEXT := 'save the upload record';
+    v_upload_id UUID;
+    v_rows_inserted INTEGER;
+    v_items_added INTEGER;
+    v_items_updated INTEGER;
+BEGIN
+    INSERT INTO air_uploads (filename, row_count, upload_date)
+    VALUES (p_filename, jsonb_array_length(p_report_rows), NOW())
+    RETURNING id INTO v_upload_id;
+
+    v_step := 'save report data';
+    INSERT INTO air_report_data (
+        upload_id, mawb, hawb, consignee, carrier, flight_number, freight_location,
+        origin, destination, file_number, qty, shipment_type, slac,
+        weight, eta, eta_time, log, flt_date
+    )
+    SELECT
+        v_upload_id, r.mawb, r.hawb, r.consignee, r.carrier, r.flight_number, r.freight_location,
+        r.origin, r.destination, r.file_number, r.qty, r.shipment_type, r.slac,
+        r.weight, r.eta, r.eta_time, r.log, r.flt_date
+    FROM jsonb_populate_recordset(NULL::air_report_data, p_report_rows) r;
+    GET DIAGNOSTICS v_rows_inserted = ROW_COUNT;
+
+    v_step := 'add new master list items';
+    INSERT INTO air_master_list (
+        mawb, hawb, consignee, carrier, flight_number, freight_location,
+        origin, destination, file_number, qty, shipment_type, slac,
+        weight, eta, eta_time, log, flt_date,
+        first_seen_upload_id, last_updated_upload_id, created_at, updated_at
+    )
+    SELECT
+        r.mawb, r.hawb, r.consignee, r.carrier, r.flight_number, r.freight_location,
+        r.origin, r.destination, r.file_number, r.qty, r.shipment_type, r.slac,
+        r.weight, r.eta, r.eta_time, r.log, r.flt_date,
+        v_upload_id, v_upload_id, NOW(), NOW()
+    FROM jsonb_populate_recordset(NULL::air_master_list, p_new_items) r;
+    GET DIAGNOSTICS v_items_added = ROW_COUNT;
+
+    v_step := 'update master list items';
+    UPDATE air_master_list m SET
+        mawb = r.mawb,
+        consignee = r.consignee,
+        carrier = r.carrier,
+        flight_number = r.flight_number,
+        freight_location = r.freight_location,
+        origin = r.origin,
+        destination = r.destination,
+        file_number = r.file_number,
+        qty = r.qty,
+        shipment_type = r.shipment_type,
+        slac = r.slac,
+        weight = r.weight,
+        eta = r.eta,
+        eta_time = r.eta_time,
+        log = r.log,
+        flt_date = r.flt_date,
+        last_update_reason = r.last_update_reason,
+        last_updated_upload_id = v_upload_id,
+        updated_at = NOW()
+    FROM jsonb_populate_recordset(NULL::air_master_list, p_updated_items) r
+    WHERE m.id = r.id;
+    GET DIAGNOSTICS v_items_updated = ROW_COUNT;
+
+    RETURN jsonb_build_object(
+        'upload_id', v_upload_id,
+        'rows_inserted', v_rows_inserted,
+        'items_added', v_items_added,
+        'items_updated', v_items_updated
+    );
+EXCEPTION WHEN OTHERS THEN
+    RAISE EXCEPTION 'Upload failed while trying to %: %', v_step, SQLERRM;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION ingest_air_upload(TEXT, JSONB, JSONB, JSONB) TO authenticated;
+
+-- ============================================
+-- DONE! Uploads are now saved in a single transaction.
+-- ============================================
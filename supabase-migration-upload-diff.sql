@@ -0,0 +1,104 @@
+-- ============================================
+-- Migration: Upload Diff (server-side upload comparisons)
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Upload comparisons (get_upload_diff) match HBs within one upload
+CREATE INDEX IF NOT EXISTS idx_report_data_upload_hb ON report_data(upload_id, hb);
+
+-- ============================================
+-- GET_UPLOAD_DIFF FUNCTION
+-- Compares an upload's report data with a base upload (the previous
+-- upload by date unless one is given) using set operations on HB:
+--   new items     - HBs in this upload but not the base
+--   removed items - HBs in the base but not this upload
+--   newly FRL'd   - HBs with an FRL now that had none in the base
+-- Returns the upload's counts plus the rows of one diff when p_rows
+-- is 'new_items', 'removed_items' or 'new_frl'.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_upload_diff(
+    p_upload_id UUID,
+    p_base_upload_id UUID DEFAULT NULL,
+    p_rows TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_base_upload_id UUID := p_base_upload_id;
+    v_summary JSONB;
+    v_diff JSONB;
+BEGIN
+    IF v_base_upload_id IS NULL THEN
+        SELECT prev.id INTO v_base_upload_id
+        FROM uploads prev, uploads cur
+        WHERE cur.id = p_upload_id
+          AND prev.upload_date < cur.upload_date
+        ORDER BY prev.upload_date DESC
+        LIMIT 1;
+    END IF;
+
+    SELECT jsonb_build_object(
+        'base_upload_id', v_base_upload_id,
+        'total_rows', COUNT(*),
+        'unique_mbls', COUNT(DISTINCT mbl) FILTER (WHERE btrim(mbl) <> ''),
+        'with_frl', COUNT(*) FILTER (WHERE NULLIF(btrim(frl), '') IS NOT NULL),
+        'without_frl', COUNT(*) FILTER (WHERE NULLIF(btrim(frl), '') IS NULL)
+    )
+    INTO v_summary
+    FROM report_data
+    WHERE upload_id = p_upload_id;
+
+    -- Nothing to compare against (first upload)
+    IF v_base_upload_id IS NULL THEN
+        RETURN v_summary || jsonb_build_object(
+            'new_items', 0, 'removed_items', 0, 'new_frl', 0, 'rows', '[]'::jsonb
+        );
+    END IF;
+
+    WITH cur AS (
+        SELECT * FROM report_data WHERE upload_id = p_upload_id
+    ),
+    base AS (
+        SELECT * FROM report_data WHERE upload_id = v_base_upload_id
+    ),
+    new_hbs AS (
+        SELECT hb FROM cur WHERE NULLIF(hb, '') IS NOT NULL
+        EXCEPT
+        SELECT hb FROM base
+    ),
+    removed_hbs AS (
+        SELECT hb FROM base WHERE NULLIF(hb, '') IS NOT NULL
+        EXCEPT
+        SELECT hb FROM cur
+    ),
+    frld_hbs AS (
+        SELECT hb FROM cur WHERE NULLIF(btrim(frl), '') IS NOT NULL
+        INTERSECT
+        SELECT hb FROM base WHERE NULLIF(btrim(frl), '') IS NULL
+    )
+    SELECT jsonb_build_object(
+        'new_items', (SELECT COUNT(*) FROM cur JOIN new_hbs USING (hb)),
+        'removed_items', (SELECT COUNT(*) FROM base JOIN removed_hbs USING (hb)),
+        'new_frl', (SELECT COUNT(*) FROM cur JOIN frld_hbs USING (hb)),
+        'rows', COALESCE(CASE p_rows
+            WHEN 'new_items' THEN
+                (SELECT jsonb_agg(to_jsonb(cur) ORDER BY cur.id) FROM cur JOIN new_hbs USING (hb))
+            WHEN 'removed_items' THEN
+                (SELECT jsonb_agg(to_jsonb(base) ORDER BY base.id) FROM base JOIN removed_hbs USING (hb))
+            WHEN 'new_frl' THEN
+                (SELECT jsonb_agg(to_jsonb(cur) ORDER BY cur.id) FROM cur JOIN frld_hbs USING (hb))
+        END, '[]'::jsonb)
+    )
+    INTO v_diff;
+
+    RETURN v_summary || v_diff;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_upload_diff(UUID, UUID, TEXT) TO authenticated;
+
+-- ============================================
+-- DONE! Upload comparisons now run in the database.
+-- ============================================
@@ -12,11 +12,16 @@ CREATE TABLE IF NOT EXISTS air_uploads (
     upload_date TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     filename TEXT NOT NULL,
     row_count INTEGER NOT NULL DEFAULT 0,
+    -- SHA-256 of the file bytes, and of the sorted cleaned rows (duplicate detection)
+    content_hash TEXT,
+    row_set_hash TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Index for faster date ordering
 CREATE INDEX IF NOT EXISTS idx_air_uploads_date ON air_uploads(upload_date DESC);
+CREATE INDEX IF NOT EXISTS idx_air_uploads_content_hash ON air_uploads(content_hash);
+CREATE INDEX IF NOT EXISTS idx_air_uploads_row_set_hash ON air_uploads(row_set_hash);
 
 -- ============================================
 -- AIR_REPORT_DATA TABLE
@@ -50,6 +55,89 @@ CREATE INDEX IF NOT EXISTS idx_air_report_data_upload ON air_report_data(upload_
 CREATE INDEX IF NOT EXISTS idx_air_report_data_hawb ON air_report_data(hawb);
 CREATE INDEX IF NOT EXISTS idx_air_report_data_mawb ON air_report_data(mawb);
 
+-- Trigram indexes for "contains" searches from the data table
+CREATE INDEX IF NOT EXISTS idx_air_report_data_hawb_trgm ON air_report_data USING gin (hawb gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_mawb_trgm ON air_report_data USING gin (mawb gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_consignee_trgm ON air_report_data USING gin (consignee gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_carrier_trgm ON air_report_data USING gin (carrier gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_flight_number_trgm ON air_report_data USING gin (flight_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_freight_location_trgm ON air_report_data USING gin (freight_location gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_file_number_trgm ON air_report_data USING gin (file_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_report_data_destination_trgm ON air_report_data USING gin (destination gin_trgm_ops);
+
+-- ============================================
+-- AIR_MASTER_LIST TABLE
+-- Consolidated Air data that tracks all items
+-- HAWB is unique - items are only added/updated
+-- ============================================
+CREATE TABLE IF NOT EXISTS air_master_list (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    mawb TEXT,
+    hawb TEXT UNIQUE,
+    consignee TEXT,
+    carrier TEXT,
+    flight_number TEXT,
+    freight_location TEXT,
+    origin TEXT,
+    destination TEXT,
+    file_number TEXT,
+    qty TEXT,
+    shipment_type TEXT,
+    slac TEXT,
+    weight TEXT,
+    eta TEXT,
+    eta_time TEXT,
+    log TEXT,
+    flt_date TEXT,
+    first_seen_upload_id UUID REFERENCES air_uploads(id) ON DELETE SET NULL,
+    last_updated_upload_id UUID REFERENCES air_uploads(id) ON DELETE SET NULL,
+    last_update_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for air_master_list
+CREATE INDEX IF NOT EXISTS idx_air_master_list_hawb ON air_master_list(hawb);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_mawb ON air_master_list(mawb);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_first_seen ON air_master_list(first_seen_upload_id);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_last_updated ON air_master_list(last_updated_upload_id);
+
+-- Trigram indexes for "contains" searches from the data table
+CREATE INDEX IF NOT EXISTS idx_air_master_list_hawb_trgm ON air_master_list USING gin (hawb gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_mawb_trgm ON air_master_list USING gin (mawb gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_consignee_trgm ON air_master_list USING gin (consignee gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_carrier_trgm ON air_master_list USING gin (carrier gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_flight_number_trgm ON air_master_list USING gin (flight_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_freight_location_trgm ON air_master_list USING gin (freight_location gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_file_number_trgm ON air_master_list USING gin (file_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_air_master_list_destination_trgm ON air_master_list USING gin (destination gin_trgm_ops);
+
+-- ============================================
+-- AIR_DOCK_TALLY_ENTRIES TABLE
+-- Counts checkers record on screen, one row per HAWB and arrival
+-- (a HAWB can come in over several); links are cleared (not
+-- cascaded) so counts outlive deleted uploads
+-- ============================================
+CREATE TABLE IF NOT EXISTS air_dock_tally_entries (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    air_master_list_id UUID REFERENCES air_master_list(id) ON DELETE SET NULL,
+    air_report_data_id UUID REFERENCES air_report_data(id) ON DELETE SET NULL,
+    hawb TEXT NOT NULL,
+    mawb TEXT,
+    arrival INTEGER NOT NULL DEFAULT 1,
+    pcs NUMERIC,
+    location TEXT,
+    tallied_at TIMESTAMPTZ,
+    crew TEXT,
+    sub TEXT,
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (hawb, arrival)
+);
+
+CREATE INDEX IF NOT EXISTS idx_air_dock_tally_entries_mawb ON air_dock_tally_entries(mawb);
+
 -- ============================================
 -- ROW LEVEL SECURITY (RLS) POLICIES FOR AIR TABLES
 -- ============================================
@@ -57,6 +145,8 @@ CREATE INDEX IF NOT EXISTS idx_air_report_data_mawb ON air_report_data(mawb);
 -- Enable RLS on air tables
 ALTER TABLE air_uploads ENABLE ROW LEVEL SECURITY;
 ALTER TABLE air_report_data ENABLE ROW LEVEL SECURITY;
+ALTER TABLE air_master_list ENABLE ROW LEVEL SECURITY;
+ALTER TABLE air_dock_tally_entries ENABLE ROW LEVEL SECURITY;
 
 -- Air Uploads policies
 CREATE POLICY "Allow authenticated users to read air_uploads"
@@ -90,6 +180,248 @@ CREATE POLICY "Allow authenticated users to delete air_report_data"
     TO authenticated
     USING (true);
 
+-- Air Master list policies
+CREATE POLICY "Allow authenticated users to read air_master_list"
+    ON air_master_list FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to insert air_master_list"
+    ON air_master_list FOR INSERT
+    TO authenticated
+    WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users to update air_master_list"
+    ON air_master_list FOR UPDATE
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to delete air_master_list"
+    ON air_master_list FOR DELETE
+    TO authenticated
+    USING (true);
+
+-- Air Dock tally entries policies
+CREATE POLICY "Allow authenticated users to read air_dock_tally_entries"
+    ON air_dock_tally_entries FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to insert air_dock_tally_entries"
+    ON air_dock_tally_entries FOR INSERT
+    TO authenticated
+    WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users to update air_dock_tally_entries"
+    ON air_dock_tally_entries FOR UPDATE
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to delete air_dock_tally_entries"
+    ON air_dock_tally_entries FOR DELETE
+    TO authenticated
+    USING (true);
+
+-- ============================================
+-- INGEST_AIR_UPLOAD FUNCTION
+-- Writes a whole Air upload in one transaction: upload record,
+-- report data and air master list inserts/updates. Any failure
+-- rolls everything back and the error names the step that failed.
+-- ============================================
+CREATE OR REPLACE FUNCTION ingest_air_upload(
+    p_filename TEXT,
+    p_report_rows JSONB,
+    p_new_items JSONB,
+    p_updated_items JSONB,
+    p_content_hash TEXT DEFAULT NULL,
+    p_row_set_hash TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_step TEXT := 'save the upload record';
+    v_upload_id UUID;
+    v_rows_inserted INTEGER;
+    v_items_added INTEGER;
+    v_items_updated INTEGER;
+BEGIN
+    INSERT INTO air_uploads (filename, row_count, upload_date, content_hash, row_set_hash)
+    VALUES (p_filename, jsonb_array_length(p_report_rows), NOW(), p_content_hash, p_row_set_hash)
+    RETURNING id INTO v_upload_id;
+
+    v_step := 'save report data';
+    INSERT INTO air_report_data (
+        upload_id, mawb, hawb, consignee, carrier, flight_number, freight_location,
+        origin, destination, file_number, qty, shipment_type, slac,
+        weight, eta, eta_time, log, flt_date
+    )
+    SELECT
+        v_upload_id, r.mawb, r.hawb, r.consignee, r.carrier, r.flight_number, r.freight_location,
+        r.origin, r.destination, r.file_number, r.qty, r.shipment_type, r.slac,
+        r.weight, r.eta, r.eta_time, r.log, r.flt_date
+    FROM jsonb_populate_recordset(NULL::air_report_data, p_report_rows) r;
+    GET DIAGNOSTICS v_rows_inserted = ROW_COUNT;
+
+    v_step := 'add new master list items';
+    INSERT INTO air_master_list (
+        mawb, hawb, consignee, carrier, flight_number, freight_location,
+        origin, destination, file_number, qty, shipment_type, slac,
+        weight, eta, eta_time, log, flt_date,
+        first_seen_upload_id, last_updated_upload_id, created_at, updated_at
+    )
+    SELECT
+        r.mawb, r.hawb, r.consignee, r.carrier, r.flight_number, r.freight_location,
+        r.origin, r.destination, r.file_number, r.qty, r.shipment_type, r.slac,
+        r.weight, r.eta, r.eta_time, r.log, r.flt_date,
+        v_upload_id, v_upload_id, NOW(), NOW()
+    FROM jsonb_populate_recordset(NULL::air_master_list, p_new_items) r;
+    GET DIAGNOSTICS v_items_added = ROW_COUNT;
+
+    v_step := 'update master list items';
+    UPDATE air_master_list m SET
+        mawb = r.mawb,
+        consignee = r.consignee,
+        carrier = r.carrier,
+        flight_number = r.flight_number,
+        freight_location = r.freight_location,
+        origin = r.origin,
+        destination = r.destination,
+        file_number = r.file_number,
+        qty = r.qty,
+        shipment_type = r.shipment_type,
+        slac = r.slac,
+        weight = r.weight,
+        eta = r.eta,
+        eta_time = r.eta_time,
+        log = r.log,
+        flt_date = r.flt_date,
+        last_update_reason = r.last_update_reason,
+        last_updated_upload_id = v_upload_id,
+        updated_at = NOW()
+    FROM jsonb_populate_recordset(NULL::air_master_list, p_updated_items) r
+    WHERE m.id = r.id;
+    GET DIAGNOSTICS v_items_updated = ROW_COUNT;
+
+    RETURN jsonb_build_object(
+        'upload_id', v_upload_id,
+        'rows_inserted', v_rows_inserted,
+        'items_added', v_items_added,
+        'items_updated', v_items_updated
+    );
+EXCEPTION WHEN OTHERS THEN
+    RAISE EXCEPTION 'Upload failed while trying to %: %', v_step, SQLERRM;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION ingest_air_upload(TEXT, JSONB, JSONB, JSONB, TEXT, TEXT) TO authenticated;
+
+-- ============================================
+-- GET_AIR_MASTER_LIST_METRICS FUNCTION
+-- Every Air Master List metric card in one round trip. The FRL
+-- counts are based on LOG, which Air uses in place of FRL.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_air_master_list_metrics()
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_latest_upload_id UUID;
+    v_metrics JSONB;
+BEGIN
+    SELECT id INTO v_latest_upload_id
+    FROM air_uploads
+    ORDER BY upload_date DESC
+    LIMIT 1;
+
+    SELECT jsonb_build_object(
+        'total_rows', COUNT(*),
+        'with_log', COUNT(*) FILTER (WHERE NULLIF(btrim(log), '') IS NOT NULL),
+        'without_log', COUNT(*) FILTER (WHERE NULLIF(btrim(log), '') IS NULL),
+        'unique_mawbs', COUNT(DISTINCT mawb) FILTER (WHERE btrim(mawb) <> ''),
+        'new_items', COUNT(*) FILTER (WHERE first_seen_upload_id = v_latest_upload_id),
+        'updated_items', COUNT(*) FILTER (
+            WHERE last_updated_upload_id = v_latest_upload_id
+              AND last_update_reason IS NOT NULL
+        )
+    )
+    INTO v_metrics
+    FROM air_master_list;
+
+    RETURN v_metrics;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_air_master_list_metrics() TO authenticated;
+
+-- ============================================
+-- GET_AIR_DUPLICATE_BILLS FUNCTION
+-- Which of the given HAWBs / MAWBs appear more than once in an upload,
+-- or in the air master list when p_upload_id is NULL. The data table
+-- asks for the values on each page it loads to highlight duplicates.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_air_duplicate_bills(
+    p_upload_id UUID,
+    p_hawbs TEXT[],
+    p_mawbs TEXT[]
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_hawbs JSONB;
+    v_mawbs JSONB;
+BEGIN
+    IF p_upload_id IS NULL THEN
+        SELECT jsonb_agg(hawb) INTO v_hawbs FROM (
+            SELECT hawb FROM air_master_list WHERE hawb = ANY(p_hawbs) GROUP BY hawb HAVING COUNT(*) > 1
+        ) d;
+        SELECT jsonb_agg(mawb) INTO v_mawbs FROM (
+            SELECT mawb FROM air_master_list WHERE mawb = ANY(p_mawbs) GROUP BY mawb HAVING COUNT(*) > 1
+        ) d;
+    ELSE
+        SELECT jsonb_agg(hawb) INTO v_hawbs FROM (
+            SELECT hawb FROM air_report_data
+            WHERE upload_id = p_upload_id AND hawb = ANY(p_hawbs)
+            GROUP BY hawb HAVING COUNT(*) > 1
+        ) d;
+        SELECT jsonb_agg(mawb) INTO v_mawbs FROM (
+            SELECT mawb FROM air_report_data
+            WHERE upload_id = p_upload_id AND mawb = ANY(p_mawbs)
+            GROUP BY mawb HAVING COUNT(*) > 1
+        ) d;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'hawbs', COALESCE(v_hawbs, '[]'::jsonb),
+        'mawbs', COALESCE(v_mawbs, '[]'::jsonb)
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_air_duplicate_bills(UUID, TEXT[], TEXT[]) TO authenticated;
+
+-- ============================================
+-- FILTER BUILDER COMPUTED FIELDS
+-- ETA as a date and WEIGHT as a number for the filter builder;
+-- report_date / report_number come from supabase-schema.sql
+-- ============================================
+CREATE OR REPLACE FUNCTION eta_date(air_master_list) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_date($1.eta) $$;
+CREATE OR REPLACE FUNCTION weight_number(air_master_list) RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_number($1.weight) $$;
+
+CREATE OR REPLACE FUNCTION eta_date(air_report_data) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_date($1.eta) $$;
+CREATE OR REPLACE FUNCTION weight_number(air_report_data) RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_number($1.weight) $$;
+
+GRANT EXECUTE ON FUNCTION eta_date(air_master_list) TO authenticated;
+GRANT EXECUTE ON FUNCTION weight_number(air_master_list) TO authenticated;
+GRANT EXECUTE ON FUNCTION eta_date(air_report_data) TO authenticated;
+GRANT EXECUTE ON FUNCTION weight_number(air_report_data) TO authenticated;
+
 -- ============================================
 -- DONE! Air cargo tables are ready.
 -- ============================================
@@ -5,7 +5,18 @@
 -- ============================================
 
 -- Drop existing tables (CASCADE removes dependent objects including policies)
+DROP FUNCTION IF EXISTS ingest_upload(TEXT, JSONB, JSONB, JSONB, JSONB, TEXT, TEXT);
+DROP FUNCTION IF EXISTS get_master_list_metrics();
+DROP FUNCTION IF EXISTS get_upload_diff(UUID, UUID, TEXT);
+DROP FUNCTION IF EXISTS get_duplicate_bills(UUID, TEXT[], TEXT[]);
+DROP FUNCTION IF EXISTS report_date(TEXT);
+DROP FUNCTION IF EXISTS report_number(TEXT);
+DROP TABLE IF EXISTS dock_tally_entries CASCADE;
+DROP TABLE IF EXISTS dock_tally_templates CASCADE;
+DROP TABLE IF EXISTS saved_views CASCADE;
+DROP TABLE IF EXISTS column_mapping_profiles CASCADE;
 DROP TABLE IF EXISTS removed_items_history CASCADE;
+DROP TABLE IF EXISTS master_list_changes CASCADE;
 DROP TABLE IF EXISTS master_list CASCADE;
 DROP TABLE IF EXISTS report_data CASCADE;
 DROP TABLE IF EXISTS uploads CASCADE;
@@ -13,6 +24,9 @@ DROP TABLE IF EXISTS uploads CASCADE;
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Trigram matching for the data table's search (ilike '%text%')
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- ============================================
 -- UPLOADS TABLE
 -- Stores metadata about each CSV upload
@@ -22,11 +36,16 @@ CREATE TABLE uploads (
     upload_date TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     filename TEXT NOT NULL,
     row_count INTEGER NOT NULL DEFAULT 0,
+    -- SHA-256 of the file bytes, and of the sorted cleaned rows (duplicate detection)
+    content_hash TEXT,
+    row_set_hash TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Index for faster date ordering
 CREATE INDEX idx_uploads_date ON uploads(upload_date DESC);
+CREATE INDEX idx_uploads_content_hash ON uploads(content_hash);
+CREATE INDEX idx_uploads_row_set_hash ON uploads(row_set_hash);
 
 -- ============================================
 -- REPORT_DATA TABLE
@@ -59,6 +78,18 @@ CREATE TABLE report_data (
 CREATE INDEX idx_report_data_upload ON report_data(upload_id);
 CREATE INDEX idx_report_data_hb ON report_data(hb);
 CREATE INDEX idx_report_data_mbl ON report_data(mbl);
+-- Upload comparisons (get_upload_diff) match HBs within one upload
+CREATE INDEX idx_report_data_upload_hb ON report_data(upload_id, hb);
+
+-- Trigram indexes for "contains" searches from the data table
+CREATE INDEX idx_report_data_hb_trgm ON report_data USING gin (hb gin_trgm_ops);
+CREATE INDEX idx_report_data_mbl_trgm ON report_data USING gin (mbl gin_trgm_ops);
+CREATE INDEX idx_report_data_container_trgm ON report_data USING gin (container gin_trgm_ops);
+CREATE INDEX idx_report_data_cnee_trgm ON report_data USING gin (cnee gin_trgm_ops);
+CREATE INDEX idx_report_data_carrier_trgm ON report_data USING gin (carrier gin_trgm_ops);
+CREATE INDEX idx_report_data_vessel_trgm ON report_data USING gin (vessel gin_trgm_ops);
+CREATE INDEX idx_report_data_file_no_trgm ON report_data USING gin (file_no gin_trgm_ops);
+CREATE INDEX idx_report_data_dest_trgm ON report_data USING gin (dest gin_trgm_ops);
 
 -- ============================================
 -- MASTER_LIST TABLE
@@ -97,6 +128,35 @@ CREATE INDEX idx_master_list_mbl ON master_list(mbl);
 CREATE INDEX idx_master_list_first_seen ON master_list(first_seen_upload_id);
 CREATE INDEX idx_master_list_last_updated ON master_list(last_updated_upload_id);
 
+-- Trigram indexes for "contains" searches from the data table
+CREATE INDEX idx_master_list_hb_trgm ON master_list USING gin (hb gin_trgm_ops);
+CREATE INDEX idx_master_list_mbl_trgm ON master_list USING gin (mbl gin_trgm_ops);
+CREATE INDEX idx_master_list_container_trgm ON master_list USING gin (container gin_trgm_ops);
+CREATE INDEX idx_master_list_cnee_trgm ON master_list USING gin (cnee gin_trgm_ops);
+CREATE INDEX idx_master_list_carrier_trgm ON master_list USING gin (carrier gin_trgm_ops);
+CREATE INDEX idx_master_list_vessel_trgm ON master_list USING gin (vessel gin_trgm_ops);
+CREATE INDEX idx_master_list_file_no_trgm ON master_list USING gin (file_no gin_trgm_ops);
+CREATE INDEX idx_master_list_dest_trgm ON master_list USING gin (dest gin_trgm_ops);
+
+-- ============================================
+-- MASTER_LIST_CHANGES TABLE
+-- Audit log of every column changed by a master list update
+-- ============================================
+CREATE TABLE master_list_changes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    master_list_id UUID REFERENCES master_list(id) ON DELETE CASCADE,
+    hb TEXT NOT NULL,
+    column_name TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    upload_id UUID REFERENCES uploads(id) ON DELETE CASCADE,
+    changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for master_list_changes
+CREATE INDEX idx_master_list_changes_hb ON master_list_changes(hb);
+CREATE INDEX idx_master_list_changes_upload ON master_list_changes(upload_id);
+
 -- ============================================
 -- REMOVED_ITEMS_HISTORY TABLE
 -- Tracks items that were removed from uploads
@@ -120,14 +180,87 @@ CREATE TABLE removed_items_history (
     volume TEXT,
     vbond TEXT,
     tdf TEXT,
-    last_seen_upload_id UUID REFERENCES uploads(id),
-    removed_at_upload_id UUID REFERENCES uploads(id),
+    last_seen_upload_id UUID REFERENCES uploads(id) ON DELETE SET NULL,
+    removed_at_upload_id UUID REFERENCES uploads(id) ON DELETE CASCADE,
     last_seen_date TIMESTAMPTZ,
     removed_at_date TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Index for removed items
 CREATE INDEX idx_removed_items_hb ON removed_items_history(hb);
+CREATE INDEX idx_removed_items_removed_at ON removed_items_history(removed_at_date DESC);
+
+-- ============================================
+-- COLUMN_MAPPING_PROFILES TABLE
+-- Named header mappings per carrier, applied to uploads
+-- whose headers don't match the required columns
+-- ============================================
+CREATE TABLE column_mapping_profiles (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name TEXT NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'ocean',
+    mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (name, mode)
+);
+
+-- ============================================
+-- SAVED_VIEWS TABLE
+-- Named Dashboard views per user; url is the view's path and
+-- query string (mode, upload, metric filter, search, conditions)
+-- ============================================
+CREATE TABLE saved_views (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'ocean',
+    url TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, mode, name)
+);
+
+-- ============================================
+-- DOCK_TALLY_TEMPLATES TABLE
+-- Named dock tally layouts shared by everyone, per mode; layout
+-- holds columns, rows per page, paper, orientation and header fields
+-- ============================================
+CREATE TABLE dock_tally_templates (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name TEXT NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'ocean',
+    layout JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (name, mode)
+);
+
+-- ============================================
+-- DOCK_TALLY_ENTRIES TABLE
+-- Counts checkers record on screen, one row per HB; links are
+-- cleared (not cascaded) so counts outlive deleted uploads
+-- ============================================
+CREATE TABLE dock_tally_entries (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    master_list_id UUID REFERENCES master_list(id) ON DELETE SET NULL,
+    report_data_id UUID REFERENCES report_data(id) ON DELETE SET NULL,
+    hb TEXT NOT NULL,
+    mbl TEXT,
+    arrival INTEGER NOT NULL DEFAULT 1,
+    pcs NUMERIC,
+    location TEXT,
+    tallied_at TIMESTAMPTZ,
+    damage TEXT,
+    crew TEXT,
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (hb, arrival)
+);
+
+-- Index for dock tally entries
+CREATE INDEX idx_dock_tally_entries_mbl ON dock_tally_entries(mbl);
 
 -- ============================================
 -- ROW LEVEL SECURITY (RLS) POLICIES
@@ -138,7 +271,12 @@ CREATE INDEX idx_removed_items_hb ON removed_items_history(hb);
 ALTER TABLE uploads ENABLE ROW LEVEL SECURITY;
 ALTER TABLE report_data ENABLE ROW LEVEL SECURITY;
 ALTER TABLE master_list ENABLE ROW LEVEL SECURITY;
+ALTER TABLE master_list_changes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE removed_items_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE column_mapping_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE saved_views ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dock_tally_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dock_tally_entries ENABLE ROW LEVEL SECURITY;
 
 -- Create policies to allow authenticated users full access
 -- (Adjust these policies based on your security requirements)
@@ -191,6 +329,17 @@ CREATE POLICY "Allow authenticated users to update master_list"
     TO authenticated
     USING (true);
 
+-- Master list changes policies
+CREATE POLICY "Allow authenticated users to read master_list_changes"
+    ON master_list_changes FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to insert master_list_changes"
+    ON master_list_changes FOR INSERT
+    TO authenticated
+    WITH CHECK (true);
+
 -- Removed items history policies
 CREATE POLICY "Allow authenticated users to read removed_items_history"
     ON removed_items_history FOR SELECT
@@ -202,6 +351,499 @@ CREATE POLICY "Allow authenticated users to insert removed_items_history"
     TO authenticated
     WITH CHECK (true);
 
+-- Column mapping profiles policies
+CREATE POLICY "Allow authenticated users to read column_mapping_profiles"
+    ON column_mapping_profiles FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to insert column_mapping_profiles"
+    ON column_mapping_profiles FOR INSERT
+    TO authenticated
+    WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users to update column_mapping_profiles"
+    ON column_mapping_profiles FOR UPDATE
+    TO authenticated
+    USING (true);
+
+-- Saved views policies (each user only sees their own)
+CREATE POLICY "Allow users to read their saved_views"
+    ON saved_views FOR SELECT
+    TO authenticated
+    USING (user_id = auth.uid());
+
+CREATE POLICY "Allow users to insert their saved_views"
+    ON saved_views FOR INSERT
+    TO authenticated
+    WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Allow users to update their saved_views"
+    ON saved_views FOR UPDATE
+    TO authenticated
+    USING (user_id = auth.uid());
+
+CREATE POLICY "Allow users to delete their saved_views"
+    ON saved_views FOR DELETE
+    TO authenticated
+    USING (user_id = auth.uid());
+
+-- Dock tally templates policies
+CREATE POLICY "Allow authenticated users to read dock_tally_templates"
+    ON dock_tally_templates FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to insert dock_tally_templates"
+    ON dock_tally_templates FOR INSERT
+    TO authenticated
+    WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users to update dock_tally_templates"
+    ON dock_tally_templates FOR UPDATE
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to delete dock_tally_templates"
+    ON dock_tally_templates FOR DELETE
+    TO authenticated
+    USING (true);
+
+-- Dock tally entries policies
+CREATE POLICY "Allow authenticated users to read dock_tally_entries"
+    ON dock_tally_entries FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to insert dock_tally_entries"
+    ON dock_tally_entries FOR INSERT
+    TO authenticated
+    WITH CHECK (true);
+
+CREATE POLICY "Allow authenticated users to update dock_tally_entries"
+    ON dock_tally_entries FOR UPDATE
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Allow authenticated users to delete dock_tally_entries"
+    ON dock_tally_entries FOR DELETE
+    TO authenticated
+    USING (true);
+
+-- ============================================
+-- INGEST_UPLOAD FUNCTION
+-- Writes a whole Ocean upload in one transaction: upload record,
+-- report data, master list inserts/updates, change log and removed
+-- items history. Any failure rolls everything back and the error
+-- names the step that failed.
+-- The app works out the master list diff and passes it in.
+-- ============================================
+CREATE OR REPLACE FUNCTION ingest_upload(
+    p_filename TEXT,
+    p_report_rows JSONB,
+    p_new_items JSONB,
+    p_updated_items JSONB,
+    p_changes JSONB,
+    p_content_hash TEXT DEFAULT NULL,
+    p_row_set_hash TEXT DEFAULT NULL
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_step TEXT := 'save the upload record';
+    v_upload_id UUID;
+    v_upload_date TIMESTAMPTZ;
+    v_prev_id UUID;
+    v_prev_date TIMESTAMPTZ;
+    v_rows_inserted INTEGER;
+    v_items_added INTEGER;
+    v_items_updated INTEGER;
+    v_items_removed INTEGER := 0;
+BEGIN
+    INSERT INTO uploads (filename, row_count, upload_date, content_hash, row_set_hash)
+    VALUES (p_filename, jsonb_array_length(p_report_rows), NOW(), p_content_hash, p_row_set_hash)
+    RETURNING id, upload_date INTO v_upload_id, v_upload_date;
+
+    v_step := 'save report data';
+    INSERT INTO report_data (
+        upload_id, container, seal_number, carrier, mbl, mi, vessel,
+        hb, outer_quantity, pcs, wt_lbs, cnee, frl,
+        file_no, dest, volume, vbond, tdf
+    )
+    SELECT
+        v_upload_id, r.container, r.seal_number, r.carrier, r.mbl, r.mi, r.vessel,
+        r.hb, r.outer_quantity, r.pcs, r.wt_lbs, r.cnee, r.frl,
+        r.file_no, r.dest, r.volume, r.vbond, r.tdf
+    FROM jsonb_populate_recordset(NULL::report_data, p_report_rows) r;
+    GET DIAGNOSTICS v_rows_inserted = ROW_COUNT;
+
+    v_step := 'add new master list items';
+    INSERT INTO master_list (
+        container, seal_number, carrier, mbl, mi, vessel,
+        hb, outer_quantity, pcs, wt_lbs, cnee, frl,
+        file_no, dest, volume, vbond, tdf,
+        first_seen_upload_id, last_updated_upload_id, created_at, updated_at
+    )
+    SELECT
+        r.container, r.seal_number, r.carrier, r.mbl, r.mi, r.vessel,
+        r.hb, r.outer_quantity, r.pcs, r.wt_lbs, r.cnee, r.frl,
+        r.file_no, r.dest, r.volume, r.vbond, r.tdf,
+        v_upload_id, v_upload_id, NOW(), NOW()
+    FROM jsonb_populate_recordset(NULL::master_list, p_new_items) r;
+    GET DIAGNOSTICS v_items_added = ROW_COUNT;
+
+    v_step := 'update master list items';
+    UPDATE master_list m SET
+        container = r.container,
+        seal_number = r.seal_number,
+        carrier = r.carrier,
+        mbl = r.mbl,
+        mi = r.mi,
+        vessel = r.vessel,
+        outer_quantity = r.outer_quantity,
+        pcs = r.pcs,
+        wt_lbs = r.wt_lbs,
+        cnee = r.cnee,
+        frl = r.frl,
+        file_no = r.file_no,
+        dest = r.dest,
+        volume = r.volume,
+        vbond = r.vbond,
+        tdf = r.tdf,
+        last_update_reason = r.last_update_reason,
+        last_updated_upload_id = v_upload_id,
+        updated_at = NOW()
+    FROM jsonb_populate_recordset(NULL::master_list, p_updated_items) r
+    WHERE m.id = r.id;
+    GET DIAGNOSTICS v_items_updated = ROW_COUNT;
+
+    v_step := 'record master list changes';
+    INSERT INTO master_list_changes (master_list_id, hb, column_name, old_value, new_value, upload_id)
+    SELECT r.master_list_id, r.hb, r.column_name, r.old_value, r.new_value, v_upload_id
+    FROM jsonb_populate_recordset(NULL::master_list_changes, p_changes) r;
+
+    -- HBs in the previous upload (by date) that are missing from this one
+    v_step := 'record removed items';
+    SELECT id, upload_date INTO v_prev_id, v_prev_date
+    FROM uploads
+    WHERE upload_date < v_upload_date
+    ORDER BY upload_date DESC
+    LIMIT 1;
+
+    IF v_prev_id IS NOT NULL THEN
+        INSERT INTO removed_items_history (
+            container, seal_number, carrier, mbl, mi, vessel,
+            hb, outer_quantity, pcs, wt_lbs, cnee, frl,
+            file_no, dest, volume, vbond, tdf,
+            last_seen_upload_id, removed_at_upload_id, last_seen_date, removed_at_date
+        )
+        SELECT DISTINCT ON (p.hb)
+            p.container, p.seal_number, p.carrier, p.mbl, p.mi, p.vessel,
+            p.hb, p.outer_quantity, p.pcs, p.wt_lbs, p.cnee, p.frl,
+            p.file_no, p.dest, p.volume, p.vbond, p.tdf,
+            v_prev_id, v_upload_id, v_prev_date, v_upload_date
+        FROM report_data p
+        WHERE p.upload_id = v_prev_id
+          AND p.hb IS NOT NULL AND p.hb <> ''
+          AND NOT EXISTS (
+              SELECT 1 FROM report_data c
+              WHERE c.upload_id = v_upload_id AND c.hb = p.hb
+          )
+        ORDER BY p.hb, p.id;
+        GET DIAGNOSTICS v_items_removed = ROW_COUNT;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'upload_id', v_upload_id,
+        'rows_inserted', v_rows_inserted,
+        'items_added', v_items_added,
+        'items_updated', v_items_updated,
+        'items_removed', v_items_removed
+    );
+EXCEPTION WHEN OTHERS THEN
+    RAISE EXCEPTION 'Upload failed while trying to %: %', v_step, SQLERRM;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION ingest_upload(TEXT, JSONB, JSONB, JSONB, JSONB, TEXT, TEXT) TO authenticated;
+
+-- ============================================
+-- GET_MASTER_LIST_METRICS FUNCTION
+-- Every Master List metric card in one round trip, counted in the
+-- database so the dashboard never downloads the list to count it.
+-- New / updated / newly FRL'd are relative to the latest upload.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_master_list_metrics()
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_latest_upload_id UUID;
+    v_metrics JSONB;
+BEGIN
+    SELECT id INTO v_latest_upload_id
+    FROM uploads
+    ORDER BY upload_date DESC
+    LIMIT 1;
+
+    SELECT jsonb_build_object(
+        'total_rows', COUNT(*),
+        'with_frl', COUNT(*) FILTER (WHERE NULLIF(btrim(frl), '') IS NOT NULL),
+        'without_frl', COUNT(*) FILTER (WHERE NULLIF(btrim(frl), '') IS NULL),
+        'unique_mbls', COUNT(DISTINCT mbl) FILTER (WHERE btrim(mbl) <> ''),
+        'new_items', COUNT(*) FILTER (WHERE first_seen_upload_id = v_latest_upload_id),
+        'updated_items', COUNT(*) FILTER (
+            WHERE last_updated_upload_id = v_latest_upload_id
+              AND last_update_reason IS NOT NULL
+        ),
+        'new_frl', COUNT(*) FILTER (
+            WHERE last_updated_upload_id = v_latest_upload_id
+              AND last_update_reason ILIKE '%FRL%'
+        )
+    )
+    INTO v_metrics
+    FROM master_list;
+
+    RETURN v_metrics;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_master_list_metrics() TO authenticated;
+
+-- ============================================
+-- GET_UPLOAD_DIFF FUNCTION
+-- Compares an upload's report data with a base upload (the previous
+-- upload by date unless one is given) using set operations on HB:
+--   new items     - HBs in this upload but not the base
+--   removed items - HBs in the base but not this upload
+--   newly FRL'd   - HBs with an FRL now that had none in the base
+-- Returns the upload's counts plus the rows of one diff when p_rows
+-- is 'new_items', 'removed_items' or 'new_frl'.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_upload_diff(
+    p_upload_id UUID,
+    p_base_upload_id UUID DEFAULT NULL,
+    p_rows TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_base_upload_id UUID := p_base_upload_id;
+    v_summary JSONB;
+    v_diff JSONB;
+BEGIN
+    IF v_base_upload_id IS NULL THEN
+        SELECT prev.id INTO v_base_upload_id
+        FROM uploads prev, uploads cur
+        WHERE cur.id = p_upload_id
+          AND prev.upload_date < cur.upload_date
+        ORDER BY prev.upload_date DESC
+        LIMIT 1;
+    END IF;
+
+    SELECT jsonb_build_object(
+        'base_upload_id', v_base_upload_id,
+        'total_rows', COUNT(*),
+        'unique_mbls', COUNT(DISTINCT mbl) FILTER (WHERE btrim(mbl) <> ''),
+        'with_frl', COUNT(*) FILTER (WHERE NULLIF(btrim(frl), '') IS NOT NULL),
+        'without_frl', COUNT(*) FILTER (WHERE NULLIF(btrim(frl), '') IS NULL)
+    )
+    INTO v_summary
+    FROM report_data
+    WHERE upload_id = p_upload_id;
+
+    -- Nothing to compare against (first upload)
+    IF v_base_upload_id IS NULL THEN
+        RETURN v_summary || jsonb_build_object(
+            'new_items', 0, 'removed_items', 0, 'new_frl', 0, 'rows', '[]'::jsonb
+        );
+    END IF;
+
+    WITH cur AS (
+        SELECT * FROM report_data WHERE upload_id = p_upload_id
+    ),
+    base AS (
+        SELECT * FROM report_data WHERE upload_id = v_base_upload_id
+    ),
+    new_hbs AS (
+        SELECT hb FROM cur WHERE NULLIF(hb, '') IS NOT NULL
+        EXCEPT
+        SELECT hb FROM base
+    ),
+    removed_hbs AS (
+        SELECT hb FROM base WHERE NULLIF(hb, '') IS NOT NULL
+        EXCEPT
+        SELECT hb FROM cur
+    ),
+    frld_hbs AS (
+        SELECT hb FROM cur WHERE NULLIF(btrim(frl), '') IS NOT NULL
+        INTERSECT
+        SELECT hb FROM base WHERE NULLIF(btrim(frl), '') IS NULL
+    )
+    SELECT jsonb_build_object(
+        'new_items', (SELECT COUNT(*) FROM cur JOIN new_hbs USING (hb)),
+        'removed_items', (SELECT COUNT(*) FROM base JOIN removed_hbs USING (hb)),
+        'new_frl', (SELECT COUNT(*) FROM cur JOIN frld_hbs USING (hb)),
+        'rows', COALESCE(CASE p_rows
+            WHEN 'new_items' THEN
+                (SELECT jsonb_agg(to_jsonb(cur) ORDER BY cur.id) FROM cur JOIN new_hbs USING (hb))
+            WHEN 'removed_items' THEN
+                (SELECT jsonb_agg(to_jsonb(base) ORDER BY base.id) FROM base JOIN removed_hbs USING (hb))
+            WHEN 'new_frl' THEN
+                (SELECT jsonb_agg(to_jsonb(cur) ORDER BY cur.id) FROM cur JOIN frld_hbs USING (hb))
+        END, '[]'::jsonb)
+    )
+    INTO v_diff;
+
+    RETURN v_summary || v_diff;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_upload_diff(UUID, UUID, TEXT) TO authenticated;
+
+-- ============================================
+-- GET_DUPLICATE_BILLS FUNCTION
+-- Which of the given HBs / MBLs appear more than once in an upload,
+-- or in the master list when p_upload_id is NULL. The data table
+-- asks for the values on each page it loads to highlight duplicates.
+-- ============================================
+CREATE OR REPLACE FUNCTION get_duplicate_bills(
+    p_upload_id UUID,
+    p_hbs TEXT[],
+    p_mbls TEXT[]
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_hbs JSONB;
+    v_mbls JSONB;
+BEGIN
+    IF p_upload_id IS NULL THEN
+        SELECT jsonb_agg(hb) INTO v_hbs FROM (
+            SELECT hb FROM master_list WHERE hb = ANY(p_hbs) GROUP BY hb HAVING COUNT(*) > 1
+        ) d;
+        SELECT jsonb_agg(mbl) INTO v_mbls FROM (
+            SELECT mbl FROM master_list WHERE mbl = ANY(p_mbls) GROUP BY mbl HAVING COUNT(*) > 1
+        ) d;
+    ELSE
+        SELECT jsonb_agg(hb) INTO v_hbs FROM (
+            SELECT hb FROM report_data
+            WHERE upload_id = p_upload_id AND hb = ANY(p_hbs)
+            GROUP BY hb HAVING COUNT(*) > 1
+        ) d;
+        SELECT jsonb_agg(mbl) INTO v_mbls FROM (
+            SELECT mbl FROM report_data
+            WHERE upload_id = p_upload_id AND mbl = ANY(p_mbls)
+            GROUP BY mbl HAVING COUNT(*) > 1
+        ) d;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'hbs', COALESCE(v_hbs, '[]'::jsonb),
+        'mbls', COALESCE(v_mbls, '[]'::jsonb)
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_duplicate_bills(UUID, TEXT[], TEXT[]) TO authenticated;
+
+-- ============================================
+-- FILTER BUILDER HELPERS
+-- FRL/TDF/ETA and PCS/WT LBS/WEIGHT are stored as text straight from
+-- the CSV. These parse them (NULL when a value isn't a date / number)
+-- so the filter builder can compare them as dates and numbers.
+-- Dates: M/D/YYYY, M/D/YY or YYYY-MM-DD, anything after is ignored.
+-- ============================================
+CREATE OR REPLACE FUNCTION report_date(p_value TEXT)
+RETURNS DATE
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_parts TEXT[];
+    v_year INT;
+    v_month INT;
+    v_day INT;
+BEGIN
+    v_parts := regexp_match(btrim(p_value), '^(\d{1,2})/(\d{1,2})/(\d{4}|\d{2})\y');
+    IF v_parts IS NOT NULL THEN
+        v_month := v_parts[1]::INT;
+        v_day := v_parts[2]::INT;
+        v_year := v_parts[3]::INT;
+        IF length(v_parts[3]) = 2 THEN
+            v_year := v_year + 2000;
+        END IF;
+    ELSE
+        v_parts := regexp_match(btrim(p_value), '^(\d{4})-(\d{1,2})-(\d{1,2})');
+        IF v_parts IS NULL THEN
+            RETURN NULL;
+        END IF;
+        v_year := v_parts[1]::INT;
+        v_month := v_parts[2]::INT;
+        v_day := v_parts[3]::INT;
+    END IF;
+
+    -- A day past the end of its month (2/31) is not a date rather than rolling over
+    IF v_month NOT BETWEEN 1 AND 12 OR v_day < 1
+        OR v_day > extract(DAY FROM make_date(v_year, v_month, 1) + INTERVAL '1 month - 1 day') THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN make_date(v_year, v_month, v_day);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION report_number(p_value TEXT)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_text TEXT := replace(btrim(p_value), ',', '');
+BEGIN
+    IF v_text ~ '^-?\d+(\.\d+)?$' THEN
+        RETURN v_text::NUMERIC;
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+-- Computed fields: PostgREST exposes these as filterable columns,
+-- e.g. ?frl_date=lt.2024-06-01 or ?pcs_number=gte.10
+CREATE OR REPLACE FUNCTION frl_date(master_list) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_date($1.frl) $$;
+CREATE OR REPLACE FUNCTION tdf_date(master_list) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_date($1.tdf) $$;
+CREATE OR REPLACE FUNCTION pcs_number(master_list) RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_number($1.pcs) $$;
+CREATE OR REPLACE FUNCTION wt_lbs_number(master_list) RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_number($1.wt_lbs) $$;
+
+CREATE OR REPLACE FUNCTION frl_date(report_data) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_date($1.frl) $$;
+CREATE OR REPLACE FUNCTION tdf_date(report_data) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_date($1.tdf) $$;
+CREATE OR REPLACE FUNCTION pcs_number(report_data) RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_number($1.pcs) $$;
+CREATE OR REPLACE FUNCTION wt_lbs_number(report_data) RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE AS $$ SELECT report_number($1.wt_lbs) $$;
+
+GRANT EXECUTE ON FUNCTION report_date(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION report_number(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION frl_date(master_list) TO authenticated;
+GRANT EXECUTE ON FUNCTION tdf_date(master_list) TO authenticated;
+GRANT EXECUTE ON FUNCTION pcs_number(master_list) TO authenticated;
+GRANT EXECUTE ON FUNCTION wt_lbs_number(master_list) TO authenticated;
+GRANT EXECUTE ON FUNCTION frl_date(report_data) TO authenticated;
+GRANT EXECUTE ON FUNCTION tdf_date(report_data) TO authenticated;
+GRANT EXECUTE ON FUNCTION pcs_number(report_data) TO authenticated;
+GRANT EXECUTE ON FUNCTION wt_lbs_number(report_data) TO authenticated;
+
 -- ============================================
 -- DONE! Your database is ready.
 -- ============================================